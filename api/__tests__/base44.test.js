@@ -1,28 +1,49 @@
 // Test file for Base44 API proxy endpoint
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 
-// Mock the handler function
-const mockHandler = vi.fn();
-
 // Mock fetch globally
 global.fetch = vi.fn();
 
+// Token verification is covered by Firebase Admin; tests control the resolved caller
+vi.mock('../_lib/auth.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  authenticateRequest: vi.fn()
+}));
+
+const adminCaller = {
+  uid: 'admin-uid',
+  email: 'admin@example.com',
+  appUserId: 'user-admin',
+  role: 'admin',
+  playerId: null
+};
+
 describe('Base44 API Proxy', () => {
   let handler;
   let mockReq;
   let mockRes;
 
+  let authenticateRequest;
+
   beforeEach(async () => {
     // Reset mocks
     vi.clearAllMocks();
+    global.fetch.mockReset();
     
     // Import the handler dynamically to avoid module caching issues
     const module = await import('../base44.js');
     handler = module.default;
 
+    ({ authenticateRequest } = await import('../_lib/auth.js'));
+    authenticateRequest.mockResolvedValue(adminCaller);
+
     // Mock request object
     mockReq = {
       method: 'POST',
+      headers: {
+        authorization: 'Bearer test-token',
+        origin: 'https://portal.o7chub.com'
+      },
       body: {
         method: 'GET',
         path: '/Player',
@@ -57,7 +78,8 @@ describe('Base44 API Proxy', () => {
     expect(mockRes.status).toHaveBeenCalledWith(405);
     expect(mockRes.json).toHaveBeenCalledWith({
       error: 'Method not allowed',
-      message: 'Only POST requests are allowed for the Base44 proxy'
+      message: 'Only POST requests are allowed for the Base44 proxy',
+      requestId: expect.any(String)
     });
   });
 
@@ -69,7 +91,8 @@ describe('Base44 API Proxy', () => {
     expect(mockRes.status).toHaveBeenCalledWith(400);
     expect(mockRes.json).toHaveBeenCalledWith({
       error: 'Invalid request',
-      message: 'Request body is required and must be an object'
+      message: 'Request body is required and must be an object',
+      requestId: expect.any(String)
     });
   });
 
@@ -81,7 +104,8 @@ describe('Base44 API Proxy', () => {
     expect(mockRes.status).toHaveBeenCalledWith(400);
     expect(mockRes.json).toHaveBeenCalledWith({
       error: 'Invalid request',
-      message: 'Method is required and must be a string'
+      message: 'Method is required and must be a string',
+      requestId: expect.any(String)
     });
   });
 
@@ -93,7 +117,8 @@ describe('Base44 API Proxy', () => {
     expect(mockRes.status).toHaveBeenCalledWith(400);
     expect(mockRes.json).toHaveBeenCalledWith({
       error: 'Invalid request',
-      message: 'Method must be one of: GET, POST, PUT, DELETE'
+      message: 'Method must be one of: GET, POST, PUT, DELETE',
+      requestId: expect.any(String)
     });
   });
 
@@ -105,7 +130,8 @@ describe('Base44 API Proxy', () => {
     expect(mockRes.status).toHaveBeenCalledWith(400);
     expect(mockRes.json).toHaveBeenCalledWith({
       error: 'Invalid request',
-      message: 'Path must start with /'
+      message: 'Path must start with /',
+      requestId: expect.any(String)
     });
   });
 
@@ -190,7 +216,7 @@ describe('Base44 API Proxy', () => {
     await handler(mockReq, mockRes);
     
     expect(mockRes.status).toHaveBeenCalledWith(200);
-    expect(mockRes.json).toHaveBeenCalledWith({ success: true });
+    expect(mockRes.json).toHaveBeenCalledWith({ success: true, requestId: expect.any(String) });
   });
 
   it('should handle API errors', async () => {
@@ -210,7 +236,8 @@ describe('Base44 API Proxy', () => {
     expect(mockRes.json).toHaveBeenCalledWith({
       error: 'Base44 API Error',
       message: 'Player not found',
-      status: 404
+      status: 404,
+      requestId: expect.any(String)
     });
   });
 
@@ -222,16 +249,152 @@ describe('Base44 API Proxy', () => {
     expect(mockRes.status).toHaveBeenCalledWith(503);
     expect(mockRes.json).toHaveBeenCalledWith({
       error: 'Service unavailable',
-      message: 'Unable to connect to Base44 API'
+      message: 'Unable to connect to Base44 API',
+      requestId: expect.any(String)
     });
   });
 
   it('should set proper CORS and security headers', async () => {
     await handler(mockReq, mockRes);
     
-    expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Origin', '*');
+    expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Origin', 'https://portal.o7chub.com');
     expect(mockRes.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     expect(mockRes.setHeader).toHaveBeenCalledWith('X-Content-Type-Options', 'nosniff');
     expect(mockRes.setHeader).toHaveBeenCalledWith('X-Frame-Options', 'DENY');
   });
-});
\ No newline at end of file
+
+  it('should not allow arbitrary origins', async () => {
+    mockReq.headers.origin = 'https://evil.example.com';
+
+    await handler(mockReq, mockRes);
+
+    expect(mockRes.setHeader).not.toHaveBeenCalledWith('Access-Control-Allow-Origin', expect.anything());
+  });
+
+  describe('authentication and entity policy', () => {
+    const playerCaller = {
+      uid: 'player-uid',
+      email: 'player@example.com',
+      appUserId: 'user-1',
+      role: 'player',
+      playerId: 'player-1'
+    };
+
+    it('should reject requests without an ID token', async () => {
+      delete mockReq.headers.authorization;
+      mockReq.body = { method: 'DELETE', path: '/Player/123' };
+
+      await handler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when the ID token is invalid', async () => {
+      const { AuthError } = await import('../_lib/auth.js');
+      authenticateRequest.mockRejectedValueOnce(new AuthError('Invalid or expired ID token'));
+
+      await handler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should scope player list queries to their own rows', async () => {
+      authenticateRequest.mockResolvedValueOnce(playerCaller);
+      mockReq.body = {
+        method: 'GET',
+        path: '/Payment',
+        params: { where: [{ field: 'playerId', op: 'eq', value: 'player-2' }] }
+      };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn().mockReturnValue('application/json') },
+        json: vi.fn().mockResolvedValue([])
+      });
+
+      await handler(mockReq, mockRes);
+
+      const targetUrl = new URL(global.fetch.mock.calls[0][0]);
+      expect(JSON.parse(targetUrl.searchParams.get('q'))).toEqual({ playerId: { $eq: 'player-1' } });
+    });
+
+    it('should forbid players from deleting another player\'s rows', async () => {
+      authenticateRequest.mockResolvedValueOnce(playerCaller);
+      mockReq.body = { method: 'DELETE', path: '/PlayerGoal/goal-9' };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: vi.fn().mockResolvedValue({ id: 'goal-9', playerId: 'player-2' })
+      });
+
+      await handler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forbid players from writing admin-only entities', async () => {
+      authenticateRequest.mockResolvedValueOnce(playerCaller);
+      mockReq.body = { method: 'POST', path: '/TeamFee', body: { amount: 0 } };
+
+      await handler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('structured query params', () => {
+    it('should push filter, sort and limit down to Base44 and return a page', async () => {
+      mockReq.body = {
+        method: 'GET',
+        path: '/TeamEvent',
+        params: {
+          where: [{ field: 'teamIds', op: 'contains', value: 'team-1' }],
+          sort: [{ field: 'startDate', direction: 'asc' }],
+          limit: 1
+        }
+      };
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: vi.fn().mockReturnValue('application/json') },
+        json: vi.fn().mockResolvedValue([
+          { id: 'e1', startDate: '2025-03-01' },
+          { id: 'e2', startDate: '2025-03-02' }
+        ])
+      });
+
+      await handler(mockReq, mockRes);
+
+      const targetUrl = new URL(global.fetch.mock.calls[0][0]);
+      expect(targetUrl.pathname).toBe('/api/TeamEvent');
+      expect(JSON.parse(targetUrl.searchParams.get('q'))).toEqual({ teamIds: { $in: ['team-1'] } });
+      expect(targetUrl.searchParams.get('sort_by')).toBe('startDate,id');
+      expect(targetUrl.searchParams.get('limit')).toBe('2');
+
+      const page = mockRes.json.mock.calls[0][0];
+      expect(page.data).toEqual([{ id: 'e1', startDate: '2025-03-01' }]);
+      expect(page.hasMore).toBe(true);
+      expect(page.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should reject invalid query params', async () => {
+      mockReq.body = {
+        method: 'GET',
+        path: '/Player',
+        params: { where: [{ field: 'name', op: 'regex', value: '.*' }] }
+      };
+
+      await handler(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { createFeedToken, verifyFeedToken, buildUserFeed } from '../_lib/calendarFeed.js';
+
+describe('Calendar feed', () => {
+  beforeAll(() => {
+    process.env.CALENDAR_FEED_SECRET = 'test-secret';
+  });
+
+  it('should round-trip signed feed tokens', () => {
+    const token = createFeedToken('user-1', 3);
+    expect(verifyFeedToken(token)).toEqual({ appUserId: 'user-1', version: 3 });
+  });
+
+  it('should reject tampered tokens', () => {
+    const [, signature] = createFeedToken('user-1', 0).split('.');
+    const forged = `${Buffer.from(JSON.stringify({ u: 'user-2', v: 0 })).toString('base64url')}.${signature}`;
+
+    expect(verifyFeedToken(forged)).toBeNull();
+    expect(verifyFeedToken('garbage')).toBeNull();
+    expect(verifyFeedToken(undefined)).toBeNull();
+  });
+
+  it('should build a feed from a parent\'s linked players', async () => {
+    const findRows = vi.fn(async (entity) => {
+      switch (entity) {
+        case 'ParentPlayerAssignment':
+          return [{ playerId: 'kid-1' }];
+        case 'Player':
+          return [{ id: 'kid-1', firstName: 'Sam', lastName: 'Lee', teamIds: ['team-a'] }];
+        case 'TeamEvent':
+          return [{ id: 'evt-1', title: 'Game', startDate: '2025-03-01T18:00:00.000Z', teamIds: ['team-a'] }];
+        case 'EventRSVP':
+          return [{ eventId: 'evt-1', playerId: 'kid-1', status: 'Attending' }];
+        default:
+          return [];
+      }
+    });
+
+    const ics = await buildUserFeed(
+      { id: 'user-3', email: 'mom@example.com', role: 'parent' },
+      { findRows, now: new Date('2025-03-01T00:00:00.000Z') }
+    );
+
+    expect(findRows).toHaveBeenCalledWith('TeamEvent', {
+      teamIds: { $in: ['team-a'] },
+      $or: [{ startDate: { $gte: '2024-12-01T00:00:00.000Z' } }, { isRecurring: true }]
+    }, 1000);
+    expect(ics).toContain('UID:teamevent-evt-1@o7chub.com');
+    expect(ics).toContain('RSVP (Sam Lee): Attending');
+  });
+
+  it('should return an empty calendar for users without players', async () => {
+    const findRows = vi.fn().mockResolvedValue([]);
+    const ics = await buildUserFeed({ id: 'user-4', role: 'parent', email: 'x@example.com' }, { findRows });
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+});
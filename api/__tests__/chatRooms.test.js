@@ -0,0 +1,240 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  listChatContacts,
+  startDirectRoom,
+  createGroupRoom,
+  addRoomParticipants,
+  removeRoomParticipant,
+  addRoomKeys,
+  deleteRoomMessage
+} from '../_lib/chatRooms.js';
+import { getSafeguardingPolicy } from '../../shared/utils/chatSafeguarding.js';
+import {
+  generateIdentityKeyPair,
+  exportPublicKey,
+  getKeyId,
+  createRoomEncryption,
+  shareRoomKeys,
+  openRoomKey
+} from '../../shared/utils/chatCrypto.js';
+
+const now = new Date('2026-10-01T12:00:00.000Z');
+const coach = { uid: 'uid-coach', email: 'coach@example.com', appUserId: 'user-1', role: 'coach', playerId: null, appUser: { coachId: 'coach-1', firstName: 'Pat', lastName: 'Reed' } };
+const admin = { uid: 'uid-admin', email: 'office@example.com', appUserId: 'user-5', role: 'admin', playerId: null, appUser: { firstName: 'Office' } };
+const player = { uid: 'uid-kid', email: 'kid@example.com', appUserId: 'user-2', role: 'player', playerId: 'kid-1', appUser: { playerId: 'kid-1', firstName: 'Sam', lastName: 'Lee' } };
+
+const rows = {
+  CoachAssignment: [{ coachId: 'coach-1', teamId: 'team-1', isActive: true }],
+  Player: [{ id: 'kid-1', teamIds: ['team-1'] }, { id: 'kid-2', teamIds: ['team-1'], dateOfBirth: '2007-05-01' }],
+  ParentPlayerAssignment: [{ playerId: 'kid-1', parentEmail: 'mom@example.com', isActive: true }],
+  AppUser: [
+    { firebaseUid: 'uid-coach', coachId: 'coach-1', firstName: 'Pat', lastName: 'Reed', email: 'coach@example.com' },
+    { firebaseUid: 'uid-kid', playerId: 'kid-1', firstName: 'Sam', lastName: 'Lee', email: 'kid@example.com' },
+    { firebaseUid: 'uid-kid-2', playerId: 'kid-2', firstName: 'Alex', lastName: 'Kim', email: 'alex@example.com' },
+    { firebaseUid: 'uid-mom', role: 'parent', firstName: 'Jo', lastName: 'Lee', email: 'mom@example.com' },
+    { firebaseUid: 'uid-admin', role: 'admin', firstName: 'Office', email: 'office@example.com' }
+  ]
+};
+
+// Enough of the Base44 query language for these lookups: equality and $in
+const matches = (row, filter) => Object.entries(filter).every(([field, wanted]) => {
+  const value = row[field];
+  if (wanted && wanted.$in) {
+    return Array.isArray(value) ? value.some(entry => wanted.$in.includes(entry)) : wanted.$in.includes(value);
+  }
+  return value === wanted;
+});
+
+const findRows = vi.fn(async (entity, filter) => rows[entity].filter(row => matches(row, filter)));
+
+const makeDevice = async () => {
+  const { publicKey, privateKey } = await generateIdentityKeyPair();
+  const jwk = await exportPublicKey(publicKey);
+  return { keyId: await getKeyId(jwk), jwk, privateKey };
+};
+
+// One device per user; room writes are applied to `room` in place
+const keyDeps = (room, devices) => ({
+  loadRoom: vi.fn(async () => room),
+  updateRoom: vi.fn(async (roomId, changes) => { Object.assign(room, changes); }),
+  transactRoom: vi.fn(async (roomId, update) => {
+    const { changes, result } = await update(room);
+    if (changes) Object.assign(room, changes);
+    return result;
+  }),
+  loadPublicKeys: vi.fn(async (userIds) => Object.fromEntries(userIds.map(userId =>
+    [userId, devices[userId] ? [{ keyId: devices[userId].keyId, jwk: devices[userId].jwk }] : []]))),
+  audit: vi.fn(async () => {}),
+  now
+});
+
+describe('Chat rooms', () => {
+  it('should let coaches message their players and parents, and players only staff', async () => {
+    const coachContacts = await listChatContacts(coach, { findRows });
+    expect(coachContacts.map(contact => contact.userId).sort()).toEqual(['uid-admin', 'uid-kid', 'uid-kid-2', 'uid-mom']);
+
+    const playerContacts = await listChatContacts(player, { findRows });
+    expect(playerContacts).toEqual([
+      { userId: 'uid-admin', name: 'Office', role: 'admin' },
+      { userId: 'uid-coach', name: 'Pat Reed', role: 'coach' }
+    ]);
+  });
+
+  it('should create one direct room per pair, with the guardian copied in, and refuse other pairings', async () => {
+    const createRoom = vi.fn(async () => 'room-1');
+    const updateRoom = vi.fn(async () => {});
+    const audit = vi.fn(async () => {});
+    const findDirectRoom = vi.fn(async () => null);
+    const deps = { findRows, findDirectRoom, createRoom, updateRoom, audit, now };
+
+    const refused = await startDirectRoom(player, { userId: 'uid-kid-2' }, deps);
+    expect(refused).toEqual(expect.objectContaining({ success: false, status: 403, code: 'PAIRING_NOT_ALLOWED' }));
+
+    const result = await startDirectRoom(player, { userId: 'uid-coach' }, deps);
+    expect(result).toEqual({ success: true, roomId: 'room-1', created: true });
+    expect(createRoom).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'direct',
+      participantIds: ['uid-kid', 'uid-coach', 'uid-mom'],
+      directKey: 'uid-coach:uid-kid',
+      safeguarding: { mode: 'guardian_copy', minorIds: ['uid-kid'], guardianIds: ['uid-mom'], retainMessages: true }
+    }));
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'room_create', decision: 'guardian_copy', roomId: 'room-1' }));
+
+    // A room from before the policy gets the guardian added when it is reopened
+    findDirectRoom.mockResolvedValueOnce({ id: 'room-1', participantIds: ['uid-kid', 'uid-coach'], participants: [] });
+    const reused = await startDirectRoom(coach, { userId: 'uid-kid' }, deps);
+    expect(reused).toEqual({ success: true, roomId: 'room-1', created: false });
+    expect(findDirectRoom).toHaveBeenLastCalledWith('uid-coach:uid-kid');
+    expect(createRoom).toHaveBeenCalledTimes(1);
+    expect(updateRoom).toHaveBeenCalledWith('room-1', expect.objectContaining({
+      participantIds: ['uid-kid', 'uid-coach', 'uid-mom']
+    }));
+  });
+
+  it('should refuse and audit staff conversations with minors when the policy blocks them', async () => {
+    const createRoom = vi.fn(async () => 'room-2');
+    const audit = vi.fn(async () => {});
+    const policy = getSafeguardingPolicy({ mode: 'block' });
+    const deps = { findRows, findDirectRoom: vi.fn(async () => null), createRoom, updateRoom: vi.fn(), audit, policy, now };
+
+    const contacts = await listChatContacts(coach, { findRows, policy, now });
+    // kid-2 is an adult by date of birth, so stays listed
+    expect(contacts.map(contact => contact.userId).sort()).toEqual(['uid-admin', 'uid-kid-2', 'uid-mom']);
+
+    const blocked = await startDirectRoom(coach, { userId: 'uid-kid' }, deps);
+    expect(blocked).toEqual(expect.objectContaining({ success: false, status: 403, code: 'SAFEGUARDING_BLOCKED' }));
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'safeguarding',
+      action: 'room_create',
+      decision: 'blocked',
+      actorId: 'uid-coach',
+      minorIds: ['uid-kid'],
+      policyMode: 'block'
+    }));
+
+    const adult = await startDirectRoom(coach, { userId: 'uid-kid-2' }, deps);
+    expect(adult).toEqual({ success: true, roomId: 'room-2', created: true });
+    expect(audit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should check group rooms and added people against the policy', async () => {
+    const createRoom = vi.fn(async () => 'room-3');
+    const updateRoom = vi.fn(async () => {});
+    const audit = vi.fn(async () => {});
+    const deps = { findRows, createRoom, updateRoom, audit, now };
+
+    expect((await createGroupRoom(player, { name: 'Squad', userIds: ['uid-coach'] }, deps)).code).toBe('FORBIDDEN');
+    const blocked = await createGroupRoom(coach, { name: 'Defense', userIds: ['uid-kid'] }, { ...deps, policy: getSafeguardingPolicy({ mode: 'block' }) });
+    expect(blocked).toEqual(expect.objectContaining({ success: false, status: 403, code: 'SAFEGUARDING_BLOCKED' }));
+    expect(audit).toHaveBeenLastCalledWith(expect.objectContaining({ action: 'room_create', decision: 'blocked', roomId: null }));
+    expect(createRoom).not.toHaveBeenCalled();
+
+    // An adult player's group room isn't safeguarded until a minor is added
+    expect(await createGroupRoom(coach, { name: 'Defense', userIds: ['uid-kid-2'] }, deps)).toEqual({ success: true, roomId: 'room-3' });
+    expect(createRoom).toHaveBeenCalledWith(expect.objectContaining({ type: 'group', participantIds: ['uid-coach', 'uid-kid-2'] }));
+
+    const room = { id: 'room-3', type: 'group', participantIds: ['uid-coach', 'uid-kid-2'], participants: [] };
+    const loadRoom = vi.fn(async () => room);
+    const added = await addRoomParticipants(coach, { roomId: 'room-3', userIds: ['uid-kid'] }, { ...deps, loadRoom });
+    expect(added).toEqual({ success: true, roomId: 'room-3', participantIds: ['uid-coach', 'uid-kid-2', 'uid-kid', 'uid-mom'] });
+    expect(updateRoom).toHaveBeenCalledWith('room-3', expect.objectContaining({
+      safeguarding: { mode: 'guardian_copy', minorIds: ['uid-kid'], guardianIds: ['uid-mom'], retainMessages: true }
+    }));
+    expect(audit).toHaveBeenLastCalledWith(expect.objectContaining({ action: 'participant_add', decision: 'guardian_copy', participantIds: ['uid-kid', 'uid-mom'] }));
+
+    const direct = { id: 'room-1', type: 'direct', participantIds: ['uid-coach', 'uid-kid-2'] };
+    expect((await addRoomParticipants(coach, { roomId: 'room-1', userIds: ['uid-admin'] }, { ...deps, loadRoom: async () => direct })).code)
+      .toBe('DIRECT_ROOM');
+  });
+
+  it('should keep the minor, their guardians and their messages in a safeguarded room', async () => {
+    const room = {
+      id: 'room-1',
+      type: 'group',
+      participantIds: ['uid-admin', 'uid-coach', 'uid-kid', 'uid-mom'],
+      participants: [],
+      safeguarding: { mode: 'guardian_copy', minorIds: ['uid-kid'], guardianIds: ['uid-mom'], retainMessages: true }
+    };
+    const audit = vi.fn(async () => {});
+    const updateRoom = vi.fn(async () => {});
+    const deleteMessage = vi.fn(async () => {});
+    const deps = {
+      loadRoom: vi.fn(async () => room),
+      loadMessage: vi.fn(async () => ({ id: 'msg-1', chatId: 'room-1' })),
+      updateRoom,
+      deleteMessage,
+      audit,
+      now
+    };
+
+    expect((await removeRoomParticipant(coach, { roomId: 'room-1', userId: 'uid-mom' }, deps)).code).toBe('FORBIDDEN');
+    expect((await removeRoomParticipant(admin, { roomId: 'room-1', userId: 'uid-mom' }, deps)).code).toBe('PARTICIPANT_PROTECTED');
+    expect(await removeRoomParticipant(admin, { roomId: 'room-1', userId: 'uid-coach' }, deps))
+      .toEqual({ success: true, roomId: 'room-1', participantIds: ['uid-admin', 'uid-kid', 'uid-mom'] });
+
+    const refused = await deleteRoomMessage(admin, { messageId: 'msg-1' }, deps);
+    expect(refused).toEqual(expect.objectContaining({ success: false, status: 403, code: 'MESSAGE_RETAINED' }));
+    expect(deleteMessage).not.toHaveBeenCalled();
+    expect(audit.mock.calls.map(([entry]) => [entry.action, entry.decision])).toEqual([
+      ['participant_remove', 'blocked'],
+      ['participant_remove', 'allowed'],
+      ['message_delete', 'blocked']
+    ]);
+  });
+
+  it('should only add room keys for participant devices and rotate them when someone is removed', async () => {
+    const devices = { 'uid-admin': await makeDevice(), 'uid-coach': await makeDevice(), 'uid-kid': await makeDevice() };
+    const room = { id: 'room-1', type: 'group', participantIds: ['uid-admin', 'uid-coach'], participants: [] };
+    const deps = keyDeps(room, devices);
+
+    // The first call starts the room's key
+    const started = await addRoomKeys(coach, { roomId: 'room-1' }, deps);
+    expect(started.encryption.version).toBe(1);
+    expect(await addRoomKeys(player, { roomId: 'room-1' }, deps)).toEqual(expect.objectContaining({ status: 404 }));
+
+    // Someone joins; the coach wraps the key for them, but can't touch anyone else's entries
+    room.participantIds = [...room.participantIds, 'uid-kid'];
+    const coachKey = await openRoomKey(room.encryption, 1, 'uid-coach', devices['uid-coach']);
+    const shared = await shareRoomKeys(room.encryption, { 1: coachKey }, await deps.loadPublicKeys(room.participantIds));
+    const forged = { 1: { 'uid-admin': { [devices['uid-admin'].keyId]: shared[1]['uid-kid'][devices['uid-kid'].keyId] } } };
+    const adminKeys = room.encryption.keys[1]['uid-admin'];
+    await addRoomKeys(coach, { roomId: 'room-1', keys: forged }, deps);
+    expect(room.encryption.keys[1]['uid-admin']).toEqual(adminKeys);
+    expect(await addRoomKeys(coach, { roomId: 'room-1', keys: { 1: { 'uid-outsider': { 'key-1': 'd3JhcHBlZA==' } } } }, deps))
+      .toEqual(expect.objectContaining({ success: false, status: 400, code: 'INVALID_KEYS' }));
+    expect(await addRoomKeys(coach, { roomId: 'room-1', keys: { 2: shared[1] } }, deps))
+      .toEqual(expect.objectContaining({ code: 'INVALID_KEYS' }));
+
+    await addRoomKeys(coach, { roomId: 'room-1', keys: shared }, deps);
+    expect(await openRoomKey(room.encryption, 1, 'uid-kid', devices['uid-kid'])).not.toBeNull();
+
+    // Removing the coach starts version 2, in the same write as the membership change
+    await removeRoomParticipant(admin, { roomId: 'room-1', userId: 'uid-coach' }, deps);
+    expect(deps.updateRoom).toHaveBeenCalledTimes(1);
+    expect(deps.updateRoom.mock.calls[0][1]).toEqual(expect.objectContaining({ participantIds: ['uid-admin', 'uid-kid'], encryption: room.encryption }));
+    expect(room.encryption.version).toBe(2);
+    expect(await openRoomKey(room.encryption, 2, 'uid-kid', devices['uid-kid'])).not.toBeNull();
+    expect(room.encryption.keys[2]['uid-coach']).toBeUndefined();
+    expect(room.encryption.keys[1]['uid-coach']).toBeUndefined();
+  }, 20000);
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { createCheckInToken, verifyCheckInToken, issueCheckInCode, checkInWithCode } from '../_lib/checkIn.js';
+
+const now = new Date('2025-03-10T18:05:00.000Z');
+const parent = { uid: 'uid-3', email: 'mom@example.com', emailVerified: true, appUserId: 'user-3', role: 'parent', playerId: null };
+const coach = { uid: 'uid-2', email: 'c@example.com', appUserId: 'user-2', role: 'coach', playerId: null };
+
+const records = {
+  'TeamEvent/evt-1': { id: 'evt-1', title: 'Practice', startDate: '2025-03-10T18:00:00.000Z', teamIds: ['team-a'] },
+  'TeamEvent/evt-2': {
+    id: 'evt-2',
+    title: 'Weekly Practice',
+    startDate: '2025-03-03T18:00:00.000Z',
+    endDate: '2025-03-03T20:00:00.000Z',
+    isRecurring: true,
+    recurrenceRule: 'FREQ=WEEKLY',
+    teamIds: ['team-a']
+  },
+  'Player/kid-1': { id: 'kid-1', firstName: 'Sam', lastName: 'Lee', teamIds: ['team-a'] },
+  'Player/kid-2': { id: 'kid-2', firstName: 'Ava', lastName: 'Lee', teamIds: ['team-b'] }
+};
+
+function setup(attendance = []) {
+  return {
+    findRows: vi.fn(async (entity) => entity === 'ParentPlayerAssignment'
+      ? [{ playerId: 'kid-1' }, { playerId: 'kid-2' }]
+      : attendance),
+    loadRecord: vi.fn(async (entity, id) => records[`${entity}/${id}`] || null),
+    createRow: vi.fn(async (entity, body) => ({ id: 'att-1', ...body })),
+    now
+  };
+}
+
+describe('QR check-in', () => {
+  beforeAll(() => {
+    process.env.ATTENDANCE_CHECKIN_SECRET = 'test-secret';
+  });
+
+  it('should round-trip and reject tampered codes', () => {
+    const expiresAt = new Date('2025-03-10T20:00:00.000Z');
+    const token = createCheckInToken('evt-1', null, expiresAt);
+    expect(verifyCheckInToken(token)).toEqual({ eventId: 'evt-1', occurrenceStart: null, expiresAt });
+
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ e: 'evt-2', o: null, x: expiresAt.getTime() })).toString('base64url')}.${signature}`;
+    expect(verifyCheckInToken(forged)).toBeNull();
+  });
+
+  it('should only let coaches open check-in', async () => {
+    const deps = setup();
+    expect((await issueCheckInCode(parent, { eventId: 'evt-1' }, deps)).code).toBe('ROLE_NOT_PERMITTED');
+
+    const issued = await issueCheckInCode(coach, { eventId: 'evt-1' }, deps);
+    expect(issued.success).toBe(true);
+    expect(verifyCheckInToken(issued.token).eventId).toBe('evt-1');
+    expect(issued.expiresAt).toBe('2025-03-10T18:10:00.000Z');
+    expect(issued.closesAt).toBe('2025-03-10T21:00:00.000Z');
+  });
+
+  it('should only issue codes for scheduled occurrences around their start', async () => {
+    const deps = setup();
+    const issue = (eventId, occurrenceStart, at = now) => issueCheckInCode(coach, { eventId, occurrenceStart }, { ...deps, now: at });
+
+    expect((await issue('evt-1', '2025-03-10T18:00:00.000Z')).code).toBe('INVALID_OCCURRENCE');
+    expect((await issue('evt-2', null)).code).toBe('INVALID_OCCURRENCE');
+    expect((await issue('evt-2', '2025-03-10T19:00:00.000Z')).code).toBe('INVALID_OCCURRENCE');
+    expect((await issue('evt-2', '2025-03-17T18:00:00.000Z')).code).toBe('CHECKIN_NOT_OPEN');
+    expect((await issue('evt-2', '2025-03-03T18:00:00.000Z')).code).toBe('CHECKIN_CLOSED');
+
+    const issued = await issue('evt-2', '2025-03-10T18:00:00Z', new Date('2025-03-10T19:58:00.000Z'));
+    expect(issued.expiresAt).toBe('2025-03-10T20:00:00.000Z');
+    expect(verifyCheckInToken(issued.token).occurrenceStart).toBe('2025-03-10T18:00:00.000Z');
+  });
+
+  it('should record a parent\'s child as present', async () => {
+    const deps = setup();
+    const token = createCheckInToken('evt-1', null, new Date('2025-03-10T20:00:00.000Z'));
+
+    const result = await checkInWithCode(parent, { token, playerId: 'kid-1' }, deps);
+
+    expect(result.success).toBe(true);
+    expect(deps.createRow).toHaveBeenCalledWith('EventAttendance', expect.objectContaining({
+      eventId: 'evt-1',
+      playerId: 'kid-1',
+      status: 'Present',
+      method: 'qr'
+    }));
+  });
+
+  it('should reject expired codes, other teams, repeat scans and staff-recorded attendance', async () => {
+    const token = createCheckInToken('evt-1', null, new Date('2025-03-10T20:00:00.000Z'));
+    const expired = createCheckInToken('evt-1', null, new Date('2025-03-10T18:00:00.000Z'));
+
+    expect((await checkInWithCode(parent, { token: expired, playerId: 'kid-1' }, setup())).code).toBe('CHECKIN_CLOSED');
+    expect((await checkInWithCode(parent, { token, playerId: 'kid-2' }, setup())).code).toBe('NOT_ON_ROSTER');
+    // Codes issued before an event was moved earlier stop at its new end
+    const late = createCheckInToken('evt-1', null, new Date('2025-03-10T22:00:00.000Z'));
+    expect((await checkInWithCode(parent, { token: late, playerId: 'kid-1' }, { ...setup(), now: new Date('2025-03-10T21:00:00.000Z') })).code)
+      .toBe('CHECKIN_CLOSED');
+    const otherWeek = createCheckInToken('evt-2', '2025-03-10T19:00:00.000Z', new Date('2025-03-10T20:00:00.000Z'));
+    expect((await checkInWithCode(parent, { token: otherWeek, playerId: 'kid-1' }, setup())).code).toBe('INVALID_OCCURRENCE');
+    expect((await checkInWithCode(parent, { token }, setup())).code).toBe('NOT_OWNER');
+
+    const deps = setup([{ id: 'att-1', eventId: 'evt-1', playerId: 'kid-1', status: 'Present' }]);
+    const repeat = await checkInWithCode(parent, { token, playerId: 'kid-1' }, deps);
+    expect(repeat.success).toBe(true);
+    expect(deps.createRow).not.toHaveBeenCalled();
+
+    const excused = setup([{ id: 'att-1', eventId: 'evt-1', playerId: 'kid-1', status: 'Excused', method: 'roster' }]);
+    const refused = await checkInWithCode(parent, { token, playerId: 'kid-1' }, excused);
+    expect(refused).toEqual(expect.objectContaining({ success: false, status: 409, code: 'ATTENDANCE_RECORDED' }));
+    expect(excused.createRow).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,329 @@
+import { describe, it, expect, vi } from 'vitest';
+import { authorizeEntityRequest, authorizeAnonymousRequest, parseEntityPath } from '../_lib/entityPolicy.js';
+
+const player = { uid: 'uid-1', email: 'p@example.com', appUserId: 'user-1', role: 'player', playerId: 'player-1' };
+const parent = { uid: 'uid-3', email: 'mom@example.com', emailVerified: true, appUserId: 'user-3', role: 'parent', playerId: null };
+const coach = { uid: 'uid-2', email: 'c@example.com', appUserId: 'user-2', role: 'coach', playerId: null };
+
+describe('Entity policy', () => {
+  it('should parse entity paths', () => {
+    expect(parseEntityPath('/Player/abc')).toEqual({ entity: 'Player', id: 'abc' });
+    expect(parseEntityPath('/Player')).toEqual({ entity: 'Player', id: null });
+    expect(parseEntityPath('/apps/x/entities/Player')).toBeNull();
+  });
+
+  it('should stamp the player id on records players create', async () => {
+    const upcoming = { id: 'e1', requiresRSVP: true, startDate: new Date(Date.now() + 86400000).toISOString() };
+    const result = await authorizeEntityRequest(player, {
+      method: 'POST',
+      path: '/EventRSVP',
+      body: { eventId: 'e1', status: 'Attending' }
+    }, { loadRecord: vi.fn().mockResolvedValue(upcoming) });
+
+    expect(result).toEqual({
+      allowed: true,
+      params: undefined,
+      body: { eventId: 'e1', status: 'Attending', playerId: 'player-1' }
+    });
+  });
+
+  it('should reject RSVPs after the event\'s deadline', async () => {
+    const soon = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const loadRecord = vi.fn(async (entity) => entity === 'EventRSVP'
+      ? { id: 'r1', eventId: 'e1', playerId: 'player-1', status: 'No Response' }
+      : { id: 'e1', requiresRSVP: true, rsvpDeadlineHours: 24, startDate: soon });
+
+    const result = await authorizeEntityRequest(player, {
+      method: 'PUT',
+      path: '/EventRSVP/r1',
+      body: { status: 'Attending' }
+    }, { loadRecord });
+
+    expect(loadRecord).toHaveBeenCalledWith('TeamEvent', 'e1');
+    expect(result).toEqual(expect.objectContaining({ allowed: false, status: 403, code: 'RSVP_CLOSED' }));
+  });
+
+  it('should only take series RSVPs for scheduled occurrences', async () => {
+    const first = new Date(Date.now() + 7 * 86400000);
+    first.setUTCHours(18, 0, 0, 0);
+    const next = new Date(first.getTime() + 7 * 86400000);
+    const series = {
+      id: 'e1',
+      requiresRSVP: true,
+      isRecurring: true,
+      recurrenceRule: 'FREQ=WEEKLY',
+      startDate: first.toISOString(),
+      recurrenceExceptions: [{ originalStart: next.toISOString(), status: 'Cancelled' }]
+    };
+    const rsvp = (occurrenceStart) => authorizeEntityRequest(player, {
+      method: 'POST',
+      path: '/EventRSVP',
+      body: { eventId: 'e1', occurrenceStart, status: 'Attending' }
+    }, { loadRecord: vi.fn().mockResolvedValue(series) });
+
+    expect(await rsvp(new Date(first.getTime() + 3600000).toISOString()))
+      .toEqual(expect.objectContaining({ allowed: false, status: 400, code: 'INVALID_OCCURRENCE' }));
+    expect(await rsvp(undefined)).toEqual(expect.objectContaining({ allowed: false, code: 'INVALID_OCCURRENCE' }));
+    expect(await rsvp(next.toISOString())).toEqual(expect.objectContaining({ allowed: false, code: 'OCCURRENCE_CANCELLED' }));
+
+    const accepted = await rsvp(first.toISOString().replace('.000Z', 'Z'));
+    expect(accepted.allowed).toBe(true);
+    expect(accepted.body.occurrenceStart).toBe(first.toISOString());
+  });
+
+  it('should leave recording payments to staff', async () => {
+    const deps = { loadRecord: vi.fn(), findRows: vi.fn().mockResolvedValue([{ playerId: 'kid-1' }]) };
+    const created = await authorizeEntityRequest(parent, {
+      method: 'POST',
+      path: '/Payment',
+      body: { playerId: 'kid-1', amount: 500, status: 'Completed' }
+    }, deps);
+    expect(created).toEqual(expect.objectContaining({ allowed: false, status: 403, code: 'ROLE_NOT_PERMITTED' }));
+
+    const updated = await authorizeEntityRequest(player, { method: 'PUT', path: '/Payment/pay-1', body: { status: 'Completed' } }, deps);
+    expect(updated.allowed).toBe(false);
+
+    const read = await authorizeEntityRequest(player, { method: 'GET', path: '/Payment' }, { loadRecord: vi.fn(), findRows: vi.fn() });
+    expect(read.allowed).toBe(true);
+  });
+
+  it('should reject players creating records for someone else', async () => {
+    const result = await authorizeEntityRequest(player, {
+      method: 'POST',
+      path: '/PlayerGoal',
+      body: { playerId: 'player-2' }
+    }, { loadRecord: vi.fn() });
+
+    expect(result.allowed).toBe(false);
+    expect(result.status).toBe(403);
+  });
+
+  it('should only let players submit profile changes for review', async () => {
+    const created = await authorizeEntityRequest(player, {
+      method: 'POST',
+      path: '/FieldChangeLog',
+      body: { fieldName: 'gpa', oldValue: '', newValue: '4.0', status: 'Approved', reviewedBy: 'p@example.com', changedBy: 'victim@example.com' }
+    }, { loadRecord: vi.fn().mockResolvedValue({ id: 'player-1', gpa: 3.6 }) });
+    expect(created.body).toEqual({
+      fieldName: 'gpa',
+      oldValue: 3.6,
+      newValue: '4.0',
+      changedBy: 'p@example.com',
+      status: 'Pending Review',
+      playerId: 'player-1'
+    });
+
+    const approved = await authorizeEntityRequest(player, {
+      method: 'PUT',
+      path: '/FieldChangeLog/c1',
+      body: { status: 'Approved' }
+    }, { loadRecord: vi.fn().mockResolvedValue({ id: 'c1', playerId: 'player-1' }) });
+    expect(approved).toEqual(expect.objectContaining({ allowed: false, status: 403, code: 'REVIEW_REQUIRED' }));
+  });
+
+  it('should keep uploaded documents pending until staff verify them', async () => {
+    const created = await authorizeEntityRequest(parent, {
+      method: 'POST',
+      path: '/PlayerDocument',
+      body: { playerId: 'player-1', category: 'birthCertificate', status: 'verified', reviewedBy: 'mom@example.com' }
+    }, { loadRecord: vi.fn(), findRows: vi.fn().mockResolvedValue([{ playerId: 'player-1' }]) });
+    expect(created.body).toEqual({ playerId: 'player-1', category: 'birthCertificate', status: 'pending' });
+
+    const verified = await authorizeEntityRequest(player, {
+      method: 'PUT',
+      path: '/PlayerDocument/d1',
+      body: { status: 'verified' }
+    }, { loadRecord: vi.fn().mockResolvedValue({ id: 'd1', playerId: 'player-1' }) });
+    expect(verified).toEqual(expect.objectContaining({ allowed: false, status: 403, code: 'REVIEW_REQUIRED' }));
+  });
+
+  it('should let players update their own Player record', async () => {
+    const loadRecord = vi.fn().mockResolvedValue({ id: 'player-1' });
+    const result = await authorizeEntityRequest(player, {
+      method: 'PUT',
+      path: '/Player/player-1',
+      body: { phoneNumber: '614-555-0100' }
+    }, { loadRecord });
+
+    expect(loadRecord).toHaveBeenCalledWith('Player', 'player-1');
+    expect(result.allowed).toBe(true);
+  });
+
+  it('should only show players additional fees charged to them', async () => {
+    const list = await authorizeEntityRequest(player, { method: 'GET', path: '/AdditionalFee' }, { loadRecord: vi.fn() });
+    expect(list.params.where).toEqual([{ field: 'playerId', op: 'eq', value: 'player-1' }]);
+
+    const loadRecord = vi.fn().mockResolvedValue({ id: 'fee-9', playerId: 'player-2', amount: 40 });
+    const other = await authorizeEntityRequest(player, { method: 'GET', path: '/AdditionalFee/fee-9' }, { loadRecord });
+    expect(other.allowed).toBe(false);
+  });
+
+  it('should not limit coaches to their own rows', async () => {
+    const result = await authorizeEntityRequest(coach, { method: 'GET', path: '/PlayerGoal' }, { loadRecord: vi.fn() });
+    expect(result).toEqual({ allowed: true, params: undefined, body: undefined });
+  });
+
+  it('should let coaches edit staff-managed Player fields', async () => {
+    const loadRecord = vi.fn().mockResolvedValue({ id: 'player-1', teamIds: ['team-a'], isActive: true, o7cTeam: '17U' });
+    const update = (body) => authorizeEntityRequest(coach, { method: 'PUT', path: '/Player/player-1', body }, { loadRecord });
+
+    expect((await update({ teamIds: ['team-b'], isActive: false, notes: 'Moved up', o7cTeam: '18U' })).allowed).toBe(true);
+    expect(await update({ gpa: 9 })).toEqual(expect.objectContaining({ status: 400, code: 'INVALID_VALUE' }));
+    expect(await authorizeEntityRequest(player, { method: 'PUT', path: '/Player/player-1', body: { teamIds: ['team-b'] } }, { loadRecord }))
+      .toEqual(expect.objectContaining({ code: 'FIELD_READ_ONLY' }));
+  });
+
+  it('should bump the sequence on every event update', async () => {
+    const loadRecord = vi.fn().mockResolvedValue({ id: 'e1', title: 'Practice', sequence: 2 });
+    const result = await authorizeEntityRequest(coach, {
+      method: 'PUT',
+      path: '/TeamEvent/e1',
+      body: { location: 'Field 3', sequence: 0 }
+    }, { loadRecord });
+
+    expect(result.body).toEqual({ location: 'Field 3', sequence: 3 });
+  });
+
+  it('should deny entities that are not in the permission table', async () => {
+    const result = await authorizeEntityRequest(coach, { method: 'GET', path: '/SecretThing' }, { loadRecord: vi.fn() });
+    expect(result.status).toBe(403);
+  });
+
+  it('should let a new user claim the invitation sent to their email', async () => {
+    const newUser = { uid: 'uid-9', email: 'New@Example.com', emailVerified: true, appUserId: null, role: null };
+    const loadRecord = vi.fn().mockResolvedValue({ id: 'user-9', email: 'new@example.com', invitationStatus: 'pending' });
+
+    const claim = await authorizeEntityRequest(newUser, {
+      method: 'PUT',
+      path: '/AppUser/user-9',
+      body: { firebaseUid: 'uid-9', status: 'active', invitationStatus: 'accepted' }
+    }, { loadRecord });
+    expect(claim.allowed).toBe(true);
+
+    const escalate = await authorizeEntityRequest(newUser, {
+      method: 'PUT',
+      path: '/AppUser/user-9',
+      body: { firebaseUid: 'uid-9', role: 'admin' }
+    }, { loadRecord });
+    expect(escalate.allowed).toBe(false);
+  });
+
+  it('should only allow pending invitation lookups anonymously', () => {
+    const lookup = authorizeAnonymousRequest({
+      method: 'GET',
+      path: '/AppUser',
+      params: {
+        where: [
+          { field: 'invitationCode', op: 'eq', value: 'abc123' },
+          { field: 'invitationStatus', op: 'eq', value: 'pending' }
+        ],
+        limit: 1000
+      }
+    });
+    expect(lookup).toEqual({ allowed: true, params: { where: expect.any(Array), limit: 1 } });
+
+    const browse = authorizeAnonymousRequest({ method: 'GET', path: '/AppUser', params: {} });
+    expect(browse.status).toBe(401);
+  });
+
+  describe('parents', () => {
+    const findRows = vi.fn().mockResolvedValue([
+      { parentEmail: 'mom@example.com', playerId: 'kid-1' },
+      { parentEmail: 'mom@example.com', playerId: 'kid-2' }
+    ]);
+
+    it('should resolve linked players from active assignments', async () => {
+      await authorizeEntityRequest(parent, { method: 'GET', path: '/Payment' }, { loadRecord: vi.fn(), findRows });
+      expect(findRows).toHaveBeenCalledWith('ParentPlayerAssignment', { parentEmail: 'mom@example.com', isActive: true });
+    });
+
+    it('should scope list queries to all linked players', async () => {
+      const result = await authorizeEntityRequest(parent, {
+        method: 'GET',
+        path: '/TournamentParticipation',
+        params: { where: [{ field: 'playerId', op: 'eq', value: 'other-kid' }] }
+      }, { loadRecord: vi.fn(), findRows });
+
+      expect(result.params.where).toEqual([
+        { field: 'playerId', op: 'eq', value: 'other-kid' },
+        { field: 'playerId', op: 'in', value: ['kid-1', 'kid-2'] }
+      ]);
+    });
+
+    it('should return a structured 403 for another family\'s record', async () => {
+      const loadRecord = vi.fn().mockResolvedValue({ id: 'img-1', playerId: 'other-kid' });
+      const result = await authorizeEntityRequest(parent, {
+        method: 'DELETE',
+        path: '/PlayerImage/img-1'
+      }, { loadRecord, findRows });
+
+      expect(result).toEqual(expect.objectContaining({
+        allowed: false,
+        status: 403,
+        code: 'NOT_OWNER',
+        entity: 'PlayerImage',
+        operation: 'delete'
+      }));
+    });
+
+    it('should require parents to name one of their players when creating', async () => {
+      const request = { method: 'POST', path: '/PlayerGoal', body: { title: 'Raise GPA' } };
+      const missing = await authorizeEntityRequest(parent, request, { loadRecord: vi.fn(), findRows });
+      expect(missing.code).toBe('NOT_OWNER');
+
+      const created = await authorizeEntityRequest(parent, {
+        ...request,
+        body: { title: 'Raise GPA', playerId: 'kid-2' }
+      }, { loadRecord: vi.fn(), findRows });
+      expect(created.allowed).toBe(true);
+    });
+
+    it('should apply the field policy to parents editing a Player', async () => {
+      const loadRecord = vi.fn().mockResolvedValue({ id: 'kid-1', homeAddress: '1 Old Rd', offers: 2 });
+      const update = (body) => authorizeEntityRequest(parent, { method: 'PUT', path: '/Player/kid-1', body }, { loadRecord, findRows });
+
+      expect((await update({ homeAddress: '9 New St', offers: 2 })).allowed).toBe(true);
+      expect(await update({ offers: 5 })).toEqual(expect.objectContaining({ status: 403, code: 'REVIEW_REQUIRED', fields: ['offers'] }));
+      expect(await update({ homeZip: 'abc' })).toEqual(expect.objectContaining({ status: 400, code: 'INVALID_VALUE' }));
+      expect(await update({ guardianEmail: 'x@example.com' })).toEqual(expect.objectContaining({ code: 'FIELD_READ_ONLY' }));
+    });
+
+    it('should deny parents without linked players', async () => {
+      const result = await authorizeEntityRequest(parent, { method: 'GET', path: '/EventRSVP' }, {
+        loadRecord: vi.fn(),
+        findRows: vi.fn().mockResolvedValue([])
+      });
+      expect(result.code).toBe('NO_LINKED_PLAYERS');
+    });
+
+    it('should only show parents their own assignments', async () => {
+      const result = await authorizeEntityRequest(parent, { method: 'GET', path: '/ParentPlayerAssignment' }, {
+        loadRecord: vi.fn(),
+        findRows
+      });
+      expect(result.params.where).toEqual([{ field: 'parentEmail', op: 'eq', value: 'mom@example.com' }]);
+
+      const write = await authorizeEntityRequest(parent, {
+        method: 'POST',
+        path: '/ParentPlayerAssignment',
+        body: { parentEmail: 'mom@example.com', playerId: 'someone' }
+      }, { loadRecord: vi.fn(), findRows });
+      expect(write.status).toBe(403);
+    });
+
+    it('should not match parents on an unverified email', async () => {
+      const unverified = { ...parent, emailVerified: false };
+      const lookup = vi.fn().mockResolvedValue([{ parentEmail: 'mom@example.com', playerId: 'kid-1' }]);
+
+      const owned = await authorizeEntityRequest(unverified, { method: 'GET', path: '/Payment' }, { loadRecord: vi.fn(), findRows: lookup });
+      expect(lookup).not.toHaveBeenCalled();
+      expect(owned.code).toBe('NO_LINKED_PLAYERS');
+
+      const assignments = await authorizeEntityRequest(unverified, { method: 'GET', path: '/ParentPlayerAssignment' }, {
+        loadRecord: vi.fn(),
+        findRows: lookup
+      });
+      expect(assignments.status).toBe(403);
+    });
+  });
+});
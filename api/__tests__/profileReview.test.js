@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from 'vitest';
+import { reviewFieldChanges } from '../_lib/profileReview.js';
+
+const now = new Date('2025-03-10T18:00:00.000Z');
+const coach = { uid: 'uid-2', email: 'c@example.com', appUserId: 'user-2', role: 'coach', playerId: null };
+const parent = { uid: 'uid-3', email: 'mom@example.com', emailVerified: true, appUserId: 'user-3', role: 'parent', playerId: null };
+
+const changes = {
+  c1: { id: 'c1', playerId: 'kid-1', playerName: 'Sam Lee', fieldName: 'gpa', oldValue: 3.2, newValue: 3.4, changeDate: '2025-03-01T00:00:00.000Z', changedBy: 'Mom@example.com', status: 'Pending Review' },
+  c2: { id: 'c2', playerId: 'kid-1', playerName: 'Sam Lee', fieldName: 'gpa', oldValue: 3.4, newValue: 3.5, changeDate: '2025-03-02T00:00:00.000Z', changedBy: 'mom@example.com', status: 'Pending Review' },
+  c3: { id: 'c3', playerId: 'kid-1', playerName: 'Sam Lee', fieldName: 'position', oldValue: '', newValue: 'Setter', changeDate: '2025-03-03T00:00:00.000Z', changedBy: 'mom@example.com', status: 'Approved' },
+  c4: { id: 'c4', playerId: 'kid-1', playerName: 'Sam Lee', fieldName: 'gpa', oldValue: 3.0, newValue: 3.9, changeDate: '2025-03-01T00:00:00.000Z', changedBy: 'mom@example.com', status: 'Pending Review' },
+  c5: { id: 'c5', playerId: 'kid-1', playerName: 'Sam Lee', fieldName: 'satScore', oldValue: '', newValue: 2400, changeDate: '2025-03-01T00:00:00.000Z', changedBy: 'mom@example.com', status: 'Pending Review' }
+};
+
+const players = {
+  'kid-1': { id: 'kid-1', firstName: 'Sam', lastName: 'Lee', gpa: 3.2 }
+};
+
+function setup() {
+  return {
+    loadRecord: vi.fn(async (entity, id) => (entity === 'Player' ? players[id] : changes[id]) || null),
+    findRows: vi.fn(async () => [{ email: 'mom@example.com', firebaseUid: 'uid-3' }]),
+    updateRow: vi.fn(async (entity, id, body) => ({ id, ...body })),
+    sendEmail: vi.fn(async () => ({ success: true })),
+    createNotification: vi.fn(async () => {}),
+    appUrl: 'https://portal.example.com',
+    now
+  };
+}
+
+describe('Profile review', () => {
+  it('should only let staff review changes', async () => {
+    const deps = setup();
+    const result = await reviewFieldChanges(parent, { ids: ['c1'], decision: 'approve' }, deps);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, status: 403, code: 'ROLE_NOT_PERMITTED' }));
+    expect(deps.updateRow).not.toHaveBeenCalled();
+  });
+
+  it('should apply approved values, record the reviewer and notify the submitter once', async () => {
+    const deps = setup();
+    const result = await reviewFieldChanges(coach, { ids: ['c2', 'c1', 'c3', 'missing'], decision: 'approve' }, deps);
+
+    expect(result.success).toBe(true);
+    expect(result.skipped).toEqual([{ id: 'c3', code: 'ALREADY_REVIEWED' }, { id: 'missing', code: 'NOT_FOUND' }]);
+    expect(deps.updateRow).toHaveBeenCalledWith('Player', 'kid-1', { gpa: 3.5 });
+    expect(deps.updateRow).toHaveBeenCalledWith('FieldChangeLog', 'c1', {
+      status: 'Approved',
+      reviewedBy: 'c@example.com',
+      reviewedAt: now.toISOString(),
+      oldValue: 3.2
+    });
+    expect(deps.updateRow).toHaveBeenCalledWith('FieldChangeLog', 'c2', expect.objectContaining({ oldValue: 3.4 }));
+    expect(deps.sendEmail).toHaveBeenCalledTimes(1);
+    expect(deps.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'mom@example.com' }));
+    expect(deps.createNotification).toHaveBeenCalledWith('uid-3', 'kid-1', 'c2', 'profile_review', expect.objectContaining({
+      link: 'https://portal.example.com/profile'
+    }));
+  });
+
+  it('should hold back stale and invalid changes', async () => {
+    const deps = setup();
+    const result = await reviewFieldChanges(coach, { ids: ['c4', 'c5'], decision: 'approve' }, deps);
+
+    expect(result.skipped).toEqual([
+      expect.objectContaining({ id: 'c4', code: 'STALE_CHANGE' }),
+      expect.objectContaining({ id: 'c5', code: 'INVALID_VALUE' })
+    ]);
+    expect(result.reviewed).toEqual([]);
+    expect(deps.updateRow).not.toHaveBeenCalled();
+  });
+
+  it('should leave the Player untouched when rejecting', async () => {
+    const deps = setup();
+    const result = await reviewFieldChanges(coach, { ids: ['c1'], decision: 'reject', note: 'Send a transcript' }, deps);
+
+    expect(result.reviewed).toEqual([expect.objectContaining({ id: 'c1', status: 'Rejected', reviewNote: 'Send a transcript' })]);
+    expect(deps.updateRow).toHaveBeenCalledTimes(1);
+    expect(deps.updateRow).not.toHaveBeenCalledWith('Player', expect.anything(), expect.anything());
+    expect(deps.sendEmail.mock.calls[0][0].body).toContain('Send a transcript');
+  });
+});
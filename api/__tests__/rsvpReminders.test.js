@@ -0,0 +1,141 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runRsvpReminders, getDueStage } from '../_lib/rsvpReminders.js';
+
+const now = new Date('2025-03-10T12:00:00.000Z');
+const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+
+const players = [
+  { id: 'kid-1', firstName: 'Sam', lastName: 'Lee', teamIds: ['team-a'] },
+  { id: 'kid-2', firstName: 'Ava', lastName: 'Cruz', teamIds: ['team-a'], emailAddress: 'ava@example.com' }
+];
+
+function setup({ events, rsvps = [] }) {
+  const findRows = vi.fn(async (entity) => {
+    switch (entity) {
+      case 'TeamEvent':
+        return events;
+      case 'Player':
+        return players;
+      case 'EventRSVP':
+        return rsvps;
+      case 'ParentPlayerAssignment':
+        return [{ playerId: 'kid-1', parentEmail: 'Mom@example.com', isActive: true }];
+      case 'AppUser':
+        return [{ email: 'mom@example.com', firebaseUid: 'uid-mom' }];
+      default:
+        return [];
+    }
+  });
+
+  const deps = {
+    findRows,
+    createRow: vi.fn().mockResolvedValue({}),
+    updateRow: vi.fn().mockResolvedValue({}),
+    sendEmail: vi.fn().mockResolvedValue({ success: true }),
+    createNotification: vi.fn().mockResolvedValue(),
+    appUrl: 'https://portal.example.com',
+    now
+  };
+  return deps;
+}
+
+describe('RSVP reminders', () => {
+  it('should pick the latest reminder stage that has passed', () => {
+    expect(getDueStage({ startDate: hoursFromNow(100) }, now)).toBeNull();
+    expect(getDueStage({ startDate: hoursFromNow(48) }, now)).toBe(72);
+    expect(getDueStage({ startDate: hoursFromNow(30), rsvpDeadlineHours: 12 }, now)).toBe(24);
+    expect(getDueStage({ startDate: hoursFromNow(-1) }, now)).toBeNull();
+  });
+
+  it('should remind players without a response and record the stage', async () => {
+    const deps = setup({
+      events: [{ id: 'evt-1', title: 'Game', requiresRSVP: true, startDate: hoursFromNow(20), teamIds: ['team-a'] }],
+      rsvps: [{ id: 'rsvp-2', eventId: 'evt-1', playerId: 'kid-2', status: 'Attending' }]
+    });
+
+    const summary = await runRsvpReminders(deps);
+
+    expect(deps.sendEmail).toHaveBeenCalledTimes(1);
+    expect(deps.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'mom@example.com' }));
+    expect(deps.createNotification).toHaveBeenCalledWith('uid-mom', 'evt-1', 'evt-1', 'rsvp_reminder', expect.objectContaining({
+      link: 'https://portal.example.com/calendar?view=agenda'
+    }));
+    expect(deps.createRow).toHaveBeenCalledWith('EventRSVP', expect.objectContaining({
+      eventId: 'evt-1',
+      playerId: 'kid-1',
+      status: 'No Response',
+      remindersSent: ['72h', '24h']
+    }));
+    expect(summary).toEqual(expect.objectContaining({ reminders: 1, emails: 1, notifications: 1, errors: [] }));
+  });
+
+  it('should not repeat a reminder stage that was already sent', async () => {
+    const deps = setup({
+      events: [{ id: 'evt-1', title: 'Game', requiresRSVP: true, startDate: hoursFromNow(20), teamIds: ['team-a'] }],
+      rsvps: [
+        { id: 'rsvp-1', eventId: 'evt-1', playerId: 'kid-1', status: 'No Response', remindersSent: ['72h', '24h'] },
+        { id: 'rsvp-2', eventId: 'evt-1', playerId: 'kid-2', status: 'No Response', remindersSent: ['72h'] }
+      ]
+    });
+
+    await runRsvpReminders(deps);
+
+    expect(deps.sendEmail).toHaveBeenCalledTimes(1);
+    expect(deps.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'ava@example.com' }));
+    expect(deps.updateRow).toHaveBeenCalledWith('EventRSVP', 'rsvp-2', { remindersSent: ['72h', '24h'] });
+  });
+
+  it('should send the organizer a headcount once RSVPs close', async () => {
+    const deps = setup({
+      events: [{
+        id: 'evt-1',
+        title: 'Tournament',
+        requiresRSVP: true,
+        rsvpDeadlineHours: 48,
+        startDate: hoursFromNow(24),
+        teamIds: ['team-a'],
+        created_by: 'coach@example.com'
+      }],
+      rsvps: [{ id: 'rsvp-2', eventId: 'evt-1', playerId: 'kid-2', status: 'Attending' }]
+    });
+
+    const summary = await runRsvpReminders(deps);
+
+    expect(deps.sendEmail).toHaveBeenCalledTimes(1);
+    expect(deps.sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'coach@example.com',
+      text: 'Attending: 1, Maybe: 0, Not Attending: 0, No Response: 1'
+    }));
+    expect(deps.updateRow).toHaveBeenCalledWith('TeamEvent', 'evt-1', { headcountsSent: ['evt-1'] });
+    expect(summary.headcounts).toBe(1);
+  });
+
+  it('should track reminders per occurrence of a recurring event', async () => {
+    const deps = setup({
+      events: [{
+        id: 'series-1',
+        title: 'Practice',
+        requiresRSVP: true,
+        isRecurring: true,
+        recurrenceRule: 'FREQ=WEEKLY',
+        startDate: hoursFromNow(20 - 7 * 24),
+        teamIds: ['team-a']
+      }]
+    });
+
+    await runRsvpReminders(deps);
+
+    // Only the series' rows for occurrences in the reminder window are read
+    expect(deps.findRows).toHaveBeenCalledWith('EventRSVP', {
+      playerId: { $in: ['kid-1', 'kid-2'] },
+      $or: [{
+        eventId: { $in: ['series-1'] },
+        occurrenceStart: { $in: [hoursFromNow(20), hoursFromNow(20 + 7 * 24)] }
+      }]
+    }, 1000);
+    expect(deps.createRow).toHaveBeenCalledWith('EventRSVP', expect.objectContaining({
+      eventId: 'series-1',
+      occurrenceStart: hoursFromNow(20)
+    }));
+  });
+});
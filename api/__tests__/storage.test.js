@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createLocalStorage, runStorageRequest } from '../_lib/storage.js';
+
+const now = new Date('2025-03-10T18:00:00.000Z');
+const parent = { uid: 'uid-3', email: 'mom@example.com', emailVerified: true, appUserId: 'user-3', role: 'parent', playerId: null };
+const player = { uid: 'uid-1', email: 'p@example.com', appUserId: 'user-1', role: 'player', playerId: 'kid-1' };
+
+const upload = { action: 'upload', category: 'reportCard', ownerId: 'kid-1', fileName: 'Fall report.pdf', contentType: 'application/pdf', size: 2048 };
+
+describe('File storage', () => {
+  let root;
+  let deps;
+
+  beforeEach(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'storage-test-'));
+    deps = {
+      backend: createLocalStorage({ root, baseUrl: 'http://localhost:3001', secret: 'test-secret' }),
+      findRows: vi.fn().mockResolvedValue([{ playerId: 'kid-1' }]),
+      loadChatRoom: vi.fn().mockResolvedValue({ participants: [{ userId: 'uid-1' }] }),
+      now
+    };
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('should issue signed URLs that upload and read back a file', async () => {
+    const result = await runStorageRequest(parent, upload, deps);
+    expect(result).toEqual(expect.objectContaining({ success: true, path: 'reportCard/kid-1/1741629600000_Fall_report.pdf' }));
+
+    const grant = deps.backend.verifyToken(new URL(result.upload.url).searchParams.get('token'), now);
+    expect(grant).toEqual({ path: result.path, access: 'write', contentType: 'application/pdf', maxSize: 10 * 1024 * 1024 });
+    await deps.backend.write(grant.path, Buffer.from('%PDF'), grant.contentType);
+
+    const download = await runStorageRequest(parent, { action: 'download', path: result.path }, deps);
+    const readGrant = deps.backend.verifyToken(new URL(download.url).searchParams.get('token'), now);
+    expect(readGrant.access).toBe('read');
+    expect(await deps.backend.read(readGrant.path)).toEqual({ data: Buffer.from('%PDF'), contentType: 'application/pdf' });
+
+    // Signed URLs stop working once they expire
+    expect(deps.backend.verifyToken(new URL(download.url).searchParams.get('token'), new Date('2025-03-11T00:00:00.000Z'))).toBeNull();
+
+    expect(await runStorageRequest(parent, { action: 'delete', path: result.path }, deps)).toEqual({ success: true, deleted: true });
+    expect(await deps.backend.read(result.path)).toBeNull();
+  });
+
+  it('should reject files that break the category limits', async () => {
+    expect(await runStorageRequest(parent, { ...upload, contentType: 'application/zip' }, deps))
+      .toEqual(expect.objectContaining({ success: false, status: 400, code: 'INVALID_FILE' }));
+    expect(await runStorageRequest(parent, { ...upload, category: 'photo', contentType: 'image/png', size: 6 * 1024 * 1024 }, deps))
+      .toEqual(expect.objectContaining({ success: false, code: 'INVALID_FILE', message: 'File size must be less than 5MB' }));
+  });
+
+  it('should only let families reach their own players\' files and rooms they are in', async () => {
+    expect(await runStorageRequest(parent, { ...upload, ownerId: 'other-kid' }, deps))
+      .toEqual(expect.objectContaining({ success: false, status: 403, code: 'NOT_OWNER' }));
+    expect(await runStorageRequest(player, { action: 'download', path: 'schoolId/other-kid/1_id.png' }, deps))
+      .toEqual(expect.objectContaining({ success: false, code: 'NOT_OWNER' }));
+    expect(await runStorageRequest(player, { action: 'download', path: '../secrets/x' }, deps))
+      .toEqual(expect.objectContaining({ success: false, code: 'INVALID_PATH' }));
+
+    const attachment = { ...upload, category: 'chat', ownerId: 'room-1' };
+    expect((await runStorageRequest(player, attachment, deps)).success).toBe(true);
+    expect((await runStorageRequest(parent, attachment, deps)).code).toBe('NOT_OWNER');
+  });
+});
@@ -0,0 +1,87 @@
+// Authentication for serverless functions: verifies Firebase ID tokens and
+// resolves the caller's AppUser record and role.
+
+import { initializeApp, getApps, cert, applicationDefault } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { findBase44Rows } from './base44.js';
+
+export class AuthError extends Error {
+  constructor(message, status = 401, code = 'UNAUTHENTICATED') {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Initialize the Firebase Admin app once per function instance
+export function getAdminApp() {
+  if (getApps().length === 0) {
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    return initializeApp({
+      credential: serviceAccount ? cert(JSON.parse(serviceAccount)) : applicationDefault(),
+      projectId: process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID,
+    });
+  }
+  return getApps()[0];
+}
+
+function getAdminAuth() {
+  return getAuth(getAdminApp());
+}
+
+// Pull the bearer token out of the Authorization header
+export function getBearerToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization;
+  if (!header || typeof header !== 'string') return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token;
+}
+
+export async function verifyIdToken(token) {
+  try {
+    return await getAdminAuth().verifyIdToken(token, true);
+  } catch (error) {
+    throw new AuthError('Invalid or expired ID token');
+  }
+}
+
+// Same precedence as getEffectiveUserRole on the client, collapsed to the
+// four data-access roles the permission table knows about
+export function resolveRole(appUser) {
+  if (!appUser) return null;
+  if (appUser.role === 'admin' || appUser.role === 'executive') return 'admin';
+  if (appUser.playerId) return 'player';
+  if (appUser.coachId) return 'coach';
+  return ['coach', 'player', 'parent'].includes(appUser.role) ? appUser.role : null;
+}
+
+/**
+ * Verify the request's ID token and load the caller.
+ * @returns {Promise<{uid: string, email: string, appUserId: string|null, role: string|null, playerId: string|null, appUser: object|null}>}
+ */
+export async function authenticateRequest(req) {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new AuthError('Authentication required');
+  }
+
+  const decoded = await verifyIdToken(token);
+  const [appUser] = await findBase44Rows('AppUser', { firebaseUid: decoded.uid }, 1);
+
+  if (appUser && ['pending', 'rejected', 'disabled'].includes(appUser.status)) {
+    throw new AuthError('Account is not active', 403, 'ACCOUNT_INACTIVE');
+  }
+
+  return {
+    uid: decoded.uid,
+    email: decoded.email || appUser?.email || null,
+    emailVerified: !!decoded.email_verified,
+    appUserId: appUser?.id || null,
+    role: resolveRole(appUser),
+    playerId: appUser?.playerId || null,
+    appUser: appUser || null,
+  };
+}
@@ -0,0 +1,77 @@
+// Server-side helpers for talking to the Base44 API from serverless functions
+
+export const BASE44_API_URL = 'https://app.base44.com/api';
+
+// Fetch JSON from Base44; returns null for 404s so lookups can treat them as "not found"
+export async function fetchBase44(path, params = null) {
+  const search = params ? `?${new URLSearchParams(params).toString()}` : '';
+  const response = await fetch(`${BASE44_API_URL}${path}${search}`, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Vercel-Proxy/1.0',
+    },
+  });
+
+  if (response.status === 404) {
+    return null;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Base44 lookup failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Find rows matching a simple equality filter
+export async function findBase44Rows(entity, filter, limit = 100) {
+  const result = await fetchBase44(`/${entity}`, {
+    q: JSON.stringify(filter),
+    limit: String(limit),
+  });
+  if (!result) return [];
+  return Array.isArray(result) ? result : result.data || [];
+}
+
+// Partially update a record on behalf of the server (not the caller)
+export async function updateBase44Row(entity, id, body) {
+  const response = await fetch(`${BASE44_API_URL}/${entity}/${id}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Vercel-Proxy/1.0',
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Base44 update failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Create a record on behalf of the server (not the caller)
+export async function createBase44Row(entity, body) {
+  const response = await fetch(`${BASE44_API_URL}/${entity}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Vercel-Proxy/1.0',
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Base44 create failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
@@ -0,0 +1,27 @@
+// Direct Brevo delivery for serverless functions, which cannot reach the
+// browser-facing /api/brevo proxy. Pass as the `transport` option of sendEmail.
+
+const BREVO_EMAIL_URL = 'https://api.brevo.com/v3/smtp/email';
+
+export async function sendBrevoPayload(payload) {
+  const apiKey = process.env.BREVO_API_KEY;
+  if (!apiKey) {
+    throw new Error('BREVO_API_KEY is not configured');
+  }
+
+  const response = await fetch(BREVO_EMAIL_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'api-key': apiKey,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(`Brevo API error: ${errorData.message || response.statusText}`);
+  }
+
+  return response.json();
+}
@@ -0,0 +1,105 @@
+// Calendar subscription feeds: signed feed tokens and assembly of a user's
+// team events into an iCalendar document.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { buildCalendar, getEventAttendees, getOccurrenceAttendees } from '../../shared/utils/ical.js';
+import { getPlayersTeamIds } from '../../shared/utils/teamEvents.js';
+import { resolveRole } from './auth.js';
+import { resolveOwnedPlayerIds } from './ownership.js';
+
+// How far back the feed reaches, so recent history stays visible in calendar apps
+export const FEED_HISTORY_DAYS = 90;
+
+const FEED_EVENT_LIMIT = 1000;
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function getFeedSecret() {
+  const secret = process.env.CALENDAR_FEED_SECRET;
+  if (!secret) {
+    throw new Error('CALENDAR_FEED_SECRET is not configured');
+  }
+  return secret;
+}
+
+const sign = (payload) => createHmac('sha256', getFeedSecret()).update(payload).digest('base64url');
+
+/**
+ * Create a feed token for an AppUser. The version is stored on the AppUser
+ * (calendarFeedVersion) so bumping it revokes every previously issued token.
+ * @param {string} appUserId
+ * @param {number} version
+ * @returns {string}
+ */
+export function createFeedToken(appUserId, version = 0) {
+  const payload = base64url(JSON.stringify({ u: appUserId, v: version }));
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a feed token's signature
+ * @param {string} token
+ * @returns {{appUserId: string, version: number}|null} Null when the token is malformed or forged
+ */
+export function verifyFeedToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { u, v } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof u !== 'string' || !Number.isInteger(v)) return null;
+    return { appUserId: u, version: v };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the events for every player an AppUser follows and render them as iCalendar
+ * @param {object} appUser - AppUser record
+ * @param {{findRows: Function, now?: Date}} deps
+ * @returns {Promise<string>}
+ */
+export async function buildUserFeed(appUser, { findRows, now = new Date() }) {
+  const caller = {
+    // AppUser emails are set by staff, and an invitation is only claimed from a verified sign-in
+    email: appUser.email,
+    emailVerified: true,
+    role: resolveRole(appUser),
+    playerId: appUser.playerId || null
+  };
+
+  const playerIds = await resolveOwnedPlayerIds(caller, { findRows });
+  const players = playerIds.length > 0
+    ? await findRows('Player', { id: { $in: playerIds } }, playerIds.length)
+    : [];
+  const teamIds = getPlayersTeamIds(players);
+
+  let entries = [];
+  if (teamIds.length > 0) {
+    const since = new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const [events, rsvps] = await Promise.all([
+      // Recurring series are included whatever their start; calendar apps expand the RRULE
+      findRows('TeamEvent', {
+        teamIds: { $in: teamIds },
+        $or: [{ startDate: { $gte: since.toISOString() } }, { isRecurring: true }]
+      }, FEED_EVENT_LIMIT),
+      findRows('EventRSVP', { playerId: { $in: playerIds } }, FEED_EVENT_LIMIT)
+    ]);
+
+    entries = events.map(event => ({
+      event,
+      attendees: getEventAttendees(event, players, rsvps),
+      occurrenceAttendees: getOccurrenceAttendees(event, players, rsvps)
+    }));
+  }
+
+  return buildCalendar(entries, { name: 'O7C Team Schedule', now });
+}
@@ -0,0 +1,591 @@
+// Starting conversations on the Messages page. Users can't look each other up
+// directly (AppUser rows are private), so the server works out who a caller may
+// message: staff on their teams, and for coaches the players and parents on
+// theirs, limited by CHAT_PAIRINGS. Direct rooms are created here so the
+// pairing check can't be skipped, and reused if the pair already has one.
+// The safeguarding policy applies on top: a staff member and a minor player
+// either can't have a direct room, or get one that includes the player's
+// linked guardians. Group rooms and people added to a room get the same check,
+// and membership and message deletion only change here (the Firestore rules
+// refuse them from the browser). Every safeguarding decision is sent to the
+// audit log. Room keys change here too: participants can only add keys they
+// wrapped for other participants' devices, and removing someone starts a new
+// key version in the same write.
+
+import { CHAT_PAIRINGS, canStartChat, getDirectRoomKey } from '../../shared/utils/chatRooms.js';
+import { addSharedKeys, createRoomEncryption, rotateRoomEncryption } from '../../shared/utils/chatCrypto.js';
+import {
+  DEFAULT_SAFEGUARDING_POLICY,
+  SAFEGUARDING_MODES,
+  evaluateRoomSafeguarding,
+  getRoomSafeguarding,
+  isMinorPlayer,
+  isProtectedParticipant,
+  isRetainedRoom,
+  buildSafeguardingAuditEntry
+} from '../../shared/utils/chatSafeguarding.js';
+import { getPlayersTeamIds } from '../../shared/utils/teamEvents.js';
+import { resolveRole } from './auth.js';
+import { resolveOwnedPlayerIds } from './ownership.js';
+
+// Upper bound on rows read per lookup
+const ROW_LIMIT = 500;
+
+// Roles that start group rooms and add people to them
+const ROOM_MANAGER_ROLES = ['admin', 'coach'];
+
+// Room types started with createGroupRoom; direct rooms only come from startDirectRoom
+const GROUP_ROOM_TYPES = ['group', 'team'];
+
+// Rooms between two people, which nobody can be added to
+const DIRECT_ROOM_TYPES = ['direct', 'coach-player'];
+
+const failure = (status, code, message) => ({ success: false, status, code, message });
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+const displayName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email || 'Unknown user';
+
+const isActiveUser = (user) => user.firebaseUid && !['pending', 'rejected', 'disabled'].includes(user.status);
+
+// Teams the caller belongs to: a coach's assignments, or the teams of the players they own
+async function resolveCallerTeamIds(caller, { findRows }) {
+  if (caller.role === 'coach') {
+    const coachId = caller.appUser?.coachId;
+    if (!coachId) return [];
+    const assignments = await findRows('CoachAssignment', { coachId, isActive: true }, ROW_LIMIT);
+    return unique(assignments.map(assignment => assignment.teamId));
+  }
+
+  const playerIds = await resolveOwnedPlayerIds(caller, { findRows });
+  if (playerIds.length === 0) return [];
+  const players = await findRows('Player', { id: { $in: playerIds } }, ROW_LIMIT);
+  return getPlayersTeamIds(players);
+}
+
+// AppUser rows the caller could be paired with, before the pairing check
+async function findCandidateUsers(caller, { findRows }) {
+  if (caller.role === 'admin') {
+    return findRows('AppUser', {}, ROW_LIMIT);
+  }
+
+  const teamIds = await resolveCallerTeamIds(caller, { findRows });
+  const lookups = [findRows('AppUser', { role: { $in: ['admin', 'executive'] } }, ROW_LIMIT)];
+
+  if (teamIds.length > 0) {
+    const assignments = await findRows('CoachAssignment', { teamId: { $in: teamIds }, isActive: true }, ROW_LIMIT);
+    const coachIds = unique(assignments.map(assignment => assignment.coachId));
+    if (coachIds.length > 0) lookups.push(findRows('AppUser', { coachId: { $in: coachIds } }, ROW_LIMIT));
+  }
+
+  if (caller.role === 'coach' && teamIds.length > 0) {
+    const players = await findRows('Player', { teamIds: { $in: teamIds } }, ROW_LIMIT);
+    const playerIds = players.map(player => player.id);
+    if (playerIds.length > 0) {
+      const guardians = await findRows('ParentPlayerAssignment', { playerId: { $in: playerIds }, isActive: true }, ROW_LIMIT);
+      const parentEmails = unique(guardians.map(guardian => guardian.parentEmail));
+      lookups.push(findRows('AppUser', { playerId: { $in: playerIds } }, ROW_LIMIT));
+      if (parentEmails.length > 0) lookups.push(findRows('AppUser', { email: { $in: parentEmails } }, ROW_LIMIT));
+    }
+  }
+
+  return (await Promise.all(lookups)).flat();
+}
+
+// Contacts with the player id kept for the safeguarding checks
+async function findContacts(caller, { findRows }) {
+  if (!CHAT_PAIRINGS[caller.role]) return [];
+
+  const contacts = new Map();
+  (await findCandidateUsers(caller, { findRows }))
+    .filter(user => isActiveUser(user) && user.firebaseUid !== caller.uid)
+    .forEach(user => {
+      const role = resolveRole(user);
+      if (!canStartChat(caller.role, role)) return;
+      contacts.set(user.firebaseUid, { userId: user.firebaseUid, name: displayName(user), role, playerId: user.playerId || null });
+    });
+
+  return [...contacts.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Uids of the people who are minor players under the policy
+async function resolveMinorIds(people, { findRows, policy, now }) {
+  const players = people.filter(person => person.playerId && policy.minorRoles.includes(person.role));
+  if (players.length === 0) return new Set();
+
+  const rows = await findRows('Player', { id: { $in: unique(players.map(person => person.playerId)) } }, ROW_LIMIT);
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  return new Set(players
+    .filter(person => isMinorPlayer(rowsById.get(person.playerId), now, policy))
+    .map(person => person.userId));
+}
+
+// Parents/guardians with an account, linked to the player through ParentPlayerAssignment
+async function findGuardians(playerId, { findRows }) {
+  const assignments = await findRows('ParentPlayerAssignment', { playerId, isActive: true }, ROW_LIMIT);
+  const parentEmails = unique(assignments.map(assignment => assignment.parentEmail));
+  if (parentEmails.length === 0) return [];
+
+  const users = await findRows('AppUser', { email: { $in: parentEmails } }, ROW_LIMIT);
+  return users.filter(isActiveUser).map(user => ({ userId: user.firebaseUid, name: displayName(user) }));
+}
+
+// Safeguarding decision for a room between these people, with the guardians it would add
+async function evaluatePeople(people, { findRows, policy, now }) {
+  const minorIds = await resolveMinorIds(people, { findRows, policy, now });
+  const participants = people.map(person => ({ ...person, minor: minorIds.has(person.userId) }));
+
+  const guardians = [];
+  const guardiansByMinor = {};
+  if (policy.mode === SAFEGUARDING_MODES.GUARDIAN_COPY) {
+    for (const person of participants.filter(participant => participant.minor)) {
+      const found = await findGuardians(person.playerId, { findRows });
+      guardiansByMinor[person.userId] = found.map(guardian => guardian.userId);
+      guardians.push(...found);
+    }
+  }
+
+  const evaluation = evaluateRoomSafeguarding(participants, { guardiansByMinor, policy });
+  return { ...evaluation, guardians: guardians.filter(guardian => evaluation.guardianIds.includes(guardian.userId)) };
+}
+
+const callerPerson = (caller) => ({
+  userId: caller.uid,
+  name: caller.appUser ? displayName(caller.appUser) : caller.email,
+  role: caller.role,
+  playerId: caller.playerId || null
+});
+
+// A room's current participants as people, from their AppUser rows
+async function findParticipantPeople(userIds, { findRows }) {
+  if (userIds.length === 0) return [];
+  const users = await findRows('AppUser', { firebaseUid: { $in: userIds } }, ROW_LIMIT);
+  return users.map(user => ({ userId: user.firebaseUid, name: displayName(user), role: resolveRole(user), playerId: user.playerId || null }));
+}
+
+// The caller's contacts for the requested uids; anyone else is refused
+async function resolveRequestedContacts(caller, userIds, { findRows }) {
+  if (!Array.isArray(userIds) || userIds.length === 0 || userIds.some(userId => !userId || typeof userId !== 'string')) {
+    return failure(400, 'INVALID_REQUEST', 'userIds must list at least one user');
+  }
+
+  const contacts = new Map((await findContacts(caller, { findRows })).map(contact => [contact.userId, contact]));
+  const wanted = unique(userIds).filter(userId => userId !== caller.uid);
+  if (wanted.some(userId => !contacts.has(userId))) {
+    return failure(403, 'PAIRING_NOT_ALLOWED', 'You cannot add one or more of these users to a conversation');
+  }
+  return { success: true, people: wanted.map(userId => contacts.get(userId)) };
+}
+
+const toParticipant = (person, now) => ({ userId: person.userId, userName: person.name, role: person.role, joinedAt: now, isOnline: false });
+
+const guardianPeople = (evaluation) => evaluation.guardians.map(guardian => ({ ...guardian, role: 'parent' }));
+
+// Rooms the policy doesn't apply to aren't logged
+async function auditDecision(audit, evaluation, { action, caller, roomId, participantIds, policy, now }) {
+  if (!evaluation.safeguarded) return;
+  await audit({
+    ...buildSafeguardingAuditEntry({
+      action,
+      decision: evaluation.decision,
+      code: evaluation.code || null,
+      actorId: caller.uid,
+      actorRole: caller.role,
+      roomId,
+      participantIds,
+      minorIds: evaluation.minorIds,
+      guardianIds: evaluation.guardianIds,
+      policy
+    }),
+    createdAt: now
+  });
+}
+
+/**
+ * People the caller may start a direct conversation with. Under a blocking
+ * safeguarding policy, staff and minor players don't see each other.
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{findRows: Function, policy?: object, now?: Date}} deps
+ * @returns {Promise<Array<{userId: string, name: string, role: string}>>} Sorted by name
+ */
+export async function listChatContacts(caller, { findRows, policy = DEFAULT_SAFEGUARDING_POLICY, now = new Date() }) {
+  let contacts = await findContacts(caller, { findRows });
+
+  if (policy.mode === SAFEGUARDING_MODES.BLOCK && contacts.length > 0) {
+    const self = callerPerson(caller);
+    const minorIds = await resolveMinorIds([self, ...contacts], { findRows, policy, now });
+    const withMinor = (person) => ({ ...person, minor: minorIds.has(person.userId) });
+    contacts = contacts.filter(contact =>
+      evaluateRoomSafeguarding([withMinor(self), withMinor(contact)], { policy }).decision !== 'blocked');
+  }
+
+  return contacts.map(({ userId, name, role }) => ({ userId, name, role }));
+}
+
+/**
+ * Open the direct room between the caller and a contact, creating it if needed.
+ * Staff/minor pairs follow the safeguarding policy: refused, or opened with the
+ * minor's guardians added (including to a room created before the policy).
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{userId: string}} request - The contact's uid
+ * @param {object} deps
+ * @param {Function} deps.findRows
+ * @param {(directKey: string) => Promise<object|null>} deps.findDirectRoom - Room document with its id
+ * @param {(room: object) => Promise<string>} deps.createRoom - Returns the new room id
+ * @param {(roomId: string, changes: object) => Promise<void>} deps.updateRoom
+ * @param {(entry: object) => Promise<void>} deps.audit - Writes a chat audit log entry
+ * @param {object} [deps.policy] - Safeguarding policy
+ * @param {Date} [deps.now]
+ * @returns {Promise<{success: true, roomId: string, created: boolean}|{success: false, status: number, code: string, message: string}>}
+ */
+export async function startDirectRoom(caller, { userId }, {
+  findRows,
+  findDirectRoom,
+  createRoom,
+  updateRoom,
+  audit,
+  policy = DEFAULT_SAFEGUARDING_POLICY,
+  now = new Date()
+}) {
+  if (!CHAT_PAIRINGS[caller.role]) {
+    return failure(403, 'FORBIDDEN', 'Your account cannot start conversations');
+  }
+  if (!userId || typeof userId !== 'string') {
+    return failure(400, 'INVALID_REQUEST', 'userId is required');
+  }
+
+  const contact = (await findContacts(caller, { findRows })).find(entry => entry.userId === userId);
+  if (!contact) {
+    return failure(403, 'PAIRING_NOT_ALLOWED', 'You cannot start a conversation with this user');
+  }
+
+  const self = callerPerson(caller);
+  const evaluation = await evaluatePeople([self, contact], { findRows, policy, now });
+  const directKey = getDirectRoomKey(caller.uid, contact.userId);
+  const existing = await findDirectRoom(directKey);
+
+  const guardianParticipants = guardianPeople(evaluation).map(guardian => toParticipant(guardian, now));
+  const participantIds = [caller.uid, contact.userId, ...evaluation.guardianIds];
+
+  const record = (roomId) => auditDecision(audit, evaluation, {
+    action: existing ? 'room_open' : 'room_create',
+    caller,
+    roomId,
+    participantIds,
+    policy,
+    now
+  });
+
+  if (evaluation.decision === 'blocked') {
+    await record(existing?.id || null);
+    return failure(403, evaluation.code, evaluation.message);
+  }
+
+  const safeguarding = evaluation.safeguarded ? getRoomSafeguarding(evaluation, policy) : null;
+
+  if (existing) {
+    const missing = guardianParticipants.filter(guardian => !(existing.participantIds || []).includes(guardian.userId));
+    if (safeguarding && (missing.length > 0 || !existing.safeguarding)) {
+      await updateRoom(existing.id, {
+        participants: [...(existing.participants || []), ...missing],
+        participantIds: [...(existing.participantIds || []), ...missing.map(guardian => guardian.userId)],
+        safeguarding,
+        lastActivity: now
+      });
+    }
+    await record(existing.id);
+    return { success: true, roomId: existing.id, created: false };
+  }
+
+  const roomId = await createRoom({
+    name: `${self.name} & ${contact.name}`,
+    type: 'direct',
+    participants: [toParticipant(self, now), toParticipant(contact, now), ...guardianParticipants],
+    participantIds,
+    directKey,
+    createdAt: now,
+    createdBy: caller.uid,
+    lastActivity: now,
+    isActive: true,
+    metadata: {},
+    ...(safeguarding ? { safeguarding } : {})
+  });
+
+  await record(roomId);
+  return { success: true, roomId, created: true };
+}
+
+/**
+ * Start a group room with some of the caller's contacts. The safeguarding
+ * policy applies to the whole room: a room with staff and a minor is refused,
+ * or opened with the minor's guardians added.
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{name: string, type?: string, userIds: string[]}} request
+ * @param {object} deps
+ * @param {Function} deps.findRows
+ * @param {(room: object) => Promise<string>} deps.createRoom - Returns the new room id
+ * @param {(entry: object) => Promise<void>} deps.audit
+ * @param {object} [deps.policy]
+ * @param {Date} [deps.now]
+ * @returns {Promise<{success: true, roomId: string}|{success: false, status: number, code: string, message: string}>}
+ */
+export async function createGroupRoom(caller, { name, type = 'group', userIds }, {
+  findRows,
+  createRoom,
+  audit,
+  policy = DEFAULT_SAFEGUARDING_POLICY,
+  now = new Date()
+}) {
+  if (!ROOM_MANAGER_ROLES.includes(caller.role)) {
+    return failure(403, 'FORBIDDEN', 'Only staff can start group conversations');
+  }
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return failure(400, 'INVALID_REQUEST', 'name is required');
+  }
+  if (!GROUP_ROOM_TYPES.includes(type)) {
+    return failure(400, 'INVALID_REQUEST', `type must be one of ${GROUP_ROOM_TYPES.join(', ')}`);
+  }
+
+  const requested = await resolveRequestedContacts(caller, userIds, { findRows });
+  if (!requested.success) return requested;
+
+  const self = callerPerson(caller);
+  const members = [self, ...requested.people];
+  const evaluation = await evaluatePeople(members, { findRows, policy, now });
+  const participantIds = [...members.map(person => person.userId), ...evaluation.guardianIds];
+
+  if (evaluation.decision === 'blocked') {
+    await auditDecision(audit, evaluation, { action: 'room_create', caller, roomId: null, participantIds, policy, now });
+    return failure(403, evaluation.code, evaluation.message);
+  }
+
+  const roomId = await createRoom({
+    name: name.trim(),
+    type,
+    participants: [...members, ...guardianPeople(evaluation)].map(person => toParticipant(person, now)),
+    participantIds,
+    createdAt: now,
+    createdBy: caller.uid,
+    lastActivity: now,
+    isActive: true,
+    metadata: {},
+    ...(evaluation.safeguarded ? { safeguarding: getRoomSafeguarding(evaluation, policy) } : {})
+  });
+
+  await auditDecision(audit, evaluation, { action: 'room_create', caller, roomId, participantIds, policy, now });
+  return { success: true, roomId };
+}
+
+/**
+ * Add some of the caller's contacts to a group room they take part in. The
+ * policy is checked against everyone who would then be in the room, so adding
+ * a minor to a room with staff also adds the minor's guardians (or is refused).
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{roomId: string, userIds: string[]}} request
+ * @param {object} deps
+ * @param {Function} deps.findRows
+ * @param {(roomId: string) => Promise<object|null>} deps.loadRoom - Room document with its id
+ * @param {(roomId: string, changes: object) => Promise<void>} deps.updateRoom
+ * @param {(entry: object) => Promise<void>} deps.audit
+ * @param {object} [deps.policy]
+ * @param {Date} [deps.now]
+ * @returns {Promise<{success: true, roomId: string, participantIds: string[]}|{success: false, status: number, code: string, message: string}>}
+ */
+export async function addRoomParticipants(caller, { roomId, userIds }, {
+  findRows,
+  loadRoom,
+  updateRoom,
+  audit,
+  policy = DEFAULT_SAFEGUARDING_POLICY,
+  now = new Date()
+}) {
+  if (!ROOM_MANAGER_ROLES.includes(caller.role)) {
+    return failure(403, 'FORBIDDEN', 'Only staff can add people to a conversation');
+  }
+
+  const room = roomId && typeof roomId === 'string' ? await loadRoom(roomId) : null;
+  const currentIds = room?.participantIds || [];
+  if (!room || !currentIds.includes(caller.uid)) {
+    return failure(404, 'NOT_FOUND', 'Conversation not found');
+  }
+  if (DIRECT_ROOM_TYPES.includes(room.type)) {
+    return failure(400, 'DIRECT_ROOM', 'People cannot be added to a direct conversation');
+  }
+
+  const requested = await resolveRequestedContacts(caller, userIds, { findRows });
+  if (!requested.success) return requested;
+
+  const added = requested.people.filter(person => !currentIds.includes(person.userId));
+  if (added.length === 0) return { success: true, roomId, participantIds: currentIds };
+
+  const current = await findParticipantPeople(currentIds, { findRows });
+  const evaluation = await evaluatePeople([...current, ...added], { findRows, policy, now });
+  const joining = [...added, ...guardianPeople(evaluation).filter(guardian => !currentIds.includes(guardian.userId))];
+  const participantIds = [...currentIds, ...joining.map(person => person.userId)];
+  const audited = { action: 'participant_add', caller, roomId, participantIds: joining.map(person => person.userId), policy, now };
+
+  if (evaluation.decision === 'blocked') {
+    await auditDecision(audit, evaluation, audited);
+    return failure(403, evaluation.code, evaluation.message);
+  }
+
+  await updateRoom(roomId, {
+    participants: [...(room.participants || []), ...joining.map(person => toParticipant(person, now))],
+    participantIds,
+    lastActivity: now,
+    ...(evaluation.safeguarded ? { safeguarding: getRoomSafeguarding(evaluation, policy) } : {})
+  });
+
+  await auditDecision(audit, evaluation, audited);
+  return { success: true, roomId, participantIds };
+}
+
+/**
+ * Remove someone from a room. Only admins remove people, and the minor and
+ * their guardians stay in a safeguarded room. An encrypted room gets a new key
+ * version, wrapped only for the people left, in the same write, so the removed
+ * user can't read what follows.
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{roomId: string, userId: string}} request
+ * @param {object} deps
+ * @param {(roomId: string) => Promise<object|null>} deps.loadRoom
+ * @param {(roomId: string, changes: object) => Promise<void>} deps.updateRoom
+ * @param {(userIds: string[]) => Promise<Object<string, Array<{keyId: string, jwk: JsonWebKey}>>>} deps.loadPublicKeys - Published device keys by uid
+ * @param {(entry: object) => Promise<void>} deps.audit
+ * @param {Date} [deps.now]
+ * @returns {Promise<{success: true, roomId: string, participantIds: string[]}|{success: false, status: number, code: string, message: string}>}
+ */
+export async function removeRoomParticipant(caller, { roomId, userId }, { loadRoom, updateRoom, loadPublicKeys, audit, now = new Date() }) {
+  if (caller.role !== 'admin') {
+    return failure(403, 'FORBIDDEN', 'Only admins can remove people from a conversation');
+  }
+
+  const room = roomId && typeof roomId === 'string' ? await loadRoom(roomId) : null;
+  const currentIds = room?.participantIds || [];
+  if (!room || !currentIds.includes(caller.uid)) {
+    return failure(404, 'NOT_FOUND', 'Conversation not found');
+  }
+  if (!userId || !currentIds.includes(userId)) {
+    return failure(400, 'INVALID_REQUEST', 'userId must be a participant');
+  }
+
+  const blocked = isProtectedParticipant(room, userId);
+  if (room.safeguarding) {
+    await audit({
+      ...buildSafeguardingAuditEntry({
+        action: 'participant_remove',
+        decision: blocked ? 'blocked' : 'allowed',
+        code: blocked ? 'PARTICIPANT_PROTECTED' : null,
+        actorId: caller.uid,
+        actorRole: caller.role,
+        roomId,
+        participantIds: [userId],
+        minorIds: room.safeguarding.minorIds,
+        guardianIds: room.safeguarding.guardianIds,
+        policy: room.safeguarding
+      }),
+      createdAt: now
+    });
+  }
+  if (blocked) {
+    return failure(403, 'PARTICIPANT_PROTECTED', 'The player and their guardians cannot be removed from this conversation');
+  }
+
+  const participants = (room.participants || []).filter(participant => participant.userId !== userId);
+  const participantIds = currentIds.filter(id => id !== userId);
+  const changes = { participants, participantIds, lastActivity: now };
+  if (room.encryption) {
+    changes.encryption = (await rotateRoomEncryption(room.encryption, await loadPublicKeys(participantIds), [userId])).encryption;
+  }
+  await updateRoom(roomId, changes);
+  return { success: true, roomId, participantIds };
+}
+
+/**
+ * Add room keys a participant wrapped for other participants' devices, or
+ * start the first key version of a room that has none. Keys are only added:
+ * each must be for a key version the room has, a current participant and one
+ * of their published devices, and keys already on the room are kept as they
+ * are. New key versions only come from removeRoomParticipant.
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{roomId: string, keys?: object}} request - `keys` is `{[version]: {[userId]: {[keyId]: wrappedKey}}}`
+ * @param {object} deps
+ * @param {(roomId: string, update: (room: object|null) => Promise<{changes: object|null, result: object}>) => Promise<object>} deps.transactRoom
+ *   Runs `update` on the room as it is now, writes its changes atomically and resolves to its result
+ * @param {(userIds: string[]) => Promise<Object<string, Array<{keyId: string, jwk: JsonWebKey}>>>} deps.loadPublicKeys - Published device keys by uid
+ * @returns {Promise<{success: true, roomId: string, encryption: object}|{success: false, status: number, code: string, message: string}>}
+ */
+export async function addRoomKeys(caller, { roomId, keys = {} }, { transactRoom, loadPublicKeys }) {
+  if (!roomId || typeof roomId !== 'string') {
+    return failure(404, 'NOT_FOUND', 'Conversation not found');
+  }
+
+  return transactRoom(roomId, async (room) => {
+    const participantIds = room?.participantIds || [];
+    if (!room || !participantIds.includes(caller.uid)) {
+      return { changes: null, result: failure(404, 'NOT_FOUND', 'Conversation not found') };
+    }
+
+    const publicKeys = await loadPublicKeys(participantIds);
+    if (!room.encryption) {
+      const { encryption } = await createRoomEncryption(publicKeys);
+      return { changes: { encryption }, result: { success: true, roomId, encryption } };
+    }
+
+    const shared = addSharedKeys(room.encryption, keys, publicKeys);
+    if (!shared) {
+      return { changes: null, result: failure(400, 'INVALID_KEYS', "Keys can only be added for the participants' published devices") };
+    }
+    return {
+      changes: shared.added > 0 ? { encryption: shared.encryption } : null,
+      result: { success: true, roomId, encryption: shared.encryption }
+    };
+  });
+}
+
+/**
+ * Delete a message. Admins in the room can delete messages, except in rooms
+ * that keep their messages for safeguarding; refusals there are audited.
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{messageId: string}} request
+ * @param {object} deps
+ * @param {(messageId: string) => Promise<object|null>} deps.loadMessage - Message document with its id
+ * @param {(roomId: string) => Promise<object|null>} deps.loadRoom
+ * @param {(messageId: string) => Promise<void>} deps.deleteMessage
+ * @param {(entry: object) => Promise<void>} deps.audit
+ * @param {Date} [deps.now]
+ * @returns {Promise<{success: true, filePath: string|null}|{success: false, status: number, code: string, message: string}>}
+ *   `filePath` is the message's attachment, for the caller to remove from storage
+ */
+export async function deleteRoomMessage(caller, { messageId }, { loadMessage, loadRoom, deleteMessage, audit, now = new Date() }) {
+  const message = messageId && typeof messageId === 'string' ? await loadMessage(messageId) : null;
+  const room = message ? await loadRoom(message.chatId) : null;
+  if (!room || !(room.participantIds || []).includes(caller.uid)) {
+    return failure(404, 'NOT_FOUND', 'Message not found');
+  }
+  if (caller.role !== 'admin') {
+    return failure(403, 'FORBIDDEN', 'Only admins can delete messages');
+  }
+
+  if (isRetainedRoom(room)) {
+    await audit({
+      ...buildSafeguardingAuditEntry({
+        action: 'message_delete',
+        decision: 'blocked',
+        code: 'MESSAGE_RETAINED',
+        actorId: caller.uid,
+        actorRole: caller.role,
+        roomId: message.chatId,
+        messageId,
+        minorIds: room.safeguarding.minorIds,
+        guardianIds: room.safeguarding.guardianIds,
+        policy: room.safeguarding
+      }),
+      createdAt: now
+    });
+    return failure(403, 'MESSAGE_RETAINED', 'Messages in this conversation are kept for safeguarding and cannot be deleted');
+  }
+
+  await deleteMessage(messageId);
+  return { success: true, filePath: message.metadata?.filePath || null };
+}
@@ -0,0 +1,201 @@
+// QR check-in for team events. A coach shows a code for one event occurrence;
+// players (or their parents) scan it and are marked Present, or Late after the
+// grace period. Codes are signed, last a few minutes (the coach's screen keeps
+// fetching new ones) and are only accepted around the occurrence itself, so a
+// shared photo or link stops working almost at once.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { canAccessEntity } from '../../shared/utils/permissions';
+import { getOccurrence, getRsvpKey, isRecurringEvent, isSeriesOccurrence } from '../../shared/utils/recurrence.js';
+import { ATTENDED_STATUSES, CHECK_IN_OPENS_HOURS, getCheckInStatus } from '../../shared/utils/attendance.js';
+import { resolveOwnedPlayerIds } from './ownership.js';
+
+// How long each check-in code stays valid after it is issued
+export const CHECKIN_CODE_TTL_MINUTES = 5;
+
+// Check-in closes this long after the start of events with no end time
+export const CHECKIN_DEFAULT_DURATION_HOURS = 3;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const failure = (status, code, message) => ({ success: false, status, code, message });
+
+function getCheckInSecret() {
+  const secret = process.env.ATTENDANCE_CHECKIN_SECRET;
+  if (!secret) {
+    throw new Error('ATTENDANCE_CHECKIN_SECRET is not configured');
+  }
+  return secret;
+}
+
+const sign = (payload) => createHmac('sha256', getCheckInSecret()).update(payload).digest('base64url');
+
+/**
+ * Create a check-in code for one event occurrence
+ * @param {string} eventId
+ * @param {string|null} occurrenceStart
+ * @param {Date} expiresAt
+ * @returns {string}
+ */
+export function createCheckInToken(eventId, occurrenceStart, expiresAt) {
+  const payload = Buffer.from(JSON.stringify({ e: eventId, o: occurrenceStart || null, x: expiresAt.getTime() }))
+    .toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a check-in code's signature
+ * @param {string} token
+ * @returns {{eventId: string, occurrenceStart: string|null, expiresAt: Date}|null} Null when malformed or forged
+ */
+export function verifyCheckInToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { e, o, x } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof e !== 'string' || !Number.isFinite(x)) return null;
+    return { eventId: e, occurrenceStart: o || null, expiresAt: new Date(x) };
+  } catch {
+    return null;
+  }
+}
+
+// The occurrence a code is for: one-off events take no occurrenceStart, series
+// need one they actually schedule, and cancelled occurrences take no check-ins
+function resolveOccurrence(event, occurrenceStart) {
+  if (isRecurringEvent(event) ? !isSeriesOccurrence(event, occurrenceStart) : occurrenceStart) {
+    return failure(400, 'INVALID_OCCURRENCE', 'This event has no such occurrence');
+  }
+  const occurrence = getOccurrence(event, occurrenceStart);
+  if (occurrence.status === 'Cancelled') {
+    return failure(409, 'EVENT_CANCELLED', 'This event has been cancelled');
+  }
+  return { success: true, occurrence };
+}
+
+/**
+ * When check-in is accepted for an occurrence: from CHECK_IN_OPENS_HOURS before
+ * it starts until it ends
+ * @param {Object} occurrence - TeamEvent or expanded occurrence
+ * @returns {{opensAt: Date, closesAt: Date}}
+ */
+export function getCheckInWindow(occurrence) {
+  const start = new Date(occurrence.startDate).getTime();
+  const end = occurrence.endDate
+    ? new Date(occurrence.endDate).getTime()
+    : start + CHECKIN_DEFAULT_DURATION_HOURS * HOUR_MS;
+  return { opensAt: new Date(start - CHECK_IN_OPENS_HOURS * HOUR_MS), closesAt: new Date(end) };
+}
+
+const outsideWindow = (occurrence, now) => {
+  const { opensAt, closesAt } = getCheckInWindow(occurrence);
+  if (now < opensAt) {
+    return failure(409, 'CHECKIN_NOT_OPEN', `Check-in opens ${CHECK_IN_OPENS_HOURS} hours before the event`);
+  }
+  if (now >= closesAt) return failure(410, 'CHECKIN_CLOSED', 'Check-in for this event has closed');
+  return null;
+};
+
+/**
+ * Issue a check-in code for coaches and admins
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{eventId: string, occurrenceStart?: string|null}} request
+ * @param {{loadRecord: Function, now?: Date}} deps
+ */
+export async function issueCheckInCode(caller, { eventId, occurrenceStart = null }, { loadRecord, now = new Date() }) {
+  if (!canAccessEntity(caller.role, 'EventAttendance', 'create')) {
+    return failure(403, 'ROLE_NOT_PERMITTED', 'Only coaches can open check-in');
+  }
+
+  const event = eventId ? await loadRecord('TeamEvent', eventId) : null;
+  if (!event) return failure(404, 'EVENT_NOT_FOUND', 'Event not found');
+
+  const resolved = resolveOccurrence(event, occurrenceStart);
+  if (!resolved.success) return resolved;
+  const { occurrence } = resolved;
+  const closed = outsideWindow(occurrence, now);
+  if (closed) return closed;
+
+  const { closesAt } = getCheckInWindow(occurrence);
+  const expiresAt = new Date(Math.min(now.getTime() + CHECKIN_CODE_TTL_MINUTES * MINUTE_MS, closesAt.getTime()));
+  return {
+    success: true,
+    token: createCheckInToken(event.id, occurrence.occurrenceStart || null, expiresAt),
+    expiresAt: expiresAt.toISOString(),
+    closesAt: closesAt.toISOString()
+  };
+}
+
+/**
+ * Check a player in with a scanned code
+ * @param {object} caller - Result of authenticateRequest (player or parent)
+ * @param {{token: string, playerId?: string}} request - playerId is required for parents.
+ *   The event is re-checked, so a code stops working if its occurrence is moved or cancelled.
+ * @param {{findRows: Function, loadRecord: Function, createRow: Function, now?: Date}} deps
+ */
+export async function checkInWithCode(caller, { token, playerId }, deps) {
+  const { findRows, loadRecord, createRow, now = new Date() } = deps;
+
+  const claims = verifyCheckInToken(token);
+  if (!claims) return failure(400, 'INVALID_CHECKIN_CODE', 'This check-in code is not valid');
+  if (now >= claims.expiresAt) return failure(410, 'CHECKIN_CLOSED', 'Check-in for this event has closed');
+
+  const ownedPlayerIds = await resolveOwnedPlayerIds(caller, { findRows });
+  const targetId = playerId ?? (ownedPlayerIds.length === 1 ? ownedPlayerIds[0] : undefined);
+  if (!targetId || !ownedPlayerIds.includes(targetId)) {
+    return failure(403, 'NOT_OWNER', 'You can only check in your own players');
+  }
+
+  const [event, player] = await Promise.all([
+    loadRecord('TeamEvent', claims.eventId),
+    loadRecord('Player', targetId)
+  ]);
+  if (!event || !player) return failure(404, 'EVENT_NOT_FOUND', 'Event not found');
+
+  const resolved = resolveOccurrence(event, claims.occurrenceStart);
+  if (!resolved.success) return resolved;
+  const { occurrence } = resolved;
+  const closed = outsideWindow(occurrence, now);
+  if (closed) return closed;
+
+  if (!(event.teamIds || []).some(teamId => (player.teamIds || []).includes(teamId))) {
+    return failure(403, 'NOT_ON_ROSTER', `${player.firstName || 'This player'} is not on a team for this event`);
+  }
+
+  const key = getRsvpKey(event.id, claims.occurrenceStart);
+  const existing = (await findRows('EventAttendance', { eventId: event.id, playerId: targetId }))
+    .find(row => getRsvpKey(row.eventId, row.occurrenceStart) === key);
+
+  // Scanning twice keeps the first check-in time
+  if (existing && ATTENDED_STATUSES.includes(existing.status)) {
+    return { success: true, attendance: existing, event: occurrence };
+  }
+  // Any other row was recorded by staff (Absent, Excused), and only staff change it
+  if (existing) {
+    return failure(409, 'ATTENDANCE_RECORDED', `A coach has already marked ${player.firstName || 'this player'} ${String(existing.status).toLowerCase()}`);
+  }
+
+  const fields = {
+    eventId: event.id,
+    occurrenceStart: claims.occurrenceStart,
+    playerId: targetId,
+    playerName: `${player.firstName || ''} ${player.lastName || ''}`.trim(),
+    status: getCheckInStatus(occurrence, now),
+    method: 'qr',
+    checkedInAt: now.toISOString(),
+    recordedBy: caller.email || null,
+    recordedAt: now.toISOString()
+  };
+
+  const attendance = await createRow('EventAttendance', fields);
+  return { success: true, attendance: { ...fields, ...attendance }, event: occurrence };
+}
@@ -0,0 +1,374 @@
+// Per-entity, per-operation authorization for the Base44 proxy.
+// Role checks come from ENTITY_PERMISSIONS/PERMISSIONS in shared/utils/permissions;
+// ownership rules narrow queries and writes to the caller's own rows.
+
+import { canAccessEntity, ENTITY_PERMISSIONS } from '../../shared/utils/permissions';
+import { resolveOwnedPlayerIds, getVerifiedEmail, OWNERSHIP_SCOPED_ROLES } from './ownership.js';
+import { getOccurrence, isRecurringEvent, isSeriesOccurrence } from '../../shared/utils/recurrence.js';
+import { isRsvpOpen } from '../../shared/utils/teamEvents.js';
+import {
+  PENDING_REVIEW,
+  FIELD_ACCESS,
+  getProfileField,
+  getFieldAccess,
+  getPlayerUpdateViolations,
+  normalizeProfileValue,
+  validateProfileField
+} from '../../shared/utils/playerProfile.js';
+import { DOCUMENT_STATUS, validateDocument } from '../../shared/utils/documents.js';
+
+const METHOD_OPERATIONS = {
+  GET: 'read',
+  POST: 'create',
+  PUT: 'update',
+  DELETE: 'delete'
+};
+
+// Fields a freshly signed-up user may set when claiming their invitation
+const INVITATION_CLAIM_FIELDS = ['firebaseUid', 'status', 'invitationStatus', 'registeredAt'];
+
+const deny = (status, error, message, details = {}) => ({ allowed: false, status, error, message, ...details });
+
+const forbidden = (message, details = {}) => deny(403, 'Forbidden', message, { code: 'FORBIDDEN', ...details });
+
+const notOwner = (entity, operation, message) =>
+  forbidden(message, { code: 'NOT_OWNER', entity, operation });
+
+/**
+ * Split an already-sanitized proxy path into entity and record id.
+ * Returns null for paths that are not `/Entity` or `/Entity/:id`.
+ */
+export function parseEntityPath(path) {
+  const segments = path.split('/').filter(Boolean);
+  if (segments.length === 0 || segments.length > 2) return null;
+  return { entity: segments[0], id: segments[1] || null };
+}
+
+// Append a mandatory clause. It is added last so that, when merged with
+// caller clauses on the same field, its operator wins.
+const withConstraint = (params, field, value, op = 'eq') => ({
+  ...(params || {}),
+  where: [...((params && params.where) || []), { field, op, value }]
+});
+
+const withOwnershipConstraint = (params, field, playerIds) =>
+  playerIds.length === 1
+    ? withConstraint(params, field, playerIds[0])
+    : withConstraint(params, field, playerIds, 'in');
+
+// Rules for callers acting on their own AppUser record (including new users
+// who have no role yet and are claiming an invitation)
+async function authorizeAppUser(caller, { operation, id, params, body }, loadRecord) {
+  if (operation === 'read' && !id) {
+    return { allowed: true, params: withConstraint(params, 'firebaseUid', caller.uid), body };
+  }
+
+  if (operation === 'read' && id) {
+    const record = await loadRecord('AppUser', id);
+    if (!record) return deny(404, 'Not found', 'Record not found');
+    return record.firebaseUid === caller.uid
+      ? { allowed: true, params, body }
+      : forbidden('You can only read your own user record');
+  }
+
+  if (operation === 'update' && id && !caller.appUserId) {
+    const record = await loadRecord('AppUser', id);
+    if (!record) return deny(404, 'Not found', 'Record not found');
+
+    const claimsInvitation =
+      record.invitationStatus === 'pending' &&
+      !record.firebaseUid &&
+      caller.emailVerified !== false &&
+      caller.email &&
+      String(record.email).toLowerCase() === String(caller.email).toLowerCase() &&
+      body && body.firebaseUid === caller.uid &&
+      Object.keys(body).every(key => INVITATION_CLAIM_FIELDS.includes(key));
+
+    return claimsInvitation
+      ? { allowed: true, params, body }
+      : forbidden('You can only claim an invitation issued to your email address');
+  }
+
+  return forbidden('You do not have access to user records');
+}
+
+// Player-scoped entities: players and parents may only touch rows whose
+// owner field points at a player they own
+async function authorizeOwnedEntity(caller, { entity, id, operation, ownerField, params, body }, { loadRecord, findRows }) {
+  const ownedPlayerIds = await resolveOwnedPlayerIds(caller, { findRows });
+  if (ownedPlayerIds.length === 0) {
+    const message = caller.role !== 'parent'
+      ? 'Your account is not linked to a player profile'
+      : getVerifiedEmail(caller)
+        ? 'No players are linked to your account'
+        : 'Verify your email address to access your players';
+    return forbidden(message, { code: 'NO_LINKED_PLAYERS', entity, operation });
+  }
+
+  const owns = (playerId) => ownedPlayerIds.includes(playerId);
+
+  if (operation === 'create') {
+    if (ownerField === 'id') {
+      return forbidden(`${entity} records can only be created by staff`, { code: 'ROLE_NOT_PERMITTED', entity, operation });
+    }
+
+    // A player's own rows can be stamped automatically; parents must say which child
+    const playerId = body?.[ownerField] ?? (ownedPlayerIds.length === 1 && caller.role === 'player' ? ownedPlayerIds[0] : undefined);
+    if (!owns(playerId)) {
+      return notOwner(entity, operation, `You can only create ${entity} records for your own players`);
+    }
+    return { allowed: true, params, body: { ...body, [ownerField]: playerId } };
+  }
+
+  if (!id) {
+    return { allowed: true, params: withOwnershipConstraint(params, ownerField, ownedPlayerIds), body };
+  }
+
+  const record = await loadRecord(entity, id);
+  if (!record) return deny(404, 'Not found', 'Record not found');
+  if (!owns(record[ownerField])) {
+    return notOwner(entity, operation, `You can only access ${entity} records for your own players`);
+  }
+  if (operation === 'update' && body?.[ownerField] !== undefined && !owns(body[ownerField])) {
+    return notOwner(entity, operation, `${entity} records cannot be reassigned to another player`);
+  }
+  return { allowed: true, params, body };
+}
+
+// Players and parents cannot answer or change an RSVP once the event's RSVPs close.
+// Series RSVPs must name a real, scheduled occurrence; the start is stored in
+// canonical ISO form so it matches the keys the reminder job and feeds build.
+async function authorizeRsvpDeadline(decision, { operation, id, body }, loadRecord) {
+  const existing = operation === 'update' ? await loadRecord('EventRSVP', id) : null;
+  const eventId = body?.eventId ?? existing?.eventId;
+  const occurrenceStart = body?.occurrenceStart ?? existing?.occurrenceStart ?? null;
+
+  const event = eventId ? await loadRecord('TeamEvent', eventId) : null;
+  if (!event) return deny(404, 'Not found', 'Event not found');
+
+  const recurring = isRecurringEvent(event);
+  if (recurring ? !isSeriesOccurrence(event, occurrenceStart) : occurrenceStart) {
+    return deny(400, 'Invalid occurrence', 'RSVPs must be for an occurrence of this event', { code: 'INVALID_OCCURRENCE', entity: 'EventRSVP', operation });
+  }
+
+  const occurrence = getOccurrence(event, occurrenceStart);
+  if (recurring && occurrence.status === 'Cancelled') {
+    return forbidden('This occurrence has been cancelled', { code: 'OCCURRENCE_CANCELLED', entity: 'EventRSVP', operation });
+  }
+  if (!isRsvpOpen(occurrence)) {
+    return forbidden('RSVPs for this event are closed', { code: 'RSVP_CLOSED', entity: 'EventRSVP', operation });
+  }
+
+  if (recurring && body?.occurrenceStart !== undefined) {
+    return { ...decision, body: { ...decision.body, occurrenceStart: occurrence.occurrenceStart } };
+  }
+  return decision;
+}
+
+// Players and parents can submit profile changes but only staff review them.
+// oldValue is read from the Player so review can tell when a change has gone stale.
+async function authorizeFieldChangeLog(decision, caller, { operation }, loadRecord) {
+  if (operation === 'update' || operation === 'delete') {
+    return forbidden('Profile changes can only be reviewed by staff', { code: 'REVIEW_REQUIRED', entity: 'FieldChangeLog', operation });
+  }
+  if (operation === 'create') {
+    const { reviewedBy, reviewedAt, reviewNote, ...body } = decision.body || {};
+    // Reviewers notify the submitter at changedBy, so it is always the caller
+    const submitted = { ...body, changedBy: caller.email, status: PENDING_REVIEW };
+    const field = getProfileField(body.fieldName);
+
+    // Field names outside the profile policy are activity records (uploads and the like)
+    if (!field) return { ...decision, body: submitted };
+
+    if (getFieldAccess(field.key, caller.role) === FIELD_ACCESS.READ_ONLY) {
+      return forbidden(`${field.label} cannot be changed`, { code: 'FIELD_READ_ONLY', entity: 'FieldChangeLog', operation, fields: [field.key] });
+    }
+    const invalid = validateProfileField(field, body.newValue);
+    if (invalid) {
+      return deny(400, 'Invalid value', invalid, { code: 'INVALID_VALUE', entity: 'FieldChangeLog', operation, fields: [field.key] });
+    }
+
+    const player = await loadRecord('Player', body.playerId);
+    if (!player) return deny(404, 'Not found', 'Record not found');
+    return { ...decision, body: { ...submitted, oldValue: normalizeProfileValue(field, player[field.key]) } };
+  }
+  return decision;
+}
+
+// Families upload documents; only staff verify or reject them
+function authorizePlayerDocument(decision, { operation }) {
+  if (operation === 'update') {
+    return forbidden('Documents can only be reviewed by staff. Upload a new document instead.', { code: 'REVIEW_REQUIRED', entity: 'PlayerDocument', operation });
+  }
+  if (operation === 'create') {
+    const { reviewedBy, reviewedAt, reviewNote, ...body } = decision.body || {};
+    const invalid = validateDocument(body);
+    if (invalid) {
+      return deny(400, 'Invalid value', invalid, { code: 'INVALID_VALUE', entity: 'PlayerDocument', operation });
+    }
+    return { ...decision, body: { ...body, status: DOCUMENT_STATUS.PENDING } };
+  }
+  return decision;
+}
+
+// Direct Player edits must follow the field-level policy; review-only fields go
+// through FieldChangeLog instead
+async function authorizePlayerUpdate(decision, caller, { id, body }, loadRecord) {
+  const record = await loadRecord('Player', id);
+  if (!record) return deny(404, 'Not found', 'Record not found');
+
+  const violations = getPlayerUpdateViolations(caller.role, record, body);
+  if (violations.length === 0) return decision;
+
+  const [first] = violations;
+  const details = { code: first.code, entity: 'Player', operation: 'update', fields: violations.map(violation => violation.field) };
+  return first.code === 'INVALID_VALUE'
+    ? deny(400, 'Invalid value', first.message, details)
+    : forbidden(first.message, details);
+}
+
+// Every TeamEvent edit bumps SEQUENCE, whoever makes it and however it is
+// made, so subscribed calendars replace their copy of the event
+async function withEventSequence(decision, { id }, loadRecord) {
+  const record = await loadRecord('TeamEvent', id);
+  if (!record) return deny(404, 'Not found', 'Record not found');
+  const sequence = Number.isInteger(record.sequence) ? record.sequence : 0;
+  return { ...decision, body: { ...decision.body, sequence: sequence + 1 } };
+}
+
+/**
+ * Decide whether `caller` may perform the proxied request.
+ *
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{method: string, path: string, params?: object, body?: any}} request - Sanitized request
+ * @param {{loadRecord: (entity: string, id: string) => Promise<object|null>, findRows: Function}} deps
+ * @returns {Promise<{allowed: true, params?: object, body?: any} | {allowed: false, status: number, error: string, message: string, code?: string}>}
+ */
+export async function authorizeEntityRequest(caller, request, deps) {
+  const decision = await decideEntityRequest(caller, request, deps);
+  const target = parseEntityPath(request.path);
+
+  if (decision.allowed && target?.entity === 'TeamEvent' && target.id &&
+      METHOD_OPERATIONS[request.method.toUpperCase()] === 'update') {
+    return withEventSequence(decision, target, deps.loadRecord);
+  }
+  return decision;
+}
+
+async function decideEntityRequest(caller, request, deps) {
+  const { loadRecord } = deps;
+  const operation = METHOD_OPERATIONS[request.method.toUpperCase()];
+  const target = parseEntityPath(request.path);
+
+  if (!operation || !target) {
+    return caller.role === 'admin'
+      ? { allowed: true, params: request.params, body: request.body }
+      : forbidden('This path is not available through the proxy');
+  }
+
+  const { entity, id } = target;
+  const { params, body } = request;
+
+  if (caller.role === 'admin') {
+    return { allowed: true, params, body };
+  }
+
+  if (entity === 'AppUser') {
+    return authorizeAppUser(caller, { operation, id, params, body }, loadRecord);
+  }
+
+  if (!canAccessEntity(caller.role, entity, operation)) {
+    return forbidden(`Your role cannot ${operation} ${entity} records`, { code: 'ROLE_NOT_PERMITTED', entity, operation });
+  }
+
+  // The fee ledger and payment plans credit settled Payment rows, so only the
+  // payment processor and staff record them; families can read their own
+  if (entity === 'Payment' && operation !== 'read') {
+    return forbidden('Payments are recorded by the club', { code: 'ROLE_NOT_PERMITTED', entity, operation });
+  }
+
+  const { playerField, guardianField, recipientField } = ENTITY_PERMISSIONS[entity] || {};
+  const ownerField = OWNERSHIP_SCOPED_ROLES.includes(caller.role) ? playerField : null;
+
+  if (ownerField) {
+    const decision = await authorizeOwnedEntity(caller, { entity, id, operation, ownerField, params, body }, deps);
+    if (decision.allowed && entity === 'EventRSVP' && (operation === 'create' || operation === 'update')) {
+      return authorizeRsvpDeadline(decision, { operation, id, body: decision.body }, loadRecord);
+    }
+    if (decision.allowed && entity === 'FieldChangeLog') {
+      return authorizeFieldChangeLog(decision, caller, { operation }, loadRecord);
+    }
+    if (decision.allowed && entity === 'PlayerDocument') {
+      return authorizePlayerDocument(decision, { operation });
+    }
+    if (decision.allowed && entity === 'Player' && operation === 'update') {
+      return authorizePlayerUpdate(decision, caller, { id, body: decision.body }, loadRecord);
+    }
+    return decision;
+  }
+
+  if (entity === 'Player' && operation === 'update' && id) {
+    return authorizePlayerUpdate({ allowed: true, params, body }, caller, { id, body }, loadRecord);
+  }
+
+  if (guardianField && caller.role === 'parent') {
+    const email = getVerifiedEmail(caller);
+    if (!email) {
+      return forbidden('Verify your email address to access family records', { entity, operation });
+    }
+    if (!id) {
+      return { allowed: true, params: withConstraint(params, guardianField, email), body };
+    }
+
+    const record = await loadRecord(entity, id);
+    if (!record) return deny(404, 'Not found', 'Record not found');
+    if (record[guardianField] !== email) {
+      return notOwner(entity, operation, `You can only access your own ${entity} records`);
+    }
+    return { allowed: true, params, body };
+  }
+
+  if (recipientField && operation !== 'create') {
+    if (!caller.appUserId) {
+      return forbidden('Your account has no user record');
+    }
+
+    if (!id) {
+      return { allowed: true, params: withConstraint(params, recipientField, caller.appUserId), body };
+    }
+
+    const record = await loadRecord(entity, id);
+    if (!record) return deny(404, 'Not found', 'Record not found');
+    if (record[recipientField] !== caller.appUserId) {
+      return notOwner(entity, operation, `You can only access your own ${entity} records`);
+    }
+  }
+
+  return { allowed: true, params, body };
+}
+
+/**
+ * The only request allowed without an ID token: looking up a pending
+ * invitation by its code, which the registration page does before the
+ * invitee has a Firebase account.
+ */
+export function authorizeAnonymousRequest({ method, path, params }) {
+  const target = parseEntityPath(path);
+  const where = (params && params.where) || [];
+  const hasEquality = (field) => where.some(clause =>
+    clause.field === field && clause.op === 'eq' && typeof clause.value === 'string' && clause.value.length > 0
+  );
+
+  const isInvitationLookup =
+    method.toUpperCase() === 'GET' &&
+    target && target.entity === 'AppUser' && !target.id &&
+    where.length === 2 &&
+    hasEquality('invitationCode') &&
+    where.some(clause => clause.field === 'invitationStatus' && clause.op === 'eq' && clause.value === 'pending');
+
+  if (!isInvitationLookup) {
+    return deny(401, 'Authentication required', 'You must be logged in to access this resource');
+  }
+
+  return { allowed: true, params: { where, limit: 1 } };
+}
@@ -0,0 +1,27 @@
+// Server-side counterpart of NotificationService.createNotification
+// (shared/services/notificationService.ts). Writes the same document shape to
+// the same collection so the in-app notification feed picks it up.
+
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { getAdminApp } from './auth.js';
+
+const NOTIFICATIONS_COLLECTION = 'chatNotifications';
+
+/**
+ * @param {string} userId - Recipient's Firebase uid
+ * @param {string} chatId - Source record id (the event for RSVP notifications)
+ * @param {string} messageId - Sub-record id, e.g. the occurrence key
+ * @param {string} type - ChatNotification type
+ * @param {{title?: string, body?: string, link?: string}} [details]
+ */
+export async function createNotification(userId, chatId, messageId, type, details = {}) {
+  await getFirestore(getAdminApp()).collection(NOTIFICATIONS_COLLECTION).add({
+    userId,
+    chatId,
+    messageId,
+    type,
+    ...details,
+    isRead: false,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+}
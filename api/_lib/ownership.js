@@ -0,0 +1,35 @@
+// Resolves which players a caller owns: a player owns their own profile and a
+// parent owns every player linked to them through an active ParentPlayerAssignment.
+// Parents are matched on email, so only an email the identity provider verified counts.
+
+/**
+ * The caller's email when it can be trusted for ownership lookups
+ * @param {object} caller - Result of authenticateRequest
+ * @returns {string|null}
+ */
+export const getVerifiedEmail = (caller) => (caller.email && caller.emailVerified === true ? caller.email : null);
+
+/**
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{findRows: (entity: string, filter: object, limit?: number) => Promise<object[]>}} deps
+ * @returns {Promise<string[]>} Player ids the caller may act on
+ */
+export async function resolveOwnedPlayerIds(caller, { findRows }) {
+  if (caller.role === 'player') {
+    return caller.playerId ? [caller.playerId] : [];
+  }
+
+  const email = getVerifiedEmail(caller);
+  if (caller.role === 'parent' && email) {
+    const assignments = await findRows('ParentPlayerAssignment', {
+      parentEmail: email,
+      isActive: true
+    });
+    return [...new Set(assignments.map(assignment => assignment.playerId).filter(Boolean))];
+  }
+
+  return [];
+}
+
+// Roles whose access to player-scoped entities is limited to owned players
+export const OWNERSHIP_SCOPED_ROLES = ['player', 'parent'];
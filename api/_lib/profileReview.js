@@ -0,0 +1,225 @@
+// Staff review of player profile edits. Players and parents submit changes as
+// FieldChangeLog rows with status 'Pending Review'; approving a change writes
+// the new value to the Player, rejecting leaves the Player untouched. Either
+// way the row records who reviewed it and when, and the submitter is told.
+// A change is only approved while the Player still holds the value it was made
+// against and the new value passes the profile validators.
+
+import {
+  PENDING_REVIEW,
+  getProfileField,
+  isSameProfileValue,
+  normalizeProfileValue,
+  validateProfileField
+} from '../../shared/utils/playerProfile.js';
+
+export const REVIEW_DECISIONS = {
+  approve: 'Approved',
+  reject: 'Rejected'
+};
+
+// Roles allowed to review profile changes
+export const REVIEWER_ROLES = ['admin', 'coach'];
+
+// Upper bound on changes handled in one request
+export const MAX_REVIEW_BATCH = 100;
+
+const failure = (status, code, message) => ({ success: false, status, code, message });
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const displayValue = (value) => (value === '' || value === null || value === undefined ? '(blank)' : String(value));
+
+function outcomeMessage(reviews, { appUrl }) {
+  const approved = reviews.filter(review => review.status === REVIEW_DECISIONS.approve).length;
+  const rejected = reviews.length - approved;
+  const players = [...new Set(reviews.map(review => review.playerName))].join(', ');
+  const link = `${appUrl}/profile`;
+
+  const rows = reviews.map(review => `
+          <tr>
+            <td style="padding: 4px 8px;">${escapeHtml(review.playerName)}</td>
+            <td style="padding: 4px 8px;">${escapeHtml(review.fieldName)}</td>
+            <td style="padding: 4px 8px;">${escapeHtml(displayValue(review.newValue))}</td>
+            <td style="padding: 4px 8px;">${escapeHtml(review.status)}</td>
+          </tr>`).join('');
+
+  const summary = [
+    approved > 0 && `${approved} approved`,
+    rejected > 0 && `${rejected} rejected`
+  ].filter(Boolean).join(', ');
+
+  return {
+    subject: `Profile changes reviewed for ${players}`,
+    title: 'Profile changes reviewed',
+    text: `Your profile changes for ${players} were reviewed: ${summary}.`,
+    body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Profile changes reviewed</h2>
+        <p>Staff reviewed the profile changes you submitted for ${escapeHtml(players)}: ${summary}.</p>
+        <table style="border-collapse: collapse; width: 100%;">
+          <tr>
+            <th style="text-align: left; padding: 4px 8px;">Player</th>
+            <th style="text-align: left; padding: 4px 8px;">Field</th>
+            <th style="text-align: left; padding: 4px 8px;">New value</th>
+            <th style="text-align: left; padding: 4px 8px;">Outcome</th>
+          </tr>${rows}
+        </table>
+        ${reviews.some(review => review.reviewNote) ? `<p>Note from staff: ${escapeHtml(reviews.find(review => review.reviewNote).reviewNote)}</p>` : ''}
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${link}"
+             style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            View Profile
+          </a>
+        </div>
+      </div>
+    `,
+    link
+  };
+}
+
+/**
+ * Approve or reject a batch of pending FieldChangeLog rows
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{ids: string[], decision: 'approve'|'reject', note?: string}} request
+ * @param {Object} deps
+ * @param {(entity: string, id: string) => Promise<object|null>} deps.loadRecord
+ * @param {(entity: string, filter: object, limit?: number) => Promise<object[]>} deps.findRows
+ * @param {(entity: string, id: string, body: object) => Promise<object>} deps.updateRow
+ * @param {(params: object) => Promise<{success: boolean}>} deps.sendEmail
+ * @param {(userId: string, chatId: string, messageId: string, type: string, details: object) => Promise<void>} deps.createNotification
+ * @param {string} deps.appUrl - Portal base URL for links
+ * @param {Date} [deps.now]
+ * @returns {Promise<{success: true, reviewed: object[], skipped: Array<{id: string, code: string, message?: string}>, errors: string[]} | {success: false, status: number, code: string, message: string}>}
+ *   Stale and invalid changes are skipped and stay pending for staff to reject.
+ */
+export async function reviewFieldChanges(caller, { ids, decision, note }, deps) {
+  const { loadRecord, findRows, updateRow, sendEmail, createNotification, appUrl, now = new Date() } = deps;
+
+  if (!REVIEWER_ROLES.includes(caller.role)) {
+    return failure(403, 'ROLE_NOT_PERMITTED', 'Only staff can review profile changes');
+  }
+  const status = REVIEW_DECISIONS[decision];
+  if (!status) {
+    return failure(400, 'INVALID_DECISION', 'Decision must be approve or reject');
+  }
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REVIEW_BATCH) {
+    return failure(400, 'INVALID_BATCH', `Review between 1 and ${MAX_REVIEW_BATCH} changes at a time`);
+  }
+
+  const skipped = [];
+  const pending = [];
+  for (const id of [...new Set(ids)]) {
+    const change = await loadRecord('FieldChangeLog', id);
+    if (!change) skipped.push({ id, code: 'NOT_FOUND' });
+    else if (change.status !== PENDING_REVIEW) skipped.push({ id, code: 'ALREADY_REVIEWED' });
+    else pending.push(change);
+  }
+
+  // Value each approved change replaced, by change id
+  const replaced = new Map();
+
+  // Write approved values first, oldest change first so a later edit builds on an
+  // earlier one in the same batch. Rows for fields outside the profile policy are
+  // activity records and change nothing.
+  if (status === REVIEW_DECISIONS.approve) {
+    const players = new Map();
+    const byPlayer = new Map();
+    const sorted = [...pending].sort((a, b) => new Date(a.changeDate) - new Date(b.changeDate));
+
+    for (const change of sorted) {
+      const field = getProfileField(change.fieldName);
+      if (!field) continue;
+
+      if (!players.has(change.playerId)) players.set(change.playerId, await loadRecord('Player', change.playerId));
+      const player = players.get(change.playerId);
+      if (!player) {
+        skipped.push({ id: change.id, code: 'PLAYER_NOT_FOUND', message: `${change.playerName || 'This player'} no longer exists` });
+        continue;
+      }
+
+      const values = byPlayer.get(change.playerId) || {};
+      const current = field.key in values ? values[field.key] : player[field.key];
+      if (!isSameProfileValue(field, current, change.oldValue)) {
+        skipped.push({ id: change.id, code: 'STALE_CHANGE', message: `${field.label} has changed since this was submitted` });
+        continue;
+      }
+      const invalid = validateProfileField(field, change.newValue, now);
+      if (invalid) {
+        skipped.push({ id: change.id, code: 'INVALID_VALUE', message: invalid });
+        continue;
+      }
+
+      replaced.set(change.id, normalizeProfileValue(field, current));
+      byPlayer.set(change.playerId, { ...values, [field.key]: normalizeProfileValue(field, change.newValue) });
+    }
+
+    for (const [playerId, values] of byPlayer) {
+      await updateRow('Player', playerId, values);
+    }
+  }
+
+  const review = {
+    status,
+    reviewedBy: caller.email,
+    reviewedAt: now.toISOString(),
+    ...(note ? { reviewNote: note } : {})
+  };
+  const skippedIds = new Set(skipped.map(entry => entry.id));
+  const reviewed = [];
+  for (const change of pending.filter(change => !skippedIds.has(change.id))) {
+    // Approved rows keep the value they replaced alongside the new one
+    const fields = replaced.has(change.id) ? { ...review, oldValue: replaced.get(change.id) } : review;
+    await updateRow('FieldChangeLog', change.id, fields);
+    reviewed.push({ ...change, ...fields });
+  }
+
+  const errors = await notifySubmitters(reviewed, { findRows, sendEmail, createNotification, appUrl });
+  return { success: true, reviewed, skipped, errors };
+}
+
+// One email and one in-app notification per submitter. Failures are reported
+// but do not undo the review.
+async function notifySubmitters(reviewed, { findRows, sendEmail, createNotification, appUrl }) {
+  const errors = [];
+  const bySubmitter = new Map();
+  reviewed
+    .filter(change => change.changedBy)
+    .forEach(change => {
+      const email = change.changedBy.toLowerCase();
+      bySubmitter.set(email, [...(bySubmitter.get(email) || []), change]);
+    });
+  if (bySubmitter.size === 0) return errors;
+
+  const appUsers = await findRows('AppUser', { email: { $in: [...bySubmitter.keys()] } });
+  const uidByEmail = new Map(appUsers
+    .filter(user => user.firebaseUid && user.email)
+    .map(user => [user.email.toLowerCase(), user.firebaseUid]));
+
+  for (const [email, changes] of bySubmitter) {
+    const message = outcomeMessage(changes, { appUrl });
+    try {
+      const result = await sendEmail({ to: email, subject: message.subject, body: message.body, text: message.text });
+      if (!result.success) throw new Error(`Review email to ${email} failed: ${result.error}`);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    const uid = uidByEmail.get(email);
+    if (!uid) continue;
+    try {
+      await createNotification(uid, changes[0].playerId, changes[0].id, 'profile_review', {
+        title: message.title,
+        body: message.text,
+        link: message.link
+      });
+    } catch (error) {
+      errors.push(`Review notification to ${email} failed: ${error.message}`);
+    }
+  }
+  return errors;
+}
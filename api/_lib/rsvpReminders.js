@@ -0,0 +1,265 @@
+// RSVP follow-up for upcoming team events. Reminds players and parents who have
+// not answered as the RSVP deadline approaches, then sends the organizer a
+// headcount once RSVPs close.
+//
+// Progress is stored on the records themselves so reruns never repeat a message:
+// EventRSVP.remindersSent lists the reminder stages sent to that player (a
+// 'No Response' row is created when none exists) and TeamEvent.headcountsSent
+// lists the occurrences whose headcount has gone out.
+
+import { expandEvents, getRsvpKey } from '../../shared/utils/recurrence.js';
+import { getEventPlayers, getRsvpDeadline, EVENT_TIMEZONE } from '../../shared/utils/teamEvents.js';
+
+// Only events starting within this window are considered
+export const REMINDER_LOOKAHEAD_DAYS = 14;
+
+// Reminders go out this many hours before RSVPs close
+export const REMINDER_STAGES_HOURS = [72, 24];
+
+export const NO_RESPONSE = 'No Response';
+
+const RSVP_STATUSES = ['Attending', 'Maybe', 'Not Attending', NO_RESPONSE];
+
+const HOUR_MS = 60 * 60 * 1000;
+const ROW_LIMIT = 1000;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const playerName = (player) => `${player.firstName || ''} ${player.lastName || ''}`.trim();
+
+/**
+ * The reminder stage (hours before the deadline) that is due now, or null
+ * @param {Object} occurrence - TeamEvent or expanded occurrence
+ * @param {Date} now
+ * @returns {number|null}
+ */
+export function getDueStage(occurrence, now) {
+  const deadline = getRsvpDeadline(occurrence).getTime();
+  if (now.getTime() >= deadline) return null;
+
+  const passed = REMINDER_STAGES_HOURS.filter(hours => now.getTime() >= deadline - hours * HOUR_MS);
+  return passed.length > 0 ? Math.min(...passed) : null;
+}
+
+function reminderMessage(occurrence, player, { formatDate, appUrl }) {
+  const when = formatDate(occurrence.startDate);
+  const closes = formatDate(getRsvpDeadline(occurrence));
+  const name = playerName(player);
+  const link = `${appUrl}/calendar?view=agenda`;
+
+  return {
+    subject: `RSVP needed: ${occurrence.title} on ${when}`,
+    title: `RSVP needed for ${occurrence.title}`,
+    text: `Please let the coaches know if ${name} will attend ${occurrence.title} on ${when}. RSVPs close ${closes}.`,
+    body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">RSVP needed</h2>
+        <p>Please let the coaches know if <strong>${escapeHtml(name)}</strong> will attend:</p>
+        <p>
+          <strong>${escapeHtml(occurrence.title)}</strong><br>
+          ${escapeHtml(when)}${occurrence.location ? `<br>${escapeHtml(occurrence.location)}` : ''}
+        </p>
+        <p>RSVPs close <strong>${escapeHtml(closes)}</strong>.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${link}"
+             style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; display: inline-block;">
+            Respond Now
+          </a>
+        </div>
+      </div>
+    `,
+    link
+  };
+}
+
+function headcountMessage(occurrence, responses, { formatDate }) {
+  const when = formatDate(occurrence.startDate);
+  const counts = Object.fromEntries(RSVP_STATUSES.map(status => [
+    status,
+    responses.filter(response => response.status === status)
+  ]));
+
+  const sections = RSVP_STATUSES
+    .filter(status => counts[status].length > 0)
+    .map(status => `
+        <h3 style="color: #333;">${status} (${counts[status].length})</h3>
+        <ul>${counts[status].map(response => `<li>${escapeHtml(response.name)}</li>`).join('')}</ul>`)
+    .join('');
+
+  return {
+    subject: `Headcount: ${occurrence.title} on ${when}`,
+    text: RSVP_STATUSES.map(status => `${status}: ${counts[status].length}`).join(', '),
+    body: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">RSVPs are closed for ${escapeHtml(occurrence.title)}</h2>
+        <p>${escapeHtml(when)}${occurrence.location ? ` &middot; ${escapeHtml(occurrence.location)}` : ''}</p>
+        ${sections}
+      </div>
+    `
+  };
+}
+
+// RSVPs for just the occurrences being processed. Series accumulate a row per
+// player per occurrence, so their rows are matched on the occurrence start too;
+// at most one row per player per occurrence can match.
+function findOccurrenceRsvps(occurrences, playerIds, { findRows }) {
+  const oneOffIds = [...new Set(occurrences.filter(occurrence => !occurrence.occurrenceStart).map(occurrence => occurrence.id))];
+  const series = occurrences.filter(occurrence => occurrence.occurrenceStart);
+  const clauses = [
+    ...(oneOffIds.length > 0 ? [{ eventId: { $in: oneOffIds } }] : []),
+    ...(series.length > 0
+      ? [{
+        eventId: { $in: [...new Set(series.map(occurrence => occurrence.id))] },
+        occurrenceStart: { $in: [...new Set(series.map(occurrence => occurrence.occurrenceStart))] }
+      }]
+      : [])
+  ];
+
+  return findRows('EventRSVP', {
+    playerId: { $in: playerIds },
+    $or: clauses
+  }, Math.max(ROW_LIMIT, occurrences.length * playerIds.length));
+}
+
+/**
+ * Run one pass of the reminder job
+ * @param {Object} deps
+ * @param {(entity: string, filter: object, limit?: number) => Promise<object[]>} deps.findRows
+ * @param {(entity: string, body: object) => Promise<object>} deps.createRow
+ * @param {(entity: string, id: string, body: object) => Promise<object>} deps.updateRow
+ * @param {(params: object) => Promise<{success: boolean}>} deps.sendEmail - emailService.sendEmail bound to a server transport
+ * @param {(userId: string, chatId: string, messageId: string, type: string, details: object) => Promise<void>} deps.createNotification
+ * @param {string} deps.appUrl - Portal base URL for links
+ * @param {string} [deps.timeZone] - Zone series are expanded in and message dates are shown in
+ * @param {Date} [deps.now]
+ * @returns {Promise<{occurrences: number, reminders: number, emails: number, notifications: number, headcounts: number, errors: string[]}>}
+ */
+export async function runRsvpReminders(deps) {
+  const { findRows, createRow, updateRow, sendEmail, createNotification, appUrl, timeZone = EVENT_TIMEZONE, now = new Date() } = deps;
+  const summary = { occurrences: 0, reminders: 0, emails: 0, notifications: 0, headcounts: 0, errors: [] };
+  const formatDate = (date) => new Date(date).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone
+  });
+
+  const horizon = new Date(now.getTime() + REMINDER_LOOKAHEAD_DAYS * 24 * HOUR_MS);
+  const events = await findRows('TeamEvent', {
+    requiresRSVP: true,
+    $or: [
+      { startDate: { $gte: now.toISOString(), $lt: horizon.toISOString() } },
+      { isRecurring: true, startDate: { $lt: horizon.toISOString() } }
+    ]
+  }, ROW_LIMIT);
+
+  const occurrences = expandEvents(events, { start: now, end: horizon }, { timeZone });
+  summary.occurrences = occurrences.length;
+  if (occurrences.length === 0) return summary;
+
+  const teamIds = [...new Set(occurrences.flatMap(occurrence => occurrence.teamIds || []))];
+  const players = await findRows('Player', { teamIds: { $in: teamIds } }, ROW_LIMIT);
+  const playerIds = players.map(player => player.id);
+  const [rsvps, assignments] = await Promise.all([
+    playerIds.length > 0 ? findOccurrenceRsvps(occurrences, playerIds, { findRows }) : [],
+    playerIds.length > 0
+      ? findRows('ParentPlayerAssignment', { playerId: { $in: playerIds }, isActive: true }, ROW_LIMIT)
+      : []
+  ]);
+
+  const recipientsFor = (player) => [...new Set(
+    [player.emailAddress, ...assignments.filter(a => a.playerId === player.id).map(a => a.parentEmail)]
+      .filter(Boolean)
+      .map(email => email.toLowerCase())
+  )];
+
+  const allEmails = [...new Set(players.flatMap(recipientsFor))];
+  const appUsers = allEmails.length > 0
+    ? await findRows('AppUser', { email: { $in: allEmails } }, ROW_LIMIT)
+    : [];
+  const uidByEmail = new Map(appUsers
+    .filter(user => user.firebaseUid && user.email)
+    .map(user => [user.email.toLowerCase(), user.firebaseUid]));
+
+  // Headcount markers per series, kept locally so several occurrences in one run accumulate
+  const headcountsSent = new Map(events.map(event => [event.id, event.headcountsSent || []]));
+
+  for (const occurrence of occurrences) {
+    const key = getRsvpKey(occurrence.id, occurrence.occurrenceStart);
+    const eventPlayers = getEventPlayers(occurrence, players);
+    const rsvpFor = (playerId) => rsvps.find(rsvp =>
+      rsvp.playerId === playerId && getRsvpKey(rsvp.eventId, rsvp.occurrenceStart) === key
+    );
+
+    try {
+      if (now >= getRsvpDeadline(occurrence)) {
+        const sent = headcountsSent.get(occurrence.id);
+        const organizer = occurrence.organizerEmail || occurrence.created_by;
+        if (sent.includes(key) || !organizer) continue;
+
+        const responses = eventPlayers.map(player => ({
+          name: playerName(player),
+          status: rsvpFor(player.id)?.status || NO_RESPONSE
+        }));
+        const message = headcountMessage(occurrence, responses, { formatDate });
+        const result = await sendEmail({ to: organizer, subject: message.subject, body: message.body, text: message.text });
+        if (!result.success) throw new Error(`Headcount email to ${organizer} failed: ${result.error}`);
+
+        sent.push(key);
+        await updateRow('TeamEvent', occurrence.id, { headcountsSent: sent });
+        summary.headcounts += 1;
+        continue;
+      }
+
+      const stage = getDueStage(occurrence, now);
+      if (stage === null) continue;
+
+      for (const player of eventPlayers) {
+        const rsvp = rsvpFor(player.id);
+        if (rsvp && rsvp.status !== NO_RESPONSE) continue;
+        if ((rsvp?.remindersSent || []).includes(`${stage}h`)) continue;
+
+        const message = reminderMessage(occurrence, player, { formatDate, appUrl });
+        for (const email of recipientsFor(player)) {
+          const result = await sendEmail({ to: email, subject: message.subject, body: message.body, text: message.text });
+          if (result.success) summary.emails += 1;
+          else summary.errors.push(`Reminder to ${email} for ${key} failed: ${result.error}`);
+
+          const uid = uidByEmail.get(email);
+          if (uid) {
+            await createNotification(uid, occurrence.id, key, 'rsvp_reminder', {
+              title: message.title,
+              body: message.text,
+              link: message.link
+            });
+            summary.notifications += 1;
+          }
+        }
+
+        // Earlier stages are marked too, so a late run never sends an older reminder afterwards
+        const remindersSent = [...new Set([
+          ...(rsvp?.remindersSent || []),
+          ...REMINDER_STAGES_HOURS.filter(hours => hours >= stage).map(hours => `${hours}h`)
+        ])];
+        if (rsvp) {
+          await updateRow('EventRSVP', rsvp.id, { remindersSent });
+        } else {
+          await createRow('EventRSVP', {
+            eventId: occurrence.id,
+            occurrenceStart: occurrence.occurrenceStart || null,
+            playerId: player.id,
+            playerName: playerName(player),
+            status: NO_RESPONSE,
+            remindersSent
+          });
+        }
+        summary.reminders += 1;
+      }
+    } catch (error) {
+      summary.errors.push(`${key}: ${error.message}`);
+    }
+  }
+
+  return summary;
+}
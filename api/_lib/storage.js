@@ -0,0 +1,255 @@
+// File storage for the portal. Browsers never talk to the bucket with their
+// own credentials: /api/storage checks who owns a file, then hands out a
+// short-lived signed URL to upload or download it. Two backends share that
+// shape - Firebase Storage in production and a directory on local disk for
+// development and tests.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getStorage } from 'firebase-admin/storage';
+import { getAdminApp } from './auth.js';
+import { resolveOwnedPlayerIds } from './ownership.js';
+import { canAccessEntity } from '../../shared/utils/permissions';
+import {
+  FILE_CATEGORIES,
+  DOWNLOAD_URL_TTL_MINUTES,
+  UPLOAD_URL_TTL_MINUTES,
+  validateFile,
+  buildStoragePath,
+  parseStoragePath,
+  isValidOwnerId
+} from '../../shared/utils/fileStorage.js';
+
+const MINUTE_MS = 60 * 1000;
+
+export const STORAGE_ACTIONS = ['upload', 'download', 'delete'];
+
+// Entity whose permissions govern each player-owned category, per action
+const CATEGORY_ENTITIES = {
+  photo: { entity: 'Player', read: 'read', write: 'update' },
+  schoolId: { entity: 'Player', read: 'read', write: 'update' },
+  reportCard: { entity: 'Player', read: 'read', write: 'update' },
+  document: { entity: 'PlayerDocument', read: 'read', write: 'create', remove: 'delete' },
+  playerImage: { entity: 'PlayerImage', read: 'read', write: 'create', remove: 'delete' }
+};
+
+const failure = (status, code, message) => ({ success: false, status, code, message });
+
+/**
+ * Firebase Storage backend. Size limits are enforced by the bucket through the
+ * signed `x-goog-content-length-range` header.
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ */
+export function createFirebaseStorage(bucket) {
+  return {
+    name: 'firebase',
+
+    async createUploadUrl(filePath, { contentType, maxSize, expiresAt }) {
+      const headers = { 'x-goog-content-length-range': `0,${maxSize}` };
+      const [url] = await bucket.file(filePath).getSignedUrl({
+        version: 'v4',
+        action: 'write',
+        expires: expiresAt,
+        contentType,
+        extensionHeaders: headers
+      });
+      return { url, method: 'PUT', headers: { 'Content-Type': contentType, ...headers } };
+    },
+
+    async createDownloadUrl(filePath, { expiresAt }) {
+      const [url] = await bucket.file(filePath).getSignedUrl({ version: 'v4', action: 'read', expires: expiresAt });
+      return url;
+    },
+
+    async remove(filePath) {
+      await bucket.file(filePath).delete({ ignoreNotFound: true });
+    }
+  };
+}
+
+/**
+ * Local disk backend. Signed URLs point back at /api/storage, which reads and
+ * writes files under `root` once the token checks out.
+ * @param {{root: string, baseUrl: string, secret: string}} options
+ */
+export function createLocalStorage({ root, baseUrl, secret }) {
+  const sign = (payload) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+  const createToken = (claims) => {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  };
+
+  const resolve = (filePath) => {
+    const resolved = path.resolve(root, filePath);
+    if (!resolved.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Storage path escapes the storage root: ${filePath}`);
+    }
+    return resolved;
+  };
+
+  const fileUrl = (token) => `${baseUrl}/api/storage?token=${encodeURIComponent(token)}`;
+
+  return {
+    name: 'local',
+
+    async createUploadUrl(filePath, { contentType, maxSize, expiresAt }) {
+      const token = createToken({ p: filePath, a: 'write', t: contentType, s: maxSize, x: expiresAt.getTime() });
+      return { url: fileUrl(token), method: 'PUT', headers: { 'Content-Type': contentType } };
+    },
+
+    async createDownloadUrl(filePath, { expiresAt }) {
+      return fileUrl(createToken({ p: filePath, a: 'read', x: expiresAt.getTime() }));
+    },
+
+    async remove(filePath) {
+      await fs.rm(resolve(filePath), { force: true });
+      await fs.rm(`${resolve(filePath)}.json`, { force: true });
+    },
+
+    /**
+     * Check a token from a signed URL
+     * @param {string} token
+     * @param {Date} [now]
+     * @returns {{path: string, access: 'read'|'write', contentType?: string, maxSize?: number}|null}
+     */
+    verifyToken(token, now = new Date()) {
+      if (typeof token !== 'string') return null;
+      const [payload, signature] = token.split('.');
+      if (!payload || !signature) return null;
+
+      const expected = Buffer.from(sign(payload));
+      const actual = Buffer.from(signature);
+      if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+      try {
+        const { p, a, t, s, x } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!parseStoragePath(p) || x < now.getTime()) return null;
+        return { path: p, access: a, contentType: t, maxSize: s };
+      } catch {
+        return null;
+      }
+    },
+
+    async write(filePath, data, contentType) {
+      const target = resolve(filePath);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, data);
+      await fs.writeFile(`${target}.json`, JSON.stringify({ contentType }));
+    },
+
+    async read(filePath) {
+      const target = resolve(filePath);
+      try {
+        const [data, meta] = await Promise.all([fs.readFile(target), fs.readFile(`${target}.json`, 'utf8')]);
+        return { data, contentType: JSON.parse(meta).contentType };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+}
+
+let backend = null;
+
+/**
+ * Backend chosen by STORAGE_BACKEND ('firebase' by default, or 'local')
+ * @param {{baseUrl: string}} options - Used by the local backend for its URLs
+ */
+export function getStorageBackend({ baseUrl }) {
+  if (process.env.STORAGE_BACKEND === 'local') {
+    const secret = process.env.STORAGE_URL_SECRET;
+    if (!secret) {
+      throw new Error('STORAGE_URL_SECRET is not configured');
+    }
+    return createLocalStorage({ root: process.env.STORAGE_LOCAL_DIR || '.storage', baseUrl, secret });
+  }
+
+  if (!backend) {
+    const bucketName = process.env.FIREBASE_STORAGE_BUCKET || process.env.VITE_FIREBASE_STORAGE_BUCKET;
+    backend = createFirebaseStorage(getStorage(getAdminApp()).bucket(bucketName));
+  }
+  return backend;
+}
+
+// Whether the caller may touch files belonging to `ownerId` in `category`
+async function canAccessOwner(caller, category, ownerId, action, { findRows, loadChatRoom }) {
+  if (caller.role === 'admin') return true;
+
+  if (FILE_CATEGORIES[category].owner === 'chatRoom') {
+    const room = await loadChatRoom(ownerId);
+    return !!room?.participants?.some(participant => participant.userId === caller.uid);
+  }
+
+  const rules = CATEGORY_ENTITIES[category];
+  const operation = action === 'download' ? rules.read : (action === 'delete' && rules.remove) || rules.write;
+  if (!canAccessEntity(caller.role, rules.entity, operation)) return false;
+  if (caller.role !== 'player' && caller.role !== 'parent') return true;
+
+  const ownedPlayerIds = await resolveOwnedPlayerIds(caller, { findRows });
+  return ownedPlayerIds.includes(ownerId);
+}
+
+/**
+ * Run one storage request for an authenticated caller
+ *
+ * - upload: `{category, ownerId, fileName, contentType, size}` → `{path, upload: {url, method, headers}, expiresAt}`
+ * - download: `{path}` → `{url, expiresAt}`
+ * - delete: `{path}` → `{deleted: true}`
+ *
+ * @param {object} caller - Result of authenticateRequest
+ * @param {{action: string}} request
+ * @param {{backend: object, findRows: Function, loadChatRoom: (roomId: string) => Promise<object|null>, now?: Date}} deps
+ * @returns {Promise<{success: true}|{success: false, status: number, code: string, message: string}>}
+ */
+export async function runStorageRequest(caller, request, deps) {
+  const { backend: storage, now = new Date() } = deps;
+  const { action } = request || {};
+
+  if (!caller.role) {
+    return failure(403, 'ROLE_NOT_PERMITTED', 'Your account cannot access files');
+  }
+  if (!STORAGE_ACTIONS.includes(action)) {
+    return failure(400, 'INVALID_ACTION', `Action must be one of: ${STORAGE_ACTIONS.join(', ')}`);
+  }
+
+  if (action === 'upload') {
+    const { category, ownerId, fileName, contentType, size } = request;
+    if (!FILE_CATEGORIES[category] || !isValidOwnerId(ownerId)) {
+      return failure(400, 'INVALID_REQUEST', 'A valid file category and owner are required');
+    }
+    const invalid = validateFile(category, { size, type: contentType });
+    if (invalid) return failure(400, 'INVALID_FILE', invalid);
+
+    if (!(await canAccessOwner(caller, category, ownerId, action, deps))) {
+      return failure(403, 'NOT_OWNER', 'You cannot upload files here');
+    }
+
+    const filePath = buildStoragePath(category, ownerId, fileName, now);
+    const expiresAt = new Date(now.getTime() + UPLOAD_URL_TTL_MINUTES * MINUTE_MS);
+    const upload = await storage.createUploadUrl(filePath, {
+      contentType,
+      maxSize: FILE_CATEGORIES[category].maxSize,
+      expiresAt
+    });
+    return { success: true, path: filePath, upload, expiresAt: expiresAt.toISOString() };
+  }
+
+  const target = parseStoragePath(request.path);
+  if (!target) return failure(400, 'INVALID_PATH', 'Unknown file');
+
+  if (!(await canAccessOwner(caller, target.category, target.ownerId, action, deps))) {
+    return failure(403, 'NOT_OWNER', action === 'delete' ? 'You cannot delete this file' : 'You cannot view this file');
+  }
+
+  if (action === 'delete') {
+    await storage.remove(request.path);
+    return { success: true, deleted: true };
+  }
+
+  const expiresAt = new Date(now.getTime() + DOWNLOAD_URL_TTL_MINUTES * MINUTE_MS);
+  const url = await storage.createDownloadUrl(request.path, { expiresAt });
+  return { success: true, url, expiresAt: expiresAt.toISOString() };
+}
@@ -0,0 +1,64 @@
+// Vercel serverless function for QR attendance check-in
+// POST { action: 'issue', eventId, occurrenceStart }  coaches get a signed check-in code
+// POST { token, playerId }                            players and parents check in with a scanned code
+
+import { fetchBase44, findBase44Rows, createBase44Row } from './_lib/base44.js';
+import { authenticateRequest, AuthError } from './_lib/auth.js';
+import { issueCheckInCode, checkInWithCode } from './_lib/checkIn.js';
+
+function getAppBaseUrl(req) {
+  if (process.env.PUBLIC_APP_URL) return process.env.PUBLIC_APP_URL.replace(/\/$/, '');
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers.host}`;
+}
+
+export default async function handler(req, res) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are allowed for check-in'
+    });
+  }
+
+  let caller;
+  try {
+    caller = await authenticateRequest(req);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('Check-in authentication error:', error);
+      return res.status(500).json({ error: 'Internal server error', message: 'Unable to process check-in' });
+    }
+    return res.status(error.status).json({ error: 'Authentication required', message: error.message, code: error.code });
+  }
+
+  const body = req.body || {};
+  const deps = {
+    findRows: findBase44Rows,
+    loadRecord: (entity, id) => fetchBase44(`/${entity}/${id}`),
+    createRow: createBase44Row
+  };
+
+  try {
+    const result = body.action === 'issue'
+      ? await issueCheckInCode(caller, { eventId: body.eventId, occurrenceStart: body.occurrenceStart || null }, deps)
+      : await checkInWithCode(caller, { token: body.token, playerId: body.playerId }, deps);
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: 'Check-in failed', message: result.message, code: result.code });
+    }
+
+    if (body.action === 'issue') {
+      const url = `${getAppBaseUrl(req)}/check-in?code=${encodeURIComponent(result.token)}`;
+      return res.status(200).json({ url, expiresAt: result.expiresAt, closesAt: result.closesAt });
+    }
+    return res.status(200).json({ attendance: result.attendance, event: result.event });
+  } catch (error) {
+    console.error('Check-in error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to process check-in'
+    });
+  }
+}
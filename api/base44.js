@@ -2,7 +2,10 @@
 // This endpoint handles all Base44 API requests from the frontend
 // Enhanced with comprehensive monitoring, logging, and error tracking
 
-const BASE44_API_URL = 'https://app.base44.com/api';
+import { validateQuery, toBase44Params, toPage } from '../shared/api/query.js';
+import { BASE44_API_URL, fetchBase44, findBase44Rows } from './_lib/base44.js';
+import { authenticateRequest, getBearerToken, AuthError } from './_lib/auth.js';
+import { authorizeEntityRequest, authorizeAnonymousRequest } from './_lib/entityPolicy.js';
 
 // Monitoring and logging utilities
 const REQUEST_ID_HEADER = 'x-request-id';
@@ -105,9 +108,18 @@ function collectRequestMetrics(requestId, timer, response) {
   return metrics;
 }
 
+// Origins allowed to call the proxy cross-origin (same-origin calls need no CORS)
+const DEFAULT_ALLOWED_ORIGINS = ['https://portal.o7chub.com', 'http://localhost:3001'];
+
+function getAllowedOrigins() {
+  const configured = process.env.ALLOWED_ORIGINS;
+  return configured
+    ? configured.split(',').map(origin => origin.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_ORIGINS;
+}
+
 // CORS headers for cross-origin requests
 const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   'Access-Control-Max-Age': '86400',
@@ -145,14 +157,27 @@ function validateRequest(body) {
     return { valid: false, error: 'Path must start with /' };
   }
 
+  if (body.params !== undefined) {
+    if (method.toUpperCase() !== 'GET') {
+      return { valid: false, error: 'Query params are only supported for GET requests' };
+    }
+
+    const queryValidation = validateQuery(body.params);
+    if (!queryValidation.valid) {
+      return { valid: false, error: queryValidation.error };
+    }
+  }
+
   return { valid: true };
 }
 
-// Sanitize and build the target URL
-function buildTargetUrl(path, query) {
-  // Remove any potential malicious characters from path
-  const sanitizedPath = path.replace(/[^a-zA-Z0-9\-_\/]/g, '');
-  
+// Remove any potential malicious characters from path
+function sanitizePath(path) {
+  return path.replace(/[^a-zA-Z0-9\-_\/]/g, '');
+}
+
+// Build the target URL from an already-sanitized path
+function buildTargetUrl(sanitizedPath, query, queryParams) {
   let targetUrl = `${BASE44_API_URL}${sanitizedPath}`;
   
   if (query && typeof query === 'object') {
@@ -170,6 +195,12 @@ function buildTargetUrl(path, query) {
       targetUrl += `?${params.toString()}`;
     }
   }
+
+  // Structured queries were validated up front, so their params are passed through whole
+  if (queryParams) {
+    const params = new URLSearchParams(toBase44Params(queryParams));
+    targetUrl += `${targetUrl.includes('?') ? '&' : '?'}${params.toString()}`;
+  }
   
   return targetUrl;
 }
@@ -196,6 +227,12 @@ export default async function handler(req, res) {
     res.setHeader(key, value);
   });
 
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (origin && getAllowedOrigins().includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+
   // Add request ID to response headers for tracking
   res.setHeader(REQUEST_ID_HEADER, requestId);
 
@@ -235,10 +272,69 @@ export default async function handler(req, res) {
       });
     }
 
-    const { method, path, query, body: requestBody } = req.body;
+    const { method, path } = req.body;
+    const sanitizedPath = sanitizePath(path);
+    const proxyRequest = {
+      method: method.toUpperCase(),
+      path: sanitizedPath,
+      params: req.body.params,
+      body: req.body.body
+    };
+
+    // Authenticate the caller and apply the entity policy
+    let authorization;
+    let caller = null;
+    if (getBearerToken(req)) {
+      try {
+        caller = await authenticateRequest(req);
+      } catch (authError) {
+        if (!(authError instanceof AuthError)) throw authError;
+        logRequest(requestId, 'warn', 'Authentication failed', {
+          ...requestContext,
+          authError: authError.message
+        });
+        return res.status(authError.status).json({
+          error: authError.status === 401 ? 'Authentication required' : 'Forbidden',
+          message: authError.message,
+          code: authError.code,
+          requestId
+        });
+      }
+      authorization = await authorizeEntityRequest(caller, proxyRequest, {
+        loadRecord: (entity, id) => fetchBase44(`/${entity}/${id}`),
+        findRows: findBase44Rows
+      });
+    } else {
+      authorization = authorizeAnonymousRequest(proxyRequest);
+    }
+
+    if (!authorization.allowed) {
+      logRequest(requestId, 'warn', 'Request denied by entity policy', {
+        ...requestContext,
+        callerUid: caller?.uid,
+        callerRole: caller?.role,
+        targetMethod: proxyRequest.method,
+        targetPath: sanitizedPath,
+        reason: authorization.message,
+        code: authorization.code
+      });
+      return res.status(authorization.status).json({
+        error: authorization.error,
+        message: authorization.message,
+        code: authorization.code,
+        entity: authorization.entity,
+        operation: authorization.operation,
+        requestId
+      });
+    }
+
+    const queryParams = authorization.params;
+    const requestBody = authorization.body;
+    // Free-form query strings could bypass ownership constraints, so only admins may send them
+    const query = caller?.role === 'admin' ? req.body.query : undefined;
 
     // Build target URL
-    const targetUrl = buildTargetUrl(path, query);
+    const targetUrl = buildTargetUrl(sanitizedPath, query, queryParams);
 
     // Prepare fetch options
     const fetchOptions = {
@@ -338,6 +434,12 @@ export default async function handler(req, res) {
       return res.status(200).json({ success: true, requestId });
     }
 
+    // Structured queries come back as a page with pagination metadata
+    if (queryParams && method.toUpperCase() === 'GET') {
+      const rows = Array.isArray(responseData) ? responseData : responseData?.data;
+      responseData = toPage(rows, queryParams);
+    }
+
     // Return successful response
     logRequest(requestId, 'info', 'Request completed successfully', {
       ...requestContext,
@@ -0,0 +1,83 @@
+// Vercel serverless function for calendar subscriptions
+// GET  ?token=...  serves the caller's team events as an iCalendar feed
+// POST             returns the signed-in user's feed URL ({ rotate: true } revokes old URLs)
+
+import { fetchBase44, findBase44Rows, updateBase44Row } from './_lib/base44.js';
+import { authenticateRequest, AuthError } from './_lib/auth.js';
+import { createFeedToken, verifyFeedToken, buildUserFeed } from './_lib/calendarFeed.js';
+import { OWNERSHIP_SCOPED_ROLES } from './_lib/ownership.js';
+
+const INACTIVE_STATUSES = ['pending', 'rejected', 'disabled'];
+
+function getFeedBaseUrl(req) {
+  if (process.env.PUBLIC_APP_URL) return process.env.PUBLIC_APP_URL.replace(/\/$/, '');
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers.host}`;
+}
+
+async function serveFeed(req, res) {
+  const claims = verifyFeedToken(req.query?.token);
+  // Unknown, forged and revoked tokens all look the same to the client
+  const notFound = () => res.status(404).json({ error: 'Not found', message: 'Calendar feed not found' });
+  if (!claims) return notFound();
+
+  const appUser = await fetchBase44(`/AppUser/${claims.appUserId}`);
+  if (!appUser || INACTIVE_STATUSES.includes(appUser.status) ||
+      (appUser.calendarFeedVersion || 0) !== claims.version) {
+    return notFound();
+  }
+
+  const calendar = await buildUserFeed(appUser, { findRows: findBase44Rows });
+
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', 'inline; filename="o7c-team-schedule.ics"');
+  res.setHeader('Cache-Control', 'private, max-age=900');
+  return res.status(200).send(calendar);
+}
+
+async function issueFeedUrl(req, res) {
+  let caller;
+  try {
+    caller = await authenticateRequest(req);
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    return res.status(error.status).json({ error: 'Authentication required', message: error.message, code: error.code });
+  }
+
+  if (!caller.appUserId || !OWNERSHIP_SCOPED_ROLES.includes(caller.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Calendar feeds are available to players and parents',
+      code: 'ROLE_NOT_PERMITTED'
+    });
+  }
+
+  let version = caller.appUser.calendarFeedVersion || 0;
+  if (req.body?.rotate) {
+    version += 1;
+    await updateBase44Row('AppUser', caller.appUserId, { calendarFeedVersion: version });
+  }
+
+  const url = `${getFeedBaseUrl(req)}/api/calendar-feed?token=${encodeURIComponent(createFeedToken(caller.appUserId, version))}`;
+  return res.status(200).json({ url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+}
+
+export default async function handler(req, res) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  try {
+    if (req.method === 'GET') return await serveFeed(req, res);
+    if (req.method === 'POST') return await issueFeedUrl(req, res);
+
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and POST requests are allowed for calendar feeds'
+    });
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to process calendar feed request'
+    });
+  }
+}
@@ -0,0 +1,169 @@
+// Vercel serverless function for starting conversations and changing who is in them
+// GET                                              people the caller may message
+// POST { userId }                                  open (or reuse) the direct room with one of them
+// POST { action: 'create', name, type, userIds }   start a group room (staff)
+// POST { action: 'add', roomId, userIds }          add people to a group room (staff)
+// POST { action: 'remove', roomId, userId }        remove someone from a room (admins); starts a new key version
+// POST { action: 'keys', roomId, keys }            add room keys wrapped for participants' devices
+// POST { action: 'deleteMessage', messageId }      delete a message (admins)
+// The Firestore rules refuse these changes from the browser, so every one of
+// them goes through the safeguarding checks and audit log here, and room keys
+// can only be added for the people in the room.
+// CHAT_SAFEGUARDING_MODE picks how staff/minor conversations are handled:
+// 'guardian_copy' (default) adds the player's guardians, 'block' refuses them
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { findBase44Rows } from './_lib/base44.js';
+import { authenticateRequest, AuthError, getAdminApp } from './_lib/auth.js';
+import {
+  listChatContacts,
+  startDirectRoom,
+  createGroupRoom,
+  addRoomParticipants,
+  removeRoomParticipant,
+  addRoomKeys,
+  deleteRoomMessage
+} from './_lib/chatRooms.js';
+import { getVerifiedDeviceKeys } from '../shared/utils/chatCrypto.js';
+import { getSafeguardingPolicy } from '../shared/utils/chatSafeguarding.js';
+
+const roomsCollection = () => getFirestore(getAdminApp()).collection('chatRooms');
+
+const messagesCollection = () => getFirestore(getAdminApp()).collection('chatMessages');
+
+const loadDocument = async (collection, id) => {
+  const snapshot = await collection.doc(id).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+async function findDirectRoom(directKey) {
+  const snapshot = await roomsCollection().where('directKey', '==', directKey).limit(1).get();
+  return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+}
+
+async function createRoom(room) {
+  const docRef = await roomsCollection().add(room);
+  return docRef.id;
+}
+
+async function updateRoom(roomId, changes) {
+  await roomsCollection().doc(roomId).update(changes);
+}
+
+async function transactRoom(roomId, update) {
+  const roomRef = roomsCollection().doc(roomId);
+  return getFirestore(getAdminApp()).runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(roomRef);
+    const { changes, result } = await update(snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null);
+    if (changes) transaction.update(roomRef, changes);
+    return result;
+  });
+}
+
+// Each user's published device keys, leaving out any not keyed by its own fingerprint
+async function loadPublicKeys(userIds) {
+  const keysCollection = getFirestore(getAdminApp()).collection('chatKeys');
+  const entries = await Promise.all(userIds.map(async (userId) => {
+    const snapshot = await keysCollection.doc(userId).get();
+    return [userId, await getVerifiedDeviceKeys(snapshot.exists ? snapshot.data().devices : {})];
+  }));
+  return Object.fromEntries(entries);
+}
+
+async function deleteMessage(messageId) {
+  await messagesCollection().doc(messageId).delete();
+}
+
+async function audit(entry) {
+  await getFirestore(getAdminApp()).collection('chatAuditLog').add(entry);
+}
+
+const sendFailure = (res, error, result) =>
+  res.status(result.status).json({ error, message: result.message, code: result.code });
+
+export default async function handler(req, res) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and POST requests are allowed for chat rooms'
+    });
+  }
+
+  let caller;
+  try {
+    caller = await authenticateRequest(req);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('Chat rooms authentication error:', error);
+      return res.status(500).json({ error: 'Internal server error', message: 'Unable to load conversations' });
+    }
+    return res.status(error.status).json({ error: 'Authentication required', message: error.message, code: error.code });
+  }
+
+  const policy = getSafeguardingPolicy({ mode: process.env.CHAT_SAFEGUARDING_MODE });
+
+  try {
+    if (req.method === 'GET') {
+      const contacts = await listChatContacts(caller, { findRows: findBase44Rows, policy });
+      return res.status(200).json({ contacts });
+    }
+
+    const { action, ...body } = req.body || {};
+    const deps = {
+      findRows: findBase44Rows,
+      findDirectRoom,
+      loadRoom: (roomId) => loadDocument(roomsCollection(), roomId),
+      loadMessage: (messageId) => loadDocument(messagesCollection(), messageId),
+      createRoom,
+      updateRoom,
+      transactRoom,
+      loadPublicKeys,
+      deleteMessage,
+      audit,
+      policy
+    };
+
+    switch (action) {
+      case undefined: {
+        const result = await startDirectRoom(caller, body, deps);
+        if (!result.success) return sendFailure(res, 'Conversation not started', result);
+        return res.status(result.created ? 201 : 200).json({ roomId: result.roomId });
+      }
+      case 'create': {
+        const result = await createGroupRoom(caller, body, deps);
+        if (!result.success) return sendFailure(res, 'Conversation not started', result);
+        return res.status(201).json({ roomId: result.roomId });
+      }
+      case 'add': {
+        const result = await addRoomParticipants(caller, body, deps);
+        if (!result.success) return sendFailure(res, 'Participants not added', result);
+        return res.status(200).json({ roomId: result.roomId, participantIds: result.participantIds });
+      }
+      case 'remove': {
+        const result = await removeRoomParticipant(caller, body, deps);
+        if (!result.success) return sendFailure(res, 'Participant not removed', result);
+        return res.status(200).json({ roomId: result.roomId, participantIds: result.participantIds });
+      }
+      case 'keys': {
+        const result = await addRoomKeys(caller, body, deps);
+        if (!result.success) return sendFailure(res, 'Keys not added', result);
+        return res.status(200).json({ encryption: result.encryption });
+      }
+      case 'deleteMessage': {
+        const result = await deleteRoomMessage(caller, body, deps);
+        if (!result.success) return sendFailure(res, 'Message not deleted', result);
+        return res.status(200).json({ deleted: true, filePath: result.filePath });
+      }
+      default:
+        return res.status(400).json({ error: 'Invalid request', message: `Unknown action: ${action}`, code: 'INVALID_REQUEST' });
+    }
+  } catch (error) {
+    console.error('Chat rooms error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to update the conversation'
+    });
+  }
+}
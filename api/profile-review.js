@@ -0,0 +1,59 @@
+// Vercel serverless function for reviewing player profile changes
+// POST { ids, decision: 'approve' | 'reject', note }  staff approve or reject pending FieldChangeLog rows
+
+import { fetchBase44, findBase44Rows, updateBase44Row } from './_lib/base44.js';
+import { authenticateRequest, AuthError } from './_lib/auth.js';
+import { sendBrevoPayload } from './_lib/brevo.js';
+import { createNotification } from './_lib/notifications.js';
+import { reviewFieldChanges } from './_lib/profileReview.js';
+import { sendEmail } from '../shared/api/integrations/emailService.js';
+
+export default async function handler(req, res) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are allowed for profile review'
+    });
+  }
+
+  let caller;
+  try {
+    caller = await authenticateRequest(req);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('Profile review authentication error:', error);
+      return res.status(500).json({ error: 'Internal server error', message: 'Unable to review profile changes' });
+    }
+    return res.status(error.status).json({ error: 'Authentication required', message: error.message, code: error.code });
+  }
+
+  const { ids, decision, note } = req.body || {};
+
+  try {
+    const result = await reviewFieldChanges(caller, { ids, decision, note }, {
+      loadRecord: (entity, id) => fetchBase44(`/${entity}/${id}`),
+      findRows: findBase44Rows,
+      updateRow: updateBase44Row,
+      sendEmail: (params) => sendEmail(params, { transport: sendBrevoPayload }),
+      createNotification,
+      appUrl: (process.env.PUBLIC_APP_URL || 'https://portal.o7chub.com').replace(/\/$/, '')
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({ error: 'Review failed', message: result.message, code: result.code });
+    }
+
+    if (result.errors.length > 0) {
+      console.error('Profile review notification errors:', result.errors);
+    }
+    return res.status(200).json({ reviewed: result.reviewed, skipped: result.skipped });
+  } catch (error) {
+    console.error('Profile review error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to review profile changes'
+    });
+  }
+}
@@ -0,0 +1,53 @@
+// Vercel cron job: RSVP reminders and post-deadline headcounts for team events.
+// Scheduled hourly in vercel.json; Vercel sends `Authorization: Bearer $CRON_SECRET`.
+
+import { timingSafeEqual } from 'crypto';
+import { findBase44Rows, createBase44Row, updateBase44Row } from './_lib/base44.js';
+import { sendBrevoPayload } from './_lib/brevo.js';
+import { createNotification } from './_lib/notifications.js';
+import { runRsvpReminders } from './_lib/rsvpReminders.js';
+import { sendEmail } from '../shared/api/integrations/emailService.js';
+
+function isAuthorizedCron(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are allowed for scheduled jobs'
+    });
+  }
+
+  if (!isAuthorizedCron(req)) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Invalid cron secret' });
+  }
+
+  try {
+    const summary = await runRsvpReminders({
+      findRows: findBase44Rows,
+      createRow: createBase44Row,
+      updateRow: updateBase44Row,
+      sendEmail: (params) => sendEmail(params, { transport: sendBrevoPayload }),
+      createNotification,
+      appUrl: (process.env.PUBLIC_APP_URL || 'https://portal.o7chub.com').replace(/\/$/, '')
+    });
+
+    if (summary.errors.length > 0) {
+      console.error('RSVP reminder errors:', summary.errors);
+    }
+    return res.status(200).json(summary);
+  } catch (error) {
+    console.error('RSVP reminder job failed:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to run RSVP reminders'
+    });
+  }
+}
@@ -0,0 +1,118 @@
+// Vercel serverless function for file storage
+// POST { action: 'upload', category, ownerId, fileName, contentType, size }  signed URL to upload a new file
+// POST { action: 'download', path }                                         signed URL to read a file
+// POST { action: 'delete', path }                                           removes a file
+// GET/PUT ?token=...  serves the signed URLs of the local disk backend (development and tests)
+
+import { getFirestore } from 'firebase-admin/firestore';
+import { findBase44Rows } from './_lib/base44.js';
+import { authenticateRequest, AuthError, getAdminApp } from './_lib/auth.js';
+import { getStorageBackend, runStorageRequest } from './_lib/storage.js';
+
+function getAppBaseUrl(req) {
+  if (process.env.PUBLIC_APP_URL) return process.env.PUBLIC_APP_URL.replace(/\/$/, '');
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers.host}`;
+}
+
+async function loadChatRoom(roomId) {
+  const snapshot = await getFirestore(getAdminApp()).collection('chatRooms').doc(roomId).get();
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+// Vercel parses some content types into req.body; read the stream for the rest
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === 'string') return Buffer.from(req.body);
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+async function serveLocalFile(req, res, storage) {
+  const grant = storage.verifyToken(req.query?.token);
+  if (!grant || grant.access !== (req.method === 'GET' ? 'read' : 'write')) {
+    return res.status(403).json({ error: 'Forbidden', message: 'This link is invalid or has expired', code: 'INVALID_TOKEN' });
+  }
+
+  if (req.method === 'PUT') {
+    const data = await readRawBody(req);
+    if (data.length === 0 || data.length > grant.maxSize) {
+      return res.status(413).json({ error: 'Invalid file', message: 'The file is empty or too large', code: 'INVALID_FILE' });
+    }
+    if (req.headers['content-type'] !== grant.contentType) {
+      return res.status(400).json({ error: 'Invalid file', message: 'Content type does not match the upload', code: 'INVALID_FILE' });
+    }
+    await storage.write(grant.path, data, grant.contentType);
+    return res.status(200).json({ path: grant.path });
+  }
+
+  const file = await storage.read(grant.path);
+  if (!file) {
+    return res.status(404).json({ error: 'Not found', message: 'File not found' });
+  }
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  return res.status(200).send(file.data);
+}
+
+export default async function handler(req, res) {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  let storage;
+  try {
+    storage = getStorageBackend({ baseUrl: getAppBaseUrl(req) });
+  } catch (error) {
+    console.error('Storage configuration error:', error);
+    return res.status(500).json({ error: 'Internal server error', message: 'File storage is not configured' });
+  }
+
+  if ((req.method === 'GET' || req.method === 'PUT') && storage.name === 'local') {
+    try {
+      return await serveLocalFile(req, res, storage);
+    } catch (error) {
+      console.error('Local storage error:', error);
+      return res.status(500).json({ error: 'Internal server error', message: 'Unable to access file' });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are allowed for file storage'
+    });
+  }
+
+  let caller;
+  try {
+    caller = await authenticateRequest(req);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      console.error('Storage authentication error:', error);
+      return res.status(500).json({ error: 'Internal server error', message: 'Unable to access file storage' });
+    }
+    return res.status(error.status).json({ error: 'Authentication required', message: error.message, code: error.code });
+  }
+
+  try {
+    const { success, status, code, message, ...result } = await runStorageRequest(caller, req.body, {
+      backend: storage,
+      findRows: findBase44Rows,
+      loadChatRoom
+    });
+
+    if (!success) {
+      return res.status(status).json({ error: 'Storage request failed', message, code });
+    }
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Storage error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Unable to access file storage'
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { firebaseClient, DEFAULT_LIST_LIMIT } from '../base44Client.js';
+
+vi.mock('../../lib/firebase', () => ({ auth: null }));
+
+// Serves `total` rows in pages, the way the proxy does
+function stubProxy(total) {
+  const fetchMock = vi.fn(async (url, init) => {
+    const { params } = JSON.parse(init.body);
+    const offset = params.offset || 0;
+    const data = Array.from({ length: Math.max(0, Math.min(params.limit, total - offset)) }, (_, i) => ({ id: `p${offset + i}` }));
+    const hasMore = offset + data.length < total;
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({ data, hasMore, nextOffset: hasMore ? offset + data.length : null })
+    };
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+describe('Base44 client', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('should stop unbounded reads at the default limit and report the rest', async () => {
+    const fetchMock = stubProxy(DEFAULT_LIST_LIMIT + 5);
+
+    const rows = await firebaseClient.entities.Player.list();
+
+    expect(rows).toHaveLength(DEFAULT_LIST_LIMIT);
+    expect(rows.hasMore).toBe(true);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('page with query()'));
+  });
+
+  it('should not warn when an explicit limit covers every row', async () => {
+    const fetchMock = stubProxy(30);
+
+    const rows = await firebaseClient.entities.Player.filter({ status: 'Active' }, 50);
+
+    expect(rows).toHaveLength(30);
+    expect(rows.hasMore).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
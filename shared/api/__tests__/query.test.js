@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildQuery,
+  normalizeWhere,
+  normalizeSort,
+  validateQuery,
+  toFilterDocument,
+  toBase44Params,
+  toPage,
+  encodeCursor,
+  decodeCursor
+} from '../query.js';
+
+describe('Base44 query builder', () => {
+  describe('normalizeWhere', () => {
+    it('should treat plain values as equality and arrays as in', () => {
+      expect(normalizeWhere({ status: 'Active', gradYear: [2026, 2027], ignored: undefined })).toEqual([
+        { field: 'status', op: 'eq', value: 'Active' },
+        { field: 'gradYear', op: 'in', value: [2026, 2027] }
+      ]);
+    });
+
+    it('should expand operator objects into one clause per operator', () => {
+      const from = new Date('2025-03-01T00:00:00.000Z');
+      expect(normalizeWhere({
+        teamIds: { contains: 'team-1' },
+        startDate: { gte: from, lt: '2025-04-01' }
+      })).toEqual([
+        { field: 'teamIds', op: 'contains', value: 'team-1' },
+        { field: 'startDate', op: 'gte', value: '2025-03-01T00:00:00.000Z' },
+        { field: 'startDate', op: 'lt', value: '2025-04-01' }
+      ]);
+    });
+  });
+
+  describe('normalizeSort', () => {
+    it('should parse comma separated and prefixed sort strings', () => {
+      expect(normalizeSort('-startDate, name')).toEqual([
+        { field: 'startDate', direction: 'desc' },
+        { field: 'name', direction: 'asc' }
+      ]);
+    });
+
+    it('should return an empty list when no sort is given', () => {
+      expect(normalizeSort(null)).toEqual([]);
+    });
+  });
+
+  describe('validateQuery', () => {
+    it('should accept a well formed spec', () => {
+      const spec = buildQuery({
+        where: { status: { in: ['Active', 'Pending'] } },
+        sort: '-stars',
+        limit: 50,
+        offset: 100,
+        fields: ['id', 'firstName']
+      });
+      expect(validateQuery(spec)).toEqual({ valid: true });
+    });
+
+    it('should reject unknown operators', () => {
+      const result = validateQuery({ where: [{ field: 'name', op: 'regex', value: '.*' }] });
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('where[0].op');
+    });
+
+    it('should reject field names that are not identifiers', () => {
+      const result = validateQuery({ where: [{ field: '$where', op: 'eq', value: 1 }] });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject object values smuggled into scalar operators', () => {
+      const result = validateQuery({ where: [{ field: 'name', op: 'eq', value: { $ne: null } }] });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject limits above the maximum', () => {
+      expect(validateQuery({ limit: 5000 }).valid).toBe(false);
+    });
+
+    it('should reject combining a cursor with an offset', () => {
+      const cursor = encodeCursor({ id: 'a' }, []);
+      expect(validateQuery({ cursor, offset: 10 }).valid).toBe(false);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(validateQuery({ cursor: 'not-a-cursor' }).valid).toBe(false);
+    });
+  });
+
+  describe('toFilterDocument', () => {
+    it('should map operators to Base44 filter conditions', () => {
+      const doc = toFilterDocument(normalizeWhere({
+        status: 'Active',
+        teamIds: { contains: 'team-1' },
+        lastName: { search: 'o\'b.' },
+        gpa: { between: [3, 4] },
+        startDate: { gte: '2025-01-01', lt: '2025-02-01' }
+      }));
+
+      expect(doc).toEqual({
+        status: 'Active',
+        teamIds: { $in: ['team-1'] },
+        lastName: { $regex: 'o\'b\\.', $options: 'i' },
+        gpa: { $gte: 3, $lte: 4 },
+        startDate: { $gte: '2025-01-01', $lt: '2025-02-01' }
+      });
+    });
+  });
+
+  describe('toBase44Params', () => {
+    it('should push filter, sort, paging and projection to the server', () => {
+      const params = toBase44Params(buildQuery({
+        where: { status: 'Active' },
+        sort: '-stars',
+        limit: 25,
+        offset: 50,
+        fields: ['firstName']
+      }));
+
+      expect(params).toEqual({
+        q: JSON.stringify({ status: 'Active' }),
+        sort_by: '-stars,id',
+        limit: '26',
+        skip: '50',
+        fields: 'firstName,id,stars'
+      });
+    });
+
+    it('should add a keyset condition when following a cursor', () => {
+      const sort = normalizeSort('-stars');
+      const cursor = encodeCursor({ id: 'p-9', stars: 4 }, sort);
+      const params = toBase44Params({ where: [{ field: 'status', op: 'eq', value: 'Active' }], cursor, limit: 10 });
+
+      expect(JSON.parse(params.q)).toEqual({
+        $and: [
+          { status: 'Active' },
+          { $or: [{ stars: { $lt: 4 } }, { stars: 4, id: { $gt: 'p-9' } }] }
+        ]
+      });
+      expect(params.sort_by).toBe('-stars,id');
+    });
+  });
+
+  describe('toPage', () => {
+    it('should trim the look-ahead row and emit a cursor for sorted queries', () => {
+      const spec = buildQuery({ sort: 'name', limit: 2 });
+      const page = toPage([{ id: '1', name: 'A' }, { id: '2', name: 'B' }, { id: '3', name: 'C' }], spec);
+
+      expect(page.data).toHaveLength(2);
+      expect(page.hasMore).toBe(true);
+      expect(page.nextOffset).toBe(2);
+      expect(decodeCursor(page.nextCursor)).toEqual({
+        sort: [{ field: 'name', direction: 'asc' }, { field: 'id', direction: 'asc' }],
+        values: ['B', '2']
+      });
+    });
+
+    it('should only offer offsets for unsorted queries', () => {
+      const page = toPage([{ id: '1' }, { id: '2' }], { limit: 1 });
+      expect(page.nextCursor).toBeNull();
+      expect(page.nextOffset).toBe(1);
+    });
+
+    it('should report the last page', () => {
+      const page = toPage([{ id: '1' }], { limit: 5 });
+      expect(page).toEqual({ data: [{ id: '1' }], hasMore: false, nextCursor: null, nextOffset: null });
+    });
+  });
+});
@@ -1,9 +1,19 @@
 // Base44 HTTP client for data operations via Vercel API proxy
+import { buildQuery, MAX_QUERY_LIMIT } from './query.js';
 
 const BASE_URL = '';
 const PROXY_URL = '/api/base44';
 
-const makeRequest = async (method, url, body = null) => {
+// Attach the signed-in user's Firebase ID token so the proxy can authorize the call
+export const getAuthHeaders = async () => {
+  const { auth } = await import('../lib/firebase');
+  const currentUser = auth?.currentUser;
+  if (!currentUser) return {};
+  const idToken = await currentUser.getIdToken();
+  return { Authorization: `Bearer ${idToken}` };
+};
+
+const makeRequest = async (method, url, body = null, params = null) => {
   // Parse URL to extract path and query parameters
   const urlObj = new URL(url, 'http://dummy.com'); // Use dummy base for relative URLs
   const path = urlObj.pathname;
@@ -16,13 +26,15 @@ const makeRequest = async (method, url, body = null) => {
     method,
     path,
     query: Object.keys(query).length > 0 ? query : undefined,
+    params: params || undefined,
     body
   };
 
   const options = {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
     },
     body: JSON.stringify(proxyBody)
   };
@@ -39,7 +51,10 @@ const makeRequest = async (method, url, body = null) => {
     if (!response.ok) {
       const errorData = await response.json();
       console.error('[Base44 Proxy] Error response:', errorData);
-      throw new Error(`HTTP error! status: ${response.status}, message: ${errorData.error || 'Unknown error'}`);
+      const requestError = new Error(`HTTP error! status: ${response.status}, message: ${errorData.message || errorData.error || 'Unknown error'}`);
+      requestError.status = response.status;
+      requestError.code = errorData.code;
+      throw requestError;
     }
 
     if (method === 'DELETE') {
@@ -56,35 +71,53 @@ const makeRequest = async (method, url, body = null) => {
   }
 };
 
-// Helper function to sort array client-side based on sort parameter
-const sortArray = (array, sort) => {
-  if (!sort || !Array.isArray(array)) return array;
-
-  const isDescending = sort.startsWith('-');
-  const field = isDescending ? sort.slice(1) : sort;
+// Unwrap the Base44 response envelope - pages come back as { data, ... }
+const unwrapData = (response) =>
+  response && typeof response === 'object' && response.data ? response.data : response;
 
-  return array.sort((a, b) => {
-    let valA = a[field];
-    let valB = b[field];
-
-    // Handle null/undefined
-    if (valA == null && valB == null) return 0;
-    if (valA == null) return isDescending ? 1 : -1;
-    if (valB == null) return isDescending ? -1 : 1;
+// Run a query spec through the proxy and return a page: { data, hasMore, nextCursor, nextOffset }
+const runQuery = async (path, spec) => {
+  const response = await makeRequest('GET', path, null, spec);
+  if (Array.isArray(response)) {
+    return { data: response, hasMore: false, nextCursor: null, nextOffset: null };
+  }
+  return { hasMore: false, nextCursor: null, nextOffset: null, ...response, data: unwrapData(response) || [] };
+};
 
-    // Try numeric comparison
-    const numA = Number(valA);
-    const numB = Number(valB);
-    if (!isNaN(numA) && !isNaN(numB)) {
-      return isDescending ? numB - numA : numA - numB;
+// Rows list() and filter() return when the caller gives no limit. Reading more
+// than this should page with query() rather than pull a whole table into the browser.
+export const DEFAULT_LIST_LIMIT = 1000;
+
+// Fetch up to `limit` rows (DEFAULT_LIST_LIMIT without one), following cursors
+// (or offsets for unsorted queries) across as many proxy requests as it takes.
+// The array's non-enumerable `hasMore` is true when rows were left unread.
+const collectRows = async (path, options) => {
+  const { limit, ...rest } = options;
+  const wanted = limit ? Number(limit) : DEFAULT_LIST_LIMIT;
+  const rows = [];
+  let position = {};
+  let hasMore = false;
+
+  while (rows.length < wanted) {
+    const spec = buildQuery({ ...rest, ...position, limit: Math.min(wanted - rows.length, MAX_QUERY_LIMIT) });
+    const page = await runQuery(path, spec);
+    rows.push(...page.data);
+
+    hasMore = page.hasMore && page.data.length > 0;
+    if (!hasMore) break;
+    if (page.nextCursor) {
+      position = { cursor: page.nextCursor };
+    } else if (page.nextOffset != null) {
+      position = { offset: page.nextOffset };
+    } else {
+      break;
     }
+  }
 
-    // String comparison
-    const strA = String(valA).toLowerCase();
-    const strB = String(valB).toLowerCase();
-    const comparison = strA.localeCompare(strB);
-    return isDescending ? -comparison : comparison;
-  });
+  if (hasMore && !limit) {
+    console.warn(`[Base44 Proxy] ${path} has more than ${wanted} matching rows; page with query() to read the rest`);
+  }
+  return Object.defineProperty(rows, 'hasMore', { value: hasMore });
 };
 
 // Create a Base44-based client that mimics the original structure
@@ -103,6 +136,7 @@ const entities = [
   'Tournament',
   'TournamentParticipation',
   'PlayerImage',
+  'PlayerDocument',
   'Team',
   'Coach',
   'CoachAssignment',
@@ -110,10 +144,16 @@ const entities = [
   'Payment',
   'AdditionalFee',
   'PaymentMethod',
+  'PaymentPlan',
   'TeamFee',
   'RecruitingInterest',
   'AppUser',
-  'Notification'
+  'Notification',
+  'TeamEvent',
+  'EventRSVP',
+  'EventAttendance',
+  'PlayerGoal',
+  'FieldChangeLog'
 ];
 
 // Helper function to create entity operations
@@ -121,41 +161,17 @@ const createEntityOperations = (entityName) => {
   const baseUrl = `${BASE_URL}/${entityName}`;
 
   return {
-    list: async (orderByField = null, limitCount = null) => {
-      const params = new URLSearchParams();
-      if (limitCount) {
-        params.append('limit', limitCount.toString());
-      }
-      const url = params.toString() ? `${baseUrl}?${params.toString()}` : baseUrl;
-      const response = await makeRequest('GET', url);
-      // Handle Base44 API response structure - if it's an object with data property, return the data array
-      let data = response && typeof response === 'object' && response.data ? response.data : response;
-      // Apply client-side sorting if orderByField is provided
-      if (orderByField) {
-        data = sortArray(data, orderByField);
-      }
-      return data;
+    list: async (orderByField = null, limitCount = null, options = {}) => {
+      return collectRows(baseUrl, { ...options, sort: orderByField, limit: limitCount });
     },
 
-    filter: async (filters = {}, limitCount = null, sort = null) => {
-      const params = new URLSearchParams();
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== null && value !== undefined) {
-          params.append(key, value.toString());
-        }
-      });
-      if (limitCount) {
-        params.append('limit', limitCount.toString());
-      }
-      const url = params.toString() ? `${baseUrl}?${params.toString()}` : baseUrl;
-      const response = await makeRequest('GET', url);
-      // Handle Base44 API response structure - if it's an object with data property, return the data array
-      let data = response && typeof response === 'object' && response.data ? response.data : response;
-      // Apply client-side sorting if sort is provided
-      if (sort) {
-        data = sortArray(data, sort);
-      }
-      return data;
+    filter: async (filters = {}, limitCount = null, sort = null, options = {}) => {
+      return collectRows(baseUrl, { ...options, where: filters, sort, limit: limitCount });
+    },
+
+    // Paged query: { where, sort, limit, offset | cursor, fields } -> { data, hasMore, nextCursor, nextOffset }
+    query: async (options = {}) => {
+      return runQuery(baseUrl, buildQuery(options));
     },
 
     get: async (id) => {
@@ -180,7 +196,7 @@ const createEntityOperations = (entityName) => {
     bulkCreate: async (items) => {
       const results = [];
       for (const item of items) {
-        const result = await this.create(item);
+        const result = await makeRequest('POST', baseUrl, item);
         results.push(result);
       }
       return results;
@@ -196,21 +212,8 @@ entities.forEach(entityName => {
 // Add generic methods for compatibility (used by PlayerImage.js)
 firebaseClient.entities.get = async (path, filters = {}, sort = null) => {
   const url = `${BASE_URL}${path}`;
-  const params = new URLSearchParams();
-  Object.entries(filters).forEach(([key, value]) => {
-    if (value !== null && value !== undefined) {
-      params.append(key, value.toString());
-    }
-  });
-  const fullUrl = params.toString() ? `${url}?${params.toString()}` : url;
-  const response = await makeRequest('GET', fullUrl);
-  // Handle Base44 API response structure - if it's an object with data property, return the data array
-  let data = response && typeof response === 'object' && response.data ? response.data : response;
-  // Apply client-side sorting if sort is provided and data is an array
-  if (sort && Array.isArray(data)) {
-    data = sortArray(data, sort);
-  }
-  return data;
+  const page = await runQuery(url, buildQuery({ where: filters, sort }));
+  return page.data;
 };
 
 firebaseClient.entities.put = async (path, data) => {
@@ -0,0 +1,54 @@
+// Calendar subscription and .ics download helpers for the portal
+import { getAuthHeaders } from './base44Client.js';
+import { buildCalendar, getEventFileName } from '../utils/ical.js';
+
+const FEED_URL = '/api/calendar-feed';
+
+/**
+ * Get the signed-in user's calendar subscription URL
+ * @param {Object} [options]
+ * @param {boolean} [options.rotate] - Issue a new URL and revoke the old one
+ * @returns {Promise<{url: string, webcalUrl: string}>}
+ */
+export const getCalendarFeedUrl = async ({ rotate = false } = {}) => {
+  const response = await fetch(FEED_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify({ rotate })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || `Calendar feed request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = errorData.code;
+    throw error;
+  }
+
+  return response.json();
+};
+
+/**
+ * Download a single event as an .ics file
+ * @param {Object} event - TeamEvent
+ * @param {Array} [attendees] - See getEventAttendees
+ */
+export const downloadEventIcs = (event, attendees = []) => {
+  // One occurrence of a series is exported on its own, without the RRULE
+  const single = event.occurrenceId
+    ? { ...event, id: event.occurrenceId, isRecurring: false, recurrenceRule: null, recurrenceExceptions: [] }
+    : event;
+  const calendar = buildCalendar([{ event: single, attendees }], { method: 'PUBLISH' });
+  const url = URL.createObjectURL(new Blob([calendar], { type: 'text/calendar;charset=utf-8' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getEventFileName(event);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,86 @@
+// Starting conversations and changing who is in them through the chat-rooms endpoint,
+// which checks who may message whom and applies the safeguarding policy
+import { getAuthHeaders } from './base44Client.js';
+
+const CHAT_ROOMS_URL = '/api/chat-rooms';
+
+const requestChatRooms = async (options = {}) => {
+  const response = await fetch(CHAT_ROOMS_URL, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || `Chat rooms request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = errorData.code;
+    throw error;
+  }
+
+  return response.json();
+};
+
+const postChatRooms = (body) => requestChatRooms({ method: 'POST', body: JSON.stringify(body) });
+
+/**
+ * People the current user may start a conversation with
+ * @returns {Promise<Array<{userId: string, name: string, role: string}>>}
+ */
+export const listChatContacts = async () => (await requestChatRooms()).contacts;
+
+/**
+ * Open the direct room with a contact, creating it the first time
+ * @param {string} userId - The contact's uid
+ * @returns {Promise<string>} Room id
+ */
+export const startDirectChat = async (userId) =>
+  (await postChatRooms({ userId })).roomId;
+
+/**
+ * Start a group room with some of the current user's contacts (staff only)
+ * @param {{name: string, type?: 'group'|'team', userIds: string[]}} room
+ * @returns {Promise<string>} Room id
+ */
+export const createGroupChat = async ({ name, type = 'group', userIds }) =>
+  (await postChatRooms({ action: 'create', name, type, userIds })).roomId;
+
+/**
+ * Add contacts to a group room; guardians may be added with them
+ * @param {string} roomId
+ * @param {string[]} userIds
+ * @returns {Promise<string[]>} The room's participant uids afterwards
+ */
+export const addChatParticipants = async (roomId, userIds) =>
+  (await postChatRooms({ action: 'add', roomId, userIds })).participantIds;
+
+/**
+ * Remove someone from a room (admins only). The room gets a new key version
+ * the removed user can't open.
+ * @param {string} roomId
+ * @param {string} userId
+ * @returns {Promise<string[]>} The room's participant uids afterwards
+ */
+export const removeChatParticipant = async (roomId, userId) =>
+  (await postChatRooms({ action: 'remove', roomId, userId })).participantIds;
+
+/**
+ * Add room keys this device wrapped for other participants' devices. A room
+ * without encryption gets its first key version from the endpoint.
+ * @param {string} roomId
+ * @param {Object} [keys] - `{[version]: {[userId]: {[keyId]: wrappedKey}}}`, from shareRoomKeys
+ * @returns {Promise<Object>} The room's encryption state afterwards
+ */
+export const shareChatRoomKeys = async (roomId, keys = {}) =>
+  (await postChatRooms({ action: 'keys', roomId, keys })).encryption;
+
+/**
+ * Delete a message (admins only; refused in safeguarded rooms)
+ * @param {string} messageId
+ * @returns {Promise<string|null>} Path of the message's attachment, if any
+ */
+export const deleteChatMessage = async (messageId) =>
+  (await postChatRooms({ action: 'deleteMessage', messageId })).filePath;
@@ -0,0 +1,42 @@
+// QR attendance check-in helpers for the portal
+import { getAuthHeaders } from './base44Client.js';
+
+const CHECKIN_URL = '/api/attendance-checkin';
+
+const postCheckIn = async (body) => {
+  const response = await fetch(CHECKIN_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || `Check-in request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = errorData.code;
+    throw error;
+  }
+
+  return response.json();
+};
+
+/**
+ * Open QR check-in for an event occurrence (coaches and admins). Each code only
+ * lasts a few minutes, so call again for a fresh one before `expiresAt`.
+ * @param {Object} event - TeamEvent or expanded occurrence
+ * @returns {Promise<{url: string, expiresAt: string, closesAt: string}>} URL to encode in the QR code
+ */
+export const openCheckIn = async (event) =>
+  postCheckIn({ action: 'issue', eventId: event.id, occurrenceStart: event.occurrenceStart || null });
+
+/**
+ * Check a player in with a scanned code
+ * @param {string} code - The `code` query parameter of the scanned URL
+ * @param {string} [playerId] - Required when a parent has more than one player
+ * @returns {Promise<{attendance: Object, event: Object}>}
+ */
+export const checkInWithCode = async (code, playerId) => postCheckIn({ token: code, playerId });
@@ -5,7 +5,8 @@ import { list, filter, create, update, remove, fetchPlayers } from './entities/P
 const createEntityOperations = (entityName) => {
   return {
     list: (orderBy = '-created_date', limit = null) => firebaseClient.entities[entityName]?.list(orderBy, limit),
-    filter: (filters = {}, limit = null) => firebaseClient.entities[entityName]?.filter(filters, limit),
+    filter: (filters = {}, limit = null, sort = null) => firebaseClient.entities[entityName]?.filter(filters, limit, sort),
+    query: (options = {}) => firebaseClient.entities[entityName]?.query(options),
     get: (id) => firebaseClient.entities[entityName]?.get(id),
     create: (data) => firebaseClient.entities[entityName]?.create(data),
     update: (id, data) => firebaseClient.entities[entityName]?.update(id, data),
@@ -30,6 +31,7 @@ export const TeamHistory = createEntityOperations('TeamHistory');
 export const Tournament = createEntityOperations('Tournament');
 export const TournamentParticipation = createEntityOperations('TournamentParticipation');
 export const PlayerImage = createEntityOperations('PlayerImage');
+export const PlayerDocument = createEntityOperations('PlayerDocument');
 export const Team = createEntityOperations('Team');
 export const Coach = createEntityOperations('Coach');
 export const CoachAssignment = createEntityOperations('CoachAssignment');
@@ -37,6 +39,7 @@ export const ParentPlayerAssignment = createEntityOperations('ParentPlayerAssign
 export const Payment = createEntityOperations('Payment');
 export const AdditionalFee = createEntityOperations('AdditionalFee');
 export const PaymentMethod = createEntityOperations('PaymentMethod');
+export const PaymentPlan = createEntityOperations('PaymentPlan');
 export const TeamFee = createEntityOperations('TeamFee');
 export const RecruitingInterest = createEntityOperations('RecruitingInterest');
 
@@ -0,0 +1,78 @@
+import { base44 } from '../base44Client';
+import { getRsvpKey } from '../../utils/recurrence.js';
+
+const apiRequest = async (operation, entityName, data) => {
+  switch (operation) {
+    case 'filter':
+      return await base44.entities[entityName].filter(data);
+    case 'create':
+      return await base44.entities[entityName].create(data);
+    case 'update':
+      const { id, ...updateData } = data;
+      return await base44.entities[entityName].update(id, updateData);
+    case 'delete':
+      return await base44.entities[entityName].delete(data.id);
+    default:
+      throw new Error(`Unknown operation: ${operation}`);
+  }
+};
+
+const ENTITY_NAME = 'EventAttendance';
+
+export const filter = async (filters = {}) => {
+  try {
+    return await apiRequest('filter', ENTITY_NAME, filters);
+  } catch (error) {
+    console.error(`Error filtering ${ENTITY_NAME}:`, error);
+    return [];
+  }
+};
+
+export const create = async (data) => {
+  try {
+    return await apiRequest('create', ENTITY_NAME, data);
+  } catch (error) {
+    console.error(`Error creating ${ENTITY_NAME}:`, error);
+    throw error;
+  }
+};
+
+export const update = async (id, data) => {
+  try {
+    return await apiRequest('update', ENTITY_NAME, { id, ...data });
+  } catch (error) {
+    console.error(`Error updating ${ENTITY_NAME}:`, error);
+    throw error;
+  }
+};
+
+export const remove = async (id) => {
+  try {
+    return await apiRequest('delete', ENTITY_NAME, { id });
+  } catch (error) {
+    console.error(`Error deleting ${ENTITY_NAME}:`, error);
+    throw error;
+  }
+};
+/**
+ * Attendance taken at one event occurrence
+ * @param {string} eventId - TeamEvent id (the series id for recurring events)
+ * @param {string|null} [occurrenceStart] - Original start of the occurrence
+ * @returns {Promise<Array>}
+ */
+export const listForEvent = async (eventId, occurrenceStart = null) => {
+  const rows = await filter({ eventId });
+  const key = getRsvpKey(eventId, occurrenceStart);
+  return (rows || []).filter(row => getRsvpKey(row.eventId, row.occurrenceStart) === key);
+};
+
+/**
+ * Record a player's attendance, updating their existing row for the occurrence if there is one
+ * @param {Object|null} existing - Current EventAttendance row, if any
+ * @param {Object} data - eventId, occurrenceStart, playerId, playerName, status, method
+ * @returns {Promise<Object>}
+ */
+export const record = async (existing, data) => {
+  const fields = { ...data, recordedAt: new Date().toISOString() };
+  return existing ? update(existing.id, fields) : create(fields);
+};
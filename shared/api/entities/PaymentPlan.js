@@ -0,0 +1,36 @@
+import { firebaseClient } from '../base44Client.js';
+import { buildInstallments } from '../../utils/paymentPlans.js';
+
+export const list = (orderBy = '-created_date', limit = null) => firebaseClient.entities.PaymentPlan.list(orderBy, limit);
+
+export const filter = (filters = {}, limit = null) => firebaseClient.entities.PaymentPlan.filter(filters, limit);
+
+export const create = (data) => firebaseClient.entities.PaymentPlan.create(data);
+
+export const update = (id, data) => firebaseClient.entities.PaymentPlan.update(id, data);
+
+export const remove = (id) => firebaseClient.entities.PaymentPlan.delete(id);
+
+/**
+ * Set up a payment plan for a player
+ * @param {Object} options
+ * @param {string} options.playerId
+ * @param {Array<{entity: string, id: string, amount: number}>} options.fees - TeamFee/AdditionalFee rows the plan covers
+ * @param {number} options.installmentCount
+ * @param {string} options.frequency - Key of PLAN_FREQUENCIES
+ * @param {string} options.startDate - First due date (yyyy-MM-dd)
+ */
+export const createPlan = ({ playerId, fees, installmentCount, frequency, startDate }) => {
+  const totalAmount = fees.reduce((sum, fee) => sum + (Number(fee.amount) || 0), 0);
+  return create({
+    playerId,
+    fees,
+    totalAmount,
+    installmentCount,
+    frequency,
+    startDate,
+    installments: buildInstallments({ totalAmount, count: installmentCount, frequency, startDate }),
+    status: 'active',
+    createdAt: new Date().toISOString()
+  });
+};
@@ -0,0 +1,11 @@
+import { firebaseClient } from '../base44Client.js';
+
+export const list = (orderBy = '-uploadedAt', limit = null) => firebaseClient.entities.PlayerDocument.list(orderBy, limit);
+
+export const filter = (filters = {}, limit = null) => firebaseClient.entities.PlayerDocument.filter(filters, limit);
+
+export const create = (data) => firebaseClient.entities.PlayerDocument.create(data);
+
+export const update = (id, data) => firebaseClient.entities.PlayerDocument.update(id, data);
+
+export const remove = (id) => firebaseClient.entities.PlayerDocument.delete(id);
@@ -1,4 +1,5 @@
 import { base44 } from '../base44Client';
+import { expandEvents, withOccurrenceException } from '../../utils/recurrence.js';
 
 const apiRequest = async (operation, entityName, data) => {
   switch (operation) {
@@ -18,6 +19,9 @@ const apiRequest = async (operation, entityName, data) => {
 
 const ENTITY_NAME = 'TeamEvent';
 
+// Upper bound on events loaded for one calendar range
+const MAX_RANGE_EVENTS = 500;
+
 export const filter = async (filters = {}) => {
   try {
     return await apiRequest('filter', ENTITY_NAME, filters);
@@ -52,4 +56,79 @@ export const remove = async (id) => {
     console.error(`Error deleting ${ENTITY_NAME}:`, error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Load events for any of the given teams that occur within a date range.
+ * Recurring series that started before the range are expanded into their
+ * occurrences; each occurrence keeps the series id.
+ * @param {string[]} teamIds - Teams to include
+ * @param {{start: Date, end: Date}} range - Range with an exclusive end
+ * @returns {Promise<Array>} Events and occurrences sorted by start date
+ */
+export const listForTeams = async (teamIds, { start, end }) => {
+  if (!teamIds || teamIds.length === 0) return [];
+
+  try {
+    const [oneOff, series] = await Promise.all([
+      base44.entities[ENTITY_NAME].filter(
+        {
+          teamIds: { in: teamIds },
+          isRecurring: { ne: true },
+          startDate: { gte: start, lt: end }
+        },
+        MAX_RANGE_EVENTS,
+        'startDate'
+      ),
+      base44.entities[ENTITY_NAME].filter(
+        {
+          teamIds: { in: teamIds },
+          isRecurring: true,
+          startDate: { lt: end }
+        },
+        MAX_RANGE_EVENTS,
+        'startDate'
+      )
+    ]);
+
+    return expandEvents([...oneOff, ...series], { start, end });
+  } catch (error) {
+    console.error(`Error loading ${ENTITY_NAME} range:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Update an event's time, place or status. The proxy bumps SEQUENCE on every
+ * TeamEvent update, so subscribed calendars replace their copy.
+ * @param {Object} event - Current TeamEvent record
+ * @param {Object} changes - Fields to update
+ */
+export const reschedule = async (event, changes) => update(event.id, changes);
+
+/**
+ * Cancel an event. The record is kept so feeds can publish STATUS:CANCELLED.
+ * @param {Object} event - Current TeamEvent record
+ */
+export const cancel = async (event) => reschedule(event, { status: 'Cancelled' });
+
+/**
+ * Cancel one occurrence of a recurring event, leaving the rest of the series
+ * @param {Object} event - Series TeamEvent record
+ * @param {string} occurrenceStart - Original start of the occurrence
+ */
+export const cancelOccurrence = async (event, occurrenceStart) =>
+  reschedule(event, {
+    recurrenceExceptions: withOccurrenceException(event, occurrenceStart, { status: 'Cancelled' })
+  });
+
+/**
+ * Move or edit one occurrence of a recurring event
+ * @param {Object} event - Series TeamEvent record
+ * @param {string} occurrenceStart - Original start of the occurrence
+ * @param {Object} changes - New startDate, endDate, location, title or description
+ */
+export const moveOccurrence = async (event, occurrenceStart, changes) =>
+  reschedule(event, {
+    recurrenceExceptions: withOccurrenceException(event, occurrenceStart, changes)
+  });
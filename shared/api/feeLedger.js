@@ -0,0 +1,44 @@
+// Loads the records behind a player's fee ledger
+import { filter as filterTeamFees } from './entities/TeamFee.js';
+import { filter as filterAdditionalFees } from './entities/AdditionalFee.js';
+import { filter as filterPayments } from './entities/Payment.js';
+import { buildLedger, buildFamilyLedger } from '../utils/feeLedger.js';
+
+/**
+ * Fetch the fee and payment rows for a player
+ * @param {Object} player - Player record
+ * @returns {Promise<{teamFees: Array, additionalFees: Array, payments: Array}>}
+ */
+export const loadLedgerRecords = async (player) => {
+  const [teamFees, additionalFees, payments] = await Promise.all([
+    player.teamIds?.length > 0 ? filterTeamFees({ teamId: { in: player.teamIds } }) : [],
+    filterAdditionalFees({ playerId: player.id }),
+    filterPayments({ playerId: player.id })
+  ]);
+
+  return {
+    teamFees: teamFees || [],
+    additionalFees: additionalFees || [],
+    payments: payments || []
+  };
+};
+
+/**
+ * Build a player's ledger from their fee and payment rows
+ * @param {Object} player - Player record
+ * @returns {Promise<ReturnType<typeof buildLedger>>}
+ */
+export const loadPlayerLedger = async (player) => buildLedger(await loadLedgerRecords(player));
+
+/**
+ * Build the combined ledger for every player in a family
+ * @param {Array} players - Player records
+ * @returns {Promise<ReturnType<typeof buildFamilyLedger>>}
+ */
+export const loadFamilyLedger = async (players) => {
+  const ledgers = await Promise.all(players.map(async player => ({
+    player,
+    ledger: await loadPlayerLedger(player)
+  })));
+  return buildFamilyLedger(ledgers);
+};
@@ -1,6 +1,17 @@
 // API exports
 export * from './auth.js';
 export * from './base44Client.js';
+export * from './calendarFeed.js';
+export * from './chatRooms.js';
+export * from './checkIn.js';
 export * from './client.js';
 export * from './entities.js';
-export * from './integrations.js';
\ No newline at end of file
+export * from './feeLedger.js';
+export * from './integrations.js';
+export * from './playerDocuments.js';
+export * from './playerImages.js';
+export * from './playerSummary.js';
+export * from './profileChanges.js';
+export * from './query.js';
+export * from './recruiting.js';
+export * from './storage.js';
\ No newline at end of file
@@ -2,6 +2,7 @@ import { invokeLLM } from './integrations/aiService.js';
 import { sendEmail } from './integrations/emailService.js';
 import { uploadFile } from './integrations/fileUpload.js';
 import { generateImage } from './integrations/imageGeneration.js';
+import { getFileUrl } from './storage.js';
 
 // Mock Core object to maintain compatibility
 export const Core = {
@@ -21,21 +22,19 @@ export const Core = {
     };
   },
   CreateFileSignedUrl: async (params) => {
-    console.log('CreateFileSignedUrl called with params:', params);
-    // Mock implementation
+    const path = params.path || params.fileId;
+    const signedUrl = await getFileUrl(path);
     return {
       success: true,
-      signedUrl: `https://mock-signed-url.com/${params.fileName || 'file'}`,
-      expiresAt: new Date(Date.now() + 3600000).toISOString() // 1 hour from now
+      signedUrl
     };
   },
+  // Every stored file is private; reads go through signed URLs
   UploadPrivateFile: async (params) => {
-    console.log('UploadPrivateFile called with params:', params);
-    // Mock implementation
+    const result = await uploadFile(params);
     return {
       success: true,
-      fileId: `mock-file-id-${Date.now()}`,
-      url: `https://mock-private-url.com/${params.fileName || 'file'}`
+      fileId: result.path
     };
   }
 };
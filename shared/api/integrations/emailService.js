@@ -2,6 +2,24 @@
  * Email service using Brevo (formerly Sendinblue) via Vercel proxy for sending emails
  */
 
+// Send a Brevo payload through the Vercel proxy
+async function sendViaProxy(payload) {
+  const response = await fetch('/api/brevo', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ endpoint: '/v3/smtp/email', payload })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(`Brevo API error: ${errorData.message || response.statusText}`);
+  }
+
+  return response.json();
+}
+
 /**
  * Send an email using Brevo
  * @param {Object} params - Email parameters
@@ -11,9 +29,12 @@
  * @param {string} params.subject - Email subject
  * @param {string} params.body - Email body content (HTML)
  * @param {string} [params.text] - Plain text version of the email
+ * @param {Object} [options]
+ * @param {(payload: Object) => Promise<Object>} [options.transport] - Delivers the Brevo payload;
+ *   defaults to the /api/brevo proxy. Serverless jobs pass a transport that calls Brevo directly.
  * @returns {Promise<Object>} Email send response
  */
-export async function sendEmail(params) {
+export async function sendEmail(params, { transport = sendViaProxy } = {}) {
   try {
     // Validate required parameters
     if (!params.to || !params.subject || !params.body) {
@@ -37,21 +58,7 @@ export async function sendEmail(params) {
       ...(params.text && { textContent: params.text })
     };
 
-    // Send email via Vercel proxy
-    const response = await fetch('/api/brevo', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ endpoint: '/v3/smtp/email', payload })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Brevo API error: ${errorData.message || response.statusText}`);
-    }
-
-    const result = await response.json();
+    const result = await transport(payload);
 
     return {
       success: true,
@@ -1,22 +1,25 @@
+import { uploadFile as uploadStoredFile } from '../storage.js';
+
 /**
- * Placeholder implementation for file upload service
- * Replaces base44.integrations.Core.UploadFile
+ * File upload service
+ * Replaces base44.integrations.Core.UploadFile using the portal's file storage
  * @param {Object} params - Upload parameters
  * @param {File|Blob} params.file - The file to upload
  * @param {string} params.filename - Name of the file
- * @param {string} [params.contentType] - MIME type of the file
- * @returns {Promise<Object>} Mock upload response
+ * @param {string} params.category - File category (see FILE_CATEGORIES)
+ * @param {string} params.ownerId - Player id, or chat room id for attachments
+ * @returns {Promise<Object>} Upload response with the storage path and a signed URL
  */
 export async function uploadFile(params) {
-  console.log('uploadFile called with params:', params);
+  const { file, filename, category, ownerId } = params;
+  const stored = await uploadStoredFile(category, ownerId, file, filename || file?.name);
 
-  // Mock response - in real implementation this would upload to a storage service
   return {
     success: true,
-    url: `https://mock-storage.example.com/files/${params.filename}`,
-    id: `file_${Date.now()}`,
-    filename: params.filename,
-    size: params.file?.size || 0,
-    uploadedAt: new Date().toISOString()
+    id: stored.path,
+    path: stored.path,
+    filename: stored.fileName,
+    size: stored.fileSize,
+    uploadedAt: stored.uploadedAt
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,171 @@
+// Player document vault: uploads, staff review and the pre-tournament checklist
+import { addDays } from 'date-fns';
+import {
+  filter as filterPlayerDocuments,
+  create as createPlayerDocument,
+  update as updatePlayerDocument,
+  remove as removePlayerDocument
+} from './entities/PlayerDocument.js';
+import { filter as filterTeams, update as updateTeam } from './entities/Team.js';
+import { filter as filterPlayers } from './entities/Player.js';
+import { listForTeams } from './entities/TeamEvent.js';
+import { uploadFile, deleteFile } from './storage.js';
+import {
+  DOCUMENT_CATEGORIES,
+  DOCUMENT_STATUS,
+  TOURNAMENT_CHECK_WINDOW_DAYS,
+  validateDocument,
+  getRequiredDocumentsForTeams,
+  buildDocumentChecklist,
+  getTournamentDocumentIssues,
+  getLegacyDocuments
+} from '../utils/documents.js';
+
+/**
+ * A player's documents, including files uploaded to the profile before the vault existed
+ * @param {Object} player - Player record
+ * @returns {Promise<Array<Object>>}
+ */
+export const listPlayerDocuments = async (player) => [
+  ...((await filterPlayerDocuments({ playerId: player.id })) || []),
+  ...getLegacyDocuments(player)
+];
+
+/**
+ * Upload a document for a player. It waits for staff verification but counts
+ * towards the checklist straight away.
+ * @param {Object} player - Player record
+ * @param {File} file
+ * @param {Object} details
+ * @param {string} details.category - Key of DOCUMENT_CATEGORIES
+ * @param {string} [details.expiresAt] - yyyy-MM-dd; required for categories that expire
+ * @param {string} [details.notes]
+ * @param {string} details.uploadedBy - Email of the uploader
+ * @returns {Promise<Object>} The created PlayerDocument
+ */
+export async function uploadPlayerDocument(player, file, { category, expiresAt, notes, uploadedBy }) {
+  const invalid = validateDocument({ category, expiresAt });
+  if (invalid) {
+    const error = new Error(invalid);
+    error.code = 'INVALID_DOCUMENT';
+    throw error;
+  }
+
+  const stored = await uploadFile('document', player.id, file);
+  try {
+    return await createPlayerDocument({
+      playerId: player.id,
+      playerName: `${player.firstName} ${player.lastName}`,
+      category,
+      fileName: stored.fileName,
+      filePath: stored.path,
+      fileSize: stored.fileSize,
+      contentType: stored.contentType,
+      expiresAt: expiresAt || null,
+      notes: notes || '',
+      status: DOCUMENT_STATUS.PENDING,
+      uploadedBy,
+      uploadedAt: stored.uploadedAt
+    });
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await deleteFile(stored.path).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Delete a document and its stored file
+ * @param {Object} document - PlayerDocument record
+ * @returns {Promise<void>}
+ */
+export async function deletePlayerDocument(document) {
+  await removePlayerDocument(document.id);
+  if (document.filePath) {
+    await deleteFile(document.filePath);
+  }
+}
+
+/**
+ * Staff decision on an uploaded document
+ * @param {Object} document - PlayerDocument record
+ * @param {'verified'|'rejected'} status
+ * @param {Object} options
+ * @param {string} options.reviewedBy - Email of the reviewer
+ * @param {string} [options.reviewNote] - Shown to the family, e.g. why it was rejected
+ * @returns {Promise<Object>} The updated PlayerDocument
+ */
+export const reviewPlayerDocument = (document, status, { reviewedBy, reviewNote }) =>
+  updatePlayerDocument(document.id, {
+    status,
+    reviewedBy,
+    reviewedAt: new Date().toISOString(),
+    reviewNote: reviewNote || ''
+  });
+
+/**
+ * Load a player's documents with their team checklist and upcoming tournament issues
+ * @param {Object} player - Player record
+ * @param {Date} [now]
+ * @returns {Promise<{documents: Array, teams: Array, required: string[], checklist: Array, tournamentIssues: Array}>}
+ */
+export const loadDocumentStatus = async (player, now = new Date()) => {
+  const teamIds = player.teamIds || [];
+  const [documents, teams, events] = await Promise.all([
+    listPlayerDocuments(player),
+    teamIds.length > 0 ? filterTeams({ id: { in: teamIds } }) : [],
+    listForTeams(teamIds, { start: now, end: addDays(now, TOURNAMENT_CHECK_WINDOW_DAYS) })
+  ]);
+
+  const required = getRequiredDocumentsForTeams(teams || []);
+  return {
+    documents,
+    teams: teams || [],
+    required,
+    checklist: buildDocumentChecklist(documents, required, now),
+    tournamentIssues: getTournamentDocumentIssues({ player, documents, teams: teams || [], events, now })
+  };
+};
+
+/**
+ * Set the documents a team requires
+ * @param {Object} team - Team record
+ * @param {string[]} categories - Keys of DOCUMENT_CATEGORIES
+ * @returns {Promise<Object>} The updated Team
+ */
+export const setRequiredDocuments = (team, categories) =>
+  updateTeam(team.id, { requiredDocuments: Object.keys(DOCUMENT_CATEGORIES).filter(category => categories.includes(category)) });
+
+/**
+ * Which players on a team are not cleared for its upcoming tournaments
+ * @param {Object} team - Team record
+ * @param {Date} [now]
+ * @returns {Promise<Array<{player: Object, issues: Array}>>} Only players with issues, by last name
+ */
+export const loadTeamDocumentIssues = async (team, now = new Date()) => {
+  const [players, events] = await Promise.all([
+    filterPlayers({ teamIds: { contains: team.id } }),
+    listForTeams([team.id], { start: now, end: addDays(now, TOURNAMENT_CHECK_WINDOW_DAYS) })
+  ]);
+  if (!players?.length || !events.some(event => event.eventType === 'Tournament')) return [];
+
+  const documents = (await filterPlayerDocuments({ playerId: { in: players.map(player => player.id) } })) || [];
+
+  return players
+    .map(player => ({
+      player,
+      issues: getTournamentDocumentIssues({
+        // Only this team's tournaments and checklist
+        player: { ...player, teamIds: [team.id] },
+        documents: [
+          ...documents.filter(document => document.playerId === player.id),
+          ...getLegacyDocuments(player)
+        ],
+        teams: [team],
+        events,
+        now
+      })
+    }))
+    .filter(({ issues }) => issues.length > 0)
+    .sort((a, b) => String(a.player.lastName || '').localeCompare(String(b.player.lastName || '')));
+};
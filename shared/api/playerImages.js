@@ -0,0 +1,69 @@
+// Player photos: processed in the browser, stored as variants and recorded on PlayerImage
+import {
+  create as createPlayerImage,
+  remove as removePlayerImage
+} from './entities/PlayerImage.js';
+import { uploadFile, deleteFile } from './storage.js';
+import { processImage, OUTPUT_IMAGE_TYPE } from '../utils/imageProcessing.js';
+
+const baseName = (fileName) => String(fileName || 'image').replace(/\.[^.]+$/, '');
+
+/**
+ * Storage path of the variant closest to what is asked for. Older records only have imagePath.
+ * @param {Object} image - PlayerImage record
+ * @param {'thumb'|'small'|'large'} variant
+ * @returns {string|null}
+ */
+export const getImageVariantPath = (image, variant) =>
+  image?.variants?.[variant]?.path || image?.imagePath || null;
+
+/**
+ * Process an image and save it for a player
+ * @param {string} playerId
+ * @param {File} file - Picked image
+ * @param {Object} [options]
+ * @param {Object|null} [options.crop] - Fractions of the image, e.g. from squareCrop
+ * @param {string} [options.category] - Storage category: 'photo' for headshots, 'playerImage' otherwise
+ * @param {string} [options.imageType] - PlayerImage type
+ * @param {string} [options.playerName]
+ * @returns {Promise<Object>} The created PlayerImage record
+ */
+export async function uploadPlayerImage(playerId, file, { crop = null, category = 'playerImage', imageType = 'Other', playerName } = {}) {
+  const processed = await processImage(file, { crop });
+
+  const variants = {};
+  try {
+    for (const [name, output] of Object.entries(processed.variants)) {
+      const stored = await uploadFile(category, playerId, output.blob, `${baseName(file.name)}_${name}.jpg`);
+      variants[name] = { path: stored.path, width: output.width, height: output.height, size: stored.fileSize };
+    }
+  } catch (error) {
+    // Don't leave half an image behind
+    await Promise.all(Object.values(variants).map(variant => deleteFile(variant.path).catch(() => {})));
+    throw error;
+  }
+
+  return createPlayerImage({
+    playerId,
+    playerName,
+    filename: file.name,
+    imagePath: variants.large.path,
+    contentType: OUTPUT_IMAGE_TYPE,
+    variants,
+    crop: processed.crop,
+    imageType,
+    uploadedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Delete a PlayerImage and every stored variant
+ * @param {Object} image - PlayerImage record
+ * @returns {Promise<void>}
+ */
+export async function deletePlayerImage(image) {
+  await removePlayerImage(image.id);
+
+  const paths = new Set([image.imagePath, ...Object.values(image.variants || {}).map(variant => variant.path)]);
+  await Promise.all([...paths].filter(Boolean).map(path => deleteFile(path)));
+}
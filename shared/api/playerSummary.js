@@ -0,0 +1,38 @@
+// Loads the at-a-glance summary a parent sees for each linked child
+import { addDays } from 'date-fns';
+import { listForTeams } from './entities/TeamEvent.js';
+import { filter as filterPlayerGoals } from './entities/PlayerGoal.js';
+import { loadPlayerLedger } from './feeLedger.js';
+import { listPendingChanges } from './profileChanges.js';
+import { loadDocumentStatus } from './playerDocuments.js';
+
+// How far ahead to look for the next team event
+const NEXT_EVENT_WINDOW_DAYS = 60;
+
+// Goal statuses that no longer need attention
+const CLOSED_GOAL_STATUSES = ['Completed', 'Cancelled'];
+
+/**
+ * Load a child's balance, next event, open goals, pending profile changes and document gaps
+ * @param {Object} player - Player record
+ * @param {Date} [now]
+ * @returns {Promise<{ledger: Object, nextEvent: Object|null, openGoals: Array, pendingChanges: Array, missingDocuments: Array, tournamentIssues: Array}>}
+ */
+export const loadPlayerSummary = async (player, now = new Date()) => {
+  const [ledger, events, goals, pendingChanges, documentStatus] = await Promise.all([
+    loadPlayerLedger(player),
+    listForTeams(player.teamIds || [], { start: now, end: addDays(now, NEXT_EVENT_WINDOW_DAYS) }),
+    filterPlayerGoals({ playerId: player.id }),
+    listPendingChanges(player.id),
+    loadDocumentStatus(player, now)
+  ]);
+
+  return {
+    ledger,
+    nextEvent: events.find(event => new Date(event.startDate) >= now) || null,
+    openGoals: (goals || []).filter(goal => !CLOSED_GOAL_STATUSES.includes(goal.status)),
+    pendingChanges: pendingChanges || [],
+    missingDocuments: documentStatus.checklist.filter(item => !item.ok),
+    tournamentIssues: documentStatus.tournamentIssues
+  };
+};
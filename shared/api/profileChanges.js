@@ -0,0 +1,82 @@
+// Submits player profile edits to the FieldChangeLog review queue
+import { create as createFieldChangeLog, filter as filterFieldChangeLogs } from './entities/FieldChangeLog.js';
+import { getAuthHeaders } from './base44Client.js';
+import { PENDING_REVIEW } from '../utils/playerProfile.js';
+
+const REVIEW_URL = '/api/profile-review';
+
+/**
+ * Shape a FieldChangeLog row for one edited field
+ * @param {Object} player - Player record
+ * @param {{field: string, oldValue: *, newValue: *}} change
+ * @param {Object} options
+ * @param {string} options.changedBy - Email of the user making the change
+ * @param {string} [options.role] - Effective role of that user
+ * @param {string} [options.changeType] - Overrides the type derived from the role
+ * @returns {Object}
+ */
+export const buildFieldChangeLog = (player, { field, oldValue, newValue }, { changedBy, role, changeType }) => ({
+  playerId: player.id,
+  playerName: `${player.firstName} ${player.lastName}`,
+  fieldName: field,
+  oldValue: oldValue ?? '',
+  newValue: newValue ?? '',
+  changeDate: new Date().toISOString(),
+  changedBy,
+  changeType: changeType || (role === 'player' ? 'Player Update' : 'Parent Update'),
+  status: PENDING_REVIEW
+});
+
+/**
+ * Queue profile changes for review
+ * @param {Object} player - Player record
+ * @param {Array<{field: string, oldValue: *, newValue: *}>} changes
+ * @param {Object} options - See buildFieldChangeLog
+ * @returns {Promise<Array>} The created FieldChangeLog rows
+ */
+export const submitProfileChanges = (player, changes, options) =>
+  Promise.all(changes.map(change => createFieldChangeLog(buildFieldChangeLog(player, change, options))));
+
+/**
+ * Changes for a player that are still waiting on staff
+ * @param {string} playerId
+ * @returns {Promise<Array>}
+ */
+export const listPendingChanges = (playerId) =>
+  filterFieldChangeLogs({ playerId, status: PENDING_REVIEW });
+
+/**
+ * Every change waiting on staff, for the review queue
+ * @returns {Promise<Array>}
+ */
+export const listReviewQueue = () => filterFieldChangeLogs({ status: PENDING_REVIEW });
+
+/**
+ * Approve or reject pending changes (staff only). Approved values are written to the Player
+ * and the submitter is notified either way.
+ * @param {string[]} ids - FieldChangeLog ids
+ * @param {'approve'|'reject'} decision
+ * @param {string} [note] - Shown to the submitter
+ * @returns {Promise<{reviewed: Array, skipped: Array<{id: string, code: string, message?: string}>}>}
+ *   Skips with a message (stale or invalid changes) are still pending
+ */
+export const reviewProfileChanges = async (ids, decision, note) => {
+  const response = await fetch(REVIEW_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify({ ids, decision, note })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || `Review request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = errorData.code;
+    throw error;
+  }
+
+  return response.json();
+};
@@ -0,0 +1,413 @@
+// Query specification shared by the Base44 client and the /api/base44 proxy.
+// The client normalizes filters, sort and pagination into a plain JSON spec;
+// the proxy validates that spec and translates it into Base44 query params so
+// filtering, sorting and paging happen server-side instead of in the browser.
+
+export const QUERY_OPERATORS = [
+  'eq',
+  'ne',
+  'in',
+  'nin',
+  'contains',
+  'search',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'between',
+  'exists'
+];
+
+export const DEFAULT_QUERY_LIMIT = 100;
+export const MAX_QUERY_LIMIT = 1000;
+const MAX_WHERE_CLAUSES = 25;
+const MAX_LIST_VALUES = 200;
+const MAX_SORT_FIELDS = 5;
+const MAX_SELECT_FIELDS = 100;
+const MAX_VALUE_LENGTH = 1000;
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+// Operators that map to Mongo-style comparison keys understood by Base44
+const COMPARISON_OPERATORS = {
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin'
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => QUERY_OPERATORS.includes(key));
+
+const serializeValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Normalize a filter object into a list of where clauses.
+ * Accepts the legacy `{ field: value }` shape, arrays (treated as `in`),
+ * operator objects such as `{ teamIds: { contains: teamId } }` or
+ * `{ startDate: { gte: from, lt: to } }`, or an already-normalized array.
+ */
+export function normalizeWhere(filters = {}) {
+  if (!filters) return [];
+
+  if (Array.isArray(filters)) {
+    return filters.map(({ field, op = 'eq', value }) => ({ field, op, value: serializeValue(value) }));
+  }
+
+  const clauses = [];
+  Object.entries(filters).forEach(([field, value]) => {
+    if (value === null || value === undefined) return;
+
+    if (isOperatorObject(value)) {
+      Object.entries(value).forEach(([op, operand]) => {
+        if (operand === undefined) return;
+        const normalized = Array.isArray(operand) ? operand.map(serializeValue) : serializeValue(operand);
+        clauses.push({ field, op, value: normalized });
+      });
+    } else if (Array.isArray(value)) {
+      clauses.push({ field, op: 'in', value: value.map(serializeValue) });
+    } else {
+      clauses.push({ field, op: 'eq', value: serializeValue(value) });
+    }
+  });
+  return clauses;
+}
+
+/**
+ * Normalize a sort argument into `[{ field, direction }]`.
+ * Accepts '-startDate', '-startDate,name', ['-startDate', 'name'] or
+ * `{ field, direction }` objects.
+ */
+export function normalizeSort(sort) {
+  if (!sort) return [];
+
+  const entries = Array.isArray(sort)
+    ? sort
+    : typeof sort === 'string'
+      ? sort.split(',')
+      : [sort];
+
+  return entries
+    .map(entry => {
+      if (isPlainObject(entry)) {
+        return { field: entry.field, direction: entry.direction === 'desc' ? 'desc' : 'asc' };
+      }
+      const trimmed = String(entry).trim();
+      if (!trimmed) return null;
+      return trimmed.startsWith('-')
+        ? { field: trimmed.slice(1), direction: 'desc' }
+        : { field: trimmed, direction: 'asc' };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build a normalized query spec from loose caller options.
+ */
+export function buildQuery({ where, sort, limit, offset, cursor, fields } = {}) {
+  const spec = {};
+
+  const clauses = normalizeWhere(where);
+  if (clauses.length > 0) spec.where = clauses;
+
+  const sortFields = normalizeSort(sort);
+  if (sortFields.length > 0) spec.sort = sortFields;
+
+  if (limit !== null && limit !== undefined) spec.limit = Number(limit);
+  if (offset !== null && offset !== undefined) spec.offset = Number(offset);
+  if (cursor) spec.cursor = cursor;
+  if (Array.isArray(fields) && fields.length > 0) spec.fields = [...fields];
+
+  return spec;
+}
+
+const validateScalar = (value) => {
+  if (value === null) return true;
+  if (typeof value === 'string') return value.length <= MAX_VALUE_LENGTH;
+  return ['number', 'boolean'].includes(typeof value) && (typeof value !== 'number' || Number.isFinite(value));
+};
+
+function validateClause(clause, index) {
+  if (!isPlainObject(clause)) {
+    return `where[${index}] must be an object`;
+  }
+
+  const { field, op, value } = clause;
+
+  if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+    return `where[${index}].field is not a valid field name`;
+  }
+
+  if (!QUERY_OPERATORS.includes(op)) {
+    return `where[${index}].op must be one of: ${QUERY_OPERATORS.join(', ')}`;
+  }
+
+  if (op === 'in' || op === 'nin') {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_VALUES) {
+      return `where[${index}].value must be a non-empty array of at most ${MAX_LIST_VALUES} values`;
+    }
+    return value.every(validateScalar) ? null : `where[${index}].value contains an invalid value`;
+  }
+
+  if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(validateScalar)) {
+      return `where[${index}].value must be a [from, to] pair`;
+    }
+    return null;
+  }
+
+  if (op === 'exists') {
+    return typeof value === 'boolean' ? null : `where[${index}].value must be a boolean`;
+  }
+
+  if (op === 'search' && (typeof value !== 'string' || value.length === 0)) {
+    return `where[${index}].value must be a non-empty string`;
+  }
+
+  return validateScalar(value) ? null : `where[${index}].value is not a valid value`;
+}
+
+/**
+ * Validate a query spec received from an untrusted caller.
+ * Returns `{ valid: true }` or `{ valid: false, error }`.
+ */
+export function validateQuery(spec) {
+  if (!isPlainObject(spec)) {
+    return { valid: false, error: 'Query params must be an object' };
+  }
+
+  const allowedKeys = ['where', 'sort', 'limit', 'offset', 'cursor', 'fields'];
+  const unknownKey = Object.keys(spec).find(key => !allowedKeys.includes(key));
+  if (unknownKey) {
+    return { valid: false, error: `Unknown query param: ${unknownKey}` };
+  }
+
+  if (spec.where !== undefined) {
+    if (!Array.isArray(spec.where) || spec.where.length > MAX_WHERE_CLAUSES) {
+      return { valid: false, error: `where must be an array of at most ${MAX_WHERE_CLAUSES} clauses` };
+    }
+    for (let i = 0; i < spec.where.length; i++) {
+      const error = validateClause(spec.where[i], i);
+      if (error) return { valid: false, error };
+    }
+  }
+
+  if (spec.sort !== undefined) {
+    if (!Array.isArray(spec.sort) || spec.sort.length > MAX_SORT_FIELDS) {
+      return { valid: false, error: `sort must be an array of at most ${MAX_SORT_FIELDS} fields` };
+    }
+    const invalidSort = spec.sort.find(entry =>
+      !isPlainObject(entry) ||
+      typeof entry.field !== 'string' ||
+      !FIELD_PATTERN.test(entry.field) ||
+      !['asc', 'desc'].includes(entry.direction)
+    );
+    if (invalidSort) {
+      return { valid: false, error: 'sort entries must be { field, direction: "asc" | "desc" }' };
+    }
+  }
+
+  if (spec.limit !== undefined) {
+    if (!Number.isInteger(spec.limit) || spec.limit < 1 || spec.limit > MAX_QUERY_LIMIT) {
+      return { valid: false, error: `limit must be an integer between 1 and ${MAX_QUERY_LIMIT}` };
+    }
+  }
+
+  if (spec.offset !== undefined) {
+    if (!Number.isInteger(spec.offset) || spec.offset < 0) {
+      return { valid: false, error: 'offset must be a non-negative integer' };
+    }
+  }
+
+  if (spec.cursor !== undefined) {
+    if (spec.offset !== undefined) {
+      return { valid: false, error: 'cursor and offset cannot be combined' };
+    }
+    if (!decodeCursor(spec.cursor)) {
+      return { valid: false, error: 'cursor is invalid' };
+    }
+  }
+
+  if (spec.fields !== undefined) {
+    if (
+      !Array.isArray(spec.fields) ||
+      spec.fields.length > MAX_SELECT_FIELDS ||
+      !spec.fields.every(field => typeof field === 'string' && FIELD_PATTERN.test(field))
+    ) {
+      return { valid: false, error: 'fields must be an array of valid field names' };
+    }
+  }
+
+  return { valid: true };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function clauseToCondition({ op, value }) {
+  switch (op) {
+    case 'eq':
+      return value;
+    case 'contains':
+      // Matches array fields that hold the value
+      return { $in: [value] };
+    case 'search':
+      return { $regex: escapeRegex(value), $options: 'i' };
+    case 'between':
+      return { $gte: value[0], $lte: value[1] };
+    case 'exists':
+      return { $exists: value };
+    default:
+      return { [COMPARISON_OPERATORS[op]]: value };
+  }
+}
+
+const asOperatorObject = (condition) => (isPlainObject(condition) ? condition : { $eq: condition });
+
+// Several clauses on one field (e.g. gte + lt) collapse into one condition
+const mergeCondition = (existing, condition) =>
+  existing === undefined ? condition : { ...asOperatorObject(existing), ...asOperatorObject(condition) };
+
+/**
+ * Translate where clauses into a Base44 (Mongo-style) filter document.
+ */
+export function toFilterDocument(where = []) {
+  return where.reduce((doc, clause) => {
+    doc[clause.field] = mergeCondition(doc[clause.field], clauseToCondition(clause));
+    return doc;
+  }, {});
+}
+
+const toBase64Url = (text) => {
+  const binary = String.fromCharCode(...new TextEncoder().encode(text));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+const getFieldValue = (row, field) =>
+  field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), row);
+
+// Keyset pagination always tie-breaks on id so cursors are stable
+const withIdTiebreak = (sort = []) =>
+  sort.some(entry => entry.field === 'id') ? sort : [...sort, { field: 'id', direction: 'asc' }];
+
+/**
+ * Encode an opaque cursor pointing just after `row` for the given sort.
+ */
+export function encodeCursor(row, sort = []) {
+  const keys = withIdTiebreak(sort);
+  return toBase64Url(JSON.stringify({
+    k: keys.map(entry => `${entry.direction === 'desc' ? '-' : ''}${entry.field}`),
+    v: keys.map(entry => getFieldValue(row, entry.field) ?? null)
+  }));
+}
+
+/**
+ * Decode a cursor produced by encodeCursor. Returns null when malformed.
+ */
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > 4096) return null;
+  try {
+    const decoded = JSON.parse(fromBase64Url(cursor));
+    if (!Array.isArray(decoded.k) || !Array.isArray(decoded.v) || decoded.k.length !== decoded.v.length) {
+      return null;
+    }
+    const sort = normalizeSort(decoded.k);
+    if (!sort.every(entry => FIELD_PATTERN.test(entry.field))) return null;
+    if (!decoded.v.every(validateScalar)) return null;
+    return { sort, values: decoded.v };
+  } catch {
+    return null;
+  }
+}
+
+// Build `(k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...` for keyset pagination
+function keysetCondition({ sort, values }) {
+  return {
+    $or: sort.map((entry, i) => {
+      const condition = {};
+      for (let j = 0; j < i; j++) {
+        condition[sort[j].field] = values[j];
+      }
+      condition[entry.field] = { [entry.direction === 'desc' ? '$lt' : '$gt']: values[i] };
+      return condition;
+    })
+  };
+}
+
+// A cursor carries its own sort; otherwise sorted queries tie-break on id
+const resolveSort = (spec, cursor) => {
+  if (cursor) return cursor.sort;
+  return spec.sort && spec.sort.length > 0 ? withIdTiebreak(spec.sort) : [];
+};
+
+/**
+ * Translate a validated query spec into Base44 query-string params.
+ * One extra row is requested so the caller can tell whether another page exists.
+ */
+export function toBase44Params(spec = {}) {
+  const params = {};
+  const limit = spec.limit ?? DEFAULT_QUERY_LIMIT;
+  const cursor = spec.cursor ? decodeCursor(spec.cursor) : null;
+  const sort = resolveSort(spec, cursor);
+
+  let filterDocument = toFilterDocument(spec.where);
+  if (cursor) {
+    filterDocument = Object.keys(filterDocument).length > 0
+      ? { $and: [filterDocument, keysetCondition(cursor)] }
+      : keysetCondition(cursor);
+  }
+
+  if (Object.keys(filterDocument).length > 0) {
+    params.q = JSON.stringify(filterDocument);
+  }
+
+  if (sort.length > 0) {
+    params.sort_by = sort
+      .map(entry => `${entry.direction === 'desc' ? '-' : ''}${entry.field}`)
+      .join(',');
+  }
+
+  params.limit = String(limit + 1);
+  if (spec.offset) params.skip = String(spec.offset);
+
+  if (spec.fields) {
+    // Cursors need the sort keys and id even when the caller projects them away
+    const required = ['id', ...sort.map(entry => entry.field)];
+    params.fields = [...new Set([...spec.fields, ...required])].join(',');
+  }
+
+  return params;
+}
+
+/**
+ * Shape a raw Base44 result (fetched with toBase44Params) into a page.
+ */
+export function toPage(rows, spec = {}) {
+  const items = Array.isArray(rows) ? rows : [];
+  const limit = spec.limit ?? DEFAULT_QUERY_LIMIT;
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+  const sort = resolveSort(spec, spec.cursor ? decodeCursor(spec.cursor) : null);
+
+  const page = { data, hasMore, nextCursor: null };
+  // Unsorted queries follow Base44's default order, so only offsets are stable for them
+  if (hasMore && data.length > 0 && sort.length > 0) {
+    page.nextCursor = encodeCursor(data[data.length - 1], sort);
+  }
+  if (spec.cursor === undefined) {
+    page.nextOffset = hasMore ? (spec.offset || 0) + data.length : null;
+  }
+  return page;
+}
@@ -0,0 +1,77 @@
+// College target list and recruiting pipeline, stored on RecruitingInterest
+import {
+  list as listRecruitingInterests,
+  create as createRecruitingInterest,
+  update as updateRecruitingInterest,
+  remove as removeRecruitingInterest
+} from './entities/RecruitingInterest.js';
+import { buildCollegeInterest, moveToStage, isCollegeInterest } from '../utils/recruitingPipeline.js';
+import { findCollegeProfile } from '../utils/collegeProfiles.js';
+
+/**
+ * The colleges a player is targeting or talking to
+ * @param {string} playerId
+ * @returns {Promise<Array<Object>>} RecruitingInterest rows, team invitations left out
+ */
+export const listCollegeInterests = async (playerId) =>
+  ((await listRecruitingInterests({ playerId })) || []).filter(isCollegeInterest);
+
+/**
+ * Start tracking a college
+ * @param {Object} player - Player record
+ * @param {{collegeName: string, division?: string, stage?: string, notes?: string}} college
+ * @param {string} by - Email of the user adding it
+ * @returns {Promise<Object>} The created RecruitingInterest
+ */
+export const addCollegeInterest = (player, college, by) =>
+  createRecruitingInterest({
+    ...buildCollegeInterest({ ...college, playerId: player.id, by }),
+    playerName: `${player.firstName} ${player.lastName}`
+  });
+
+/**
+ * Add a college to the target list without contacting it yet
+ * @param {Object} player - Player record
+ * @param {Object} target
+ * @param {string} target.collegeName
+ * @param {'reach'|'target'|'safety'} target.tier
+ * @param {Array<{position: string, classYear?: number}>} [target.positionNeeds] - What the school is recruiting
+ * @param {string} by - Email of the user adding it
+ * @returns {Promise<Object>} The created RecruitingInterest
+ */
+export const addCollegeTarget = (player, { collegeName, tier, positionNeeds = [] }, by) => {
+  const profile = findCollegeProfile(collegeName);
+  return createRecruitingInterest({
+    ...buildCollegeInterest({ playerId: player.id, collegeName, division: profile?.division || '', stage: null, by }),
+    playerName: `${player.firstName} ${player.lastName}`,
+    conference: profile?.conference || '',
+    tier,
+    positionNeeds
+  });
+};
+
+/**
+ * Change a target's tier or the needs it is scored against
+ * @param {Object} interest - RecruitingInterest
+ * @param {{tier?: string, positionNeeds?: Array}} changes
+ * @returns {Promise<Object>} The updated RecruitingInterest
+ */
+export const updateCollegeTarget = (interest, changes) =>
+  updateRecruitingInterest(interest.id, { ...changes, updatedAt: new Date().toISOString() });
+
+/**
+ * Move a college to another stage and record the move
+ * @param {Object} interest - RecruitingInterest
+ * @param {string} stage - Stage key
+ * @param {{by: string, note?: string}} options
+ * @returns {Promise<Object>} The updated RecruitingInterest
+ */
+export const moveCollegeInterest = (interest, stage, options) =>
+  updateRecruitingInterest(interest.id, moveToStage(interest, stage, options));
+
+/**
+ * Stop tracking a college
+ * @param {Object} interest - RecruitingInterest
+ * @returns {Promise<void>}
+ */
+export const removeCollegeInterest = (interest) => removeRecruitingInterest(interest.id);
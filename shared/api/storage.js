@@ -0,0 +1,99 @@
+// File storage for the portal. Files go straight to storage through signed
+// URLs from /api/storage; records keep only the returned path.
+import { getAuthHeaders } from './base44Client.js';
+import { validateFile } from '../utils/fileStorage.js';
+
+const STORAGE_URL = '/api/storage';
+
+// Refresh signed URLs this long before they expire
+const URL_REFRESH_MARGIN_MS = 60 * 1000;
+
+const urlCache = new Map();
+
+const postStorage = async (body) => {
+  const response = await fetch(STORAGE_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || `Storage request failed with status ${response.status}`);
+    error.status = response.status;
+    error.code = errorData.code;
+    throw error;
+  }
+
+  return response.json();
+};
+
+/**
+ * Upload a file
+ * @param {string} category - Key of FILE_CATEGORIES (photo, document, playerImage, chat; schoolId and reportCard for older uploads)
+ * @param {string} ownerId - Player id, or chat room id for attachments
+ * @param {File|Blob} file
+ * @param {string} [fileName] - Defaults to the File's name
+ * @returns {Promise<{path: string, fileName: string, fileSize: number, contentType: string, uploadedAt: string}>}
+ */
+export const uploadFile = async (category, ownerId, file, fileName = file?.name) => {
+  const invalid = validateFile(category, file);
+  if (invalid) {
+    const error = new Error(invalid);
+    error.code = 'INVALID_FILE';
+    throw error;
+  }
+
+  const { path, upload } = await postStorage({
+    action: 'upload',
+    category,
+    ownerId,
+    fileName,
+    contentType: file.type,
+    size: file.size
+  });
+
+  const response = await fetch(upload.url, { method: upload.method, headers: upload.headers, body: file });
+  if (!response.ok) {
+    const error = new Error(`Upload failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return {
+    path,
+    fileName,
+    fileSize: file.size,
+    contentType: file.type,
+    uploadedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Signed URL for reading a stored file. URLs are reused until shortly before they expire.
+ * @param {string} path - Storage path returned by uploadFile
+ * @returns {Promise<string>}
+ */
+export const getFileUrl = async (path) => {
+  const cached = urlCache.get(path);
+  if (cached && new Date(cached.expiresAt).getTime() - URL_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.url;
+  }
+
+  const { url, expiresAt } = await postStorage({ action: 'download', path });
+  urlCache.set(path, { url, expiresAt });
+  return url;
+};
+
+/**
+ * Delete a stored file
+ * @param {string} path
+ * @returns {Promise<{deleted: boolean}>}
+ */
+export const deleteFile = async (path) => {
+  urlCache.delete(path);
+  return postStorage({ action: 'delete', path });
+};
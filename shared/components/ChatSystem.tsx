@@ -1,8 +1,26 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Send, Paperclip, MoreVertical, Reply, Edit2, Trash2, User, Users } from 'lucide-react';
+import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import { Send, Paperclip, MoreVertical, Reply, Edit2, Trash2, User, Users, ShieldCheck, Smile, X } from 'lucide-react';
 import { ChatService } from '../services/chatService';
-import { useChat, usePresence } from '../hooks';
-import type { ChatMessage, ChatRoom } from '../types/chat';
+import { useChat, useChatThread, usePresence, useFileUrl } from '../hooks';
+import { REACTION_EMOJIS, splitMentions, summarizeReactions, getSeenBy } from '../utils/chatMessages.js';
+import type { ChatMessage, ChatRoom, ChatParticipant } from '../types/chat';
+
+// Stored attachments are read through short-lived signed URLs
+const MessageAttachment: React.FC<{ message: ChatMessage }> = ({ message }) => {
+  const { metadata } = message;
+  const url = useFileUrl(metadata?.filePath, metadata?.imageUrl || metadata?.fileUrl || null);
+  if (!url) return null;
+
+  if (message.type === 'image') {
+    return <img src={url} alt={metadata?.fileName} className="max-w-full rounded mb-2" />;
+  }
+
+  return (
+    <a href={url} target="_blank" rel="noopener noreferrer" className="text-blue-300 underline">
+      📎 {metadata?.fileName}
+    </a>
+  );
+};
 
 interface ChatSystemProps {
   chatService: ChatService;
@@ -10,6 +28,8 @@ interface ChatSystemProps {
   userName: string;
   userRole: string;
   roomId?: string;
+  // Message to open the room at, e.g. a search result
+  messageId?: string;
   className?: string;
 }
 
@@ -19,29 +39,102 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
   userName,
   userRole,
   roomId,
+  messageId,
   className = '',
 }) => {
   const [messageInput, setMessageInput] = useState('');
   const [editingMessage, setEditingMessage] = useState<string | null>(null);
-  const [replyingTo, setReplyingTo] = useState<string | null>(null);
+  const [openThreadId, setOpenThreadId] = useState<string | null>(null);
+  const [threadInput, setThreadInput] = useState('');
+  const [reactingTo, setReactingTo] = useState<string | null>(null);
   const [showRoomSelector, setShowRoomSelector] = useState(false);
   const messagesEndRef = useRef<HTMLDivElement>(null);
+  const scrollRef = useRef<HTMLDivElement>(null);
+  // Scroll height before older messages were prepended, to keep the view in place
+  const prependHeightRef = useRef<number | null>(null);
+  // Whether the view is at the latest messages, so new ones should scroll into view
+  const atBottomRef = useRef(true);
+  const lastScrollTopRef = useRef(0);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const chat = useChat(chatService, userId, userName, userRole);
   const presence = usePresence(chatService);
+  const threadReplies = useChatThread(chatService, openThreadId);
+
+  // Thread replies are shown in the thread panel, not the main timeline
+  const timeline = chat.messages.filter(message => !message.threadId);
+  const threadRoot = openThreadId ? chat.messages.find(message => message.id === openThreadId) : null;
+
+  // Auto-join room if provided; a failed join shows its error instead of retrying
+  useEffect(() => {
+    if (roomId && !chat.currentRoom && !chat.isLoading && !chat.error) {
+      chat.joinRoom(roomId).catch(() => {});
+    }
+  }, [roomId, chat.currentRoom, chat.isLoading, chat.error]);
+
+  const lastMessageId = chat.messages[chat.messages.length - 1]?.id;
 
-  // Auto-join room if provided
+  // Auto-scroll to bottom when new messages arrive, unless reading back through history
   useEffect(() => {
-    if (roomId && !chat.currentRoom) {
-      chat.joinRoom(roomId);
+    if (!chat.hasNewerMessages && atBottomRef.current) {
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     }
-  }, [roomId, chat]);
+  }, [lastMessageId]);
+
+  // Keep the view still when earlier messages are added above it
+  const firstMessageId = timeline[0]?.id;
+  useLayoutEffect(() => {
+    const container = scrollRef.current;
+    if (container && prependHeightRef.current !== null) {
+      container.scrollTop += container.scrollHeight - prependHeightRef.current;
+      prependHeightRef.current = null;
+    }
+  }, [firstMessageId]);
 
-  // Auto-scroll to bottom when new messages arrive
+  // Open at the requested message once the room is joined
+  const currentRoomId = chat.currentRoom?.id;
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [chat.messages]);
+    if (messageId && currentRoomId) chat.jumpToMessage(messageId);
+  }, [messageId, currentRoomId]);
+
+  // Bring a jumped-to message into view; replies are shown in their thread
+  useEffect(() => {
+    const target = chat.messages.find(message => message.id === chat.highlightedMessageId);
+    if (!target) return;
+    if (target.threadId) setOpenThreadId(target.threadId);
+    atBottomRef.current = false;
+    scrollRef.current
+      ?.querySelector(`[data-message-id="${target.id}"]`)
+      ?.scrollIntoView({ block: 'center' });
+  }, [chat.highlightedMessageId]);
+
+  const loadEarlier = () => {
+    if (!chat.hasMoreMessages || chat.isLoadingMore) return;
+    prependHeightRef.current = scrollRef.current?.scrollHeight ?? null;
+    chat.loadMoreMessages();
+  };
+
+  const jumpToLatest = () => {
+    atBottomRef.current = true;
+    chat.jumpToLatest();
+  };
+
+  // Scrolling up to the top pages in history; down to the bottom of a jumped-to window pages forward
+  const handleScroll = (e: React.UIEvent<HTMLDivElement>) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    const nearBottom = scrollHeight - scrollTop - clientHeight < 40;
+    const scrollingUp = scrollTop < lastScrollTopRef.current;
+    lastScrollTopRef.current = scrollTop;
+    atBottomRef.current = nearBottom && !chat.hasNewerMessages;
+
+    if (scrollingUp && scrollTop < 40) loadEarlier();
+    if (nearBottom && chat.hasNewerMessages && !chat.isLoadingMore) chat.loadNewerMessages();
+  };
+
+  // Everything on screen has been seen; the receipt only moves forward
+  useEffect(() => {
+    if (lastMessageId) chat.markAsRead(lastMessageId);
+  }, [lastMessageId, chat.markAsRead]);
 
   const handleSendMessage = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -52,8 +145,10 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
         await chat.editMessage(editingMessage, messageInput);
         setEditingMessage(null);
       } else {
-        await chat.sendMessage(messageInput, 'text', replyingTo || undefined);
-        setReplyingTo(null);
+        // Your own message should be in view, even when reading back through history
+        if (chat.hasNewerMessages) chat.jumpToLatest();
+        atBottomRef.current = true;
+        await chat.sendMessage(messageInput, 'text');
       }
       setMessageInput('');
     } catch (error) {
@@ -61,13 +156,39 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
     }
   };
 
+  const handleThreadReply = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!threadInput.trim() || !openThreadId) return;
+
+    try {
+      await chat.sendMessage(threadInput, 'text', openThreadId);
+      setThreadInput('');
+    } catch (error) {
+      console.error('Failed to send reply:', error);
+    }
+  };
+
+  const handleReaction = (messageId: string, emoji: string) => {
+    setReactingTo(null);
+    chat.toggleReaction(messageId, emoji).catch(() => {});
+  };
+
+  const seenByLabel = (message: ChatMessage) => {
+    const seenBy = getSeenBy(message, chat.participants, chat.currentRoom?.readReceipts);
+    if (seenBy.length === 0) return null;
+    const others = chat.participants.filter(p => p.userId !== message.senderId);
+    return seenBy.length === others.length && others.length > 1
+      ? 'Seen by everyone'
+      : `Seen by ${seenBy.map((p: ChatParticipant) => p.userName || 'Unknown').join(', ')}`;
+  };
+
   const handleFileUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
     const file = e.target.files?.[0];
     if (!file) return;
 
     try {
-      const fileUrl = await chatService.uploadFile(chat.currentRoom!.id, file, userId);
-      await chat.sendMessage(file.name, file.type.startsWith('image/') ? 'image' : 'file');
+      const attachment = await chatService.uploadFile(chat.currentRoom!.id, file, userId);
+      await chat.sendMessage(file.name, file.type.startsWith('image/') ? 'image' : 'file', undefined, attachment);
     } catch (error) {
       console.error('Failed to upload file:', error);
     }
@@ -95,14 +216,26 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
     return messageDate.toLocaleDateString();
   };
 
-  const renderMessage = (message: ChatMessage, index: number) => {
+  const renderContent = (message: ChatMessage) => (
+    splitMentions(message.content, chat.participants).map((part, index) => (
+      part.userId
+        ? <span key={index} className="font-semibold underline decoration-dotted">{part.text}</span>
+        : <React.Fragment key={index}>{part.text}</React.Fragment>
+    ))
+  );
+
+  const renderMessage = (message: ChatMessage, index: number, list: ChatMessage[], inThread = false) => {
     const isOwnMessage = message.senderId === userId;
-    const prevMessage = index > 0 ? chat.messages[index - 1] : null;
+    const prevMessage = index > 0 ? list[index - 1] : null;
     const showDateSeparator = !prevMessage ||
       formatDate(message.timestamp) !== formatDate(prevMessage.timestamp);
+    const mentionsMe = message.mentions?.includes(userId);
+    const reactions = summarizeReactions(message.reactions, userId);
+    const seenBy = isOwnMessage ? seenByLabel(message) : null;
+    const isLastOwn = isOwnMessage && !list.slice(index + 1).some(m => m.senderId === userId);
 
     return (
-      <div key={message.id}>
+      <div key={message.id} data-message-id={message.id}>
         {showDateSeparator && (
           <div className="flex items-center justify-center my-4">
             <div className="bg-gray-200 text-gray-600 px-3 py-1 rounded-full text-sm">
@@ -112,50 +245,97 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
         )}
 
         <div className={`flex mb-2 ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
-          <div className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
-            isOwnMessage
-              ? 'bg-blue-500 text-white'
-              : 'bg-gray-200 text-gray-900'
-          }`}>
-            {!isOwnMessage && (
-              <div className="text-xs font-semibold mb-1">{message.senderName}</div>
-            )}
+          <div>
+            <div
+              title={seenBy || undefined}
+              className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
+                isOwnMessage
+                  ? 'bg-blue-500 text-white'
+                  : 'bg-gray-200 text-gray-900'
+              } ${mentionsMe ? 'ring-2 ring-amber-400' : ''} ${
+                chat.highlightedMessageId === message.id ? 'ring-2 ring-blue-300' : ''
+              }`}
+            >
+              {!isOwnMessage && (
+                <div className="text-xs font-semibold mb-1">{message.senderName}</div>
+              )}
+
+              {/* Replies from before threads quote the message they answer */}
+              {message.replyTo && !message.threadId && (
+                <button
+                  onClick={() => chat.jumpToMessage(message.replyTo!)}
+                  className="block text-left text-xs opacity-75 mb-2 border-l-2 border-current pl-2"
+                >
+                  Replying to: {chat.messages.find(m => m.id === message.replyTo)?.content.slice(0, 50) ?? 'an earlier message'}...
+                </button>
+              )}
 
-            {message.replyTo && (
-              <div className="text-xs opacity-75 mb-2 border-l-2 border-current pl-2">
-                Replying to: {chat.messages.find(m => m.id === message.replyTo)?.content.slice(0, 50)}...
+              {message.type !== 'text' && <MessageAttachment message={message} />}
+
+              <div className="text-sm">{renderContent(message)}</div>
+
+              <div className={`text-xs mt-1 ${isOwnMessage ? 'text-blue-200' : 'text-gray-500'}`}>
+                {formatTime(message.timestamp)}
+                {message.edited && ' (edited)'}
+              </div>
+            </div>
+
+            {reactions.length > 0 && (
+              <div className={`flex flex-wrap gap-1 mt-1 ${isOwnMessage ? 'justify-end' : ''}`}>
+                {reactions.map(reaction => (
+                  <button
+                    key={reaction.emoji}
+                    onClick={() => handleReaction(message.id, reaction.emoji)}
+                    className={`px-2 py-0.5 rounded-full text-xs border ${
+                      reaction.reacted ? 'bg-blue-50 border-blue-300' : 'bg-white border-gray-200'
+                    }`}
+                  >
+                    {reaction.emoji} {reaction.count}
+                  </button>
+                ))}
               </div>
             )}
 
-            {message.type === 'image' && message.metadata?.imageUrl && (
-              <img
-                src={message.metadata.imageUrl}
-                alt={message.metadata.fileName}
-                className="max-w-full rounded mb-2"
-              />
+            {reactingTo === message.id && (
+              <div className="flex gap-1 mt-1 p-1 bg-white border rounded-lg shadow-sm">
+                {REACTION_EMOJIS.map(emoji => (
+                  <button key={emoji} onClick={() => handleReaction(message.id, emoji)} className="px-1 hover:scale-125">
+                    {emoji}
+                  </button>
+                ))}
+              </div>
             )}
 
-            {message.type === 'file' && message.metadata?.fileUrl && (
-              <a
-                href={message.metadata.fileUrl}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-blue-300 underline"
+            {!inThread && (message.replyCount || 0) > 0 && (
+              <button
+                onClick={() => setOpenThreadId(message.id)}
+                className="text-xs text-blue-600 hover:underline mt-1"
               >
-                📎 {message.metadata.fileName}
-              </a>
+                {message.replyCount} {message.replyCount === 1 ? 'reply' : 'replies'}
+              </button>
             )}
 
-            <div className="text-sm">{message.content}</div>
-
-            <div className={`text-xs mt-1 ${isOwnMessage ? 'text-blue-200' : 'text-gray-500'}`}>
-              {formatTime(message.timestamp)}
-              {message.edited && ' (edited)'}
-            </div>
+            {!inThread && isLastOwn && seenBy && (
+              <div className="text-xs text-gray-500 text-right mt-1">{seenBy}</div>
+            )}
           </div>
 
-          {isOwnMessage && chat.permissions.canEditMessages && (
-            <div className="ml-2">
+          <div className="ml-2 flex flex-col">
+            <button
+              onClick={() => setReactingTo(reactingTo === message.id ? null : message.id)}
+              className="text-gray-400 hover:text-gray-600 p-1"
+            >
+              <Smile size={14} />
+            </button>
+            {!inThread && (
+              <button
+                onClick={() => setOpenThreadId(message.id)}
+                className="text-gray-400 hover:text-gray-600 p-1"
+              >
+                <Reply size={14} />
+              </button>
+            )}
+            {isOwnMessage && chat.permissions.canEditMessages && (
               <button
                 onClick={() => {
                   setEditingMessage(message.id);
@@ -165,27 +345,16 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
               >
                 <Edit2 size={14} />
               </button>
-              {chat.permissions.canDeleteMessages && (
-                <button
-                  onClick={() => chat.deleteMessage(message.id)}
-                  className="text-gray-400 hover:text-red-600 p-1"
-                >
-                  <Trash2 size={14} />
-                </button>
-              )}
-            </div>
-          )}
-
-          {!isOwnMessage && (
-            <div className="ml-2">
+            )}
+            {isOwnMessage && chat.permissions.canDeleteMessages && (
               <button
-                onClick={() => setReplyingTo(message.id)}
-                className="text-gray-400 hover:text-gray-600 p-1"
+                onClick={() => chat.deleteMessage(message.id)}
+                className="text-gray-400 hover:text-red-600 p-1"
               >
-                <Reply size={14} />
+                <Trash2 size={14} />
               </button>
-            </div>
-          )}
+            )}
+          </div>
         </div>
       </div>
     );
@@ -214,7 +383,7 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
           <div>
             <h3 className="font-semibold text-gray-900">{chat.currentRoom.name}</h3>
             <p className="text-sm text-gray-600">
-              {chat.participants.filter(p => p.isOnline).length} online
+              {presence.getUsersInRoom(chat.currentRoom.id).length} online
             </p>
           </div>
         </div>
@@ -226,30 +395,85 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
         </button>
       </div>
 
-      {/* Messages */}
-      <div className="flex-1 overflow-y-auto p-4">
-        {chat.messages.map((message, index) => renderMessage(message, index))}
-        <div ref={messagesEndRef} />
-      </div>
-
-      {/* Reply indicator */}
-      {replyingTo && (
-        <div className="px-4 py-2 bg-gray-100 border-t flex items-center justify-between">
-          <div className="flex items-center">
-            <Reply size={16} className="text-gray-500 mr-2" />
-            <span className="text-sm text-gray-600">
-              Replying to: {chat.messages.find(m => m.id === replyingTo)?.content.slice(0, 50)}...
-            </span>
-          </div>
-          <button
-            onClick={() => setReplyingTo(null)}
-            className="text-gray-400 hover:text-gray-600"
-          >
-            ✕
-          </button>
+      {/* Safeguarding notice */}
+      {chat.currentRoom.safeguarding && (
+        <div className="flex items-center px-4 py-2 bg-amber-50 border-b border-amber-200 text-sm text-amber-800">
+          <ShieldCheck size={16} className="mr-2 flex-shrink-0" />
+          {chat.currentRoom.safeguarding.guardianIds.length > 0
+            ? 'A parent or guardian is included in this conversation, and messages are kept for safeguarding.'
+            : 'Messages in this conversation are kept for safeguarding.'}
         </div>
       )}
 
+      {/* Messages, with the open thread alongside */}
+      <div className="flex flex-1 min-h-0">
+        <div ref={scrollRef} onScroll={handleScroll} className="flex-1 overflow-y-auto p-4">
+          {chat.hasMoreMessages && (
+            <div className="flex justify-center mb-4">
+              <button
+                onClick={loadEarlier}
+                disabled={chat.isLoadingMore}
+                className="text-sm text-blue-600 hover:underline disabled:text-gray-400"
+              >
+                {chat.isLoadingMore ? 'Loading...' : 'Load earlier messages'}
+              </button>
+            </div>
+          )}
+          {timeline.map((message, index) => renderMessage(message, index, timeline))}
+          {chat.hasNewerMessages && (
+            <div className="sticky bottom-0 flex justify-center">
+              <button
+                onClick={jumpToLatest}
+                className="bg-blue-500 text-white text-sm px-3 py-1 rounded-full shadow hover:bg-blue-600"
+              >
+                Jump to latest
+              </button>
+            </div>
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {openThreadId && (
+          <div className="w-80 flex flex-col border-l bg-gray-50">
+            <div className="flex items-center justify-between px-4 py-2 border-b">
+              <h4 className="font-semibold text-gray-900">Thread</h4>
+              <button
+                onClick={() => setOpenThreadId(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X size={16} />
+              </button>
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-4">
+              {threadRoot && renderMessage(threadRoot, 0, [threadRoot], true)}
+              <div className="text-xs text-gray-500 border-b pb-1 mb-2">
+                {threadReplies.length} {threadReplies.length === 1 ? 'reply' : 'replies'}
+              </div>
+              {threadReplies.map((message, index) => renderMessage(message, index, threadReplies, true))}
+            </div>
+
+            <form onSubmit={handleThreadReply} className="p-3 border-t flex items-center space-x-2">
+              <input
+                type="text"
+                value={threadInput}
+                onChange={(e) => setThreadInput(e.target.value)}
+                placeholder="Reply in thread..."
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                disabled={!chat.permissions.canSendMessages}
+              />
+              <button
+                type="submit"
+                disabled={!threadInput.trim() || !chat.permissions.canSendMessages}
+                className="bg-blue-500 text-white p-2 rounded-lg hover:bg-blue-600 disabled:bg-gray-300 disabled:cursor-not-allowed"
+              >
+                <Send size={16} />
+              </button>
+            </form>
+          </div>
+        )}
+      </div>
+
       {/* Message Input */}
       <form onSubmit={handleSendMessage} className="p-4 border-t bg-gray-50">
         <div className="flex items-center space-x-2">
@@ -273,7 +497,7 @@ export const ChatSystem: React.FC<ChatSystemProps> = ({
             type="text"
             value={messageInput}
             onChange={(e) => setMessageInput(e.target.value)}
-            placeholder={editingMessage ? "Edit message..." : "Type a message..."}
+            placeholder={editingMessage ? "Edit message..." : "Type a message, @name to mention..."}
             className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             disabled={!chat.permissions.canSendMessages}
           />
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { CheckCircle, XCircle, ClipboardCheck, RefreshCw } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Textarea } from './ui/textarea';
+import { listReviewQueue, reviewProfileChanges } from '../api/profileChanges';
+import { groupChangesByPlayer, getProfileFieldLabel } from '../utils/playerProfile';
+
+const displayValue = (value) => (value === '' || value === null || value === undefined ? '(blank)' : String(value));
+
+/**
+ * Profile Review Queue Component
+ * Lets staff approve or reject the profile changes players and parents submit
+ */
+const ProfileReviewQueue = ({ className = '' }) => {
+  const [changes, setChanges] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadQueue = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setChanges(await listReviewQueue());
+      setSelected([]);
+    } catch (err) {
+      console.error('Error loading profile review queue:', err);
+      setError('Failed to load pending changes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQueue();
+  }, []);
+
+  const review = async (ids, decision) => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const { reviewed, skipped } = await reviewProfileChanges(ids, decision, note.trim() || undefined);
+      // Rows someone else already reviewed drop out of the queue too. Stale or
+      // invalid changes stay, with the reason, so they can be rejected instead.
+      const held = skipped.filter(skip => skip.message);
+      const done = [...reviewed.map(change => change.id), ...skipped.filter(skip => !skip.message).map(skip => skip.id)];
+      setChanges(prev => prev.filter(change => !done.includes(change.id)));
+      setSelected(prev => prev.filter(id => !done.includes(id)));
+      setNote('');
+      if (held.length > 0) setError(held.map(skip => skip.message).join('. '));
+    } catch (err) {
+      console.error('Error reviewing profile changes:', err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const toggle = (ids, checked) => {
+    setSelected(prev => (checked ? [...new Set([...prev, ...ids])] : prev.filter(id => !ids.includes(id))));
+  };
+
+  const groups = groupChangesByPlayer(changes);
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <ClipboardCheck className="h-5 w-5" />
+            Profile Changes
+            {changes.length > 0 && <Badge variant="secondary">{changes.length} pending</Badge>}
+          </span>
+          <Button variant="ghost" size="sm" onClick={loadQueue} disabled={loading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {loading ? (
+          <div className="animate-pulse bg-gray-200 h-32 rounded-lg"></div>
+        ) : groups.length === 0 ? (
+          <p className="text-muted-foreground">No profile changes are waiting for review.</p>
+        ) : (
+          <>
+            <div className="space-y-2">
+              <Textarea
+                placeholder="Optional note to include in the email to the submitter"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                rows={2}
+              />
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-muted-foreground">{selected.length} selected</span>
+                <Button size="sm" disabled={submitting || selected.length === 0} onClick={() => review(selected, 'approve')}>
+                  <CheckCircle className="h-4 w-4 mr-1" />
+                  Approve Selected
+                </Button>
+                <Button size="sm" variant="outline" disabled={submitting || selected.length === 0} onClick={() => review(selected, 'reject')}>
+                  <XCircle className="h-4 w-4 mr-1" />
+                  Reject Selected
+                </Button>
+              </div>
+            </div>
+
+            {groups.map(group => {
+              const ids = group.changes.map(change => change.id);
+              const allSelected = ids.every(id => selected.includes(id));
+
+              return (
+                <div key={group.playerId} className="border rounded-lg">
+                  <div className="flex items-center justify-between p-3 bg-gray-50 border-b">
+                    <label className="flex items-center gap-2 font-medium">
+                      <input type="checkbox" checked={allSelected} onChange={(e) => toggle(ids, e.target.checked)} />
+                      {group.playerName}
+                    </label>
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="outline" disabled={submitting} onClick={() => review(ids, 'approve')}>
+                        Approve All
+                      </Button>
+                      <Button size="sm" variant="outline" disabled={submitting} onClick={() => review(ids, 'reject')}>
+                        Reject All
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="divide-y">
+                    {group.changes.map(change => (
+                      <div key={change.id} className="flex items-center justify-between p-3 gap-4">
+                        <label className="flex items-start gap-2 flex-1">
+                          <input
+                            type="checkbox"
+                            className="mt-1"
+                            checked={selected.includes(change.id)}
+                            onChange={(e) => toggle([change.id], e.target.checked)}
+                          />
+                          <div>
+                            <p className="text-sm font-medium">{getProfileFieldLabel(change.fieldName)}</p>
+                            <p className="text-sm">
+                              <span className="line-through text-red-600">{displayValue(change.oldValue)}</span>
+                              {' → '}
+                              <span className="text-green-700">{displayValue(change.newValue)}</span>
+                            </p>
+                            <p className="text-xs text-muted-foreground">
+                              {change.changeType} by {change.changedBy}
+                              {change.changeDate && ` · ${format(new Date(change.changeDate), 'MMM d, h:mm a')}`}
+                            </p>
+                          </div>
+                        </label>
+                        <div className="flex gap-1">
+                          <Button size="sm" variant="ghost" disabled={submitting} onClick={() => review([change.id], 'approve')}>
+                            <CheckCircle className="h-4 w-4 text-green-600" />
+                          </Button>
+                          <Button size="sm" variant="ghost" disabled={submitting} onClick={() => review([change.id], 'reject')}>
+                            <XCircle className="h-4 w-4 text-red-600" />
+                          </Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ProfileReviewQueue;
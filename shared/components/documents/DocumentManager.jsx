@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
+import { FileText, Upload, Eye, Trash2, CheckCircle, XCircle, AlertTriangle, RefreshCw } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Input } from '../ui/input';
+import { useAuth } from '../../contexts/AuthContext';
+import { getFileUrl } from '../../api/storage';
+import {
+  loadDocumentStatus,
+  uploadPlayerDocument,
+  deletePlayerDocument,
+  reviewPlayerDocument
+} from '../../api/playerDocuments';
+import {
+  DOCUMENT_CATEGORIES,
+  DOCUMENT_STATUS,
+  CHECKLIST_STATE_COLORS,
+  getDocumentState,
+  validateDocument
+} from '../../utils/documents';
+import { validateFile } from '../../utils/fileStorage';
+
+const STAFF_ROLES = ['admin', 'coach'];
+
+const EMPTY_UPLOAD = { category: 'physical', expiresAt: '', notes: '', file: null };
+
+const STATE_LABELS = {
+  missing: 'Missing',
+  rejected: 'Rejected',
+  expired: 'Expired',
+  expiring: 'Expiring Soon',
+  pending: 'Awaiting Review',
+  verified: 'Verified'
+};
+
+const formatDate = (date) => format(parseISO(date), 'MMM d, yyyy');
+
+/**
+ * Document Manager Component
+ * A player's document vault: the team's required-documents checklist, uploads
+ * with expiration dates, and warnings for upcoming tournaments. Staff can
+ * verify or reject uploads.
+ */
+const DocumentManager = ({ player, userRole, className = '' }) => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const isStaff = STAFF_ROLES.includes(userRole);
+
+  const loadDocuments = async () => {
+    if (!player) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setStatus(await loadDocumentStatus(player));
+    } catch (err) {
+      console.error('Error loading documents:', err);
+      setError('Failed to load documents');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setUpload(EMPTY_UPLOAD);
+    loadDocuments();
+  }, [player?.id]);
+
+  const startUpload = (category) => {
+    setUpload({ ...EMPTY_UPLOAD, category });
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    const invalid = validateDocument(upload) || validateFile('document', upload.file);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await uploadPlayerDocument(player, upload.file, {
+        category: upload.category,
+        expiresAt: upload.expiresAt || undefined,
+        notes: upload.notes.trim(),
+        uploadedBy: user?.email
+      });
+      setUpload(EMPTY_UPLOAD);
+      e.target.reset();
+      await loadDocuments();
+    } catch (err) {
+      console.error('Error uploading document:', err);
+      setError(err.code === 'INVALID_FILE' || err.code === 'INVALID_DOCUMENT' ? err.message : 'Error uploading document. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const viewDocument = async (document) => {
+    try {
+      window.open(await getFileUrl(document.filePath), '_blank', 'noopener,noreferrer');
+    } catch (err) {
+      console.error('Error opening document:', err);
+      setError('Error opening document. Please try again.');
+    }
+  };
+
+  const removeDocument = async (document) => {
+    if (!confirm(`Remove ${document.fileName}?`)) return;
+    try {
+      await deletePlayerDocument(document);
+      await loadDocuments();
+    } catch (err) {
+      console.error('Error removing document:', err);
+      setError('Error removing document. Please try again.');
+    }
+  };
+
+  const review = async (document, decision) => {
+    const reviewNote = decision === DOCUMENT_STATUS.REJECTED
+      ? prompt('Why is this document being rejected? The family will see this note.')
+      : '';
+    if (reviewNote === null) return;
+
+    try {
+      await reviewPlayerDocument(document, decision, { reviewedBy: user?.email, reviewNote });
+      await loadDocuments();
+    } catch (err) {
+      console.error('Error reviewing document:', err);
+      setError('Error saving the review. Please try again.');
+    }
+  };
+
+  if (!player) return null;
+
+  const rules = DOCUMENT_CATEGORIES[upload.category];
+  const documents = [...(status?.documents || [])]
+    .sort((a, b) => String(b.uploadedAt || '').localeCompare(String(a.uploadedAt || '')));
+
+  return (
+    <div className={`space-y-6 ${className}`}>
+      {status?.tournamentIssues.map(({ event, missing }) => (
+        <div key={event.occurrenceId || event.id} className="flex items-start gap-3 p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-800">
+          <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+          <div>
+            <p className="font-medium">
+              {event.title} · {format(new Date(event.startDate), 'EEE, MMM d')}
+            </p>
+            <p>
+              Not cleared to play: {missing.map(item => `${item.label} (${STATE_LABELS[item.state].toLowerCase()})`).join(', ')}.
+              Tournament directors check these at roster submission.
+            </p>
+          </div>
+        </div>
+      ))}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center justify-between">
+            <span className="flex items-center gap-2">
+              <FileText className="h-5 w-5" />
+              Required Documents
+            </span>
+            <Button variant="ghost" size="sm" onClick={loadDocuments} disabled={loading}>
+              <RefreshCw className="h-4 w-4" />
+            </Button>
+          </CardTitle>
+          {status?.teams.length > 0 && (
+            <p className="text-sm text-muted-foreground">
+              Required by {status.teams.map(team => team.name).filter(Boolean).join(', ')}
+            </p>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          {loading && !status ? (
+            <div className="animate-pulse bg-gray-200 h-32 rounded-lg"></div>
+          ) : (
+            status?.checklist.map(item => (
+              <div key={item.category} className="flex items-center justify-between p-3 border rounded-lg">
+                <div>
+                  <p className="text-sm font-medium">{item.label}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.document?.expiresAt
+                      ? `Expires ${formatDate(item.document.expiresAt)}`
+                      : item.document ? 'Does not expire' : 'Not uploaded'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${CHECKLIST_STATE_COLORS[item.state]}`}>
+                    {STATE_LABELS[item.state]}
+                  </span>
+                  {item.state !== 'verified' && item.state !== 'pending' && (
+                    <Button variant="outline" size="sm" onClick={() => startUpload(item.category)}>
+                      Upload
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Upload className="h-5 w-5" />
+            Upload a Document
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label htmlFor="documentCategory" className="block text-sm font-medium">Document Type</label>
+              <select
+                id="documentCategory"
+                value={upload.category}
+                onChange={(e) => setUpload(prev => ({ ...prev, category: e.target.value }))}
+                className="w-full p-2 border rounded-md"
+              >
+                {Object.entries(DOCUMENT_CATEGORIES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="documentExpiresAt" className="block text-sm font-medium">
+                Expiration Date{rules?.expires ? '' : ' (optional)'}
+              </label>
+              <Input
+                id="documentExpiresAt"
+                type="date"
+                value={upload.expiresAt}
+                onChange={(e) => setUpload(prev => ({ ...prev, expiresAt: e.target.value }))}
+              />
+              {rules?.hint && <p className="text-xs text-muted-foreground">{rules.hint}</p>}
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="documentFile" className="block text-sm font-medium">File</label>
+              <Input
+                id="documentFile"
+                type="file"
+                accept="image/jpeg,image/png,.pdf"
+                onChange={(e) => setUpload(prev => ({ ...prev, file: e.target.files[0] || null }))}
+              />
+              <p className="text-xs text-muted-foreground">JPG, PNG or PDF, up to 10MB</p>
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="documentNotes" className="block text-sm font-medium">Notes (optional)</label>
+              <Input
+                id="documentNotes"
+                value={upload.notes}
+                onChange={(e) => setUpload(prev => ({ ...prev, notes: e.target.value }))}
+                placeholder="e.g. Signed by Dr. Patel"
+              />
+            </div>
+            <div className="md:col-span-2 flex justify-end">
+              <Button type="submit" disabled={saving || !upload.file}>
+                {saving ? 'Uploading...' : 'Upload Document'}
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>All Documents</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {documents.length === 0 ? (
+            <p className="text-muted-foreground">No documents uploaded yet.</p>
+          ) : (
+            <div className="divide-y">
+              {documents.map(document => {
+                const state = getDocumentState(document);
+                return (
+                  <div key={document.id} className="flex items-center justify-between py-3 gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium truncate">
+                        {DOCUMENT_CATEGORIES[document.category]?.label || document.category} · {document.fileName}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {document.uploadedAt && `Uploaded ${format(new Date(document.uploadedAt), 'MMM d, yyyy')}`}
+                        {document.expiresAt && ` · Expires ${formatDate(document.expiresAt)}`}
+                        {document.legacy && ' · From profile uploads'}
+                      </p>
+                      {document.reviewNote && (
+                        <p className="text-xs text-red-600">{document.reviewNote}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <Badge variant="secondary" className={CHECKLIST_STATE_COLORS[state]}>{STATE_LABELS[state]}</Badge>
+                      {document.filePath && (
+                        <Button variant="ghost" size="sm" onClick={() => viewDocument(document)}>
+                          <Eye className="h-4 w-4" />
+                        </Button>
+                      )}
+                      {isStaff && !document.legacy && document.status !== DOCUMENT_STATUS.VERIFIED && (
+                        <Button variant="ghost" size="sm" onClick={() => review(document, DOCUMENT_STATUS.VERIFIED)}>
+                          <CheckCircle className="h-4 w-4 text-green-600" />
+                        </Button>
+                      )}
+                      {isStaff && !document.legacy && document.status !== DOCUMENT_STATUS.REJECTED && (
+                        <Button variant="ghost" size="sm" onClick={() => review(document, DOCUMENT_STATUS.REJECTED)}>
+                          <XCircle className="h-4 w-4 text-red-600" />
+                        </Button>
+                      )}
+                      {!document.legacy && (
+                        <Button variant="ghost" size="sm" onClick={() => removeDocument(document)}>
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default DocumentManager;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { ClipboardList, AlertTriangle, RefreshCw } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { setRequiredDocuments, loadTeamDocumentIssues } from '../../api/playerDocuments';
+import { DOCUMENT_CATEGORIES, getRequiredDocuments } from '../../utils/documents';
+
+/**
+ * Team Document Checklist Component
+ * Lets staff choose the documents a team requires and shows which rostered
+ * players are not cleared for its upcoming tournaments
+ */
+const TeamDocumentChecklist = ({ team, onUpdated, className = '' }) => {
+  const [required, setRequired] = useState(getRequiredDocuments(team));
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadIssues = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setIssues(await loadTeamDocumentIssues(team));
+    } catch (err) {
+      console.error('Error loading roster documents:', err);
+      setError('Failed to load roster documents');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setRequired(getRequiredDocuments(team));
+    loadIssues();
+  }, [team]);
+
+  const toggle = (category, checked) => {
+    setRequired(prev => (checked ? [...prev, category] : prev.filter(key => key !== category)));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const updated = await setRequiredDocuments(team, required);
+      if (onUpdated) onUpdated(updated);
+    } catch (err) {
+      console.error('Error saving required documents:', err);
+      setError('Failed to save the checklist');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unchanged = JSON.stringify([...required].sort()) === JSON.stringify([...getRequiredDocuments(team)].sort());
+
+  return (
+    <Card className={className}>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center gap-2">
+            <ClipboardList className="h-5 w-5" />
+            {team.name} Documents
+            {issues.length > 0 && <Badge variant="destructive">{issues.length} not cleared</Badge>}
+          </span>
+          <Button variant="ghost" size="sm" onClick={loadIssues} disabled={loading}>
+            <RefreshCw className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="space-y-2">
+          <p className="text-sm font-medium">Required for every player on the roster</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {Object.entries(DOCUMENT_CATEGORIES).map(([category, { label }]) => (
+              <label key={category} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={required.includes(category)}
+                  onChange={(e) => toggle(category, e.target.checked)}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+          <Button size="sm" onClick={save} disabled={saving || unchanged}>
+            {saving ? 'Saving...' : 'Save Checklist'}
+          </Button>
+        </div>
+
+        <div className="space-y-2">
+          <p className="text-sm font-medium">Upcoming tournaments</p>
+          {loading ? (
+            <div className="animate-pulse bg-gray-200 h-24 rounded-lg"></div>
+          ) : issues.length === 0 ? (
+            <p className="text-sm text-muted-foreground">Every player is cleared for the team's upcoming tournaments.</p>
+          ) : (
+            <div className="divide-y border rounded-lg">
+              {issues.map(({ player, issues: playerIssues }) => (
+                <div key={player.id} className="p-3 text-sm">
+                  <p className="font-medium flex items-center gap-2">
+                    <AlertTriangle className="h-4 w-4 text-red-600" />
+                    {player.firstName} {player.lastName}
+                  </p>
+                  {playerIssues.map(({ event, missing }) => (
+                    <p key={event.occurrenceId || event.id} className="text-gray-600 ml-6">
+                      {event.title} ({format(new Date(event.startDate), 'MMM d')}):{' '}
+                      {missing.map(item => `${item.label} ${item.state}`).join(', ')}
+                    </p>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TeamDocumentChecklist;
@@ -3,4 +3,7 @@ export { default as ProtectedRoute } from './ProtectedRoute';
 export { default as LoadingSpinner } from './LoadingSpinner';
 export { default as ErrorMessage } from './ErrorMessage';
 export { default as AccessDenied } from './AccessDenied';
-export { ChatSystem } from './ChatSystem';
\ No newline at end of file
+export { ChatSystem } from './ChatSystem';
+export { default as ProfileReviewQueue } from './ProfileReviewQueue';
+export { default as DocumentManager } from './documents/DocumentManager';
+export { default as TeamDocumentChecklist } from './documents/TeamDocumentChecklist';
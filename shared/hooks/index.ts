@@ -1,4 +1,6 @@
 // Chat hooks
 export * from './useChat';
+export * from './useChatThread';
 export * from './usePresence';
-export * from './useOfflineQueue';
\ No newline at end of file
+export * from './useOfflineQueue';
+export * from './useFileUrl';
\ No newline at end of file
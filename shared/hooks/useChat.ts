@@ -1,5 +1,6 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { ChatService } from '../services/chatService';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { ChatService, MESSAGE_PAGE_SIZE } from '../services/chatService';
+import { isNewerThanReceipt, mergeMessages, getSlidOutMessages } from '../utils/chatMessages.js';
 import type {
   ChatMessage,
   ChatRoom,
@@ -11,7 +12,14 @@ import type {
 
 export const useChat = (chatService: ChatService, userId: string, userName: string, userRole: string) => {
   const [currentRoom, setCurrentRoom] = useState<ChatRoom | null>(null);
-  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  // The live window of latest messages, history paged in before it, and the
+  // window around a jumped-to message while the user is away from the latest
+  const [liveMessages, setLiveMessages] = useState<ChatMessage[]>([]);
+  const [olderMessages, setOlderMessages] = useState<ChatMessage[]>([]);
+  const [anchoredMessages, setAnchoredMessages] = useState<ChatMessage[] | null>(null);
+  const [reachedStart, setReachedStart] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [highlightedMessageId, setHighlightedMessageId] = useState<string | null>(null);
   const [participants, setParticipants] = useState<ChatParticipant[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -25,12 +33,23 @@ export const useChat = (chatService: ChatService, userId: string, userName: stri
   });
 
   const unsubscribeRefs = useRef<(() => void)[]>([]);
+  // Room to leave on unmount, read without re-running effects on every room update
+  const joinedRoomIdRef = useRef<string | null>(null);
+  const liveMessagesRef = useRef<ChatMessage[]>([]);
+
+  const messages = useMemo(
+    () => mergeMessages(olderMessages, anchoredMessages ?? liveMessages),
+    [olderMessages, anchoredMessages, liveMessages]
+  );
+  const hasMoreMessages = !reachedStart &&
+    (olderMessages.length > 0 || anchoredMessages !== null || liveMessages.length >= MESSAGE_PAGE_SIZE);
 
   // Send message
   const sendMessage = useCallback(async (
     content: string,
     type: ChatMessage['type'] = 'text',
-    replyTo?: string
+    replyTo?: string,
+    metadata?: ChatMessage['metadata']
   ) => {
     if (!currentRoom || !permissions.canSendMessages) {
       throw new Error('Cannot send message');
@@ -38,7 +57,7 @@ export const useChat = (chatService: ChatService, userId: string, userName: stri
 
     try {
       setError(null);
-      await chatService.sendMessage(currentRoom.id, userId, userName, content, type, replyTo);
+      await chatService.sendMessage(currentRoom.id, userId, userName, content, type, replyTo, metadata);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to send message');
       throw err;
@@ -87,19 +106,24 @@ export const useChat = (chatService: ChatService, userId: string, userName: stri
       }
 
       // Join new room
-      await chatService.joinRoom(roomId, userId, userName, userRole);
+      await chatService.joinRoom(roomId, userId);
+      joinedRoomIdRef.current = roomId;
 
       // Update permissions
       const roomPermissions = await chatService.getPermissions(userId, roomId);
       setPermissions(roomPermissions);
 
+      const room = await chatService.getRoom(roomId);
+      setCurrentRoom(room);
+      setParticipants(room?.participants || []);
+
       setIsLoading(false);
     } catch (err) {
       setIsLoading(false);
       setError(err instanceof Error ? err.message : 'Failed to join room');
       throw err;
     }
-  }, [currentRoom, userId, userName, userRole, chatService]);
+  }, [currentRoom, userId, chatService]);
 
   // Leave room
   const leaveRoom = useCallback(async () => {
@@ -107,8 +131,11 @@ export const useChat = (chatService: ChatService, userId: string, userName: stri
 
     try {
       await chatService.leaveRoom(currentRoom.id, userId);
+      joinedRoomIdRef.current = null;
       setCurrentRoom(null);
-      setMessages([]);
+      setLiveMessages([]);
+      setOlderMessages([]);
+      setAnchoredMessages(null);
       setParticipants([]);
       setPermissions({
         canSendMessages: false,
@@ -123,34 +150,136 @@ export const useChat = (chatService: ChatService, userId: string, userName: stri
     }
   }, [currentRoom, userId, chatService]);
 
-  // Load more messages
+  // Page in the history just before the oldest message shown
   const loadMoreMessages = useCallback(async () => {
-    // Implementation for pagination would go here
-    // For now, this is a placeholder
+    const oldest = messages[0];
+    if (!currentRoom || !oldest || isLoadingMore || reachedStart) return;
+
+    try {
+      setIsLoadingMore(true);
+      const page = await chatService.loadMessagesBefore(currentRoom.id, oldest.id);
+      setOlderMessages(older => mergeMessages(page.messages, older));
+      if (!page.hasMore) setReachedStart(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load earlier messages');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [currentRoom, messages, isLoadingMore, reachedStart, chatService]);
+
+  // Page forward from a jumped-to window; reaching the latest message rejoins the live window
+  const loadNewerMessages = useCallback(async () => {
+    const newest = anchoredMessages?.[anchoredMessages.length - 1];
+    if (!currentRoom || !newest || isLoadingMore) return;
+
+    try {
+      setIsLoadingMore(true);
+      const page = await chatService.loadMessagesAfter(currentRoom.id, newest.id);
+      const combined = mergeMessages(anchoredMessages, page.messages);
+      if (page.hasMore) {
+        setAnchoredMessages(combined);
+      } else {
+        setOlderMessages(older => mergeMessages(older, combined));
+        setAnchoredMessages(null);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load newer messages');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [currentRoom, anchoredMessages, isLoadingMore, chatService]);
+
+  // Show a message with context around it, loading it from history when it isn't on screen
+  const jumpToMessage = useCallback(async (messageId: string) => {
+    if (!currentRoom) return;
+    if (messages.some(m => m.id === messageId)) {
+      setHighlightedMessageId(messageId);
+      return;
+    }
+
+    try {
+      setIsLoadingMore(true);
+      setError(null);
+      const around = await chatService.loadMessagesAround(currentRoom.id, messageId);
+      setReachedStart(!around.hasMoreBefore);
+      if (around.hasMoreAfter) {
+        setOlderMessages([]);
+        setAnchoredMessages(around.messages);
+      } else {
+        // Nothing between it and the live window, so stay live
+        setOlderMessages(around.messages);
+        setAnchoredMessages(null);
+      }
+      setHighlightedMessageId(messageId);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load message');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [currentRoom, messages, chatService]);
+
+  // Back to the live window, dropping loaded history
+  const jumpToLatest = useCallback(() => {
+    setOlderMessages([]);
+    setAnchoredMessages(null);
+    setReachedStart(false);
+    setHighlightedMessageId(null);
   }, []);
 
-  // Mark message as read
+  // Move the user's read receipt up to this message; never moves it back
   const markAsRead = useCallback(async (messageId: string) => {
-    // Implementation for marking messages as read would go here
-    // This could update a user's read status in the database
-  }, []);
+    if (!currentRoom) return;
+
+    const message = messages.find(m => m.id === messageId);
+    if (!message || !isNewerThanReceipt(currentRoom.readReceipts?.[userId], message)) return;
+
+    try {
+      await chatService.markAsRead(currentRoom.id, userId, message);
+    } catch (err) {
+      console.error('Failed to update read receipt:', err);
+    }
+  }, [currentRoom, messages, userId, chatService]);
+
+  // Toggle the user's emoji reaction on a message
+  const toggleReaction = useCallback(async (messageId: string, emoji: string) => {
+    try {
+      setError(null);
+      await chatService.toggleReaction(messageId, emoji, userId);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to react to message');
+      throw err;
+    }
+  }, [userId, chatService]);
+
+  const currentRoomId = currentRoom?.id;
 
   // Set up subscriptions when room changes
   useEffect(() => {
-    if (!currentRoom) return;
+    if (!currentRoomId) return;
 
     // Clean up previous subscriptions
     unsubscribeRefs.current.forEach(unsubscribe => unsubscribe());
     unsubscribeRefs.current = [];
 
-    // Subscribe to messages
-    const unsubscribeMessages = chatService.subscribeToRoom(currentRoom.id, (newMessages) => {
-      setMessages(newMessages);
+    // Start each room from its live window
+    liveMessagesRef.current = [];
+    setLiveMessages([]);
+    setOlderMessages([]);
+    setAnchoredMessages(null);
+    setReachedStart(false);
+    setHighlightedMessageId(null);
+
+    // Subscribe to messages; ones pushed out of the window by new arrivals stay on screen as history
+    const unsubscribeMessages = chatService.subscribeToRoom(currentRoomId, (newMessages) => {
+      const slidOut = getSlidOutMessages(liveMessagesRef.current, newMessages, MESSAGE_PAGE_SIZE);
+      liveMessagesRef.current = newMessages;
+      if (slidOut.length > 0) setOlderMessages(older => mergeMessages(older, slidOut));
+      setLiveMessages(newMessages);
     });
     unsubscribeRefs.current.push(unsubscribeMessages);
 
     // Subscribe to room updates
-    const unsubscribeRoom = chatService.subscribeToRoomUpdates(currentRoom.id, (room) => {
+    const unsubscribeRoom = chatService.subscribeToRoomUpdates(currentRoomId, (room) => {
       setCurrentRoom(room);
       setParticipants(room.participants);
     });
@@ -161,17 +290,17 @@ export const useChat = (chatService: ChatService, userId: string, userName: stri
       unsubscribeRefs.current.forEach(unsubscribe => unsubscribe());
       unsubscribeRefs.current = [];
     };
-  }, [currentRoom, chatService]);
+  }, [currentRoomId, chatService]);
 
   // Leave room on unmount
   useEffect(() => {
     return () => {
-      if (currentRoom) {
-        chatService.leaveRoom(currentRoom.id, userId).catch(console.error);
+      if (joinedRoomIdRef.current) {
+        chatService.leaveRoom(joinedRoomIdRef.current, userId).catch(console.error);
       }
       unsubscribeRefs.current.forEach(unsubscribe => unsubscribe());
     };
-  }, [currentRoom, userId, chatService]);
+  }, [userId, chatService]);
 
   const contextValue: ChatContextType = {
     currentRoom,
@@ -185,7 +314,15 @@ export const useChat = (chatService: ChatService, userId: string, userName: stri
     joinRoom,
     leaveRoom,
     loadMoreMessages,
+    hasMoreMessages,
+    isLoadingMore,
+    loadNewerMessages,
+    hasNewerMessages: anchoredMessages !== null,
+    jumpToMessage,
+    jumpToLatest,
+    highlightedMessageId,
     markAsRead,
+    toggleReaction,
     permissions,
   };
 
@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { ChatService } from '../services/chatService';
+import type { ChatMessage } from '../types/chat';
+
+// Replies in one thread, kept live; empty while no thread is open
+export const useChatThread = (chatService: ChatService, threadId: string | null) => {
+  const [replies, setReplies] = useState<ChatMessage[]>([]);
+
+  useEffect(() => {
+    setReplies([]);
+    if (!threadId) return;
+
+    return chatService.subscribeToThread(threadId, setReplies);
+  }, [chatService, threadId]);
+
+  return replies;
+};
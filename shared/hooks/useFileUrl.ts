@@ -0,0 +1,30 @@
+import { useState, useEffect } from 'react';
+import { getFileUrl } from '../api/storage.js';
+
+// Signed URL for a stored file, or `fallback` while it loads or when there is no path
+export const useFileUrl = (path?: string | null, fallback: string | null = null) => {
+  const [url, setUrl] = useState<string | null>(fallback);
+
+  useEffect(() => {
+    if (!path) {
+      setUrl(fallback);
+      return;
+    }
+
+    let cancelled = false;
+    getFileUrl(path)
+      .then((signedUrl: string) => {
+        if (!cancelled) setUrl(signedUrl);
+      })
+      .catch((error: Error) => {
+        console.error('Failed to load file URL:', error);
+        if (!cancelled) setUrl(fallback);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [path, fallback]);
+
+  return url;
+};
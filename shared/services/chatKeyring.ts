@@ -0,0 +1,170 @@
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../lib/firebase';
+import { shareChatRoomKeys } from '../api/chatRooms.js';
+import {
+  generateIdentityKeyPair,
+  exportPublicKey,
+  getKeyId,
+  getVerifiedDeviceKeys,
+  shareRoomKeys,
+  openRoomKey,
+  encryptContent,
+  decryptContent,
+  getContentKeyVersion,
+} from '../utils/chatCrypto.js';
+import type { RoomEncryption } from '../types/chat';
+
+interface DeviceIdentity {
+  keyId: string;
+  publicKey: JsonWebKey;
+  privateKey: CryptoKey;
+}
+
+type PublicKeys = Record<string, Array<{ keyId: string; jwk: JsonWebKey }>>;
+
+export interface IdentityStore {
+  load(userId: string): Promise<DeviceIdentity | null>;
+  save(userId: string, identity: DeviceIdentity): Promise<void>;
+}
+
+const IDENTITY_DB = 'o7c-chat-keys';
+const IDENTITY_STORE = 'identities';
+
+const openIdentityDb = (): Promise<IDBDatabase> => new Promise((resolve, reject) => {
+  const request = indexedDB.open(IDENTITY_DB, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(IDENTITY_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// CryptoKeys survive structured cloning, so the non-extractable private key is kept as is
+export const indexedDbIdentityStore: IdentityStore = {
+  async load(userId) {
+    const database = await openIdentityDb();
+    return new Promise((resolve, reject) => {
+      const request = database.transaction(IDENTITY_STORE).objectStore(IDENTITY_STORE).get(userId);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  async save(userId, identity) {
+    const database = await openIdentityDb();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(IDENTITY_STORE, 'readwrite');
+      transaction.objectStore(IDENTITY_STORE).put(identity, userId);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+};
+
+/**
+ * Holds this device's chat identity and the room keys it has opened.
+ * Public keys are published to `chatKeys/{userId}` with one entry per device,
+ * keyed by the key's fingerprint; only the user can add to their document (see
+ * firestore.rules). Room keys are wrapped per participant device on the room's
+ * `encryption` field, for the participants the chat-rooms endpoint put in
+ * `participantIds`. Only that endpoint writes `encryption`: this device sends
+ * it the keys it wrapped, and it starts a new key version when someone is
+ * removed.
+ */
+export class ChatKeyring {
+  private userId: string;
+  private store: IdentityStore;
+  private identity: Promise<DeviceIdentity> | null = null;
+  private roomKeys: Map<string, Promise<CryptoKey | null>> = new Map();
+
+  constructor(userId: string, store: IdentityStore = indexedDbIdentityStore) {
+    this.userId = userId;
+    this.store = store;
+  }
+
+  // This device's key pair, created and published the first time
+  getIdentity(): Promise<DeviceIdentity> {
+    if (!this.identity) {
+      this.identity = (async () => {
+        const stored = await this.store.load(this.userId);
+        if (stored) return stored;
+
+        const keyPair = await generateIdentityKeyPair();
+        const publicKey = await exportPublicKey(keyPair.publicKey);
+        const identity = { keyId: await getKeyId(publicKey), publicKey, privateKey: keyPair.privateKey };
+        await this.store.save(this.userId, identity);
+        await setDoc(doc(db, 'chatKeys', this.userId), {
+          devices: { [identity.keyId]: { jwk: publicKey, createdAt: serverTimestamp() } },
+        }, { merge: true });
+        return identity;
+      })();
+      this.identity.catch(() => { this.identity = null; });
+    }
+    return this.identity;
+  }
+
+  // Each user's device keys, leaving out any entry that isn't keyed by its own fingerprint
+  async loadPublicKeys(userIds: string[]): Promise<PublicKeys> {
+    const entries = await Promise.all(userIds.map(async (userId) => {
+      const snapshot = await getDoc(doc(db, 'chatKeys', userId));
+      return [userId, await getVerifiedDeviceKeys(snapshot.exists() ? snapshot.data().devices : {})];
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  private roomKey(roomId: string, encryption: RoomEncryption, version: number): Promise<CryptoKey | null> {
+    const cacheKey = `${roomId}:${version}`;
+    if (!this.roomKeys.has(cacheKey)) {
+      const opened = this.getIdentity().then(identity => openRoomKey(encryption, version, this.userId, identity));
+      this.roomKeys.set(cacheKey, opened);
+      // Nothing wrapped for this device yet; try again once someone shares it
+      opened.then(key => { if (!key) this.roomKeys.delete(cacheKey); }, () => this.roomKeys.delete(cacheKey));
+    }
+    return this.roomKeys.get(cacheKey)!;
+  }
+
+  async encrypt(roomId: string, encryption: RoomEncryption, plaintext: string): Promise<string> {
+    const key = await this.roomKey(roomId, encryption, encryption.version);
+    if (!key) throw new Error('You do not have the key for this conversation yet');
+    return encryptContent(key, plaintext, { roomId, version: encryption.version });
+  }
+
+  // Null when this device can't open the message
+  async decrypt(roomId: string, encryption: RoomEncryption | undefined, content: string): Promise<string | null> {
+    const version = getContentKeyVersion(content);
+    if (!encryption || version === null) return null;
+    const key = await this.roomKey(roomId, encryption, version);
+    if (!key) return null;
+    try {
+      return await decryptContent(key, content, { roomId });
+    } catch {
+      return null;
+    }
+  }
+
+  // Every version of the room key this device can open
+  private async openVersions(roomId: string, encryption: RoomEncryption): Promise<Record<number, CryptoKey>> {
+    const versions = Object.keys(encryption.keys).map(Number);
+    const opened = await Promise.all(versions.map(version => this.roomKey(roomId, encryption, version)));
+    return Object.fromEntries(versions.map((version, index) => [version, opened[index]]).filter(([, key]) => key));
+  }
+
+  /**
+   * Make sure the room is encrypted and every participant device holds the keys
+   * this device can share. Returns the room's current encryption state.
+   */
+  async ensureRoomEncryption(roomId: string): Promise<RoomEncryption> {
+    await this.getIdentity();
+    const snapshot = await getDoc(doc(db, 'chatRooms', roomId));
+    if (!snapshot.exists()) throw new Error('Room not found');
+
+    // Membership is only written by the chat-rooms endpoint, so keys go to the people it added
+    const room = snapshot.data();
+    const participantIds: string[] = room.participantIds || [];
+    if (!participantIds.includes(this.userId)) throw new Error('You are not part of this conversation');
+
+    // The endpoint starts the first key version, now that this device's key is published
+    if (!room.encryption) return shareChatRoomKeys(roomId);
+
+    const publicKeys = await this.loadPublicKeys(participantIds);
+    const shared = await shareRoomKeys(room.encryption, await this.openVersions(roomId, room.encryption), publicKeys);
+    return shared ? shareChatRoomKeys(roomId, shared) : room.encryption;
+  }
+}
@@ -3,7 +3,6 @@ import {
   doc,
   addDoc,
   updateDoc,
-  deleteDoc,
   onSnapshot,
   query,
   orderBy,
@@ -15,15 +14,22 @@ import {
   writeBatch,
   getDoc,
   setDoc,
+  startAfter,
+  arrayUnion,
+  arrayRemove,
+  increment,
+  FieldPath,
+  QueryDocumentSnapshot,
 } from 'firebase/firestore';
-import {
-  ref,
-  uploadBytes,
-  getDownloadURL,
-  deleteObject,
-} from 'firebase/storage';
-import { db, storage } from '../lib/firebase';
+import { db } from '../lib/firebase';
+import { uploadFile as uploadStoredFile, deleteFile as deleteStoredFile } from '../api/storage.js';
 import { handleApiError, ERROR_TYPES } from '../utils/errorHandler';
+import { sortRoomsByActivity } from '../utils/chatRooms.js';
+import { isEncryptedContent, getContentKeyVersion, decodeLegacyContent } from '../utils/chatCrypto.js';
+import { isRetainedRoom } from '../utils/chatSafeguarding.js';
+import { createGroupChat, addChatParticipants, removeChatParticipant, deleteChatMessage } from '../api/chatRooms.js';
+import { REACTION_EMOJIS, parseMentions } from '../utils/chatMessages.js';
+import { NotificationService } from './notificationService';
 import type {
   ChatMessage,
   ChatRoom,
@@ -32,112 +38,102 @@ import type {
   ChatPermissions,
   ChatServiceConfig,
   ChatEvent,
+  ChatAttachment,
+  RoomEncryption,
 } from '../types/chat';
 
+// Shown in place of content this device has no key for
+export const LOCKED_MESSAGE = 'Encrypted message (not available on this device)';
+
+// Messages re-encrypted per batch when migrating a room
+const MIGRATION_PAGE_SIZE = 200;
+
+// Messages in the live window of a room, and per page of history
+export const MESSAGE_PAGE_SIZE = 50;
+
+export interface MessagePage {
+  messages: ChatMessage[];
+  // Whether there are more messages past the end of this page
+  hasMore: boolean;
+}
+
 export class ChatService {
   private config: ChatServiceConfig;
   private eventListeners: Map<string, (event: ChatEvent) => void> = new Map();
+  // Latest known encryption state per room, refreshed whenever a room document is read
+  private roomEncryption: Map<string, Promise<RoomEncryption | undefined>> = new Map();
 
   constructor(config: ChatServiceConfig) {
     this.config = config;
   }
 
   // Room Management
-  async createRoom(
-    name: string,
-    type: ChatRoom['type'],
-    participants: string[],
-    createdBy: string,
-    metadata?: ChatRoom['metadata']
-  ): Promise<string> {
+  // Rooms are created by the chat-rooms endpoint, which applies the pairing and safeguarding checks
+  async createRoom(name: string, type: ChatRoom['type'], participants: string[]): Promise<string> {
     try {
-      const roomData = {
-        name,
-        type,
-        participants: participants.map(userId => ({
-          userId,
-          joinedAt: serverTimestamp(),
-          isOnline: false,
-        })),
-        createdAt: serverTimestamp(),
-        createdBy,
-        lastActivity: serverTimestamp(),
-        isActive: true,
-        metadata: metadata || {},
-      };
+      // One-to-one rooms are keyed per pair, so they have their own entry point
+      if (type === 'direct' || type === 'coach-player') {
+        const error = new Error('Direct conversations must be started with startDirectChat');
+        (error as any).status = 403;
+        throw error;
+      }
 
-      const docRef = await addDoc(collection(db, 'chatRooms'), roomData);
-      return docRef.id;
+      return await createGroupChat({ name, type, userIds: participants });
     } catch (error) {
       throw handleApiError(error, { operation: 'createRoom', context: 'ChatService' });
     }
   }
 
-  async joinRoom(roomId: string, userId: string, userName: string, role: string): Promise<void> {
+  // Opening a room the user is already in; people are only added through addParticipants
+  async joinRoom(roomId: string, userId: string): Promise<void> {
     try {
-      const roomRef = doc(db, 'chatRooms', roomId);
-      const roomSnap = await getDoc(roomRef);
+      const roomSnap = await getDoc(doc(db, 'chatRooms', roomId));
 
-      if (!roomSnap.exists()) {
+      if (!roomSnap.exists() || !(roomSnap.data().participantIds || []).includes(userId)) {
         const error = new Error('Room not found');
         (error as any).status = 404;
         throw error;
       }
 
-      const roomData = roomSnap.data();
-      const participantIndex = roomData.participants.findIndex((p: any) => p.userId === userId);
-
-      if (participantIndex === -1) {
-        // Add new participant
-        roomData.participants.push({
-          userId,
-          userName,
-          role,
-          joinedAt: serverTimestamp(),
-          isOnline: true,
-          lastSeen: serverTimestamp(),
-        });
-      } else {
-        // Update existing participant
-        roomData.participants[participantIndex].isOnline = true;
-        roomData.participants[participantIndex].lastSeen = serverTimestamp();
-      }
-
-      await updateDoc(roomRef, {
-        participants: roomData.participants,
-        lastActivity: serverTimestamp(),
-      });
-
-      // Update user presence
       await this.updatePresence(userId, true, roomId);
+
+      if (this.config.keyring) {
+        this.setRoomEncryption(roomId, await this.config.keyring.ensureRoomEncryption(roomId));
+        await this.migrateLegacyMessages(roomId, userId);
+      }
     } catch (error) {
       throw handleApiError(error, { operation: 'joinRoom', roomId, context: 'ChatService' });
     }
   }
 
   async leaveRoom(roomId: string, userId: string): Promise<void> {
-    const roomRef = doc(db, 'chatRooms', roomId);
-    const roomSnap = await getDoc(roomRef);
+    await this.updatePresence(userId, false);
+  }
 
-    if (!roomSnap.exists()) {
-      return;
-    }
+  // New people get the room keys this device holds
+  async addParticipants(roomId: string, userIds: string[]): Promise<void> {
+    try {
+      await addChatParticipants(roomId, userIds);
 
-    const roomData = roomSnap.data();
-    const participantIndex = roomData.participants.findIndex((p: any) => p.userId === userId);
+      if (this.config.keyring) {
+        this.setRoomEncryption(roomId, await this.config.keyring.ensureRoomEncryption(roomId));
+      }
+    } catch (error) {
+      throw handleApiError(error, { operation: 'addParticipants', roomId, context: 'ChatService' });
+    }
+  }
 
-    if (participantIndex !== -1) {
-      roomData.participants[participantIndex].isOnline = false;
-      roomData.participants[participantIndex].lastSeen = serverTimestamp();
+  // The endpoint starts a new room key version with the removal, so they can't read anything sent afterwards
+  async removeParticipant(roomId: string, userId: string): Promise<void> {
+    try {
+      await removeChatParticipant(roomId, userId);
 
-      await updateDoc(roomRef, {
-        participants: roomData.participants,
-        lastActivity: serverTimestamp(),
-      });
+      if (this.config.keyring) {
+        this.setRoomEncryption(roomId, await this.config.keyring.ensureRoomEncryption(roomId));
+      }
+    } catch (error) {
+      throw handleApiError(error, { operation: 'removeParticipant', roomId, context: 'ChatService' });
     }
-
-    // Update user presence
-    await this.updatePresence(userId, false);
   }
 
   // Message Management
@@ -147,21 +143,49 @@ export class ChatService {
     senderName: string,
     content: string,
     type: ChatMessage['type'] = 'text',
-    replyTo?: string
+    replyTo?: string,
+    metadata?: ChatMessage['metadata']
   ): Promise<string> {
+    const roomSnap = await getDoc(doc(db, 'chatRooms', roomId));
+    const participants = roomSnap.exists() ? roomSnap.data().participants || [] : [];
+    const mentions = type === 'text'
+      ? parseMentions(content, participants).filter((userId: string) => userId !== senderId)
+      : [];
+
+    // A reply joins the thread of the message it answers, so replies to replies stay in one thread
+    let threadId: string | undefined;
+    let replyAuthorId: string | undefined;
+    if (replyTo) {
+      const repliedSnap = await getDoc(doc(db, 'chatMessages', replyTo));
+      if (repliedSnap.exists()) {
+        threadId = repliedSnap.data().threadId || replyTo;
+        replyAuthorId = repliedSnap.data().senderId;
+      }
+    }
+
     const messageData = {
       chatId: roomId,
       senderId,
       senderName,
-      content: this.encryptMessage(content),
+      content: await this.encryptMessage(roomId, content),
       timestamp: serverTimestamp(),
       type,
-      replyTo,
       edited: false,
+      ...(replyTo ? { replyTo } : {}),
+      ...(threadId ? { threadId } : {}),
+      ...(mentions.length > 0 ? { mentions } : {}),
+      ...(metadata ? { metadata } : {}),
     };
 
     const docRef = await addDoc(collection(db, 'chatMessages'), messageData);
 
+    if (threadId) {
+      await updateDoc(doc(db, 'chatMessages', threadId), {
+        replyCount: increment(1),
+        lastReplyAt: serverTimestamp(),
+      });
+    }
+
     // Update room's last message and activity
     await updateDoc(doc(db, 'chatRooms', roomId), {
       lastMessage: {
@@ -172,23 +196,103 @@ export class ChatService {
       lastActivity: serverTimestamp(),
     });
 
+    await this.notifyParticipants(roomId, docRef.id, senderId, senderName, participants, {
+      preview: type === 'text' ? content : `Sent ${content}`,
+      mentions,
+      replyAuthorId,
+    });
+
     return docRef.id;
   }
 
+  // Unread notifications for everyone else in the room: a mention or a reply to
+  // their message is flagged as such. A failure here doesn't fail the send.
+  private async notifyParticipants(
+    roomId: string,
+    messageId: string,
+    senderId: string,
+    senderName: string,
+    participants: ChatParticipant[],
+    { preview, mentions, replyAuthorId }: { preview: string; mentions: string[]; replyAuthorId?: string }
+  ): Promise<void> {
+    const labels = { mention: 'Mentioned you', reply: 'Replied to you', new_message: 'New message' };
+
+    try {
+      const recipients = participants
+        .map(p => p.userId)
+        .filter(userId => userId && userId !== senderId);
+
+      await Promise.all(recipients.map((userId) => {
+        const type = mentions.includes(userId) ? 'mention' : userId === replyAuthorId ? 'reply' : 'new_message';
+        // Notifications aren't encrypted, so they don't carry the text of an encrypted message
+        const body = this.config.keyring
+          ? labels[type]
+          : type === 'new_message' ? preview : `${labels[type]}: ${preview}`;
+
+        return new NotificationService(userId).createNotification(roomId, messageId, type, senderId, {
+          title: senderName,
+          body: body.slice(0, 140),
+          link: `/messages?room=${roomId}`,
+        });
+      }));
+    } catch (error) {
+      console.error('Failed to create chat notifications:', error);
+    }
+  }
+
+  // Adds the user's reaction, or takes it back if they already picked that emoji
+  async toggleReaction(messageId: string, emoji: string, userId: string): Promise<void> {
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      throw new Error(`Unsupported reaction ${emoji}`);
+    }
+
+    const messageRef = doc(db, 'chatMessages', messageId);
+    const messageSnap = await getDoc(messageRef);
+    if (!messageSnap.exists()) throw new Error('Message not found');
+
+    const reacted = (messageSnap.data().reactions?.[emoji] || []).includes(userId);
+    await updateDoc(messageRef, new FieldPath('reactions', emoji), reacted ? arrayRemove(userId) : arrayUnion(userId));
+  }
+
+  // Read receipt: the latest message the user has seen in the room
+  async markAsRead(roomId: string, userId: string, message: Pick<ChatMessage, 'id' | 'timestamp'>): Promise<void> {
+    await updateDoc(doc(db, 'chatRooms', roomId), new FieldPath('readReceipts', userId), {
+      messageId: message.id,
+      readAt: Timestamp.fromDate(message.timestamp),
+    });
+  }
+
   async editMessage(messageId: string, content: string): Promise<void> {
-    await updateDoc(doc(db, 'chatMessages', messageId), {
-      content: this.encryptMessage(content),
+    const messageRef = doc(db, 'chatMessages', messageId);
+    const messageSnap = await getDoc(messageRef);
+    if (!messageSnap.exists()) throw new Error('Message not found');
+
+    const { chatId, content: previous } = messageSnap.data();
+    const roomSnap = await getDoc(doc(db, 'chatRooms', chatId));
+
+    await updateDoc(messageRef, {
+      content: await this.encryptMessage(chatId, content),
       edited: true,
       editedAt: serverTimestamp(),
+      // Safeguarded rooms keep what a message said before each edit
+      ...(isRetainedRoom(roomSnap.data()) ? { history: arrayUnion({ content: previous, replacedAt: Timestamp.now() }) } : {}),
     });
   }
 
+  // Deleted by the chat-rooms endpoint, which keeps messages in safeguarded rooms
   async deleteMessage(messageId: string): Promise<void> {
-    await deleteDoc(doc(db, 'chatMessages', messageId));
+    const filePath = await deleteChatMessage(messageId);
+
+    // Remove the attachment along with the message
+    if (filePath) {
+      await deleteStoredFile(filePath).catch((error) => {
+        console.error('Failed to delete chat attachment:', error);
+      });
+    }
   }
 
-  // File Upload
-  async uploadFile(roomId: string, file: File, senderId: string): Promise<string> {
+  // File Upload: attachments live in file storage and messages keep the path
+  async uploadFile(roomId: string, file: File, senderId: string): Promise<ChatAttachment> {
     if (this.config.maxFileSize && file.size > this.config.maxFileSize) {
       throw new Error(`File size exceeds maximum allowed size of ${this.config.maxFileSize} bytes`);
     }
@@ -197,29 +301,121 @@ export class ChatService {
       throw new Error(`File type ${file.type} is not allowed`);
     }
 
-    const fileRef = ref(storage, `chat/${roomId}/${Date.now()}_${file.name}`);
-    await uploadBytes(fileRef, file);
-    return getDownloadURL(fileRef);
+    const stored = await uploadStoredFile('chat', roomId, file);
+    return {
+      fileName: stored.fileName,
+      fileSize: stored.fileSize,
+      filePath: stored.path,
+      contentType: stored.contentType,
+    };
   }
 
   // Real-time Subscriptions
-  subscribeToRoom(roomId: string, callback: (messages: ChatMessage[]) => void): () => void {
+  // Live window of the room's latest messages, oldest first; older ones are paged in with loadMessagesBefore
+  subscribeToRoom(
+    roomId: string,
+    callback: (messages: ChatMessage[]) => void,
+    pageSize = MESSAGE_PAGE_SIZE
+  ): () => void {
     const q = query(
       collection(db, 'chatMessages'),
       where('chatId', '==', roomId),
       orderBy('timestamp', 'desc'),
-      limit(50)
+      limit(pageSize)
     );
 
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const messages = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        timestamp: doc.data().timestamp?.toDate() || new Date(),
-        content: this.decryptMessage(doc.data().content),
-      })) as ChatMessage[];
+    // Decrypting is async, so a slow snapshot must not overwrite a newer one
+    let latest = 0;
+    const unsubscribe = onSnapshot(q, async (snapshot) => {
+      const current = ++latest;
+      const messages = await Promise.all(snapshot.docs.map(doc => this.toMessage(doc)));
+      if (current === latest) callback(messages.reverse());
+    });
 
-      callback(messages.reverse());
+    return unsubscribe;
+  }
+
+  // History: pages are read from a message's document snapshot, so messages sharing a timestamp aren't skipped
+  private async getMessageCursor(messageId: string): Promise<QueryDocumentSnapshot> {
+    const snapshot = await getDoc(doc(db, 'chatMessages', messageId));
+    if (!snapshot.exists()) {
+      const error = new Error('Message not found');
+      (error as any).status = 404;
+      throw error;
+    }
+    return snapshot as QueryDocumentSnapshot;
+  }
+
+  private async readPage(
+    roomId: string,
+    cursor: QueryDocumentSnapshot,
+    direction: 'before' | 'after',
+    pageSize: number
+  ): Promise<MessagePage> {
+    // One extra row tells whether another page follows
+    const snapshot = await getDocs(query(
+      collection(db, 'chatMessages'),
+      where('chatId', '==', roomId),
+      orderBy('timestamp', direction === 'before' ? 'desc' : 'asc'),
+      startAfter(cursor),
+      limit(pageSize + 1)
+    ));
+
+    const docs = snapshot.docs.slice(0, pageSize);
+    const messages = await Promise.all(docs.map(doc => this.toMessage(doc)));
+    return {
+      messages: direction === 'before' ? messages.reverse() : messages,
+      hasMore: snapshot.docs.length > pageSize,
+    };
+  }
+
+  // The page of messages just older than `messageId`, oldest first
+  async loadMessagesBefore(roomId: string, messageId: string, pageSize = MESSAGE_PAGE_SIZE): Promise<MessagePage> {
+    return this.readPage(roomId, await this.getMessageCursor(messageId), 'before', pageSize);
+  }
+
+  // The page of messages just newer than `messageId`, oldest first
+  async loadMessagesAfter(roomId: string, messageId: string, pageSize = MESSAGE_PAGE_SIZE): Promise<MessagePage> {
+    return this.readPage(roomId, await this.getMessageCursor(messageId), 'after', pageSize);
+  }
+
+  // A message with up to `context` messages either side, for jumping to a search result or reply
+  async loadMessagesAround(
+    roomId: string,
+    messageId: string,
+    context = Math.floor(MESSAGE_PAGE_SIZE / 2)
+  ): Promise<{ messages: ChatMessage[]; hasMoreBefore: boolean; hasMoreAfter: boolean }> {
+    const cursor = await this.getMessageCursor(messageId);
+    if (cursor.data().chatId !== roomId) {
+      throw new Error('Message is not in this conversation');
+    }
+
+    const [before, target, after] = await Promise.all([
+      this.readPage(roomId, cursor, 'before', context),
+      this.toMessage(cursor),
+      this.readPage(roomId, cursor, 'after', context),
+    ]);
+
+    return {
+      messages: [...before.messages, target, ...after.messages],
+      hasMoreBefore: before.hasMore,
+      hasMoreAfter: after.hasMore,
+    };
+  }
+
+  // Replies in a thread, oldest first
+  subscribeToThread(threadId: string, callback: (messages: ChatMessage[]) => void): () => void {
+    const q = query(
+      collection(db, 'chatMessages'),
+      where('threadId', '==', threadId),
+      orderBy('timestamp', 'asc')
+    );
+
+    let latest = 0;
+    const unsubscribe = onSnapshot(q, async (snapshot) => {
+      const current = ++latest;
+      const messages = await Promise.all(snapshot.docs.map(doc => this.toMessage(doc)));
+      if (current === latest) callback(messages);
     });
 
     return unsubscribe;
@@ -228,30 +424,94 @@ export class ChatService {
   subscribeToRoomUpdates(roomId: string, callback: (room: ChatRoom) => void): () => void {
     const unsubscribe = onSnapshot(doc(db, 'chatRooms', roomId), (snapshot) => {
       if (snapshot.exists()) {
-        const data = snapshot.data();
-        const room: ChatRoom = {
-          id: snapshot.id,
-          name: data.name,
-          type: data.type,
-          participants: data.participants || [],
-          createdAt: data.createdAt?.toDate() || new Date(),
-          createdBy: data.createdBy,
-          lastActivity: data.lastActivity?.toDate() || new Date(),
-          lastMessage: data.lastMessage ? {
-            ...data.lastMessage,
-            timestamp: data.lastMessage.timestamp?.toDate() || new Date(),
-            content: this.decryptMessage(data.lastMessage.content),
-          } : undefined,
-          isActive: data.isActive,
-          metadata: data.metadata,
-        };
-        callback(room);
+        this.toRoom(snapshot.id, snapshot.data()).then(callback);
       }
     });
 
     return unsubscribe;
   }
 
+  // Rooms the user takes part in, most recent activity first
+  subscribeToUserRooms(userId: string, callback: (rooms: ChatRoom[]) => void): () => void {
+    const q = query(
+      collection(db, 'chatRooms'),
+      where('participantIds', 'array-contains', userId)
+    );
+
+    let latest = 0;
+    const unsubscribe = onSnapshot(q, async (snapshot) => {
+      const current = ++latest;
+      const rooms = await Promise.all(snapshot.docs.map(doc => this.toRoom(doc.id, doc.data())));
+      if (current === latest) callback(sortRoomsByActivity(rooms.filter(room => room.isActive !== false)));
+    });
+
+    return unsubscribe;
+  }
+
+  async getRoom(roomId: string): Promise<ChatRoom | null> {
+    const roomSnap = await getDoc(doc(db, 'chatRooms', roomId));
+    return roomSnap.exists() ? this.toRoom(roomSnap.id, roomSnap.data()) : null;
+  }
+
+  // Firestore has no text search (and content may be encrypted), so search runs here on each room's recent history
+  async searchMessages(roomIds: string[], term: string, perRoom = 200): Promise<ChatMessage[]> {
+    const wanted = term.trim().toLowerCase();
+    if (!wanted || roomIds.length === 0) return [];
+
+    const results = await Promise.all(roomIds.map(async (roomId) => {
+      const snapshot = await getDocs(query(
+        collection(db, 'chatMessages'),
+        where('chatId', '==', roomId),
+        orderBy('timestamp', 'desc'),
+        limit(perRoom)
+      ));
+      return Promise.all(snapshot.docs.map(doc => this.toMessage(doc)));
+    }));
+
+    return results
+      .flat()
+      .filter(message => message.content?.toLowerCase().includes(wanted))
+      .sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime());
+  }
+
+  private async toMessage(doc: QueryDocumentSnapshot): Promise<ChatMessage> {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      timestamp: data.timestamp?.toDate() || new Date(),
+      lastReplyAt: data.lastReplyAt?.toDate(),
+      content: await this.decryptMessage(data.chatId, data.content),
+    } as ChatMessage;
+  }
+
+  private async toRoom(id: string, data: any): Promise<ChatRoom> {
+    if (data.encryption) this.setRoomEncryption(id, data.encryption);
+
+    return {
+      id,
+      name: data.name,
+      type: data.type,
+      participants: data.participants || [],
+      createdAt: data.createdAt?.toDate() || new Date(),
+      createdBy: data.createdBy,
+      lastActivity: data.lastActivity?.toDate() || new Date(),
+      lastMessage: data.lastMessage ? {
+        ...data.lastMessage,
+        timestamp: data.lastMessage.timestamp?.toDate() || new Date(),
+        content: await this.decryptMessage(id, data.lastMessage.content),
+      } : undefined,
+      isActive: data.isActive,
+      encryption: data.encryption,
+      safeguarding: data.safeguarding,
+      readReceipts: Object.fromEntries(Object.entries(data.readReceipts || {}).map(([userId, receipt]: [string, any]) => [
+        userId,
+        { messageId: receipt.messageId, readAt: receipt.readAt?.toDate() || new Date(0) },
+      ])),
+      metadata: data.metadata,
+    };
+  }
+
   subscribeToPresence(callback: (presences: UserPresence[]) => void): () => void {
     const unsubscribe = onSnapshot(collection(db, 'userPresence'), (snapshot) => {
       const presences = snapshot.docs.map(doc => ({
@@ -312,28 +572,104 @@ export class ChatService {
     return {
       canSendMessages: true,
       canEditMessages: isAdmin || isCoach,
-      canDeleteMessages: isAdmin,
+      canDeleteMessages: isAdmin && !isRetainedRoom(room),
       canAddParticipants: isAdmin || isCoach,
       canRemoveParticipants: isAdmin,
       canViewHistory: true,
     };
   }
 
-  // Encryption/Decryption (basic implementation - enhance for production)
-  private encryptMessage(content: string): string {
-    if (!this.config.encryptionKey) return content;
-    // Implement proper encryption here
-    return btoa(content); // Base64 for now
+  // Encryption: with a keyring, content is AES-GCM encrypted under the room's current key
+  private setRoomEncryption(roomId: string, encryption: RoomEncryption): void {
+    this.roomEncryption.set(roomId, Promise.resolve(encryption));
   }
 
-  private decryptMessage(content: string): string {
-    if (!this.config.encryptionKey) return content;
-    // Implement proper decryption here
-    try {
-      return atob(content); // Base64 for now
-    } catch {
-      return content;
+  // Cached state, re-read when a message uses a key version newer than the cache knows about
+  private async getRoomEncryption(roomId: string, minVersion = 0): Promise<RoomEncryption | undefined> {
+    const cached = await this.roomEncryption.get(roomId);
+    if (cached && cached.version >= minVersion) return cached;
+
+    const loaded = getDoc(doc(db, 'chatRooms', roomId)).then(snap => (snap.exists() ? snap.data().encryption : undefined));
+    this.roomEncryption.set(roomId, loaded);
+    loaded.catch(() => this.roomEncryption.delete(roomId));
+    return loaded;
+  }
+
+  private async encryptMessage(roomId: string, content: string): Promise<string> {
+    const { keyring, legacyBase64 } = this.config;
+    if (!keyring) return legacyBase64 ? btoa(content) : content;
+
+    let encryption = await this.getRoomEncryption(roomId);
+    if (!encryption) {
+      encryption = await keyring.ensureRoomEncryption(roomId);
+      this.setRoomEncryption(roomId, encryption);
     }
+    return keyring.encrypt(roomId, encryption, content);
+  }
+
+  private async decryptMessage(roomId: string, content: string): Promise<string> {
+    if (!isEncryptedContent(content)) return decodeLegacyContent(content, this.config.legacyBase64);
+    if (!this.config.keyring) return LOCKED_MESSAGE;
+
+    const encryption = await this.getRoomEncryption(roomId, getContentKeyVersion(content) ?? 0);
+    return (await this.config.keyring.decrypt(roomId, encryption, content)) ?? LOCKED_MESSAGE;
+  }
+
+  /**
+   * Re-encrypt the user's own messages written before the room was encrypted
+   * (plain, or base64 under the old encryptionKey setting). Only senders change
+   * a message's content, so this runs once per room for each participant, the
+   * first time they join with a keyring.
+   */
+  async migrateLegacyMessages(roomId: string, userId: string): Promise<number> {
+    const { keyring, legacyBase64 } = this.config;
+    if (!keyring) return 0;
+
+    const roomRef = doc(db, 'chatRooms', roomId);
+    const roomSnap = await getDoc(roomRef);
+    if (!roomSnap.exists() || roomSnap.data().legacyMigratedAt?.[userId]) return 0;
+
+    const encryption = await keyring.ensureRoomEncryption(roomId);
+    const reencrypt = (content: string) => keyring.encrypt(roomId, encryption, decodeLegacyContent(content, legacyBase64));
+    // Safeguarded rooms keep each message's earlier content, as for an edit
+    const retained = isRetainedRoom(roomSnap.data());
+    let migrated = 0;
+    let cursor: QueryDocumentSnapshot | null = null;
+
+    while (true) {
+      const snapshot = await getDocs(query(
+        collection(db, 'chatMessages'),
+        where('chatId', '==', roomId),
+        where('senderId', '==', userId),
+        ...(cursor ? [startAfter(cursor)] : []),
+        limit(MIGRATION_PAGE_SIZE)
+      ));
+      if (snapshot.empty) break;
+
+      const batch = writeBatch(db);
+      for (const message of snapshot.docs) {
+        const content = message.data().content;
+        if (typeof content !== 'string' || isEncryptedContent(content)) continue;
+        batch.update(message.ref, {
+          content: await reencrypt(content),
+          ...(retained ? { history: arrayUnion({ content, replacedAt: Timestamp.now() }) } : {}),
+        });
+        migrated += 1;
+      }
+      await batch.commit();
+
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+      if (snapshot.size < MIGRATION_PAGE_SIZE) break;
+    }
+
+    const lastMessage = roomSnap.data().lastMessage;
+    const ownLegacyLast = lastMessage?.senderId === userId
+      && typeof lastMessage.content === 'string'
+      && !isEncryptedContent(lastMessage.content);
+    await updateDoc(roomRef, new FieldPath('legacyMigratedAt', userId), new Date().toISOString(),
+      ...(ownLegacyLast ? ['lastMessage.content', await reencrypt(lastMessage.content)] : []));
+
+    return migrated;
   }
 
   // Event System
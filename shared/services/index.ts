@@ -1,4 +1,5 @@
 // Service exports
 export * from './authRedirect';
+export * from './chatKeyring';
 export * from './chatService';
 export * from './notificationService';
\ No newline at end of file
@@ -9,12 +9,14 @@ export class NotificationService {
     this.userId = userId;
   }
 
-  // Create notification
+  // Create notification. For non-chat notifications (e.g. RSVP reminders) chatId is
+  // the source record's id and `details` carries the text shown in the app.
   async createNotification(
     chatId: string,
     messageId: string,
     type: ChatNotification['type'],
-    fromUserId: string
+    fromUserId: string,
+    details: Pick<ChatNotification, 'title' | 'body' | 'link'> = {}
   ): Promise<void> {
     // Don't create notification for own messages
     if (fromUserId === this.userId) return;
@@ -24,6 +26,7 @@ export class NotificationService {
       chatId,
       messageId,
       type,
+      ...details,
       isRead: false,
       createdAt: new Date(),
     };
@@ -78,8 +81,8 @@ export class NotificationService {
     await Promise.all(updatePromises);
   }
 
-  // Get unread count
-  subscribeToUnreadCount(callback: (count: number) => void): () => void {
+  // Get unread count, in total and per chat
+  subscribeToUnreadCount(callback: (count: number, byChat: Record<string, number>) => void): () => void {
     const q = query(
       collection(db, 'chatNotifications'),
       where('userId', '==', this.userId),
@@ -87,7 +90,12 @@ export class NotificationService {
     );
 
     const unsubscribe = onSnapshot(q, (snapshot) => {
-      callback(snapshot.size);
+      const byChat: Record<string, number> = {};
+      snapshot.docs.forEach((document) => {
+        const { chatId } = document.data();
+        if (chatId) byChat[chatId] = (byChat[chatId] || 0) + 1;
+      });
+      callback(snapshot.size, byChat);
     });
 
     return unsubscribe;
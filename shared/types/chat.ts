@@ -1,3 +1,5 @@
+import type { ChatKeyring } from '../services/chatKeyring';
+
 export interface ChatMessage {
   id: string;
   chatId: string;
@@ -7,6 +9,14 @@ export interface ChatMessage {
   timestamp: Date;
   type: 'text' | 'image' | 'file';
   replyTo?: string;
+  // Root message of the thread this reply belongs to
+  threadId?: string;
+  // On a thread's root message
+  replyCount?: number;
+  lastReplyAt?: Date;
+  mentions?: string[];
+  // User ids by emoji
+  reactions?: Record<string, string[]>;
   edited?: boolean;
   editedAt?: Date;
   metadata?: {
@@ -14,9 +24,19 @@ export interface ChatMessage {
     fileSize?: number;
     fileUrl?: string;
     imageUrl?: string;
+    // Storage path of an attachment; read through a signed URL
+    filePath?: string;
+    contentType?: string;
   };
 }
 
+export interface ChatAttachment {
+  fileName: string;
+  fileSize: number;
+  filePath: string;
+  contentType: string;
+}
+
 export interface ChatParticipant {
   userId: string;
   userName: string;
@@ -31,6 +51,16 @@ export interface ChatRoom {
   name: string;
   type: 'direct' | 'group' | 'team' | 'coach-player';
   participants: ChatParticipant[];
+  participantIds?: string[];
+  // Sorted uid pair of a direct room, so a pair only ever has one
+  directKey?: string;
+  encryption?: RoomEncryption;
+  // When each participant's messages from before encryption were re-encrypted, by user id
+  legacyMigratedAt?: Record<string, string>;
+  // Set on staff/minor rooms by the safeguarding policy (see utils/chatSafeguarding)
+  safeguarding?: RoomSafeguarding;
+  // Latest message each participant has seen, by user id
+  readReceipts?: Record<string, ReadReceipt>;
   createdAt: Date;
   createdBy: string;
   lastMessage?: ChatMessage;
@@ -43,6 +73,24 @@ export interface ChatRoom {
   };
 }
 
+// Room keys by version, wrapped for each participant device (see utils/chatCrypto)
+export interface RoomEncryption {
+  version: number;
+  keys: Record<string, Record<string, Record<string, string>>>;
+}
+
+export interface ReadReceipt {
+  messageId: string;
+  readAt: Date;
+}
+
+export interface RoomSafeguarding {
+  mode: 'block' | 'guardian_copy';
+  minorIds: string[];
+  guardianIds: string[];
+  retainMessages: boolean;
+}
+
 export interface UserPresence {
   userId: string;
   isOnline: boolean;
@@ -55,7 +103,10 @@ export interface ChatNotification {
   userId: string;
   chatId: string;
   messageId: string;
-  type: 'new_message' | 'mention' | 'reply';
+  type: 'new_message' | 'mention' | 'reply' | 'rsvp_reminder' | 'rsvp_headcount' | 'profile_review';
+  title?: string;
+  body?: string;
+  link?: string;
   isRead: boolean;
   createdAt: Date;
 }
@@ -75,19 +126,37 @@ export interface ChatContextType {
   participants: ChatParticipant[];
   isLoading: boolean;
   error: string | null;
-  sendMessage: (content: string, type?: ChatMessage['type'], replyTo?: string) => Promise<void>;
+  sendMessage: (
+    content: string,
+    type?: ChatMessage['type'],
+    replyTo?: string,
+    metadata?: ChatMessage['metadata']
+  ) => Promise<void>;
   editMessage: (messageId: string, content: string) => Promise<void>;
   deleteMessage: (messageId: string) => Promise<void>;
   joinRoom: (roomId: string) => Promise<void>;
   leaveRoom: () => Promise<void>;
+  // Older history, paged in before the oldest message shown
   loadMoreMessages: () => Promise<void>;
+  hasMoreMessages: boolean;
+  isLoadingMore: boolean;
+  // After jumping into history: page forward until the live window is reached
+  loadNewerMessages: () => Promise<void>;
+  hasNewerMessages: boolean;
+  jumpToMessage: (messageId: string) => Promise<void>;
+  jumpToLatest: () => void;
+  highlightedMessageId: string | null;
   markAsRead: (messageId: string) => Promise<void>;
+  toggleReaction: (messageId: string, emoji: string) => Promise<void>;
   permissions: ChatPermissions;
 }
 
 export interface ChatServiceConfig {
   firebaseConfig: any;
-  encryptionKey?: string;
+  // Messages are end-to-end encrypted when set
+  keyring?: ChatKeyring;
+  // Messages from before encryption were stored as base64 (the old encryptionKey setting)
+  legacyBase64?: boolean;
   maxMessageLength?: number;
   maxFileSize?: number;
   allowedFileTypes?: string[];
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { getCheckInStatus, summarizeAttendance, compareWithRsvps } from '../attendance.js';
+
+describe('Attendance', () => {
+  it('should mark check-ins after the grace period as late', () => {
+    const event = { startDate: '2025-03-10T18:00:00.000Z' };
+    expect(getCheckInStatus(event, new Date('2025-03-10T17:45:00.000Z'))).toBe('Present');
+    expect(getCheckInStatus(event, new Date('2025-03-10T18:10:00.000Z'))).toBe('Present');
+    expect(getCheckInStatus(event, new Date('2025-03-10T18:11:00.000Z'))).toBe('Late');
+  });
+
+  it('should leave excused absences out of the attendance rate', () => {
+    const summary = summarizeAttendance([
+      { status: 'Present' },
+      { status: 'Late' },
+      { status: 'Excused' },
+      { status: 'Absent' }
+    ]);
+
+    expect(summary).toEqual({
+      total: 4,
+      counts: { Present: 1, Late: 1, Excused: 1, Absent: 1 },
+      attended: 2,
+      rate: 67
+    });
+    expect(summarizeAttendance([{ status: 'Excused' }]).rate).toBeNull();
+  });
+
+  it('should flag RSVPs that attendance contradicts, per occurrence', () => {
+    const occurrence = '2025-03-11T18:00:00.000Z';
+    const compared = compareWithRsvps(
+      [
+        { eventId: 'e1', status: 'Absent' },
+        { eventId: 'e2', occurrenceStart: occurrence, status: 'Present' },
+        { eventId: 'e3', status: 'Late' }
+      ],
+      [
+        { eventId: 'e1', status: 'Attending' },
+        { eventId: 'e2', occurrenceStart: '2025-03-04T18:00:00.000Z', status: 'Not Attending' },
+        { eventId: 'e2', occurrenceStart: occurrence, status: 'Not Attending' }
+      ]
+    );
+
+    expect(compared.map(entry => [entry.rsvpStatus, entry.gap])).toEqual([
+      ['Attending', 'no-show'],
+      ['Not Attending', 'unexpected'],
+      [null, null]
+    ]);
+  });
+});
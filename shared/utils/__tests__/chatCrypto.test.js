@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateIdentityKeyPair,
+  exportPublicKey,
+  getKeyId,
+  getVerifiedDeviceKeys,
+  generateRoomKey,
+  encryptContent,
+  decryptContent,
+  getContentKeyVersion,
+  decodeLegacyContent,
+  createRoomEncryption,
+  shareRoomKeys,
+  addSharedKeys,
+  rotateRoomEncryption,
+  openRoomKey
+} from '../chatCrypto.js';
+
+const makeDevice = async () => {
+  const { publicKey, privateKey } = await generateIdentityKeyPair();
+  const jwk = await exportPublicKey(publicKey);
+  return { keyId: await getKeyId(jwk), jwk, privateKey };
+};
+
+const published = (devices) => Object.fromEntries(
+  Object.entries(devices).map(([userId, device]) => [userId, [{ keyId: device.keyId, jwk: device.jwk }]])
+);
+
+describe('Chat encryption', () => {
+  it('should round-trip content and reject it in another room or once tampered with', async () => {
+    const roomKey = await generateRoomKey();
+    const content = await encryptContent(roomKey, 'Ankle is still sore, sitting out Saturday', { roomId: 'room-1', version: 3 });
+
+    expect(content.startsWith('e2e:1:3:')).toBe(true);
+    expect(content).not.toContain('Ankle');
+    expect(getContentKeyVersion(content)).toBe(3);
+    await expect(decryptContent(roomKey, content, { roomId: 'room-1' })).resolves.toBe('Ankle is still sore, sitting out Saturday');
+
+    await expect(decryptContent(roomKey, content, { roomId: 'room-2' })).rejects.toThrow();
+    const tampered = content.replace(/^e2e:1:3:/, 'e2e:1:2:');
+    await expect(decryptContent(roomKey, tampered, { roomId: 'room-1' })).rejects.toThrow();
+  }, 20000);
+
+  it('should wrap room keys per participant and share them with late joiners', async () => {
+    const coach = await makeDevice();
+    const player = await makeDevice();
+    const parent = await makeDevice();
+
+    const { encryption, roomKey } = await createRoomEncryption(published({ coach, player }));
+    const message = await encryptContent(roomKey, 'See you at practice', { roomId: 'room-1', version: 1 });
+
+    const playerKey = await openRoomKey(encryption, 1, 'player', player);
+    await expect(decryptContent(playerKey, message, { roomId: 'room-1' })).resolves.toBe('See you at practice');
+    await expect(openRoomKey(encryption, 1, 'parent', parent)).resolves.toBeNull();
+
+    const coachKey = await openRoomKey(encryption, 1, 'coach', coach);
+    const shared = await shareRoomKeys(encryption, { 1: coachKey }, published({ coach, player, parent }));
+    expect(Object.keys(shared[1])).toEqual(['parent']);
+    const added = addSharedKeys(encryption, shared, published({ coach, player, parent }));
+    expect(added.added).toBe(1);
+    const parentKey = await openRoomKey(added.encryption, 1, 'parent', parent);
+    await expect(decryptContent(parentKey, message, { roomId: 'room-1' })).resolves.toBe('See you at practice');
+
+    // Nothing left to share
+    await expect(shareRoomKeys(added.encryption, { 1: coachKey }, published({ coach, player, parent }))).resolves.toBeNull();
+  }, 20000);
+
+  it('should only add shared keys for participant devices and never replace one', async () => {
+    const coach = await makeDevice();
+    const player = await makeDevice();
+    const { encryption } = await createRoomEncryption(published({ coach, player }));
+    const participants = published({ coach, player });
+
+    // Not a participant, not a published device, a version the room doesn't have
+    expect(addSharedKeys(encryption, { 1: { outsider: { [coach.keyId]: 'd3JhcHBlZA==' } } }, participants)).toBeNull();
+    expect(addSharedKeys(encryption, { 1: { player: { 'made-up-key': 'd3JhcHBlZA==' } } }, participants)).toBeNull();
+    expect(addSharedKeys(encryption, { 2: { player: { [player.keyId]: 'd3JhcHBlZA==' } } }, participants)).toBeNull();
+    expect(addSharedKeys(encryption, { 1: { player: { [player.keyId]: 42 } } }, participants)).toBeNull();
+
+    const replaced = addSharedKeys(encryption, { 1: { player: { [player.keyId]: 'd3JhcHBlZA==' } } }, participants);
+    expect(replaced.added).toBe(0);
+    expect(replaced.encryption).toEqual(encryption);
+  }, 20000);
+
+  it('should ignore published keys that are not keyed by their own fingerprint', async () => {
+    const phone = await makeDevice();
+    const laptop = await makeDevice();
+
+    const verified = await getVerifiedDeviceKeys({
+      [phone.keyId]: { jwk: phone.jwk },
+      // Someone else's key filed under this user's laptop id
+      [laptop.keyId]: { jwk: phone.jwk },
+      broken: {}
+    });
+    expect(verified).toEqual([{ keyId: phone.keyId, jwk: phone.jwk }]);
+    await expect(getVerifiedDeviceKeys(undefined)).resolves.toEqual([]);
+  }, 20000);
+
+  it('should rotate away from removed participants and read legacy base64 content', async () => {
+    const coach = await makeDevice();
+    const player = await makeDevice();
+
+    const { encryption } = await createRoomEncryption(published({ coach, player }));
+    const rotated = await rotateRoomEncryption(encryption, published({ coach }), ['player']);
+
+    expect(rotated.encryption.version).toBe(2);
+    expect(Object.keys(rotated.encryption.keys[2])).toEqual(['coach']);
+    expect(rotated.encryption.keys[1].player).toBeUndefined();
+    await expect(openRoomKey(rotated.encryption, 2, 'player', player)).resolves.toBeNull();
+    expect(await openRoomKey(rotated.encryption, 2, 'coach', coach)).not.toBeNull();
+
+    expect(decodeLegacyContent(btoa('Practice moved to 6pm'), true)).toBe('Practice moved to 6pm');
+    expect(decodeLegacyContent('Practice moved to 6pm', false)).toBe('Practice moved to 6pm');
+  }, 20000);
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseMentions,
+  splitMentions,
+  summarizeReactions,
+  getSeenBy,
+  isNewerThanReceipt,
+  mergeMessages,
+  getSlidOutMessages
+} from '../chatMessages.js';
+
+const participants = [
+  { userId: 'uid-coach', userName: 'Pat Reed' },
+  { userId: 'uid-sam', userName: 'Sam Lee' },
+  { userId: 'uid-sam-2', userName: 'Sam Ortiz' },
+  { userId: 'uid-alex', userName: 'Alex Kim' }
+];
+
+describe('Chat messages', () => {
+  it('should find mentions by full name, or first name when it is unique', () => {
+    expect(parseMentions('@Alex and @sam lee: film at 6. @Pat Reed has the plays', participants))
+      .toEqual(['uid-alex', 'uid-sam', 'uid-coach']);
+    // Two Sams, so a bare @Sam is ambiguous
+    expect(parseMentions('@Sam bring cones', participants)).toEqual([]);
+    expect(parseMentions('email alex@example.com, @Alexander', participants)).toEqual([]);
+
+    expect(splitMentions('Nice catch @Alex!', participants)).toEqual([
+      { text: 'Nice catch ' },
+      { text: '@Alex', userId: 'uid-alex' },
+      { text: '!' }
+    ]);
+  });
+
+  it('should summarize reactions with the user\'s own marked', () => {
+    const reactions = { '👍': ['uid-sam', 'uid-alex'], '🎉': ['uid-coach'], '👀': [] };
+    expect(summarizeReactions(reactions, 'uid-coach')).toEqual([
+      { emoji: '👍', count: 2, reacted: false },
+      { emoji: '🎉', count: 1, reacted: true }
+    ]);
+  });
+
+  it('should list who has seen a message from the room read receipts', () => {
+    const message = { id: 'm2', senderId: 'uid-coach', timestamp: new Date('2026-10-01T18:00:00Z') };
+    const readReceipts = {
+      'uid-sam': { messageId: 'm3', readAt: new Date('2026-10-01T18:05:00Z') },
+      'uid-sam-2': { messageId: 'm1', readAt: new Date('2026-10-01T17:00:00Z') },
+      'uid-coach': { messageId: 'm2', readAt: new Date('2026-10-01T18:00:00Z') }
+    };
+
+    expect(getSeenBy(message, participants, readReceipts).map(p => p.userId)).toEqual(['uid-sam']);
+    expect(isNewerThanReceipt(readReceipts['uid-sam'], message)).toBe(false);
+    expect(isNewerThanReceipt(readReceipts['uid-sam-2'], message)).toBe(true);
+    expect(isNewerThanReceipt(undefined, message)).toBe(true);
+  });
+
+  it('should stitch history onto the live window and keep messages that slide out of it', () => {
+    const at = (minute) => new Date(`2026-10-01T18:${String(minute).padStart(2, '0')}:00Z`);
+    const message = (id, minute, content = id) => ({ id, timestamp: at(minute), content });
+
+    const older = [message('m1', 1), message('m2', 2)];
+    const live = [message('m2', 2, 'edited'), message('m3', 3), message('m4', 4)];
+    expect(mergeMessages(older, live).map(m => [m.id, m.content])).toEqual([
+      ['m1', 'm1'], ['m2', 'edited'], ['m3', 'm3'], ['m4', 'm4']
+    ]);
+
+    // A new message pushes m2 out of a full window of three
+    const next = [message('m3', 3), message('m4', 4), message('m5', 5)];
+    expect(getSlidOutMessages(live, next, 3).map(m => m.id)).toEqual(['m2']);
+
+    // m3 was deleted: it was inside the window, so it isn't kept
+    const afterDelete = [message('m2', 2), message('m4', 4), message('m5', 5)];
+    expect(getSlidOutMessages(next, afterDelete, 3)).toEqual([]);
+    // A window that isn't full never slides
+    expect(getSlidOutMessages(live, [message('m4', 4)], 3)).toEqual([]);
+  });
+});
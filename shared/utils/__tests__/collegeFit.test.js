@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { scoreAcademicFit, scoreAthleticFit, scoreCollegeFit } from '../collegeFit.js';
+import { findCollegeProfile } from '../collegeProfiles.js';
+
+const player = { gpa: '3.75', satScore: '1220', actScore: '30', position: 'WR', class: 2027 };
+
+describe('College fit', () => {
+  it('should score GPA and the better test against the middle 50% of admits', () => {
+    const { score, factors } = scoreAcademicFit(player, findCollegeProfile('miami university'));
+
+    expect(factors.map(factor => factor.key)).toEqual(['gpa', 'act']);
+    expect(factors[0].score).toBeCloseTo(0.5);
+    expect(factors[1].score).toBeCloseTo(0.75);
+    expect(score).toBeCloseTo(0.625);
+    expect(scoreAcademicFit(player, null).score).toBeNull();
+  });
+
+  it('should match position and class against the school needs', () => {
+    expect(scoreAthleticFit(player, [{ position: 'Wide Receiver', classYear: 2027 }]).match).toBe('exact');
+    expect(scoreAthleticFit(player, [{ position: 'wide receiver', classYear: 2028 }]).match).toBe('position');
+    expect(scoreAthleticFit(player, [{ position: 'QB', classYear: 2027 }]).match).toBe('class');
+    expect(scoreAthleticFit(player, [{ position: 'QB' }]).match).toBe('none');
+    expect(scoreAthleticFit(player, []).score).toBeNull();
+  });
+
+  it('should combine the parts that have data and suggest a tier', () => {
+    const academicOnly = scoreCollegeFit(player, { collegeName: 'Miami University' });
+    expect(academicOnly.score).toBe(63);
+    expect(academicOnly.suggestedTier).toBe('target');
+
+    const withNeed = scoreCollegeFit(player, { collegeName: 'Miami University', positionNeeds: [{ position: 'WR', classYear: 2027 }] });
+    expect(withNeed.suggestedTier).toBe('safety');
+
+    const unknown = scoreCollegeFit(player, { collegeName: 'Nowhere College' });
+    expect(unknown.score).toBeNull();
+    expect(unknown.suggestedTier).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateDocument,
+  buildDocumentChecklist,
+  getRequiredDocumentsForTeams,
+  getTournamentDocumentIssues
+} from '../documents.js';
+
+const now = new Date(2026, 4, 1, 12);
+
+describe('Player documents', () => {
+  it('should require an expiration date for documents that expire', () => {
+    expect(validateDocument({ category: 'physical' }, now)).toBe('Physical / Medical Clearance needs an expiration date');
+    expect(validateDocument({ category: 'physical', expiresAt: '2026-04-30' }, now)).toBe('This document has already expired');
+    expect(validateDocument({ category: 'physical', expiresAt: '2027-04-30' }, now)).toBeNull();
+    expect(validateDocument({ category: 'birthCertificate' }, now)).toBeNull();
+  });
+
+  it('should check documents against the team checklist', () => {
+    const documents = [
+      { id: 'd1', category: 'physical', expiresAt: '2026-05-01', status: 'verified' },
+      { id: 'd2', category: 'physical', expiresAt: '2026-05-20', status: 'pending' },
+      { id: 'd3', category: 'waiver', status: 'rejected' },
+      { id: 'd4', category: 'birthCertificate', status: 'pending' }
+    ];
+    const required = getRequiredDocumentsForTeams([{ id: 't1', requiredDocuments: ['waiver', 'physical', 'birthCertificate'] }]);
+
+    expect(required).toEqual(['physical', 'birthCertificate', 'waiver']);
+    expect(buildDocumentChecklist(documents, required, now)).toEqual([
+      // The verified physical still clears the player today, ahead of the renewal staff haven't checked
+      { category: 'physical', label: 'Physical / Medical Clearance', document: documents[0], state: 'expiring', ok: true },
+      { category: 'birthCertificate', label: 'Birth Certificate', document: documents[3], state: 'pending', ok: false },
+      { category: 'waiver', label: 'Liability Waiver', document: documents[2], state: 'rejected', ok: false }
+    ]);
+    expect(buildDocumentChecklist(documents, ['physical'], new Date(2026, 4, 2))[0])
+      .toEqual(expect.objectContaining({ document: documents[1], state: 'pending', ok: false }));
+    expect(getRequiredDocumentsForTeams([])).toEqual(['physical', 'birthCertificate', 'waiver']);
+  });
+
+  it('should flag tournaments that end after a document expires', () => {
+    const player = { id: 'p1', teamIds: ['t1', 't2'] };
+    const teams = [{ id: 't1', requiredDocuments: ['physical'] }, { id: 't2', requiredDocuments: ['physical', 'schoolId'] }];
+    const documents = [{ id: 'd1', category: 'physical', expiresAt: '2026-05-16', status: 'verified' }];
+    const events = [
+      { id: 'e1', eventType: 'Tournament', teamIds: ['t1'], startDate: '2026-05-15T14:00:00', endDate: '2026-05-17T18:00:00' },
+      { id: 'e2', eventType: 'Practice', teamIds: ['t2'], startDate: '2026-05-02T17:00:00' },
+      { id: 'e3', eventType: 'Tournament', teamIds: ['t2'], startDate: '2026-05-08T14:00:00' },
+      { id: 'e4', eventType: 'Tournament', teamIds: ['t1'], startDate: '2026-09-01T14:00:00' }
+    ];
+
+    const issues = getTournamentDocumentIssues({ player, documents, teams, events, now });
+
+    expect(issues.map(issue => [issue.event.id, issue.missing.map(item => `${item.category}:${item.state}`)])).toEqual([
+      ['e3', ['schoolId:missing']],
+      ['e1', ['physical:expired']]
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { buildLedger, buildFamilyLedger } from '../feeLedger.js';
+
+const now = new Date(2025, 4, 1);
+
+const records = {
+  teamFees: [
+    { id: 'tf1', name: 'Spring dues', amount: 300, dueDate: '2025-01-15' },
+    { id: 'tf2', name: 'Tournament fee', amount: 200, dueDate: '2025-04-20' }
+  ],
+  additionalFees: [
+    { id: 'af1', feeType: 'Uniform', amount: 80, dueDate: '2025-05-10' },
+    { id: 'af2', feeType: 'Sibling Discount', amount: 50, dueDate: '2025-01-01' },
+    { id: 'af3', feeType: 'Credit', amount: 20, dueDate: '2025-02-01' }
+  ],
+  payments: [
+    { id: 'p1', amount: 100, status: 'Completed', paymentDate: '2025-01-20T00:00:00.000Z' },
+    { id: 'p2', amount: 60, status: 'Refunded', refundAmount: 60, paymentDate: '2025-02-10T00:00:00.000Z', refundDate: '2025-02-12T00:00:00.000Z' },
+    { id: 'p3', amount: 500, status: 'Failed', paymentDate: '2025-03-01T00:00:00.000Z' }
+  ]
+};
+
+describe('Fee ledger', () => {
+  it('should total charges, discounts, credits, payments and refunds', () => {
+    const ledger = buildLedger(records, now);
+
+    expect(ledger.totals).toEqual({ charge: 580, discount: 50, credit: 20, payment: 160, refund: 60 });
+    expect(ledger.balance).toBe(410);
+    expect(ledger.entries.map(entry => entry.id)).not.toContain('Payment:p3');
+  });
+
+  it('should keep a running balance in date order', () => {
+    const ledger = buildLedger(records, now);
+
+    expect(ledger.entries.map(entry => [entry.id, entry.amount, entry.balance])).toEqual([
+      ['AdditionalFee:af2', -50, -50],
+      ['TeamFee:tf1', 300, 250],
+      ['Payment:p1', -100, 150],
+      ['AdditionalFee:af3', -20, 130],
+      ['Payment:p2', -60, 70],
+      ['Payment:p2:refund', 60, 130],
+      ['TeamFee:tf2', 200, 330],
+      ['AdditionalFee:af1', 80, 410]
+    ]);
+  });
+
+  it('should age the open balance, settling the oldest charges first', () => {
+    const ledger = buildLedger(records, now);
+
+    // 230 of reductions clear tf1 (300) down to 70, which is 106 days late
+    expect(ledger.aging).toEqual({ current: 80, '1-30': 200, '31-60': 0, '61-90': 60, '90+': 70 });
+    expect(ledger.pastDue).toBe(330);
+  });
+
+  it('should combine player ledgers into a family total', () => {
+    const family = buildFamilyLedger([
+      { player: { id: 'a' }, ledger: buildLedger(records, now) },
+      { player: { id: 'b' }, ledger: buildLedger({ teamFees: [{ id: 'tf3', amount: 100.1, dueDate: '2025-04-25' }] }, now) }
+    ]);
+
+    expect(family.balance).toBe(510.1);
+    expect(family.pastDue).toBe(430.1);
+    expect(family.aging['1-30']).toBe(300.1);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCalendar,
+  buildEventLines,
+  escapeText,
+  foldLine,
+  formatDateTime,
+  getEventAttendees,
+  getEventUid
+} from '../ical.js';
+
+const event = {
+  id: 'evt-1',
+  title: 'Practice; bring cleats',
+  eventType: 'Practice',
+  startDate: '2025-03-01T18:00:00.000Z',
+  endDate: '2025-03-01T20:00:00.000Z',
+  location: 'Field 2, North Campus',
+  description: 'Line 1\nLine 2',
+  teamIds: ['team-a'],
+  sequence: 2,
+  updated_date: '2025-02-20T12:00:00.000Z'
+};
+
+describe('iCalendar generation', () => {
+  it('should escape TEXT values', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('should fold long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+    const lines = folded.split('\r\n');
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+    expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'é'.repeat(80)}`);
+  });
+
+  it('should format UTC date-times', () => {
+    expect(formatDateTime('2025-03-01T18:05:09.000Z')).toBe('20250301T180509Z');
+  });
+
+  it('should build a VEVENT with a stable UID and sequence', () => {
+    const lines = buildEventLines(event, {
+      attendees: [{ name: 'Sam Lee', email: 'sam@example.com', status: 'Attending' }]
+    });
+
+    expect(lines).toEqual(expect.arrayContaining([
+      `UID:${getEventUid(event)}`,
+      'SEQUENCE:2',
+      'DTSTAMP:20250220T120000Z',
+      'DTSTART:20250301T180000Z',
+      'DTEND:20250301T200000Z',
+      'SUMMARY:Practice\\; bring cleats',
+      'LOCATION:Field 2\\, North Campus',
+      'DESCRIPTION:Line 1\\nLine 2\\nRSVP (Sam Lee): Attending',
+      'STATUS:CONFIRMED',
+      'ATTENDEE;CN=Sam Lee;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:sam@example.com'
+    ]));
+  });
+
+  it('should mark cancelled events and emit recurrence rules', () => {
+    const lines = buildEventLines({
+      ...event,
+      status: 'Cancelled',
+      isRecurring: true,
+      recurrenceRule: 'RRULE:FREQ=WEEKLY;BYDAY=TU,TH'
+    });
+    expect(lines).toContain('STATUS:CANCELLED');
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU,TH');
+  });
+
+  it('should make all-day end dates exclusive', () => {
+    const lines = buildEventLines({ ...event, allDay: true, endDate: '2025-03-02T00:00:00.000Z' });
+    expect(lines).toContain('DTSTART;VALUE=DATE:20250301');
+    expect(lines).toContain('DTEND;VALUE=DATE:20250303');
+  });
+
+  it('should give all-day series DATE exception dates', () => {
+    const series = {
+      ...event,
+      allDay: true,
+      isRecurring: true,
+      recurrenceRule: 'FREQ=WEEKLY',
+      recurrenceExceptions: [{ originalStart: '2025-03-08T18:00:00.000Z', status: 'Cancelled' }]
+    };
+    expect(buildEventLines(series)).toContain('EXDATE;VALUE=DATE:20250308');
+    expect(buildEventLines(series, { recurrenceId: '2025-03-15T18:00:00.000Z' })).toContain('RECURRENCE-ID;VALUE=DATE:20250315');
+    expect(buildEventLines({ ...series, allDay: false }, { timeZone: 'America/Chicago' }))
+      .toContain('EXDATE;TZID=America/Chicago:20250308T120000');
+  });
+
+  it('should write timed series on the club clock with a matching VTIMEZONE', () => {
+    const series = { ...event, isRecurring: true, recurrenceRule: 'FREQ=WEEKLY;UNTIL=20250601T235959' };
+    const lines = buildEventLines(series, { timeZone: 'America/Chicago' });
+    expect(lines).toContain('DTSTART;TZID=America/Chicago:20250301T120000');
+    expect(lines).toContain('DTEND;TZID=America/Chicago:20250301T140000');
+    expect(lines).toContain('RRULE:FREQ=WEEKLY;UNTIL=20250602T045959Z');
+
+    const ics = buildCalendar([{ event: series }], { timeZone: 'America/Chicago' });
+    expect(ics).toContain([
+      'BEGIN:VTIMEZONE',
+      'TZID:America/Chicago',
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20250309T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+      'TZOFFSETFROM:-0600',
+      'TZOFFSETTO:-0500',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20251102T020000',
+      'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0600',
+      'END:STANDARD',
+      'END:VTIMEZONE'
+    ].join('\r\n'));
+    expect(buildCalendar([{ event }])).not.toContain('VTIMEZONE');
+  });
+
+  it('should end all-day series with a DATE', () => {
+    const series = { ...event, allDay: true, isRecurring: true, recurrenceRule: 'FREQ=DAILY;UNTIL=20250601T235959' };
+    expect(buildEventLines(series, { timeZone: 'America/Chicago' })).toContain('RRULE:FREQ=DAILY;UNTIL=20250601');
+    expect(buildEventLines({ ...series, recurrenceRule: 'FREQ=DAILY;UNTIL=20250602T045959Z' }, { timeZone: 'America/Chicago' }))
+      .toContain('RRULE:FREQ=DAILY;UNTIL=20250601');
+  });
+
+  it('should wrap events in a CRLF delimited VCALENDAR', () => {
+    const ics = buildCalendar([{ event }], { method: 'PUBLISH' });
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics).toContain('METHOD:PUBLISH\r\n');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('should attach RSVPs for the players an event applies to', () => {
+    const players = [
+      { id: 'kid-1', firstName: 'Sam', lastName: 'Lee', teamIds: ['team-a'] },
+      { id: 'kid-2', firstName: 'Alex', lastName: 'Lee', teamIds: ['team-b'] }
+    ];
+    const rsvps = [{ eventId: 'evt-1', playerId: 'kid-1', status: 'Maybe' }];
+
+    expect(getEventAttendees(event, players, rsvps)).toEqual([
+      { name: 'Sam Lee', email: undefined, status: 'Maybe' }
+    ]);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { squareCrop, toPixelCrop, planImageVariants, validateSourceImage } from '../imageProcessing.js';
+
+describe('Image processing', () => {
+  it('should plan every variant from the cropped area without upscaling', () => {
+    const plan = planImageVariants(4032, 3024, null);
+
+    expect(plan.crop).toEqual({ x: 0, y: 0, width: 4032, height: 3024 });
+    expect(plan.variants).toEqual([
+      { name: 'thumb', width: 160, height: 120 },
+      { name: 'small', width: 480, height: 360 },
+      { name: 'large', width: 1600, height: 1200 }
+    ]);
+
+    const small = planImageVariants(300, 200, null);
+    expect(small.variants.find(variant => variant.name === 'large')).toEqual({ name: 'large', width: 300, height: 200 });
+  });
+
+  it('should keep headshot crops square and inside the image', () => {
+    const crop = squareCrop(4000, 3000, 0.5, { x: 0.95, y: 0.1 });
+    const pixels = toPixelCrop(crop, 4000, 3000);
+
+    expect(pixels).toEqual({ x: 2500, y: 0, width: 1500, height: 1500 });
+    expect(planImageVariants(4000, 3000, crop).variants[0]).toEqual({ name: 'thumb', width: 160, height: 160 });
+  });
+
+  it('should only accept images it can decode', () => {
+    expect(validateSourceImage({ type: 'image/jpeg', size: 8 * 1024 * 1024 })).toBeNull();
+    expect(validateSourceImage({ type: 'image/heic', size: 1024 })).toMatch(/Invalid image type/);
+    expect(validateSourceImage({ type: 'image/png', size: 30 * 1024 * 1024 })).toBe('Image must be less than 25MB');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { buildInstallments, applyPaymentsToPlan, getPlanPayments, getPlanStatus } from '../paymentPlans.js';
+
+const plan = {
+  id: 'plan-1',
+  createdAt: '2025-01-05T12:00:00.000Z',
+  totalAmount: 300,
+  installments: buildInstallments({ totalAmount: 300, count: 3, frequency: 'monthly', startDate: '2025-01-15' })
+};
+
+describe('Payment plans', () => {
+  it('should split the total into dated installments without losing cents', () => {
+    expect(buildInstallments({ totalAmount: 100, count: 3, frequency: 'biweekly', startDate: '2025-01-31' })).toEqual([
+      { number: 1, dueDate: '2025-01-31', amount: 33.34 },
+      { number: 2, dueDate: '2025-02-14', amount: 33.33 },
+      { number: 3, dueDate: '2025-02-28', amount: 33.33 }
+    ]);
+    expect(plan.installments.map(i => i.dueDate)).toEqual(['2025-01-15', '2025-02-15', '2025-03-15']);
+    expect(() => buildInstallments({ totalAmount: 100, count: 2, frequency: 'daily', startDate: '2025-01-01' })).toThrow();
+  });
+
+  it('should count tagged payments and untagged payments made after the plan started', () => {
+    const payments = [
+      { id: 'p1', amount: 50, status: 'Completed', paymentDate: '2025-01-01T00:00:00.000Z' },
+      { id: 'p2', amount: 50, status: 'Completed', paymentDate: '2025-01-10T00:00:00.000Z' },
+      { id: 'p3', amount: 50, status: 'Completed', paymentDate: '2025-01-02T00:00:00.000Z', paymentPlanId: 'plan-1' },
+      { id: 'p4', amount: 50, status: 'Completed', paymentDate: '2025-01-11T00:00:00.000Z', paymentPlanId: 'plan-2' },
+      { id: 'p5', amount: 50, status: 'Failed', paymentDate: '2025-01-12T00:00:00.000Z' }
+    ];
+    expect(getPlanPayments(plan, payments).map(p => p.id)).toEqual(['p2', 'p3']);
+  });
+
+  it('should count each untagged payment towards one plan only', () => {
+    const second = {
+      id: 'plan-2',
+      createdAt: '2025-01-06T12:00:00.000Z',
+      installments: buildInstallments({ totalAmount: 100, count: 1, frequency: 'monthly', startDate: '2025-02-01' })
+    };
+    const plans = [plan, second];
+    const payments = [
+      { id: 'p1', amount: 250, status: 'Completed', paymentDate: '2025-01-10T00:00:00.000Z' },
+      { id: 'p2', amount: 50, status: 'Completed', paymentDate: '2025-01-11T00:00:00.000Z' },
+      { id: 'p3', amount: 100, status: 'Completed', paymentDate: '2025-01-12T00:00:00.000Z' }
+    ];
+
+    // The older plan takes payments until it is covered, then the next plan does
+    expect(getPlanPayments(plan, payments, plans).map(p => p.id)).toEqual(['p1', 'p2']);
+    expect(getPlanPayments(second, payments, plans).map(p => p.id)).toEqual(['p3']);
+
+    const now = new Date(2025, 0, 20);
+    expect(getPlanStatus(plan, applyPaymentsToPlan(plan, payments, now, plans))).toBe('completed');
+    expect(getPlanStatus(second, applyPaymentsToPlan(second, payments, now, plans))).toBe('completed');
+    expect(getPlanStatus({ ...second, status: 'cancelled' }, { isComplete: true })).toBe('cancelled');
+  });
+
+  it('should apply payments in due order and mark missed installments late', () => {
+    const payments = [
+      { amount: 100, status: 'Completed', paymentDate: '2025-01-14T00:00:00.000Z' },
+      { amount: 40, status: 'Completed', paymentDate: '2025-02-20T00:00:00.000Z' }
+    ];
+    const progress = applyPaymentsToPlan(plan, payments, new Date(2025, 2, 1));
+
+    expect(progress.installments.map(i => [i.status, i.amountPaid])).toEqual([
+      ['paid', 100],
+      ['late', 40],
+      ['upcoming', 0]
+    ]);
+    expect(progress.paid).toBe(140);
+    expect(progress.remaining).toBe(160);
+    expect(progress.nextDue.number).toBe(2);
+    expect(progress.isComplete).toBe(false);
+  });
+});
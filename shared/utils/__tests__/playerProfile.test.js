@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateProfile,
+  getProfileChanges,
+  getFieldAccess,
+  getEditableFields,
+  getPlayerUpdateViolations
+} from '../playerProfile.js';
+
+const now = new Date(2025, 5, 1);
+
+describe('Player profile', () => {
+  it('should accept a complete, valid profile', () => {
+    expect(validateProfile({
+      firstName: 'Jordan',
+      lastName: 'Reyes',
+      emailAddress: 'jordan@example.com',
+      phoneNumber: '(614) 555-0100',
+      class: '2027',
+      gpa: '3.85',
+      satScore: '1320',
+      actScore: '29'
+    }, now)).toEqual({});
+  });
+
+  it('should reject out-of-range scores, bad contact details and missing names', () => {
+    expect(validateProfile({
+      firstName: ' ',
+      lastName: 'Reyes',
+      emailAddress: 'jordan@',
+      phoneNumber: '555-01',
+      dateOfBirth: '2030-01-01',
+      class: '2040',
+      gpa: '5.2',
+      satScore: '1610',
+      actScore: '28.5'
+    }, now)).toEqual({
+      firstName: 'First Name is required',
+      emailAddress: 'Please enter a valid email address',
+      phoneNumber: 'Please enter a valid phone number',
+      dateOfBirth: 'Date of birth cannot be in the future',
+      class: 'Graduation year must be between 2024 and 2033',
+      gpa: 'GPA must be between 0 and 5',
+      satScore: 'SAT score must be between 400 and 1600',
+      actScore: 'ACT score must be a number'
+    });
+  });
+
+  it('should only report fields that actually changed', () => {
+    const player = { firstName: 'Jordan', lastName: 'Reyes', gpa: 3.5, class: 2027, phoneNumber: '' };
+    const values = { firstName: 'Jordan ', lastName: 'Reyes', gpa: '3.50', class: '2027', phoneNumber: '6145550100' };
+
+    expect(getProfileChanges(player, values)).toEqual([
+      { field: 'phoneNumber', label: 'Phone', oldValue: '', newValue: '6145550100' }
+    ]);
+  });
+
+  it('should give each role its own access to a field', () => {
+    expect(getFieldAccess('homeAddress', 'parent')).toBe('direct');
+    expect(getFieldAccess('homeAddress', 'player')).toBe('review');
+    expect(getFieldAccess('offers', 'parent')).toBe('review');
+    expect(getFieldAccess('offers', 'coach')).toBe('direct');
+    expect(getFieldAccess('teamId', 'player')).toBe('read-only');
+    expect(getFieldAccess('teamIds', 'coach')).toBe('direct');
+    expect(getEditableFields('parent').map(field => field.key)).not.toContain('photoUrl');
+  });
+
+  it('should ignore unchanged values when checking a direct update', () => {
+    const record = { id: 'p1', homeAddress: '1 Old Rd', offers: 2, teamId: 't1' };
+
+    expect(getPlayerUpdateViolations('parent', record, { ...record, homeAddress: '9 New St', offers: '2' }, now)).toEqual([]);
+    expect(getPlayerUpdateViolations('parent', record, { offers: 3, teamId: 't2', homeZip: '123' }, now)).toEqual([
+      { field: 'offers', code: 'REVIEW_REQUIRED', message: 'Number of Offers changes must be submitted for review' },
+      { field: 'teamId', code: 'FIELD_READ_ONLY', message: 'teamId cannot be changed' },
+      { field: 'homeZip', code: 'INVALID_VALUE', message: 'Please enter a valid ZIP code' }
+    ]);
+  });
+});
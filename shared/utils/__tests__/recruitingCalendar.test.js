@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateRecruitingRules, getRecruitingCalendarNotices, getRecruitingPeriod, getRecruitingWarnings } from '../recruitingCalendar.js';
+
+const byKey = (evaluation) => Object.fromEntries(evaluation.interactions.map(entry => [entry.key, entry]));
+
+describe('Recruiting calendar', () => {
+  it('should hold back contact until the earliest date for the class', () => {
+    const evaluation = evaluateRecruitingRules({ gradYear: 2028, date: '2026-08-20T12:00:00' });
+    const interactions = byKey(evaluation);
+
+    expect(evaluation.period.type).toBe('quiet');
+    expect(interactions.coachCalls).toMatchObject({ allowed: false, reason: 'notYet', opensOn: '2026-09-01' });
+    expect(interactions.offCampusContact).toMatchObject({ allowed: false, reason: 'notYet', opensOn: '2027-01-01' });
+    expect(interactions.evaluation).toMatchObject({ allowed: false, reason: 'period' });
+    expect(interactions.unofficialVisit.allowed).toBe(true);
+
+    // Division II opens everything on June 15 after sophomore year
+    const d2 = byKey(evaluateRecruitingRules({ gradYear: 2028, date: '2026-08-20T12:00:00', division: 'NCAA D2' }));
+    expect(Object.values(d2).every(entry => entry.allowed)).toBe(true);
+  });
+
+  it('should block in-person contact in a dead period but not calls', () => {
+    const evaluation = evaluateRecruitingRules({ gradYear: 2027, date: '2026-12-20T12:00:00' });
+    const interactions = byKey(evaluation);
+
+    expect(evaluation.period).toMatchObject({ type: 'dead', end: '2027-01-10' });
+    expect(interactions.coachCalls.allowed).toBe(true);
+    expect(interactions.offCampusContact.reason).toBe('period');
+    expect(interactions.officialVisit.reason).toBe('period');
+    expect(getRecruitingWarnings(evaluation)).toHaveLength(1);
+    expect(evaluateRecruitingRules({ gradYear: 2027, division: 'Club' })).toBeNull();
+  });
+
+  it('should have no rules outside the cycles in the dataset', () => {
+    expect(getRecruitingPeriod('2027-07-20T12:00:00')).toMatchObject({ type: 'dead' });
+    expect(getRecruitingPeriod('2027-08-15T12:00:00')).toBeNull();
+    expect(getRecruitingPeriod('2026-06-20T12:00:00', { division: 'NCAA D3' })).toBeNull();
+    expect(evaluateRecruitingRules({ gradYear: 2028, date: '2027-08-15T12:00:00' })).toBeNull();
+
+    const notices = getRecruitingCalendarNotices({
+      range: { start: new Date(2027, 7, 1), end: new Date(2027, 8, 1) },
+      events: [{ id: 'e1', title: 'Summer Showcase', eventType: 'Tournament', startDate: '2027-08-14T14:00:00' }]
+    });
+    expect(notices.filter(notice => notice.kind === 'event')).toEqual([]);
+  });
+
+  it('should list periods, contact dates and tournaments coaches cannot attend in a calendar range', () => {
+    const notices = getRecruitingCalendarNotices({
+      range: { start: new Date(2026, 7, 30), end: new Date(2026, 8, 6) },
+      players: [{ id: 'p1', firstName: 'Jordan', class: 2028 }, { id: 'p2', firstName: 'Sam', class: 2030 }]
+    });
+    expect(notices.map(notice => notice.kind)).toEqual(['period', 'milestone']);
+    expect(notices[1].message).toContain('Jordan (class of 2028)');
+
+    const december = getRecruitingCalendarNotices({
+      range: { start: new Date(2026, 11, 13), end: new Date(2026, 11, 20) },
+      events: [
+        { id: 'e1', title: 'Winter Classic', eventType: 'Tournament', startDate: '2026-12-19T14:00:00' },
+        { id: 'e2', title: 'Practice', eventType: 'Practice', startDate: '2026-12-15T18:00:00' }
+      ]
+    });
+    expect(december.filter(notice => notice.kind === 'event').map(notice => notice.key)).toEqual(['event-e1']);
+  });
+});
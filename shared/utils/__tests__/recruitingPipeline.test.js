@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { buildCollegeInterest, moveToStage, groupByStage, getPipelineActivity } from '../recruitingPipeline.js';
+
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+describe('Recruiting pipeline', () => {
+  it('should record every move and keep the first date each stage was reached', () => {
+    const interest = { id: 'r1', ...buildCollegeInterest({ playerId: 'p1', collegeName: ' Syracuse University ', by: 'p@example.com', now: day(1) }) };
+    expect(interest.collegeName).toBe('Syracuse University');
+
+    const offered = { ...interest, ...moveToStage(interest, 'offered', { by: 'coach@example.com', now: day(5) }) };
+    const pulled = { ...offered, ...moveToStage(offered, 'interested', { by: 'p@example.com', note: 'Offer pulled', now: day(9) }) };
+    const reOffered = { ...pulled, ...moveToStage(pulled, 'offered', { by: 'p@example.com', now: day(12) }) };
+
+    expect(reOffered.stage).toBe('offered');
+    expect(reOffered.stageDates).toEqual({
+      contacted: day(1).toISOString(),
+      offered: day(5).toISOString(),
+      interested: day(9).toISOString()
+    });
+    expect(reOffered.stageHistory.map(entry => [entry.from, entry.to])).toEqual([
+      [null, 'contacted'],
+      ['contacted', 'offered'],
+      ['offered', 'interested'],
+      ['interested', 'offered']
+    ]);
+    expect(reOffered.stageHistory[2].note).toBe('Offer pulled');
+    expect(() => moveToStage(reOffered, 'offered', { by: 'p@example.com' })).toThrow(/already at Offered/);
+    expect(() => moveToStage(reOffered, 'signed', { by: 'p@example.com' })).toThrow(/Unknown recruiting stage/);
+  });
+
+  it('should group colleges by stage and leave team invitations and uncontacted targets out', () => {
+    const interests = [
+      { id: 'a', collegeName: 'Virginia', stage: 'visit', stageHistory: [{ to: 'visit', at: day(2).toISOString() }] },
+      { id: 'b', collegeName: 'Pitt', stage: 'visit', stageHistory: [{ to: 'visit', at: day(4).toISOString() }] },
+      { id: 'c', collegeName: 'Navy', stage: 'contacted' },
+      { id: 'd', teamName: 'O7C 17U', status: 'Invited' },
+      { id: 'e', collegeName: 'Denison University', tier: 'reach', stage: null }
+    ];
+
+    const columns = groupByStage(interests);
+    expect(columns.visit.map(interest => interest.id)).toEqual(['b', 'a']);
+    expect(columns.contacted.map(interest => interest.id)).toEqual(['c']);
+    expect(Object.values(columns).flat()).toHaveLength(3);
+    expect(getPipelineActivity(interests).map(entry => entry.interest.id)).toEqual(['b', 'a']);
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest';
+import { fromZonedTime } from 'date-fns-tz';
+import {
+  parseRRule,
+  formatRRule,
+  generateSeriesStarts,
+  expandEvent,
+  withOccurrenceException,
+  getRsvpKey,
+  isSeriesOccurrence
+} from '../recurrence.js';
+import { buildCalendar, getEventAttendees, getOccurrenceAttendees } from '../ical.js';
+
+// Series follow the club's wall clock; March 2025 crosses the US DST change on the 9th
+const TZ = 'America/Chicago';
+const pad = (value) => String(value).padStart(2, '0');
+const local = (y, m, d, h = 18) => fromZonedTime(`${y}-${pad(m)}-${pad(d)}T${pad(h)}:00:00`, TZ);
+const rrule = (rule) => parseRRule(rule, TZ);
+
+const practice = {
+  id: 'evt-1',
+  title: 'Practice',
+  isRecurring: true,
+  recurrenceRule: 'FREQ=WEEKLY;BYDAY=TU,TH',
+  startDate: local(2025, 3, 4).toISOString(),
+  endDate: local(2025, 3, 4, 20).toISOString(),
+  teamIds: ['team-a']
+};
+
+describe('Recurring events', () => {
+  describe('parseRRule', () => {
+    it('should parse frequency, interval, days and limits', () => {
+      expect(parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=2SA,-1FR;COUNT=6')).toEqual({
+        freq: 'MONTHLY',
+        interval: 2,
+        byDay: [{ weekday: 6, ordinal: 2 }, { weekday: 5, ordinal: -1 }],
+        until: null,
+        count: 6
+      });
+    });
+
+    it('should reject unsupported rules', () => {
+      expect(() => parseRRule('FREQ=YEARLY')).toThrow();
+      expect(() => parseRRule('FREQ=WEEKLY;BYSETPOS=1')).toThrow();
+      expect(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20250101')).toThrow();
+    });
+
+    it('should round-trip through formatRRule', () => {
+      const rule = formatRRule({ freq: 'WEEKLY', byDay: ['MO', 'WE'], until: '2025-06-01T00:00:00.000Z' });
+      expect(rule).toBe('FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250601T000000Z');
+      expect(parseRRule(rule).until).toEqual(new Date('2025-06-01T00:00:00.000Z'));
+    });
+  });
+
+  describe('generateSeriesStarts', () => {
+    it('should generate weekly occurrences on the listed days', () => {
+      const starts = generateSeriesStarts(local(2025, 3, 4), rrule('FREQ=WEEKLY;BYDAY=TU,TH'), local(2025, 3, 15), { timeZone: TZ });
+      expect(starts).toEqual([local(2025, 3, 4), local(2025, 3, 6), local(2025, 3, 11), local(2025, 3, 13)]);
+    });
+
+    it('should keep the club wall-clock time across DST whatever zone the process runs in', () => {
+      const starts = generateSeriesStarts(local(2025, 3, 4), rrule('FREQ=WEEKLY'), local(2025, 3, 12), { timeZone: TZ });
+      expect(starts.map(start => start.toISOString())).toEqual([
+        '2025-03-05T00:00:00.000Z',
+        '2025-03-11T23:00:00.000Z'
+      ]);
+    });
+
+    it('should honour COUNT and UNTIL', () => {
+      const far = local(2030, 1, 1);
+      expect(generateSeriesStarts(local(2025, 3, 1), rrule('FREQ=DAILY;INTERVAL=2;COUNT=3'), far, { timeZone: TZ }))
+        .toEqual([local(2025, 3, 1), local(2025, 3, 3), local(2025, 3, 5)]);
+      expect(generateSeriesStarts(local(2025, 3, 1), rrule('FREQ=WEEKLY;UNTIL=20250315'), far, { timeZone: TZ }))
+        .toHaveLength(3);
+    });
+
+    it('should cap occurrences in the window rather than from the series start', () => {
+      const daily = rrule('FREQ=DAILY');
+      expect(generateSeriesStarts(local(2020, 1, 1), daily, local(2025, 3, 4), { from: local(2025, 3, 1), timeZone: TZ }))
+        .toEqual([local(2025, 3, 1), local(2025, 3, 2), local(2025, 3, 3)]);
+      expect(generateSeriesStarts(local(2025, 3, 1), rrule('FREQ=DAILY;COUNT=3'), local(2030, 1, 1), { from: local(2025, 3, 2), timeZone: TZ }))
+        .toEqual([local(2025, 3, 2), local(2025, 3, 3)]);
+    });
+
+    it('should skip months without the series day and support ordinal weekdays', () => {
+      expect(generateSeriesStarts(local(2025, 1, 31), rrule('FREQ=MONTHLY;COUNT=3'), local(2026, 1, 1), { timeZone: TZ }))
+        .toEqual([local(2025, 1, 31), local(2025, 3, 31), local(2025, 5, 31)]);
+      expect(generateSeriesStarts(local(2025, 3, 1), rrule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2'), local(2026, 1, 1), { timeZone: TZ }))
+        .toEqual([local(2025, 3, 28), local(2025, 4, 25)]);
+    });
+  });
+
+  describe('expandEvent', () => {
+    const range = { start: local(2025, 3, 10, 0), end: local(2025, 3, 17, 0) };
+
+    it('should return occurrences in range keyed by their original start', () => {
+      const occurrences = expandEvent(practice, range, { timeZone: TZ });
+      expect(occurrences.map(o => o.startDate)).toEqual([
+        local(2025, 3, 11).toISOString(),
+        local(2025, 3, 13).toISOString()
+      ]);
+      expect(occurrences[0]).toEqual(expect.objectContaining({
+        id: 'evt-1',
+        occurrenceStart: local(2025, 3, 11).toISOString(),
+        occurrenceId: `evt-1_${local(2025, 3, 11).toISOString()}`,
+        endDate: local(2025, 3, 11, 20).toISOString()
+      }));
+    });
+
+    it('should drop cancelled occurrences and move rescheduled ones', () => {
+      let exceptions = withOccurrenceException(practice, local(2025, 3, 11).toISOString(), { status: 'Cancelled' });
+      exceptions = withOccurrenceException({ ...practice, recurrenceExceptions: exceptions }, local(2025, 3, 18).toISOString(), {
+        startDate: local(2025, 3, 15, 9).toISOString(),
+        location: 'Indoor Facility'
+      });
+
+      const occurrences = expandEvent({ ...practice, recurrenceExceptions: exceptions }, range, { timeZone: TZ });
+      expect(occurrences.map(o => o.startDate)).toEqual([
+        local(2025, 3, 13).toISOString(),
+        local(2025, 3, 15, 9).toISOString()
+      ]);
+      expect(occurrences[1]).toEqual(expect.objectContaining({
+        location: 'Indoor Facility',
+        occurrenceStart: local(2025, 3, 18).toISOString(),
+        isException: true
+      }));
+
+      const withCancelled = expandEvent({ ...practice, recurrenceExceptions: exceptions }, range, { includeCancelled: true, timeZone: TZ });
+      expect(withCancelled[0].status).toBe('Cancelled');
+    });
+
+    it('should replace an existing exception for the same occurrence', () => {
+      const key = local(2025, 3, 11).toISOString();
+      const first = withOccurrenceException(practice, key, { location: 'Gym' });
+      const second = withOccurrenceException({ ...practice, recurrenceExceptions: first }, key, { status: 'Cancelled' });
+      expect(second).toEqual([{ originalStart: key, location: 'Gym', status: 'Cancelled' }]);
+    });
+  });
+
+  it('should key RSVPs by occurrence for recurring events', () => {
+    expect(getRsvpKey('evt-1')).toBe('evt-1');
+    expect(getRsvpKey('evt-1', '2025-03-11T18:00:00.000Z')).toBe('evt-1@2025-03-11T18:00:00.000Z');
+  });
+
+  it('should only accept starts the series generates', () => {
+    const options = { timeZone: TZ };
+    expect(isSeriesOccurrence(practice, local(2025, 3, 11).toISOString(), options)).toBe(true);
+    expect(isSeriesOccurrence(practice, local(2025, 3, 11, 17).toISOString(), options)).toBe(false);
+    expect(isSeriesOccurrence(practice, local(2025, 3, 12).toISOString(), options)).toBe(false);
+    expect(isSeriesOccurrence(practice, 'not a date', options)).toBe(false);
+    expect(isSeriesOccurrence({ ...practice, recurrenceRule: 'FREQ=WEEKLY;BYDAY=TU;COUNT=2' }, local(2025, 3, 18).toISOString(), options)).toBe(false);
+  });
+
+  it('should export exceptions as EXDATE and RECURRENCE-ID overrides', () => {
+    const ics = buildCalendar([{
+      event: {
+        ...practice,
+        recurrenceExceptions: [
+          { originalStart: local(2025, 3, 11).toISOString(), status: 'Cancelled' },
+          { originalStart: local(2025, 3, 13).toISOString(), startDate: local(2025, 3, 14).toISOString() }
+        ]
+      }
+    }], { timeZone: TZ });
+
+    expect(ics).toContain('RRULE:FREQ=WEEKLY;BYDAY=TU,TH\r\n');
+    expect(ics).toContain(`EXDATE;TZID=${TZ}:20250311T180000\r\n`);
+    expect(ics).toContain(`DTSTART;TZID=${TZ}:20250314T180000\r\n`);
+    expect(ics).toContain(`RECURRENCE-ID;TZID=${TZ}:20250313T180000\r\nSTATUS:CONFIRMED`);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+  });
+
+  it('should export occurrence RSVPs on their own occurrence', () => {
+    const players = [{ id: 'kid-1', firstName: 'Sam', lastName: 'Lee', emailAddress: 'sam@example.com', teamIds: ['team-a'] }];
+    // Stored keys may use another ISO form of the same instant
+    const rsvps = [
+      { eventId: 'evt-1', playerId: 'kid-1', occurrenceStart: local(2025, 3, 13).toISOString().replace('.000Z', 'Z'), status: 'Attending' },
+      { eventId: 'evt-1', playerId: 'kid-1', occurrenceStart: local(2025, 3, 12).toISOString(), status: 'Attending' }
+    ];
+
+    const occurrenceAttendees = getOccurrenceAttendees(practice, players, rsvps, { timeZone: TZ });
+    expect(Object.keys(occurrenceAttendees)).toEqual([local(2025, 3, 13).toISOString()]);
+    expect(getEventAttendees(practice, players, rsvps)[0].status).toBeUndefined();
+
+    const ics = buildCalendar([{ event: practice, attendees: getEventAttendees(practice, players, rsvps), occurrenceAttendees }], { timeZone: TZ });
+    expect(ics).toContain(`DTSTART;TZID=${TZ}:20250313T180000\r\n`);
+    expect(ics).toContain(`RECURRENCE-ID;TZID=${TZ}:20250313T180000\r\n`);
+    expect(ics).toContain('PARTSTAT=ACCEPTED');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+  });
+});
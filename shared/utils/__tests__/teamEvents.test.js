@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getViewRange,
+  getViewDays,
+  shiftViewDate,
+  groupEventsByDay,
+  mergePlayerEvents,
+  getPlayersTeamIds,
+  getEventTypeColor,
+  getPlayerColor,
+  PLAYER_COLORS
+} from '../teamEvents.js';
+
+describe('Team event helpers', () => {
+  describe('getViewRange', () => {
+    it('should cover whole weeks around the month', () => {
+      // March 2025 starts on a Saturday and ends on a Monday
+      const { start, end } = getViewRange('month', new Date(2025, 2, 15));
+      expect(start).toEqual(new Date(2025, 1, 23));
+      expect(end).toEqual(new Date(2025, 3, 6));
+      expect(getViewDays('month', new Date(2025, 2, 15))).toHaveLength(42);
+    });
+
+    it('should cover Sunday to Saturday for the week view', () => {
+      const { start, end } = getViewRange('week', new Date(2025, 2, 12, 15, 30));
+      expect(start).toEqual(new Date(2025, 2, 9));
+      expect(end).toEqual(new Date(2025, 2, 16));
+    });
+
+    it('should cover the next 30 days for the agenda', () => {
+      const { start, end } = getViewRange('agenda', new Date(2025, 2, 12, 15, 30));
+      expect(start).toEqual(new Date(2025, 2, 12));
+      expect(end).toEqual(new Date(2025, 3, 11));
+    });
+  });
+
+  it('should move by one period per view', () => {
+    const date = new Date(2025, 0, 31);
+    expect(shiftViewDate('month', date, 1)).toEqual(new Date(2025, 1, 28));
+    expect(shiftViewDate('week', date, -1)).toEqual(new Date(2025, 0, 24));
+    expect(shiftViewDate('agenda', date, 1)).toEqual(new Date(2025, 2, 2));
+  });
+
+  it('should group events by local start day', () => {
+    const groups = groupEventsByDay([
+      { id: 'a', startDate: new Date(2025, 2, 1, 9).toISOString() },
+      { id: 'b', startDate: new Date(2025, 2, 1, 18).toISOString() },
+      { id: 'c', startDate: new Date(2025, 2, 2, 9).toISOString() }
+    ]);
+    expect(Object.keys(groups)).toEqual(['2025-03-01', '2025-03-02']);
+    expect(groups['2025-03-01'].map(event => event.id)).toEqual(['a', 'b']);
+  });
+
+  describe('mergePlayerEvents', () => {
+    const players = [
+      { id: 'kid-1', teamIds: ['team-a'] },
+      { id: 'kid-2', teamIds: ['team-b', 'team-c'] }
+    ];
+
+    it('should de-duplicate shared events and tag the players they apply to', () => {
+      const merged = mergePlayerEvents([
+        { id: 'e2', teamIds: ['team-b'], startDate: '2025-03-02T10:00:00Z' },
+        { id: 'e1', teamIds: ['team-a', 'team-c'], startDate: '2025-03-01T10:00:00Z' },
+        { id: 'e1', teamIds: ['team-a', 'team-c'], startDate: '2025-03-01T10:00:00Z' }
+      ], players);
+
+      expect(merged.map(event => event.id)).toEqual(['e1', 'e2']);
+      expect(merged[0].playerIds).toEqual(['kid-1', 'kid-2']);
+      expect(merged[1].playerIds).toEqual(['kid-2']);
+    });
+
+    it('should collect unique team ids across players', () => {
+      expect(getPlayersTeamIds([...players, { id: 'kid-3', teamIds: ['team-a'] }, { id: 'kid-4' }]))
+        .toEqual(['team-a', 'team-b', 'team-c']);
+    });
+  });
+
+  it('should fall back to the Other color and cycle player colors', () => {
+    expect(getEventTypeColor('Scrimmage')).toBe(getEventTypeColor('Other'));
+    expect(getPlayerColor(PLAYER_COLORS.length)).toBe(PLAYER_COLORS[0]);
+  });
+});
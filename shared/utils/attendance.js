@@ -0,0 +1,101 @@
+// Attendance taken at team events (EventAttendance), and how it compares with
+// what players said they would do (EventRSVP)
+
+import { getRsvpKey } from './recurrence.js';
+
+export const ATTENDANCE_STATUSES = ['Present', 'Late', 'Excused', 'Absent'];
+
+// Statuses that count as having attended
+export const ATTENDED_STATUSES = ['Present', 'Late'];
+
+export const ATTENDANCE_STATUS_COLORS = {
+  Present: 'bg-green-100 text-green-800',
+  Late: 'bg-yellow-100 text-yellow-800',
+  Excused: 'bg-blue-100 text-blue-800',
+  Absent: 'bg-red-100 text-red-800'
+};
+
+// Check-ins this long after the start are still recorded as Present
+export const LATE_GRACE_MINUTES = 10;
+
+// Roles that take attendance, and how long before an event starts they can
+export const ATTENDANCE_ROLES = ['admin', 'coach'];
+export const CHECK_IN_OPENS_HOURS = 2;
+
+/**
+ * Whether a user can take attendance for an event occurrence now
+ * @param {Object} event - TeamEvent or expanded occurrence
+ * @param {string|null} role - Effective user role
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const canTakeAttendance = (event, role, now = new Date()) =>
+  ATTENDANCE_ROLES.includes(role) &&
+  event.status !== 'Cancelled' &&
+  new Date(event.startDate).getTime() - CHECK_IN_OPENS_HOURS * 60 * 60 * 1000 <= now.getTime();
+
+/**
+ * Key matching attendance and RSVP rows to an event occurrence
+ * @param {{eventId: string, occurrenceStart?: string|null}} record - EventAttendance or EventRSVP
+ * @returns {string}
+ */
+export const getAttendanceKey = (record) => getRsvpKey(record.eventId, record.occurrenceStart || null);
+
+/**
+ * Status for a check-in made at `at`
+ * @param {Object} event - TeamEvent or expanded occurrence
+ * @param {Date} [at]
+ * @returns {'Present'|'Late'}
+ */
+export function getCheckInStatus(event, at = new Date()) {
+  const cutoff = new Date(event.startDate).getTime() + LATE_GRACE_MINUTES * 60 * 1000;
+  return at.getTime() > cutoff ? 'Late' : 'Present';
+}
+
+/**
+ * Count attendance records by status. Excused absences are left out of the
+ * attendance rate so they do not count against the player.
+ * @param {Array} records - EventAttendance rows
+ * @returns {{total: number, counts: Object<string, number>, attended: number, rate: number|null}}
+ *   rate is a whole percentage, or null when there is nothing to count
+ */
+export function summarizeAttendance(records) {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(status => [status, 0]));
+  records.forEach(record => {
+    if (counts[record.status] !== undefined) counts[record.status] += 1;
+  });
+
+  const attended = ATTENDED_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+  const counted = attended + counts.Absent;
+
+  return {
+    total: records.length,
+    counts,
+    attended,
+    rate: counted > 0 ? Math.round((attended / counted) * 100) : null
+  };
+}
+
+/**
+ * Pair each attendance record with the player's RSVP for the same occurrence
+ * and flag where the two disagree
+ * @param {Array} records - EventAttendance rows for one player
+ * @param {Array} rsvps - EventRSVP rows for the same player
+ * @returns {Array<{record: Object, rsvpStatus: string|null, gap: 'no-show'|'unexpected'|null}>}
+ *   'no-show' when the player said Attending but was absent, 'unexpected' when
+ *   they said Not Attending and came anyway
+ */
+export function compareWithRsvps(records, rsvps) {
+  const rsvpByKey = new Map(rsvps.map(rsvp => [getAttendanceKey(rsvp), rsvp]));
+
+  return records.map(record => {
+    const rsvpStatus = rsvpByKey.get(getAttendanceKey(record))?.status || null;
+    const attended = ATTENDED_STATUSES.includes(record.status);
+
+    let gap = null;
+    if (rsvpStatus === 'Attending' && record.status === 'Absent') gap = 'no-show';
+    if (rsvpStatus === 'Not Attending' && attended) gap = 'unexpected';
+
+    return { record, rsvpStatus, gap };
+  });
+}
@@ -0,0 +1,295 @@
+/**
+ * End-to-end chat encryption primitives (WebCrypto)
+ * Each user has an RSA-OAEP key pair; the private key never leaves their
+ * browser and the public key is published so others can wrap room keys for
+ * them. Each room has AES-GCM keys, one per key version, wrapped separately
+ * for every participant. Message content is stored as
+ * `e2e:1:<keyVersion>:<iv>:<ciphertext>` (base64 parts), authenticated
+ * against the room id and key version so it can't be replayed elsewhere.
+ */
+
+const ENCRYPTED_PREFIX = 'e2e:1:';
+
+const IDENTITY_ALGORITHM = {
+  name: 'RSA-OAEP',
+  modulusLength: 2048,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256'
+};
+
+const ROOM_KEY_ALGORITHM = { name: 'AES-GCM', length: 256 };
+
+const IV_BYTES = 12;
+
+// Largest wrapped key accepted from a participant (base64 RSA-OAEP output)
+const MAX_WRAPPED_KEY_LENGTH = 1024;
+
+const subtle = () => globalThis.crypto.subtle;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const additionalData = (roomId, version) => new TextEncoder().encode(`${roomId}:${version}`);
+
+/**
+ * New identity key pair; the private key can unwrap room keys but can't be exported
+ * @returns {Promise<CryptoKeyPair>}
+ */
+export const generateIdentityKeyPair = () =>
+  subtle().generateKey(IDENTITY_ALGORITHM, false, ['wrapKey', 'unwrapKey']);
+
+/**
+ * @param {CryptoKey} publicKey
+ * @returns {Promise<JsonWebKey>}
+ */
+export const exportPublicKey = (publicKey) => subtle().exportKey('jwk', publicKey);
+
+/**
+ * @param {JsonWebKey} jwk - Published public key
+ * @returns {Promise<CryptoKey>}
+ */
+export const importPublicKey = (jwk) =>
+  subtle().importKey('jwk', jwk, { name: IDENTITY_ALGORITHM.name, hash: IDENTITY_ALGORITHM.hash }, false, ['wrapKey']);
+
+/**
+ * Short fingerprint of a public key, so a wrapped room key can be matched to the key pair that opens it
+ * @param {JsonWebKey} jwk
+ * @returns {Promise<string>}
+ */
+export async function getKeyId(jwk) {
+  const digest = await subtle().digest('SHA-256', new TextEncoder().encode(`${jwk.e}.${jwk.n}`));
+  return toBase64(digest).slice(0, 16);
+}
+
+/**
+ * Published device keys whose id matches the key's fingerprint. Room keys are
+ * wrapped per key id, so an entry whose key doesn't match its id is ignored.
+ * @param {Object<string, {jwk: JsonWebKey}>} devices - The `devices` map from `chatKeys/{userId}`
+ * @returns {Promise<Array<{keyId: string, jwk: JsonWebKey}>>}
+ */
+export async function getVerifiedDeviceKeys(devices = {}) {
+  const verified = await Promise.all(Object.entries(devices).map(async ([keyId, device]) =>
+    (device?.jwk && (await getKeyId(device.jwk)) === keyId ? [{ keyId, jwk: device.jwk }] : [])));
+  return verified.flat();
+}
+
+/**
+ * New room key; extractable only so it can be wrapped for participants
+ * @returns {Promise<CryptoKey>}
+ */
+export const generateRoomKey = () => subtle().generateKey(ROOM_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+
+/**
+ * @param {CryptoKey} roomKey
+ * @param {CryptoKey} publicKey - Participant's identity public key
+ * @returns {Promise<string>} Base64 wrapped key
+ */
+export const wrapRoomKey = async (roomKey, publicKey) =>
+  toBase64(await subtle().wrapKey('raw', roomKey, publicKey, { name: IDENTITY_ALGORITHM.name }));
+
+/**
+ * @param {string} wrappedKey - Base64, from wrapRoomKey
+ * @param {CryptoKey} privateKey - Own identity private key
+ * @returns {Promise<CryptoKey>}
+ */
+export const unwrapRoomKey = (wrappedKey, privateKey) =>
+  subtle().unwrapKey(
+    'raw',
+    fromBase64(wrappedKey),
+    privateKey,
+    { name: IDENTITY_ALGORITHM.name },
+    ROOM_KEY_ALGORITHM,
+    true,
+    ['encrypt', 'decrypt']
+  );
+
+/**
+ * @param {string} content
+ * @returns {boolean}
+ */
+export const isEncryptedContent = (content) => typeof content === 'string' && content.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Key version an encrypted message was written with
+ * @param {string} content
+ * @returns {number|null}
+ */
+export function getContentKeyVersion(content) {
+  if (!isEncryptedContent(content)) return null;
+  return Number(content.slice(ENCRYPTED_PREFIX.length).split(':')[0]);
+}
+
+/**
+ * @param {CryptoKey} roomKey
+ * @param {string} plaintext
+ * @param {{roomId: string, version: number}} context
+ * @returns {Promise<string>} Stored content
+ */
+export async function encryptContent(roomKey, plaintext, { roomId, version }) {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await subtle().encrypt(
+    { name: 'AES-GCM', iv, additionalData: additionalData(roomId, version) },
+    roomKey,
+    new TextEncoder().encode(plaintext)
+  );
+  return `${ENCRYPTED_PREFIX}${version}:${toBase64(iv)}:${toBase64(ciphertext)}`;
+}
+
+/**
+ * @param {CryptoKey} roomKey - Key for the content's version (see getContentKeyVersion)
+ * @param {string} content - Stored content
+ * @param {{roomId: string}} context
+ * @returns {Promise<string>} Plaintext; rejects if the content was tampered with or belongs to another room
+ */
+export async function decryptContent(roomKey, content, { roomId }) {
+  const [version, iv, ciphertext] = content.slice(ENCRYPTED_PREFIX.length).split(':');
+  const plaintext = await subtle().decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: additionalData(roomId, Number(version)) },
+    roomKey,
+    fromBase64(ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Text of a message stored before encryption: plain, or base64 when the old
+ * VITE_CHAT_ENCRYPTION_KEY setting was on
+ * @param {string} content
+ * @param {boolean} legacyBase64
+ * @returns {string}
+ */
+export function decodeLegacyContent(content, legacyBase64) {
+  if (!legacyBase64 || typeof content !== 'string') return content;
+  // The old setting wrote btoa(content), so atob gives the text back as it was
+  try {
+    return atob(content);
+  } catch {
+    return content;
+  }
+}
+
+/**
+ * Room encryption state, stored on the room as `encryption`:
+ * `{version, keys: {[version]: {[userId]: {[keyId]: wrappedKey}}}}`. A user with
+ * several devices has one key pair, and one wrapped copy, per device.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const setWrappedKey = (keys, version, userId, keyId, wrapped) => {
+  keys[version] = { ...keys[version], [userId]: { ...keys[version]?.[userId], [keyId]: wrapped } };
+};
+
+// Wrap each room key version for every published device key that doesn't have it yet
+async function wrapForRecipients(keys, roomKeys, publicKeys) {
+  const next = JSON.parse(JSON.stringify(keys));
+  const added = {};
+
+  for (const [version, roomKey] of Object.entries(roomKeys)) {
+    for (const [userId, devices] of Object.entries(publicKeys)) {
+      for (const { keyId, jwk } of devices) {
+        if (next[version]?.[userId]?.[keyId]) continue;
+        const wrapped = await wrapRoomKey(roomKey, await importPublicKey(jwk));
+        setWrappedKey(next, version, userId, keyId, wrapped);
+        setWrappedKey(added, version, userId, keyId, wrapped);
+      }
+    }
+  }
+
+  return { keys: next, added: Object.keys(added).length > 0 ? added : null };
+}
+
+/**
+ * Encryption state for a new room
+ * @param {Object<string, Array<{keyId: string, jwk: JsonWebKey}>>} publicKeys - Participants' published device keys
+ * @returns {Promise<{encryption: Object, roomKey: CryptoKey}>}
+ */
+export async function createRoomEncryption(publicKeys) {
+  const roomKey = await generateRoomKey();
+  const { keys } = await wrapForRecipients({}, { 1: roomKey }, publicKeys);
+  return { encryption: { version: 1, keys }, roomKey };
+}
+
+/**
+ * Wrap the room keys this user holds for participants or devices that don't have them
+ * @param {Object} encryption - Room encryption state
+ * @param {Object<number, CryptoKey>} roomKeys - Versions this user could open
+ * @param {Object<string, Array<{keyId: string, jwk: JsonWebKey}>>} publicKeys - Current participants' device keys
+ * @returns {Promise<Object|null>} The new wrapped keys, in the shape of `encryption.keys`,
+ *   or null when everyone already has every key
+ */
+export async function shareRoomKeys(encryption, roomKeys, publicKeys) {
+  return (await wrapForRecipients(encryption.keys, roomKeys, publicKeys)).added;
+}
+
+/**
+ * Add wrapped keys a participant shared (see shareRoomKeys) to the room's state.
+ * Every entry must be for a key version the room has and a device in
+ * `publicKeys`; entries the room already has are left as they are, and the
+ * key version never changes.
+ * @param {Object} encryption - Room encryption state
+ * @param {Object} shared - `{[version]: {[userId]: {[keyId]: wrappedKey}}}`
+ * @param {Object<string, Array<{keyId: string}>>} publicKeys - Current participants' device keys
+ * @returns {{encryption: Object, added: number}|null} Null when any entry isn't allowed
+ */
+export function addSharedKeys(encryption, shared, publicKeys) {
+  if (!isPlainObject(shared)) return null;
+  const keys = JSON.parse(JSON.stringify(encryption.keys));
+  let added = 0;
+
+  for (const [version, recipients] of Object.entries(shared)) {
+    if (!/^[1-9]\d*$/.test(version) || Number(version) > encryption.version || !isPlainObject(recipients)) return null;
+
+    for (const [userId, devices] of Object.entries(recipients)) {
+      const deviceIds = Object.hasOwn(publicKeys, userId) ? publicKeys[userId].map(device => device.keyId) : [];
+      if (!isPlainObject(devices)) return null;
+
+      for (const [keyId, wrapped] of Object.entries(devices)) {
+        if (!deviceIds.includes(keyId)) return null;
+        if (typeof wrapped !== 'string' || !wrapped || wrapped.length > MAX_WRAPPED_KEY_LENGTH) return null;
+        if (keys[version]?.[userId]?.[keyId]) continue;
+        setWrappedKey(keys, version, userId, keyId, wrapped);
+        added += 1;
+      }
+    }
+  }
+
+  return { encryption: { ...encryption, keys }, added };
+}
+
+/**
+ * Start a new key version after participants leave; they keep nothing wrapped for them
+ * @param {Object} encryption - Room encryption state
+ * @param {Object<string, Array<{keyId: string, jwk: JsonWebKey}>>} publicKeys - Remaining participants' device keys
+ * @param {string[]} removedUserIds
+ * @returns {Promise<{encryption: Object, roomKey: CryptoKey}>}
+ */
+export async function rotateRoomEncryption(encryption, publicKeys, removedUserIds) {
+  const version = encryption.version + 1;
+  const roomKey = await generateRoomKey();
+  const kept = Object.fromEntries(Object.entries(encryption.keys).map(([keyVersion, recipients]) => [
+    keyVersion,
+    Object.fromEntries(Object.entries(recipients).filter(([userId]) => !removedUserIds.includes(userId)))
+  ]));
+  const { keys } = await wrapForRecipients(kept, { [version]: roomKey }, publicKeys);
+  return { encryption: { ...encryption, version, keys }, roomKey };
+}
+
+/**
+ * Open one version of a room key with this device's identity
+ * @param {Object} encryption - Room encryption state
+ * @param {number} version
+ * @param {string} userId
+ * @param {{keyId: string, privateKey: CryptoKey}} identity
+ * @returns {Promise<CryptoKey|null>} Null when nothing is wrapped for this device
+ */
+export async function openRoomKey(encryption, version, userId, identity) {
+  const wrapped = encryption?.keys?.[version]?.[userId]?.[identity.keyId];
+  return wrapped ? unwrapRoomKey(wrapped, identity.privateKey) : null;
+}
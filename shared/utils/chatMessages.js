@@ -0,0 +1,133 @@
+/**
+ * Message-level chat helpers: @mentions, emoji reactions, "seen by" receipts
+ * and stitching paged history onto the live window
+ * Mentions use participants' display names (`@Sam Lee`, or `@Sam` when only
+ * one participant has that first name). Reactions are stored on the message
+ * as `{[emoji]: userIds}`; read receipts are stored on the room as the latest
+ * message each participant has seen.
+ */
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '👀', '🙏'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every name a participant can be mentioned by, longest first so `@Sam Lee` wins over `@Sam`
+function mentionNames(participants) {
+  const firstNameCounts = {};
+  participants.forEach(participant => {
+    const first = participant.userName?.trim().split(/\s+/)[0]?.toLowerCase();
+    if (first) firstNameCounts[first] = (firstNameCounts[first] || 0) + 1;
+  });
+
+  return participants
+    .filter(participant => participant.userName?.trim())
+    .flatMap(participant => {
+      const full = participant.userName.trim();
+      const first = full.split(/\s+/)[0];
+      const names = [full];
+      if (first !== full && firstNameCounts[first.toLowerCase()] === 1) names.push(first);
+      return names.map(name => ({ name, userId: participant.userId }));
+    })
+    .sort((a, b) => b.name.length - a.name.length);
+}
+
+/**
+ * Split text into plain and mention parts, for highlighting
+ * @param {string} text
+ * @param {Array<{userId: string, userName?: string}>} participants
+ * @returns {Array<{text: string, userId?: string}>}
+ */
+export function splitMentions(text, participants) {
+  const names = mentionNames(participants || []);
+  if (!text || names.length === 0) return [{ text: text || '' }];
+
+  const pattern = new RegExp(`@(${names.map(entry => escapeRegExp(entry.name)).join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    const entry = names.find(candidate => candidate.name.toLowerCase() === match[1].toLowerCase());
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ text: match[0], userId: entry.userId });
+    last = match.index + match[0].length;
+  }
+
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+}
+
+/**
+ * Participants mentioned in a message
+ * @param {string} text
+ * @param {Array<{userId: string, userName?: string}>} participants
+ * @returns {string[]} Unique user ids, in order of first mention
+ */
+export const parseMentions = (text, participants) => [
+  ...new Set(splitMentions(text, participants).filter(part => part.userId).map(part => part.userId))
+];
+
+/**
+ * Reactions with a count and whether the user picked each, most used first
+ * @param {Object<string, string[]>} [reactions] - Message reactions
+ * @param {string} userId
+ * @returns {Array<{emoji: string, count: number, reacted: boolean}>}
+ */
+export const summarizeReactions = (reactions, userId) =>
+  Object.entries(reactions || {})
+    .filter(([, userIds]) => userIds?.length)
+    .map(([emoji, userIds]) => ({ emoji, count: userIds.length, reacted: userIds.includes(userId) }))
+    .sort((a, b) => b.count - a.count);
+
+/**
+ * Participants other than the sender who have seen a message
+ * @param {{senderId: string, timestamp: Date}} message
+ * @param {Array<{userId: string, userName?: string}>} participants
+ * @param {Object<string, {messageId: string, readAt: Date}>} [readReceipts] - Room read receipts
+ * @returns {Array<{userId: string, userName?: string}>}
+ */
+export function getSeenBy(message, participants, readReceipts) {
+  const sentAt = new Date(message.timestamp).getTime();
+  return (participants || []).filter(participant => {
+    if (participant.userId === message.senderId) return false;
+    const receipt = readReceipts?.[participant.userId];
+    return receipt?.readAt && new Date(receipt.readAt).getTime() >= sentAt;
+  });
+}
+
+/**
+ * Whether marking this message read moves the user's receipt forward
+ * @param {Object|undefined} receipt - The user's current receipt
+ * @param {{timestamp: Date}} message
+ * @returns {boolean}
+ */
+export const isNewerThanReceipt = (receipt, message) =>
+  !receipt?.readAt || new Date(message.timestamp).getTime() > new Date(receipt.readAt).getTime();
+
+const messageTime = (message) => new Date(message.timestamp).getTime();
+
+/**
+ * Combine message lists into one timeline without duplicates; a later list's
+ * copy of a message wins, since it is the fresher read
+ * @param {...Array<Object>} lists - ChatMessages
+ * @returns {Array<Object>} Oldest first
+ */
+export function mergeMessages(...lists) {
+  const byId = new Map();
+  lists.forEach(list => (list || []).forEach(message => byId.set(message.id, message)));
+  return [...byId.values()].sort((a, b) => messageTime(a) - messageTime(b) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Messages pushed out of a full live window by newer ones. They are still in
+ * the room, unlike a message missing from inside the window, which was deleted.
+ * @param {Array<Object>} previous - Last live window, oldest first
+ * @param {Array<Object>} next - New live window, oldest first
+ * @param {number} pageSize - Live window size
+ * @returns {Array<Object>}
+ */
+export function getSlidOutMessages(previous, next, pageSize) {
+  if (next.length < pageSize || next.length === 0) return [];
+  const kept = new Set(next.map(message => message.id));
+  const oldest = messageTime(next[0]);
+  return previous.filter(message => !kept.has(message.id) && messageTime(message) < oldest);
+}
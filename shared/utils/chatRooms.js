@@ -0,0 +1,72 @@
+/**
+ * Chat room helpers shared by the Messages page and the chat-rooms endpoint
+ * Who may start a conversation with whom, how direct rooms are keyed so a pair
+ * only ever has one, and room list ordering and search.
+ */
+
+/**
+ * Roles each role may start a direct conversation with. Players and parents
+ * talk to staff, never to each other.
+ */
+export const CHAT_PAIRINGS = {
+  admin: ['admin', 'coach', 'player', 'parent'],
+  coach: ['admin', 'coach', 'player', 'parent'],
+  player: ['admin', 'coach'],
+  parent: ['admin', 'coach']
+};
+
+/**
+ * @param {string} fromRole - Role of the user starting the conversation
+ * @param {string} toRole - Role of the other user
+ * @returns {boolean}
+ */
+export const canStartChat = (fromRole, toRole) => (CHAT_PAIRINGS[fromRole] || []).includes(toRole);
+
+/**
+ * Key identifying the direct room between two users, whoever started it
+ * @param {string} userId
+ * @param {string} otherUserId
+ * @returns {string}
+ */
+export const getDirectRoomKey = (userId, otherUserId) => [userId, otherUserId].sort().join(':');
+
+const toTime = (date) => (date ? new Date(date).getTime() : 0);
+
+/**
+ * Rooms with the most recent activity first
+ * @param {Array<Object>} rooms - ChatRooms
+ * @returns {Array<Object>}
+ */
+export const sortRoomsByActivity = (rooms) =>
+  [...rooms].sort((a, b) => toTime(b.lastActivity) - toTime(a.lastActivity));
+
+/**
+ * Name to show for a room: the other person in a direct room, the room name otherwise.
+ * Guardians copied in by the safeguarding policy don't count as the other person.
+ * @param {Object} room - ChatRoom
+ * @param {string} userId - Current user's uid
+ * @returns {string}
+ */
+export function getRoomTitle(room, userId) {
+  if (room.type === 'direct') {
+    const guardianIds = room.safeguarding?.guardianIds || [];
+    const others = (room.participants || [])
+      .filter(participant => participant.userId !== userId && !guardianIds.includes(participant.userId));
+    if (others.length === 1 && others[0].userName) return others[0].userName;
+  }
+  return room.name || 'Conversation';
+}
+
+/**
+ * Whether a room's title or participants match a search term
+ * @param {Object} room - ChatRoom
+ * @param {string} term
+ * @param {string} userId - Current user's uid
+ * @returns {boolean}
+ */
+export function roomMatches(room, term, userId) {
+  const wanted = term.trim().toLowerCase();
+  if (!wanted) return true;
+  return [getRoomTitle(room, userId), room.name, ...(room.participants || []).map(participant => participant.userName)]
+    .some(value => value && value.toLowerCase().includes(wanted));
+}
@@ -0,0 +1,170 @@
+/**
+ * Safeguarding rules for messaging between staff and minors
+ * Safe-sport rules don't allow private one-to-one conversations between an
+ * adult (coach or staff) and a minor player. Depending on the policy mode such
+ * a conversation is either refused, or opened with the player's linked
+ * parents/guardians included as participants. Safeguarded rooms keep every
+ * message, and each decision is written to the chat audit log.
+ */
+
+export const SAFEGUARDING_MODES = {
+  BLOCK: 'block',
+  GUARDIAN_COPY: 'guardian_copy'
+};
+
+export const DEFAULT_SAFEGUARDING_POLICY = {
+  mode: SAFEGUARDING_MODES.GUARDIAN_COPY,
+  adultRoles: ['admin', 'coach'],
+  minorRoles: ['player'],
+  // Players this old or older (by date of birth) are treated as adults
+  adultAge: 18,
+  retainMessages: true
+};
+
+/**
+ * Policy with overrides applied; an unknown mode keeps the default
+ * @param {Partial<typeof DEFAULT_SAFEGUARDING_POLICY>} [overrides]
+ * @returns {typeof DEFAULT_SAFEGUARDING_POLICY}
+ */
+export function getSafeguardingPolicy(overrides = {}) {
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== ''));
+  const policy = { ...DEFAULT_SAFEGUARDING_POLICY, ...defined };
+  if (!Object.values(SAFEGUARDING_MODES).includes(policy.mode)) {
+    policy.mode = DEFAULT_SAFEGUARDING_POLICY.mode;
+  }
+  return policy;
+}
+
+/**
+ * Whether a player is a minor; without a date of birth they are assumed to be
+ * @param {Object|null} player - Player row
+ * @param {Date} [now]
+ * @param {Object} [policy]
+ * @returns {boolean}
+ */
+export function isMinorPlayer(player, now = new Date(), policy = DEFAULT_SAFEGUARDING_POLICY) {
+  const birth = player?.dateOfBirth ? new Date(player.dateOfBirth) : null;
+  if (!birth || Number.isNaN(birth.getTime())) return true;
+
+  const adultOn = new Date(birth);
+  adultOn.setFullYear(birth.getFullYear() + policy.adultAge);
+  return now < adultOn;
+}
+
+/**
+ * Decide whether a set of participants may share a room
+ * @param {Array<{userId: string, role: string, minor?: boolean}>} participants - `minor: false` for adult players
+ * @param {Object} options
+ * @param {Object<string, string[]>} [options.guardiansByMinor] - Guardian uids for each minor's uid
+ * @param {Object} [options.policy]
+ * @returns {{safeguarded: boolean, decision: 'allowed'|'guardian_copy'|'blocked', code?: string, message?: string, minorIds: string[], guardianIds: string[]}}
+ */
+export function evaluateRoomSafeguarding(participants, { guardiansByMinor = {}, policy = DEFAULT_SAFEGUARDING_POLICY } = {}) {
+  const hasAdult = participants.some(participant => policy.adultRoles.includes(participant.role));
+  const minorIds = participants
+    .filter(participant => policy.minorRoles.includes(participant.role) && participant.minor !== false)
+    .map(participant => participant.userId);
+
+  if (!hasAdult || minorIds.length === 0) {
+    return { safeguarded: false, decision: 'allowed', minorIds: [], guardianIds: [] };
+  }
+
+  if (policy.mode === SAFEGUARDING_MODES.BLOCK) {
+    return {
+      safeguarded: true,
+      decision: 'blocked',
+      code: 'SAFEGUARDING_BLOCKED',
+      message: 'Private conversations between staff and minor players are not allowed',
+      minorIds,
+      guardianIds: []
+    };
+  }
+
+  if (minorIds.some(minorId => !(guardiansByMinor[minorId] || []).length)) {
+    return {
+      safeguarded: true,
+      decision: 'blocked',
+      code: 'GUARDIAN_REQUIRED',
+      message: 'This player needs a linked parent or guardian with an account before staff can message them',
+      minorIds,
+      guardianIds: []
+    };
+  }
+
+  const guardianIds = [...new Set(minorIds.flatMap(minorId => guardiansByMinor[minorId]))];
+  return { safeguarded: true, decision: 'guardian_copy', minorIds, guardianIds };
+}
+
+/**
+ * Safeguarding details stored on a room the policy applied to
+ * @param {{minorIds: string[], guardianIds: string[]}} evaluation
+ * @param {Object} policy
+ * @returns {{mode: string, minorIds: string[], guardianIds: string[], retainMessages: boolean}}
+ */
+export const getRoomSafeguarding = (evaluation, policy) => ({
+  mode: policy.mode,
+  minorIds: evaluation.minorIds,
+  guardianIds: evaluation.guardianIds,
+  retainMessages: policy.retainMessages
+});
+
+/**
+ * Whether messages in a room must be kept
+ * @param {Object} room - ChatRoom or room document
+ * @returns {boolean}
+ */
+export const isRetainedRoom = (room) => Boolean(room?.safeguarding?.retainMessages);
+
+/**
+ * Whether a user can't be removed from a safeguarded room (the minor or a guardian)
+ * @param {Object} room - ChatRoom or room document
+ * @param {string} userId
+ * @returns {boolean}
+ */
+export function isProtectedParticipant(room, userId) {
+  const { minorIds = [], guardianIds = [] } = room?.safeguarding || {};
+  return minorIds.includes(userId) || guardianIds.includes(userId);
+}
+
+/**
+ * Chat audit log entry for a safeguarding decision
+ * @param {Object} details
+ * @param {string} details.action - e.g. 'room_create', 'room_open', 'message_delete', 'participant_remove'
+ * @param {string} details.decision - 'allowed', 'guardian_copy' or 'blocked'
+ * @param {string} details.actorId - Uid of the user who asked
+ * @param {string} [details.actorRole]
+ * @param {string|null} [details.roomId]
+ * @param {string|null} [details.code] - Reason code when blocked
+ * @param {string[]} [details.participantIds]
+ * @param {string[]} [details.minorIds]
+ * @param {string[]} [details.guardianIds]
+ * @param {string|null} [details.messageId]
+ * @param {Object} [details.policy]
+ * @returns {Object}
+ */
+export const buildSafeguardingAuditEntry = ({
+  action,
+  decision,
+  actorId,
+  actorRole = null,
+  roomId = null,
+  code = null,
+  participantIds = [],
+  minorIds = [],
+  guardianIds = [],
+  messageId = null,
+  policy = DEFAULT_SAFEGUARDING_POLICY
+}) => ({
+  type: 'safeguarding',
+  action,
+  decision,
+  code,
+  actorId,
+  actorRole,
+  roomId,
+  messageId,
+  participantIds,
+  minorIds,
+  guardianIds,
+  policyMode: policy.mode
+});
@@ -0,0 +1,141 @@
+/**
+ * College target-list fit scoring
+ * Compares a player's academics with a school's admitted-student ranges
+ * (collegeProfiles.js) and their position and graduation year with the needs
+ * recorded on the target. Each part scores 0-1 and the overall fit is 0-100.
+ * A part with no data is left out rather than counted as a zero.
+ */
+
+import { findCollegeProfile } from './collegeProfiles.js';
+
+export const TARGET_TIERS = [
+  { key: 'reach', label: 'Reach' },
+  { key: 'target', label: 'Target' },
+  { key: 'safety', label: 'Safety' }
+];
+
+export const TIER_COLORS = {
+  reach: 'bg-red-100 text-red-800',
+  target: 'bg-blue-100 text-blue-800',
+  safety: 'bg-green-100 text-green-800'
+};
+
+const ACADEMIC_WEIGHT = 0.6;
+const ATHLETIC_WEIGHT = 0.4;
+
+// Overall fit at or above which a school is suggested as a target or a safety
+const TARGET_MIN_FIT = 45;
+const SAFETY_MIN_FIT = 70;
+
+const POSITION_ALIASES = {
+  QB: ['quarterback'],
+  RB: ['running back', 'halfback', 'hb', 'fullback', 'fb'],
+  WR: ['wide receiver', 'receiver', 'slot'],
+  TE: ['tight end'],
+  OL: ['offensive line', 'offensive lineman', 'ot', 'og', 'center', 'guard', 'tackle'],
+  DL: ['defensive line', 'defensive lineman', 'de', 'dt', 'defensive end', 'defensive tackle'],
+  LB: ['linebacker', 'olb', 'ilb', 'mlb'],
+  DB: ['defensive back', 'cornerback', 'cb', 'safety', 's', 'fs', 'ss'],
+  ATH: ['athlete'],
+  K: ['kicker', 'punter', 'p']
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * Football position as a short code, so 'Wide Receiver' and 'WR' compare equal
+ * @param {string} position
+ * @returns {string}
+ */
+export function normalizePosition(position) {
+  const value = String(position || '').trim().toLowerCase();
+  if (!value) return '';
+  const code = Object.keys(POSITION_ALIASES)
+    .find(key => key.toLowerCase() === value || POSITION_ALIASES[key].includes(value));
+  return code || value.toUpperCase();
+}
+
+// 0.25 at the 25th percentile, 0.75 at the 75th, clamped to 0-1
+const rangeScore = (value, [low, high]) => clamp(0.25 + (0.5 * (value - low)) / (high - low), 0, 1);
+
+/**
+ * How the player's GPA and best test score compare with the school's admitted students
+ * @param {Object} player - Player record
+ * @param {Object|null} profile - Entry of COLLEGE_PROFILES
+ * @returns {{score: number|null, factors: Array<{key: string, label: string, value: number, range: number[], score: number}>}}
+ */
+export function scoreAcademicFit(player, profile) {
+  if (!profile) return { score: null, factors: [] };
+
+  const factors = [];
+  const gpa = toNumber(player.gpa);
+  if (gpa !== null && profile.gpa) {
+    factors.push({ key: 'gpa', label: 'GPA', value: gpa, range: profile.gpa, score: rangeScore(gpa, profile.gpa) });
+  }
+
+  // Schools take the better of the two tests
+  const tests = [
+    { key: 'sat', label: 'SAT', value: toNumber(player.satScore), range: profile.sat },
+    { key: 'act', label: 'ACT', value: toNumber(player.actScore), range: profile.act }
+  ]
+    .filter(test => test.value !== null && test.range)
+    .map(test => ({ ...test, score: rangeScore(test.value, test.range) }))
+    .sort((a, b) => b.score - a.score);
+  if (tests.length > 0) factors.push(tests[0]);
+
+  return {
+    score: factors.length > 0 ? factors.reduce((sum, factor) => sum + factor.score, 0) / factors.length : null,
+    factors
+  };
+}
+
+/**
+ * How the player's position and graduation year line up with what the school is recruiting
+ * @param {Object} player - Player record; `class` is the graduation year
+ * @param {Array<{position: string, classYear?: number|string}>} needs - From the target's `positionNeeds`
+ * @returns {{score: number|null, match: 'exact'|'position'|'class'|'none'|null}}
+ */
+export function scoreAthleticFit(player, needs = []) {
+  if (!needs.length) return { score: null, match: null };
+
+  const position = normalizePosition(player.position);
+  const classYear = toNumber(player.class);
+  const samePosition = (need) => position && normalizePosition(need.position) === position;
+  const sameClass = (need) => !need.classYear || toNumber(need.classYear) === classYear;
+
+  if (needs.some(need => samePosition(need) && sameClass(need))) return { score: 1, match: 'exact' };
+  if (needs.some(samePosition)) return { score: 0.5, match: 'position' };
+  if (needs.some(need => need.classYear && sameClass(need))) return { score: 0.25, match: 'class' };
+  return { score: 0, match: 'none' };
+}
+
+/**
+ * Overall fit for a school on the target list
+ * @param {Object} player - Player record
+ * @param {Object} target - RecruitingInterest with `collegeName` and optional `positionNeeds`
+ * @returns {{score: number|null, academic: Object, athletic: Object, profile: Object|null, suggestedTier: string|null}}
+ */
+export function scoreCollegeFit(player, target) {
+  const profile = findCollegeProfile(target.collegeName);
+  const academic = scoreAcademicFit(player, profile);
+  const athletic = scoreAthleticFit(player, target.positionNeeds);
+
+  const parts = [
+    { score: academic.score, weight: ACADEMIC_WEIGHT },
+    { score: athletic.score, weight: ATHLETIC_WEIGHT }
+  ].filter(part => part.score !== null);
+  const weight = parts.reduce((sum, part) => sum + part.weight, 0);
+  const score = parts.length > 0
+    ? Math.round((100 * parts.reduce((sum, part) => sum + part.score * part.weight, 0)) / weight)
+    : null;
+
+  return {
+    score,
+    academic,
+    athletic,
+    profile,
+    suggestedTier: score === null ? null : score >= SAFETY_MIN_FIT ? 'safety' : score >= TARGET_MIN_FIT ? 'target' : 'reach'
+  };
+}
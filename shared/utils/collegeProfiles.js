@@ -0,0 +1,42 @@
+/**
+ * College profiles used for target-list fit scoring
+ * Academic ranges are the middle 50% of admitted students (25th and 75th
+ * percentiles), rounded from each school's published class profile. They are
+ * approximate; refresh them at the start of each recruiting cycle. Schools not
+ * listed here can still be targeted, they just get no academic fit.
+ */
+
+export const COLLEGE_PROFILES = [
+  { name: 'Ohio State University', division: 'NCAA D1', conference: 'Big Ten', state: 'OH', gpa: [3.6, 4.0], sat: [1290, 1460], act: [28, 32] },
+  { name: 'University of Cincinnati', division: 'NCAA D1', conference: 'Big 12', state: 'OH', gpa: [3.3, 3.9], sat: [1160, 1360], act: [23, 29] },
+  { name: 'Miami University', division: 'NCAA D1', conference: 'MAC', state: 'OH', gpa: [3.5, 4.0], sat: [1220, 1390], act: [25, 30] },
+  { name: 'Ohio University', division: 'NCAA D1', conference: 'MAC', state: 'OH', gpa: [3.1, 3.8], sat: [1060, 1260], act: [21, 26] },
+  { name: 'University of Toledo', division: 'NCAA D1', conference: 'MAC', state: 'OH', gpa: [3.0, 3.7], sat: [1000, 1220], act: [19, 25] },
+  { name: 'Bowling Green State University', division: 'NCAA D1', conference: 'MAC', state: 'OH', gpa: [3.0, 3.8], sat: [1000, 1210], act: [19, 25] },
+  { name: 'Kent State University', division: 'NCAA D1', conference: 'MAC', state: 'OH', gpa: [3.0, 3.8], sat: [1020, 1230], act: [19, 25] },
+  { name: 'University of Akron', division: 'NCAA D1', conference: 'MAC', state: 'OH', gpa: [2.9, 3.7], sat: [1000, 1220], act: [19, 25] },
+  { name: 'Youngstown State University', division: 'NCAA D1', conference: 'Missouri Valley', state: 'OH', gpa: [2.8, 3.6], sat: [950, 1170], act: [18, 24] },
+  { name: 'University of Dayton', division: 'NCAA D1', conference: 'Pioneer', state: 'OH', gpa: [3.3, 3.9], sat: [1140, 1310], act: [23, 29] },
+  { name: 'Ashland University', division: 'NCAA D2', conference: 'G-MAC', state: 'OH', gpa: [2.8, 3.6], sat: [930, 1140], act: [18, 23] },
+  { name: 'University of Findlay', division: 'NCAA D2', conference: 'G-MAC', state: 'OH', gpa: [3.0, 3.7], sat: [990, 1180], act: [19, 25] },
+  { name: 'University of Mount Union', division: 'NCAA D3', conference: 'OAC', state: 'OH', gpa: [2.9, 3.6], sat: [960, 1170], act: [18, 24] },
+  { name: 'John Carroll University', division: 'NCAA D3', conference: 'NCAC', state: 'OH', gpa: [3.2, 3.8], sat: [1060, 1240], act: [21, 27] },
+  { name: 'Denison University', division: 'NCAA D3', conference: 'NCAC', state: 'OH', gpa: [3.5, 4.0], sat: [1300, 1440], act: [29, 32] }
+];
+
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^a-z0-9\s]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Look up a school's profile by name
+ * @param {string} collegeName
+ * @returns {Object|null}
+ */
+export function findCollegeProfile(collegeName) {
+  const wanted = normalizeName(collegeName);
+  return COLLEGE_PROFILES.find(profile => normalizeName(profile.name) === wanted) || null;
+}
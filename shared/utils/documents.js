@@ -0,0 +1,225 @@
+/**
+ * Player document helpers
+ * Document categories, expiration handling and the per-team required-documents
+ * checklist that rosters are checked against before tournaments. Expiration
+ * dates are yyyy-MM-dd and a document stays valid through the end of that day.
+ */
+
+import { addDays, differenceInCalendarDays, endOfDay, parseISO } from 'date-fns';
+
+export const DOCUMENT_CATEGORIES = {
+  physical: {
+    label: 'Physical / Medical Clearance',
+    expires: true,
+    hint: 'Enter the expiration date on the form. Physicals are usually good for one year.'
+  },
+  birthCertificate: { label: 'Birth Certificate', expires: false },
+  waiver: {
+    label: 'Liability Waiver',
+    expires: true,
+    hint: 'Waivers usually run through the end of the season.'
+  },
+  transcript: { label: 'Transcript', expires: false },
+  schoolId: {
+    label: 'School ID',
+    expires: true,
+    hint: 'Use the last day of the school year if the card has no date.'
+  }
+};
+
+export const DOCUMENT_STATUS = {
+  PENDING: 'pending',
+  VERIFIED: 'verified',
+  REJECTED: 'rejected'
+};
+
+// Checklist states, from worst to best. Only verified documents clear a player,
+// so an upload waiting for staff is worse than a verified one close to expiring.
+export const CHECKLIST_STATES = ['missing', 'rejected', 'expired', 'pending', 'expiring', 'verified'];
+
+export const CHECKLIST_STATE_COLORS = {
+  missing: 'bg-red-100 text-red-800',
+  rejected: 'bg-red-100 text-red-800',
+  expired: 'bg-red-100 text-red-800',
+  expiring: 'bg-yellow-100 text-yellow-800',
+  pending: 'bg-blue-100 text-blue-800',
+  verified: 'bg-green-100 text-green-800'
+};
+
+// Required when a team has not set its own checklist
+export const DEFAULT_REQUIRED_DOCUMENTS = ['physical', 'birthCertificate', 'waiver'];
+
+// Documents expiring this soon are flagged even though they are still valid
+export const EXPIRING_SOON_DAYS = 30;
+
+// How far ahead tournaments are checked for missing documents
+export const TOURNAMENT_CHECK_WINDOW_DAYS = 45;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const expiresEnd = (document) => endOfDay(parseISO(document.expiresAt));
+
+/**
+ * Check a document before it is uploaded
+ * @param {{category: string, expiresAt?: string}} document
+ * @param {Date} [now]
+ * @returns {string|null} Error message, or null when the document can be saved
+ */
+export function validateDocument({ category, expiresAt }, now = new Date()) {
+  const rules = DOCUMENT_CATEGORIES[category];
+  if (!rules) return 'Choose a document type';
+  if (!expiresAt) return rules.expires ? `${rules.label} needs an expiration date` : null;
+  if (!DATE_PATTERN.test(expiresAt) || Number.isNaN(parseISO(expiresAt).getTime())) {
+    return 'Enter the expiration date as YYYY-MM-DD';
+  }
+  if (endOfDay(parseISO(expiresAt)) < now) return 'This document has already expired';
+  return null;
+}
+
+/**
+ * Whether a document counts towards the checklist on a given day
+ * @param {Object} document - PlayerDocument
+ * @param {Date} [on]
+ * @returns {boolean}
+ */
+export function isDocumentValid(document, on = new Date()) {
+  if (!document || document.status === DOCUMENT_STATUS.REJECTED) return false;
+  return !document.expiresAt || expiresEnd(document) >= on;
+}
+
+/**
+ * Whether a document clears the player on a given day: staff have verified it
+ * and it has not expired
+ * @param {Object} document - PlayerDocument
+ * @param {Date} [on]
+ * @returns {boolean}
+ */
+export const isDocumentCleared = (document, on = new Date()) =>
+  document?.status === DOCUMENT_STATUS.VERIFIED && isDocumentValid(document, on);
+
+/**
+ * Where a single document stands on a given day
+ * @param {Object} document - PlayerDocument
+ * @param {Date} [on]
+ * @returns {'rejected'|'expired'|'pending'|'expiring'|'verified'}
+ */
+export function getDocumentState(document, on = new Date()) {
+  if (document.status === DOCUMENT_STATUS.REJECTED) return 'rejected';
+  if (!isDocumentValid(document, on)) return 'expired';
+  if (document.status !== DOCUMENT_STATUS.VERIFIED) return 'pending';
+  if (document.expiresAt && differenceInCalendarDays(parseISO(document.expiresAt), on) <= EXPIRING_SOON_DAYS) {
+    return 'expiring';
+  }
+  return 'verified';
+}
+
+/**
+ * Document categories a team requires
+ * @param {Object|null} team - Team record; `requiredDocuments` lists category keys
+ * @returns {string[]}
+ */
+export function getRequiredDocuments(team) {
+  const required = Array.isArray(team?.requiredDocuments) ? team.requiredDocuments : DEFAULT_REQUIRED_DOCUMENTS;
+  return required.filter(category => DOCUMENT_CATEGORIES[category]);
+}
+
+/**
+ * Every category required by any of the given teams, in DOCUMENT_CATEGORIES order.
+ * Players not on a team are held to the default checklist.
+ * @param {Array<Object>} teams
+ * @returns {string[]}
+ */
+export function getRequiredDocumentsForTeams(teams) {
+  const required = new Set(teams.length > 0 ? teams.flatMap(getRequiredDocuments) : DEFAULT_REQUIRED_DOCUMENTS);
+  return Object.keys(DOCUMENT_CATEGORIES).filter(category => required.has(category));
+}
+
+// Prefer a document that clears the player, then one that is still valid, then the
+// one that stays valid longest, then a verified one, then the newest upload
+const compareDocuments = (on) => (a, b) =>
+  Number(isDocumentCleared(b, on)) - Number(isDocumentCleared(a, on)) ||
+  Number(isDocumentValid(b, on)) - Number(isDocumentValid(a, on)) ||
+  (b.expiresAt ? expiresEnd(b).getTime() : Infinity) - (a.expiresAt ? expiresEnd(a).getTime() : Infinity) ||
+  Number(b.status === DOCUMENT_STATUS.VERIFIED) - Number(a.status === DOCUMENT_STATUS.VERIFIED) ||
+  String(b.uploadedAt || '').localeCompare(String(a.uploadedAt || ''));
+
+/**
+ * Check a player's documents against a list of required categories
+ * @param {Array<Object>} documents - PlayerDocument records
+ * @param {string[]} required - Category keys
+ * @param {Date} [on] - Day the documents must be valid on
+ * @returns {Array<{category: string, label: string, document: Object|null, state: string, ok: boolean}>}
+ */
+export function buildDocumentChecklist(documents, required, on = new Date()) {
+  return required.map(category => {
+    const [document = null] = documents
+      .filter(candidate => candidate.category === category)
+      .sort(compareDocuments(on));
+
+    return {
+      category,
+      label: DOCUMENT_CATEGORIES[category]?.label || category,
+      document,
+      state: document ? getDocumentState(document, on) : 'missing',
+      ok: isDocumentCleared(document, on)
+    };
+  });
+}
+
+/**
+ * Upcoming tournaments a player is not cleared for. Each tournament is checked
+ * against the checklists of the player's teams entered in it, on its last day,
+ * so a physical that lapses mid-tournament is caught too.
+ * @param {Object} options
+ * @param {Object} options.player - Player record
+ * @param {Array<Object>} options.documents - The player's PlayerDocument records
+ * @param {Array<Object>} options.teams - The player's Team records
+ * @param {Array<Object>} options.events - TeamEvent records; only tournaments are checked
+ * @param {Date} [options.now]
+ * @returns {Array<{event: Object, missing: Array<Object>}>} Sorted by tournament start
+ */
+export function getTournamentDocumentIssues({ player, documents, teams, events, now = new Date() }) {
+  const windowEnd = addDays(now, TOURNAMENT_CHECK_WINDOW_DAYS);
+  const playerTeamIds = player.teamIds || [];
+
+  return events
+    .filter(event => event.eventType === 'Tournament')
+    .filter(event => new Date(event.endDate || event.startDate) >= now && new Date(event.startDate) < windowEnd)
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+    .map(event => {
+      const eventTeams = teams.filter(team => playerTeamIds.includes(team.id) && (event.teamIds || []).includes(team.id));
+      const checklist = buildDocumentChecklist(
+        documents,
+        getRequiredDocumentsForTeams(eventTeams),
+        new Date(event.endDate || event.startDate)
+      );
+      return { event, missing: checklist.filter(item => !item.ok) };
+    })
+    .filter(issue => issue.missing.length > 0);
+}
+
+/**
+ * School IDs and report cards uploaded to `player.profileFiles` before the
+ * document vault existed, shaped like PlayerDocument records
+ * @param {Object} player - Player record
+ * @returns {Array<Object>} Marked `legacy: true`; they have no PlayerDocument to update
+ */
+export function getLegacyDocuments(player) {
+  const files = player?.profileFiles || {};
+  const toDocument = (category) => (file) => ({
+    id: `legacy:${file.path || file.id}`,
+    playerId: player.id,
+    category,
+    fileName: file.fileName,
+    filePath: file.path || null,
+    contentType: file.fileType,
+    uploadedAt: file.uploadedAt,
+    status: DOCUMENT_STATUS.PENDING,
+    legacy: true
+  });
+
+  return [
+    ...(files.schoolId ? [toDocument('schoolId')(files.schoolId)] : []),
+    ...(files.reportCards || []).map(toDocument('transcript'))
+  ];
+}
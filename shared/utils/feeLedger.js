@@ -0,0 +1,177 @@
+/**
+ * Fee ledger
+ * Derives a player's balance from TeamFee, AdditionalFee and Payment rows
+ * instead of the denormalized Player.fees / feesPaid / pastDue fields.
+ * Every entry points back at the record it came from so a balance can be
+ * traced line by line. Families cannot write Payment rows through the proxy
+ * (api/_lib/entityPolicy.js), so settled ones are credited as recorded.
+ */
+
+import { differenceInCalendarDays, parseISO } from 'date-fns';
+import { toCents, fromCents } from './paymentPlans.js';
+
+export const LEDGER_ENTRY_TYPES = ['charge', 'discount', 'credit', 'payment', 'refund'];
+
+// Entry types that increase what the family owes
+const DEBIT_TYPES = ['charge', 'refund'];
+
+// AdditionalFee types that reduce the balance instead of adding to it
+const DISCOUNT_FEE_TYPES = ['Discount', 'Scholarship', 'Sibling Discount'];
+const CREDIT_FEE_TYPES = ['Credit'];
+
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: '1-30', label: '1-30 days', maxDays: 30 },
+  { key: '31-60', label: '31-60 days', maxDays: 60 },
+  { key: '61-90', label: '61-90 days', maxDays: 90 },
+  { key: '90+', label: '90+ days', maxDays: Infinity }
+];
+
+const toDate = (value) => (typeof value === 'string' ? parseISO(value) : new Date(value));
+
+const entryDate = (record, ...fields) => {
+  const value = fields.map(field => record[field]).find(Boolean);
+  return value ? toDate(value) : null;
+};
+
+const describeFee = (fee, fallback) => fee.name || fee.description || fee.feeType || fallback;
+
+function feeEntries(fee, entity) {
+  const cents = toCents(fee.amount);
+  const type = DISCOUNT_FEE_TYPES.includes(fee.feeType) || cents < 0
+    ? 'discount'
+    : CREDIT_FEE_TYPES.includes(fee.feeType) ? 'credit' : 'charge';
+
+  return [{
+    id: `${entity}:${fee.id}`,
+    type,
+    date: entryDate(fee, 'dueDate', 'created_date'),
+    dueDate: type === 'charge' ? entryDate(fee, 'dueDate', 'created_date') : null,
+    description: describeFee(fee, entity === 'TeamFee' ? 'Team fee' : 'Additional fee'),
+    cents: Math.abs(cents),
+    source: { entity, id: fee.id }
+  }];
+}
+
+function paymentEntries(payment) {
+  const cents = toCents(payment.amount);
+  const date = entryDate(payment, 'paymentDate', 'created_date');
+  const source = { entity: 'Payment', id: payment.id };
+  const paid = {
+    id: `Payment:${payment.id}`,
+    type: 'payment',
+    date,
+    dueDate: null,
+    description: payment.description || 'Payment',
+    cents: Math.abs(cents),
+    source
+  };
+
+  // A refund row on its own, recorded as a negative payment
+  if (payment.status === 'Completed' && cents < 0) {
+    return [{ ...paid, type: 'refund', description: payment.description || 'Refund', dueDate: date }];
+  }
+  if (payment.status === 'Completed') return [paid];
+
+  // Refunded payments stay on the ledger so the money in and out both show
+  if (payment.status === 'Refunded' || payment.status === 'Partially Refunded') {
+    const refunded = payment.refundAmount != null ? Math.abs(toCents(payment.refundAmount)) : Math.abs(cents);
+    const refundDate = entryDate(payment, 'refundDate', 'updated_date', 'paymentDate');
+    return [paid, {
+      id: `Payment:${payment.id}:refund`,
+      type: 'refund',
+      date: refundDate,
+      dueDate: refundDate,
+      description: 'Refund',
+      cents: refunded,
+      source
+    }];
+  }
+
+  // Pending, failed and cancelled payments do not move the balance
+  return [];
+}
+
+const bucketFor = (daysPastDue) => AGING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+
+/**
+ * Build a player's ledger
+ * @param {Object} records
+ * @param {Array} [records.teamFees] - TeamFee rows for the player's teams
+ * @param {Array} [records.additionalFees] - AdditionalFee rows for the player
+ * @param {Array} [records.payments] - Payment rows for the player
+ * @param {Date} [now]
+ * @returns {{
+ *   entries: Array<{id: string, type: string, date: Date|null, description: string, amount: number, balance: number, source: {entity: string, id: string}}>,
+ *   totals: Object<string, number>,
+ *   balance: number,
+ *   pastDue: number,
+ *   aging: Object<string, number>
+ * }} Entry amounts are signed: positive adds to the balance, negative reduces it
+ */
+export function buildLedger({ teamFees = [], additionalFees = [], payments = [] }, now = new Date()) {
+  const raw = [
+    ...teamFees.flatMap(fee => feeEntries(fee, 'TeamFee')),
+    ...additionalFees.flatMap(fee => feeEntries(fee, 'AdditionalFee')),
+    ...payments.flatMap(paymentEntries)
+  ].sort((a, b) => (a.date?.getTime() ?? 0) - (b.date?.getTime() ?? 0) || a.id.localeCompare(b.id));
+
+  const totals = Object.fromEntries(LEDGER_ENTRY_TYPES.map(type => [type, 0]));
+  let running = 0;
+  const entries = raw.map(entry => {
+    const signed = DEBIT_TYPES.includes(entry.type) ? entry.cents : -entry.cents;
+    running += signed;
+    totals[entry.type] += entry.cents;
+    return {
+      id: entry.id,
+      type: entry.type,
+      date: entry.date,
+      description: entry.description,
+      amount: fromCents(signed),
+      balance: fromCents(running),
+      source: entry.source
+    };
+  });
+
+  // Age what is still owed: reductions settle the oldest debits first
+  let available = raw.filter(entry => !DEBIT_TYPES.includes(entry.type)).reduce((sum, entry) => sum + entry.cents, 0);
+  const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  raw
+    .filter(entry => DEBIT_TYPES.includes(entry.type))
+    .sort((a, b) => (a.dueDate?.getTime() ?? 0) - (b.dueDate?.getTime() ?? 0))
+    .forEach(entry => {
+      const settled = Math.min(entry.cents, available);
+      available -= settled;
+      const open = entry.cents - settled;
+      if (open === 0) return;
+
+      const daysPastDue = entry.dueDate ? differenceInCalendarDays(now, entry.dueDate) : 0;
+      aging[bucketFor(Math.max(0, daysPastDue))] += open;
+    });
+
+  const pastDue = AGING_BUCKETS.filter(bucket => bucket.key !== 'current').reduce((sum, bucket) => sum + aging[bucket.key], 0);
+
+  return {
+    entries,
+    totals: Object.fromEntries(Object.entries(totals).map(([type, cents]) => [type, fromCents(cents)])),
+    balance: fromCents(running),
+    pastDue: fromCents(pastDue),
+    aging: Object.fromEntries(Object.entries(aging).map(([key, cents]) => [key, fromCents(cents)]))
+  };
+}
+
+/**
+ * Combine player ledgers into a family view
+ * @param {Array<{player: Object, ledger: ReturnType<typeof buildLedger>}>} playerLedgers
+ * @returns {{players: Array, balance: number, pastDue: number, aging: Object<string, number>}}
+ */
+export function buildFamilyLedger(playerLedgers) {
+  const sum = (pick) => fromCents(playerLedgers.reduce((total, { ledger }) => total + toCents(pick(ledger)), 0));
+
+  return {
+    players: playerLedgers,
+    balance: sum(ledger => ledger.balance),
+    pastDue: sum(ledger => ledger.pastDue),
+    aging: Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, sum(ledger => ledger.aging[bucket.key])]))
+  };
+}
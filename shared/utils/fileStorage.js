@@ -0,0 +1,95 @@
+// Files kept in storage (profile photos, player documents, gallery images and
+// chat attachments): what each category accepts and where it is stored.
+// Records keep the storage path; readers ask for a short-lived signed URL.
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const DOCUMENT_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+export const FILE_CATEGORIES = {
+  photo: { label: 'Profile Photo', maxSize: 5 * MB, types: IMAGE_TYPES, owner: 'player' },
+  schoolId: { label: 'School ID', maxSize: 10 * MB, types: DOCUMENT_TYPES, owner: 'player' },
+  reportCard: { label: 'Report Card', maxSize: 10 * MB, types: DOCUMENT_TYPES, owner: 'player' },
+  document: { label: 'Document', maxSize: 10 * MB, types: DOCUMENT_TYPES, owner: 'player' },
+  playerImage: { label: 'Player Image', maxSize: 10 * MB, types: IMAGE_TYPES, owner: 'player' },
+  chat: {
+    label: 'Attachment',
+    maxSize: 10 * MB,
+    types: [
+      ...IMAGE_TYPES,
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'text/plain'
+    ],
+    owner: 'chatRoom'
+  }
+};
+
+// Signed download URLs stay valid this long
+export const DOWNLOAD_URL_TTL_MINUTES = 15;
+
+// Signed upload URLs stay valid this long
+export const UPLOAD_URL_TTL_MINUTES = 10;
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const formatSize = (bytes) => `${Math.round(bytes / MB)}MB`;
+
+/**
+ * Check a file against its category's size and type limits
+ * @param {string} category - Key of FILE_CATEGORIES
+ * @param {{size: number, type: string}} file - File, Blob or upload request
+ * @returns {string|null} Error message, or null when the file is acceptable
+ */
+export function validateFile(category, file) {
+  const rules = FILE_CATEGORIES[category];
+  if (!rules) return `Unknown file category: ${category}`;
+  if (!file || !Number.isFinite(file.size) || file.size <= 0) return 'The file is empty';
+  if (file.size > rules.maxSize) return `File size must be less than ${formatSize(rules.maxSize)}`;
+  if (!rules.types.includes(file.type)) {
+    return `Invalid file type. Allowed types: ${rules.types.join(', ')}`;
+  }
+  return null;
+}
+
+// Keep the original name readable but safe to use as an object key
+const safeFileName = (name) => String(name || 'file')
+  .replace(/[^A-Za-z0-9._-]+/g, '_')
+  .replace(/^[._]+/, '')
+  .slice(-100) || 'file';
+
+/**
+ * Storage path for a new file
+ * @param {string} category - Key of FILE_CATEGORIES
+ * @param {string} ownerId - Player id, or chat room id for attachments
+ * @param {string} fileName - Original file name
+ * @param {Date} [now]
+ * @returns {string} e.g. `reportCard/player-1/1718000000000_report.pdf`
+ */
+export function buildStoragePath(category, ownerId, fileName, now = new Date()) {
+  return `${category}/${ownerId}/${now.getTime()}_${safeFileName(fileName)}`;
+}
+
+/**
+ * Split a storage path back into its category and owner
+ * @param {string} path
+ * @returns {{category: string, ownerId: string}|null} Null for paths this app did not create
+ */
+export function parseStoragePath(path) {
+  if (typeof path !== 'string') return null;
+  const parts = path.split('/');
+  if (parts.length !== 3 || !FILE_CATEGORIES[parts[0]]) return null;
+
+  const [category, ownerId, name] = parts;
+  if (!ID_PATTERN.test(ownerId) || !name || name.startsWith('.')) return null;
+  return { category, ownerId };
+}
+
+/**
+ * Whether an owner id is acceptable in a storage path
+ * @param {string} ownerId
+ * @returns {boolean}
+ */
+export const isValidOwnerId = (ownerId) => typeof ownerId === 'string' && ID_PATTERN.test(ownerId);
@@ -0,0 +1,398 @@
+/**
+ * iCalendar (RFC 5545) generation for team events
+ * Used for single-event downloads and the subscription feed served from api/.
+ */
+
+import { formatInTimeZone, fromZonedTime } from 'date-fns-tz';
+import { getEventPlayers, EVENT_TIMEZONE } from './teamEvents.js';
+import { getOccurrence, getRsvpKey, isRecurringEvent, isSeriesOccurrence } from './recurrence.js';
+
+export const ICAL_PRODID = '-//O7C Hub//Player Portal//EN';
+
+// Domain part of event UIDs; must never change or subscribed calendars duplicate events
+export const ICAL_UID_DOMAIN = 'o7chub.com';
+
+// RFC 5545 3.1: lines longer than 75 octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+// EventRSVP.status -> ATTENDEE PARTSTAT
+const RSVP_PARTSTAT = {
+  'Attending': 'ACCEPTED',
+  'Not Attending': 'DECLINED',
+  'Maybe': 'TENTATIVE'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Escape a TEXT property value (RFC 5545 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+// Quote a parameter value when it contains characters that are special in parameters
+const paramValue = (value) => {
+  const clean = String(value).replace(/"/g, '\'');
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  // Continuation lines start with a space, which counts toward their length
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as a UTC DATE-TIME (e.g. 20250301T180000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export function formatDateTime(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T` +
+    `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+/**
+ * Format a date as a DATE value (e.g. 20250301), for all-day events
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export function formatDate(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+}
+
+/**
+ * Format a date as a DATE-TIME on a zone's clock, for TZID properties (e.g. 20250301T120000)
+ * @param {Date|string} date
+ * @param {string} timeZone - IANA zone
+ * @returns {string}
+ */
+export function formatZonedDateTime(date, timeZone) {
+  return formatInTimeZone(new Date(date), timeZone, "yyyyMMdd'T'HHmmss");
+}
+
+const formatOffset = (offsetMs) => {
+  const minutes = Math.abs(offsetMs) / MINUTE_MS;
+  return `${offsetMs < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+// UTC offset of a zone at an instant, in milliseconds
+const offsetAt = (timeZone, time) => {
+  const [, sign, hours, minutes] = /([+-])(\d{2}):(\d{2})/.exec(formatInTimeZone(new Date(time), timeZone, 'xxx'));
+  return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * MINUTE_MS;
+};
+
+// UTC offset changes during a year, to the minute
+function findTransitions(timeZone, year) {
+  const transitions = [];
+
+  for (let day = Date.UTC(year, 0, 1); day < Date.UTC(year + 1, 0, 1); day += DAY_MS) {
+    if (offsetAt(timeZone, day) === offsetAt(timeZone, day + DAY_MS)) continue;
+
+    let before = day;
+    let after = day + DAY_MS;
+    while (after - before > MINUTE_MS) {
+      const middle = before + Math.floor((after - before) / MINUTE_MS / 2) * MINUTE_MS;
+      if (offsetAt(timeZone, middle) === offsetAt(timeZone, before)) before = middle;
+      else after = middle;
+    }
+    transitions.push({ at: after, from: offsetAt(timeZone, before), to: offsetAt(timeZone, after) });
+  }
+  return transitions;
+}
+
+/**
+ * Build a VTIMEZONE for `timeZone`. Its DST changes in `year` are written as
+ * yearly rules (e.g. the second Sunday in March) so clients can place
+ * occurrences in any year of a series.
+ * @param {string} timeZone - IANA zone
+ * @param {number} year - Year to read the zone's transitions from
+ * @returns {string[]} Unfolded content lines
+ */
+export function buildTimeZoneLines(timeZone, year) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = findTransitions(timeZone, year);
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(offsetAt(timeZone, Date.UTC(year, 0, 1)));
+    lines.push('BEGIN:STANDARD', `DTSTART:${year}0101T000000`, `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  transitions.forEach(({ at, from, to }) => {
+    // Observances start at the wall-clock time the change happens, before it is applied
+    const local = new Date(at + from);
+    const date = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const ordinal = date + 7 > daysInMonth ? -1 : Math.ceil(date / 7);
+    const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatDateTime(local).slice(0, -1)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${ordinal}${WEEKDAY_CODES[local.getUTCDay()]}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${kind}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+// Series with a time of day are written on the club's clock so they keep their
+// local time across DST; all-day and one-off events don't need a zone
+const isZoned = (event) => !event.allDay && isRecurringEvent(event);
+
+// UNTIL has to match DTSTART: a DATE for all-day series, otherwise a UTC time
+function formatRule(event, timeZone) {
+  return String(event.recurrenceRule).replace(/^RRULE:/, '').split(';').map(part => {
+    const match = /^UNTIL=(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(part);
+    if (!match) return part;
+
+    const [, y, mo, d, h = '23', mi = '59', sec = '59', utc] = match;
+    const until = utc
+      ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec))
+      : fromZonedTime(`${y}-${mo}-${d}T${h}:${mi}:${sec}`, timeZone);
+    return `UNTIL=${event.allDay ? formatInTimeZone(until, timeZone, 'yyyyMMdd') : formatDateTime(until)}`;
+  }).join(';');
+}
+
+/**
+ * Stable UID for a TeamEvent. Derived only from the record id so updates and
+ * cancellations replace the copy already in a subscriber's calendar.
+ * @param {Object} event - TeamEvent
+ * @returns {string}
+ */
+export function getEventUid(event) {
+  return `teamevent-${event.id}@${ICAL_UID_DOMAIN}`;
+}
+
+const isCancelled = (event) => event.status === 'Cancelled' || event.isCancelled === true;
+
+const describeRsvps = (attendees) => attendees
+  .filter(attendee => attendee.name)
+  .map(attendee => `RSVP (${attendee.name}): ${attendee.status || 'No Response'}`);
+
+/**
+ * Build the content lines for one VEVENT
+ * @param {Object} event - TeamEvent
+ * @param {Object} [options]
+ * @param {Array<{name: string, email?: string, status?: string}>} [options.attendees] - Players and their RSVP status
+ * @param {Date} [options.now] - Fallback DTSTAMP when the record has no timestamps
+ * @param {string} [options.recurrenceId] - Original start when this VEVENT overrides one occurrence of a series
+ * @param {string} [options.timeZone] - TZID for recurring series; buildCalendar adds its VTIMEZONE
+ * @returns {string[]} Unfolded content lines
+ */
+export function buildEventLines(event, { attendees = [], now = new Date(), recurrenceId = null, timeZone = EVENT_TIMEZONE } = {}) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(event)}`,
+    `DTSTAMP:${formatDateTime(event.updated_date || event.created_date || now)}`,
+    `SEQUENCE:${Number.isInteger(event.sequence) ? event.sequence : 0}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.startDate)}`);
+    // DTEND is exclusive for DATE values, while endDate is the last day of the event
+    if (event.endDate) lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(event.endDate).getTime() + DAY_MS)}`);
+  } else if (isZoned(event)) {
+    lines.push(`DTSTART;TZID=${timeZone}:${formatZonedDateTime(event.startDate, timeZone)}`);
+    if (event.endDate) lines.push(`DTEND;TZID=${timeZone}:${formatZonedDateTime(event.endDate, timeZone)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.startDate)}`);
+    if (event.endDate) lines.push(`DTEND:${formatDateTime(event.endDate)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+  const description = [event.description, ...describeRsvps(attendees)].filter(Boolean).join('\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.eventType) lines.push(`CATEGORIES:${escapeText(event.eventType)}`);
+  // RECURRENCE-ID and EXDATE must have the same value type as the series' DTSTART
+  const formatOccurrence = event.allDay ? formatDate : (date) => formatZonedDateTime(date, timeZone);
+  const occurrenceParam = event.allDay ? ';VALUE=DATE' : `;TZID=${timeZone}`;
+  if (recurrenceId) {
+    lines.push(`RECURRENCE-ID${occurrenceParam}:${formatOccurrence(recurrenceId)}`);
+  } else if (isRecurringEvent(event)) {
+    lines.push(`RRULE:${formatRule(event, timeZone)}`);
+
+    const cancelled = (event.recurrenceExceptions || [])
+      .filter(exception => exception.status === 'Cancelled')
+      .map(exception => formatOccurrence(exception.originalStart));
+    if (cancelled.length > 0) lines.push(`EXDATE${occurrenceParam}:${cancelled.join(',')}`);
+  }
+  if (event.updated_date) lines.push(`LAST-MODIFIED:${formatDateTime(event.updated_date)}`);
+
+  lines.push(`STATUS:${isCancelled(event) ? 'CANCELLED' : 'CONFIRMED'}`);
+
+  attendees
+    .filter(attendee => attendee.email)
+    .forEach(attendee => {
+      const partstat = RSVP_PARTSTAT[attendee.status] || 'NEEDS-ACTION';
+      const name = attendee.name ? `;CN=${paramValue(attendee.name)}` : '';
+      lines.push(`ATTENDEE${name};ROLE=REQ-PARTICIPANT;PARTSTAT=${partstat}:mailto:${attendee.email}`);
+    });
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Serialize events into a VCALENDAR document
+ * @param {Array<{event: Object, attendees?: Array, occurrenceAttendees?: Object}>} entries - Events with
+ *   their attendees, and for series the attendees of occurrences with their own RSVPs (see getOccurrenceAttendees)
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar display name (X-WR-CALNAME)
+ * @param {string} [options.method] - iTIP method, e.g. PUBLISH for downloads
+ * @param {Date} [options.now]
+ * @param {string} [options.timeZone] - Zone recurring series are scheduled in
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+export function buildCalendar(entries, { name, method, now = new Date(), timeZone = EVENT_TIMEZONE } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  const zonedStarts = entries
+    .filter(({ event }) => isZoned(event))
+    .map(({ event }) => new Date(event.startDate).getTime());
+  if (zonedStarts.length > 0) {
+    lines.push(...buildTimeZoneLines(timeZone, new Date(Math.min(...zonedStarts)).getUTCFullYear()));
+  }
+
+  entries.forEach(({ event, attendees, occurrenceAttendees = {} }) => {
+    lines.push(...buildEventLines(event, { attendees, now, timeZone }));
+
+    // Moved or edited occurrences, and those with their own RSVPs, are separate VEVENTs sharing the series UID
+    if (isRecurringEvent(event)) {
+      const exceptions = new Map((event.recurrenceExceptions || []).map(exception => [
+        new Date(exception.originalStart).toISOString(),
+        exception
+      ]));
+      new Set([...exceptions.keys(), ...Object.keys(occurrenceAttendees)]).forEach(start => {
+        const exception = exceptions.get(start);
+        if (exception?.status === 'Cancelled') return;
+
+        const occurrence = getOccurrence(event, start);
+        if (exception?.startDate && !exception.endDate && event.endDate) {
+          const duration = new Date(event.endDate) - new Date(event.startDate);
+          occurrence.endDate = new Date(new Date(exception.startDate).getTime() + duration).toISOString();
+        }
+        lines.push(...buildEventLines(occurrence, {
+          attendees: occurrenceAttendees[start] || attendees,
+          now,
+          recurrenceId: start,
+          timeZone
+        }));
+      });
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build attendees for an event from the players it applies to and their RSVPs
+ * @param {Object} event - TeamEvent with teamIds
+ * @param {Array} players - Players with teamIds
+ * @param {Array} rsvps - EventRSVP records
+ * @returns {Array<{name: string, email?: string, status?: string}>}
+ */
+export function getEventAttendees(event, players, rsvps) {
+  // Series-level entries only carry RSVPs that are not tied to one occurrence
+  const key = getRsvpKey(event.id, event.occurrenceStart);
+  return getEventPlayers(event, players).map(player => {
+    const rsvp = rsvps.find(r =>
+      r.eventId === event.id && r.playerId === player.id &&
+      (!r.occurrenceStart || !Number.isNaN(Date.parse(r.occurrenceStart))) &&
+      getRsvpKey(r.eventId, r.occurrenceStart) === key
+    );
+    return {
+      name: `${player.firstName || ''} ${player.lastName || ''}`.trim(),
+      email: player.emailAddress || undefined,
+      status: rsvp?.status
+    };
+  });
+}
+
+/**
+ * Attendees of each occurrence of a series that has RSVPs of its own, keyed by original start (ISO)
+ * @param {Object} event - Series TeamEvent
+ * @param {Array} players - Players with teamIds
+ * @param {Array} rsvps - EventRSVP records
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Zone the series is scheduled in
+ * @returns {Object<string, Array>} See getEventAttendees
+ */
+export function getOccurrenceAttendees(event, players, rsvps, { timeZone = EVENT_TIMEZONE } = {}) {
+  if (!isRecurringEvent(event)) return {};
+
+  const starts = new Set(rsvps
+    .filter(r => r.eventId === event.id && r.occurrenceStart && isSeriesOccurrence(event, r.occurrenceStart, { timeZone }))
+    .map(r => new Date(r.occurrenceStart).toISOString()));
+  return Object.fromEntries([...starts].map(start => [
+    start,
+    getEventAttendees(getOccurrence(event, start), players, rsvps)
+  ]));
+}
+
+/**
+ * File name for a single-event download
+ * @param {Object} event - TeamEvent
+ * @returns {string}
+ */
+export function getEventFileName(event) {
+  const slug = String(event.title || 'event')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug || 'event'}.ics`;
+}
@@ -0,0 +1,169 @@
+// Player photo processing, done in the browser before anything is uploaded.
+// Each image is drawn onto a canvas and re-encoded, which applies the EXIF
+// orientation and drops every metadata block (EXIF, GPS, XMP). The original
+// file, with its location data, never leaves the device. Crops are fractions
+// of the oriented image so they do not depend on the size it was shown at.
+
+const MB = 1024 * 1024;
+
+// Variants stored for every image, by longest edge in pixels
+export const IMAGE_VARIANTS = {
+  thumb: 160,
+  small: 480,
+  large: 1600
+};
+
+export const OUTPUT_IMAGE_TYPE = 'image/jpeg';
+const OUTPUT_QUALITY = 0.85;
+
+// Limits on the picked file; the processed variants are far smaller
+export const SOURCE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+export const MAX_SOURCE_IMAGE_SIZE = 25 * MB;
+
+// Smallest crop a user can choose, as a share of the shorter edge
+export const MIN_CROP_SCALE = 0.2;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Check a picked image before processing it
+ * @param {{size: number, type: string}} file
+ * @returns {string|null} Error message, or null when the file can be processed
+ */
+export function validateSourceImage(file) {
+  if (!file || !SOURCE_IMAGE_TYPES.includes(file.type)) {
+    return `Invalid image type. Allowed types: ${SOURCE_IMAGE_TYPES.join(', ')}`;
+  }
+  if (file.size > MAX_SOURCE_IMAGE_SIZE) {
+    return `Image must be less than ${MAX_SOURCE_IMAGE_SIZE / MB}MB`;
+  }
+  return null;
+}
+
+/**
+ * Square crop centered on the image, as used for headshots
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} [scale] - Side of the square as a share of the shorter edge
+ * @param {{x: number, y: number}} [center] - Center of the square, as fractions of the image
+ * @returns {{x: number, y: number, width: number, height: number}} Fractions of the image
+ */
+export function squareCrop(width, height, scale = 1, center = { x: 0.5, y: 0.5 }) {
+  const side = Math.min(width, height) * clamp(scale, MIN_CROP_SCALE, 1);
+  const cropWidth = side / width;
+  const cropHeight = side / height;
+  return {
+    x: clamp(center.x - cropWidth / 2, 0, 1 - cropWidth),
+    y: clamp(center.y - cropHeight / 2, 0, 1 - cropHeight),
+    width: cropWidth,
+    height: cropHeight
+  };
+}
+
+/**
+ * Turn a fractional crop into a pixel rectangle inside the image
+ * @param {{x: number, y: number, width: number, height: number}|null} crop - Fractions; null for the whole image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {{x: number, y: number, width: number, height: number}} Whole pixels
+ */
+export function toPixelCrop(crop, width, height) {
+  if (!crop) return { x: 0, y: 0, width, height };
+
+  const x = Math.round(clamp(crop.x, 0, 1) * width);
+  const y = Math.round(clamp(crop.y, 0, 1) * height);
+  return {
+    x,
+    y,
+    width: clamp(Math.round(crop.width * width), 1, width - x),
+    height: clamp(Math.round(crop.height * height), 1, height - y)
+  };
+}
+
+/**
+ * Scale a size down to fit `maxEdge`, keeping its aspect ratio. Never scales up.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxEdge
+ * @returns {{width: number, height: number}}
+ */
+export function fitWithin(width, height, maxEdge) {
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Work out the crop rectangle and output size of every variant
+ * @param {number} width - Oriented image width in pixels
+ * @param {number} height - Oriented image height in pixels
+ * @param {Object|null} crop - Fractions, see toPixelCrop
+ * @param {Object<string, number>} [variants] - Longest edge per variant name
+ * @returns {{crop: Object, variants: Array<{name: string, width: number, height: number}>}}
+ */
+export function planImageVariants(width, height, crop, variants = IMAGE_VARIANTS) {
+  const pixelCrop = toPixelCrop(crop, width, height);
+  return {
+    crop: pixelCrop,
+    variants: Object.entries(variants).map(([name, maxEdge]) => ({
+      name,
+      ...fitWithin(pixelCrop.width, pixelCrop.height, maxEdge)
+    }))
+  };
+}
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    (blob) => (blob ? resolve(blob) : reject(new Error('Image could not be encoded'))),
+    OUTPUT_IMAGE_TYPE,
+    OUTPUT_QUALITY
+  );
+});
+
+/**
+ * Orient, crop, resize and re-encode an image in the browser
+ * @param {File|Blob} file - Picked image
+ * @param {Object} [options]
+ * @param {Object|null} [options.crop] - Fractions of the oriented image
+ * @param {Object<string, number>} [options.variants] - Longest edge per variant name
+ * @returns {Promise<{width: number, height: number, crop: Object, variants: Object<string, {blob: Blob, width: number, height: number}>}>}
+ */
+export async function processImage(file, { crop = null, variants = IMAGE_VARIANTS } = {}) {
+  const invalid = validateSourceImage(file);
+  if (invalid) {
+    const error = new Error(invalid);
+    error.code = 'INVALID_FILE';
+    throw error;
+  }
+
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  try {
+    const plan = planImageVariants(bitmap.width, bitmap.height, crop, variants);
+    const outputs = {};
+
+    for (const variant of plan.variants) {
+      const canvas = document.createElement('canvas');
+      canvas.width = variant.width;
+      canvas.height = variant.height;
+
+      const context = canvas.getContext('2d');
+      // JPEG has no transparency; keep transparent PNGs from turning black
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, variant.width, variant.height);
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(
+        bitmap,
+        plan.crop.x, plan.crop.y, plan.crop.width, plan.crop.height,
+        0, 0, variant.width, variant.height
+      );
+
+      outputs[variant.name] = { blob: await canvasToBlob(canvas), width: variant.width, height: variant.height };
+    }
+
+    return { width: bitmap.width, height: bitmap.height, crop: plan.crop, variants: outputs };
+  } finally {
+    bitmap.close();
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Payment plan helpers
+ * Splitting an amount into dated installments and applying recorded Payment
+ * rows against them. Amounts are handled in cents to avoid rounding drift.
+ */
+
+import { addMonths, addWeeks, format, parseISO } from 'date-fns';
+
+export const PLAN_FREQUENCIES = {
+  weekly: { label: 'Weekly', add: (date, n) => addWeeks(date, n) },
+  biweekly: { label: 'Bi-weekly', add: (date, n) => addWeeks(date, n * 2) },
+  monthly: { label: 'Monthly', add: (date, n) => addMonths(date, n) }
+};
+
+export const INSTALLMENT_STATUSES = ['upcoming', 'paid', 'late'];
+
+export const INSTALLMENT_STATUS_COLORS = {
+  upcoming: 'bg-blue-100 text-blue-800',
+  paid: 'bg-green-100 text-green-800',
+  late: 'bg-red-100 text-red-800'
+};
+
+// Payment statuses that count towards a plan
+const SETTLED_PAYMENT_STATUSES = ['Completed'];
+
+export const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+export const fromCents = (cents) => cents / 100;
+
+const toDateKey = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * Split a total into dated installments
+ * @param {Object} options
+ * @param {number} options.totalAmount - Dollars
+ * @param {number} options.count - Number of installments
+ * @param {string} options.frequency - Key of PLAN_FREQUENCIES
+ * @param {Date|string} options.startDate - Due date of the first installment
+ * @returns {Array<{number: number, dueDate: string, amount: number}>} Due dates are yyyy-MM-dd
+ */
+export function buildInstallments({ totalAmount, count, frequency, startDate }) {
+  const schedule = PLAN_FREQUENCIES[frequency];
+  if (!schedule) throw new Error(`Unsupported payment plan frequency: ${frequency}`);
+  if (!Number.isInteger(count) || count < 1) throw new Error('A payment plan needs at least one installment');
+
+  const total = toCents(totalAmount);
+  const base = Math.floor(total / count);
+  const remainder = total - base * count;
+  const first = typeof startDate === 'string' ? parseISO(startDate) : startDate;
+
+  // Leftover cents go on the earliest installments
+  return Array.from({ length: count }, (_, index) => ({
+    number: index + 1,
+    dueDate: toDateKey(schedule.add(first, index)),
+    amount: fromCents(base + (index < remainder ? 1 : 0))
+  }));
+}
+
+const planStart = (plan) => plan.createdAt || plan.created_date;
+const planTotal = (plan) => (plan.installments || []).reduce((sum, installment) => sum + toCents(installment.amount), 0);
+
+/**
+ * Decide which plan each settled payment counts towards, so no payment is
+ * counted twice. Payments tagged with a plan id go to that plan. Untagged
+ * payments are taken in date order by the oldest plan that was set up before
+ * them, isn't cancelled and isn't yet covered.
+ * @param {Array} plans - The player's PaymentPlans
+ * @param {Array} payments - The player's Payment rows, which only staff and the processor record
+ * @returns {Map<string, Array>} Payments per plan id
+ */
+export function allocatePlanPayments(plans, payments) {
+  const planIdFor = new Map();
+  const covered = new Map(plans.map(plan => [plan.id, 0]));
+  const assign = (plan, payment) => {
+    planIdFor.set(payment, plan.id);
+    covered.set(plan.id, covered.get(plan.id) + toCents(payment.amount));
+  };
+
+  const settled = payments.filter(payment => SETTLED_PAYMENT_STATUSES.includes(payment.status));
+  settled
+    .filter(payment => payment.paymentPlanId)
+    .forEach(payment => {
+      const plan = plans.find(candidate => candidate.id === payment.paymentPlanId);
+      if (plan) assign(plan, payment);
+    });
+
+  const open = plans
+    .filter(plan => plan.status !== 'cancelled' && planStart(plan))
+    .sort((a, b) => new Date(planStart(a)) - new Date(planStart(b)));
+  settled
+    .filter(payment => !payment.paymentPlanId)
+    .sort((a, b) => new Date(a.paymentDate) - new Date(b.paymentDate))
+    .forEach(payment => {
+      const plan = open.find(candidate =>
+        new Date(payment.paymentDate) >= new Date(planStart(candidate)) &&
+        covered.get(candidate.id) < planTotal(candidate)
+      );
+      if (plan) assign(plan, payment);
+    });
+
+  // Each plan's payments stay in the order they were given
+  return new Map(plans.map(plan => [plan.id, payments.filter(payment => planIdFor.get(payment) === plan.id)]));
+}
+
+/**
+ * Payments that count towards a plan
+ * @param {Object} plan - PaymentPlan
+ * @param {Array} payments - The player's Payment rows
+ * @param {Array} [plans] - All of the player's PaymentPlans, which untagged payments are shared between
+ * @returns {Array}
+ */
+export const getPlanPayments = (plan, payments, plans = [plan]) =>
+  allocatePlanPayments(plans, payments).get(plan.id) || [];
+
+/**
+ * Apply payments to a plan's installments in due-date order
+ * @param {Object} plan - PaymentPlan with `installments`
+ * @param {Array} payments - The player's Payment rows
+ * @param {Date} [now]
+ * @param {Array} [plans] - All of the player's PaymentPlans; see getPlanPayments
+ * @returns {{installments: Array, paid: number, remaining: number, nextDue: Object|null, isComplete: boolean}}
+ *   Each installment gains amountPaid, remaining and status
+ */
+export function applyPaymentsToPlan(plan, payments, now = new Date(), plans = [plan]) {
+  let available = getPlanPayments(plan, payments, plans).reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  const today = toDateKey(now);
+
+  const installments = [...(plan.installments || [])]
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .map(installment => {
+      const amount = toCents(installment.amount);
+      const applied = Math.min(amount, available);
+      available -= applied;
+
+      let status = 'upcoming';
+      if (applied >= amount) status = 'paid';
+      else if (installment.dueDate < today) status = 'late';
+
+      return {
+        ...installment,
+        amountPaid: fromCents(applied),
+        remaining: fromCents(amount - applied),
+        status
+      };
+    });
+
+  const paid = installments.reduce((sum, installment) => sum + toCents(installment.amountPaid), 0);
+  const remaining = installments.reduce((sum, installment) => sum + toCents(installment.remaining), 0);
+
+  return {
+    installments,
+    paid: fromCents(paid),
+    remaining: fromCents(remaining),
+    nextDue: installments.find(installment => installment.status !== 'paid') || null,
+    isComplete: remaining === 0
+  };
+}
+
+/**
+ * A plan's status from its progress. Plans are only ever stored as active or
+ * cancelled; completion is worked out when the plan is read.
+ * @param {Object} plan - PaymentPlan
+ * @param {{isComplete: boolean}} progress - From applyPaymentsToPlan
+ * @returns {'active'|'completed'|'cancelled'}
+ */
+export function getPlanStatus(plan, progress) {
+  if (plan.status === 'cancelled') return 'cancelled';
+  return progress.isComplete ? 'completed' : 'active';
+}
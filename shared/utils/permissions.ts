@@ -27,8 +27,95 @@ export const PERMISSIONS: PermissionCheck[] = [
   { resource: 'messages', action: 'manage', roles: ['player', 'parent'] },
   { resource: 'players', action: 'view', roles: ['parent'] },
   { resource: 'players', action: 'manage', roles: ['parent'] },
+
+  // Entity data accessed through the Base44 proxy
+  { resource: 'profile', action: 'view', roles: ['admin', 'coach'] },
+  { resource: 'profile', action: 'manage', roles: ['admin', 'coach'] },
+  { resource: 'payments', action: 'view', roles: ['admin', 'player', 'parent'] },
+  { resource: 'payments', action: 'manage', roles: ['admin', 'player', 'parent'] },
+  { resource: 'fees', action: 'view', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'fees', action: 'manage', roles: ['admin'] },
+  { resource: 'goals', action: 'view', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'goals', action: 'manage', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'calendar', action: 'view', roles: ['admin', 'coach'] },
+  { resource: 'calendar', action: 'manage', roles: ['admin', 'coach'] },
+  { resource: 'rsvp', action: 'view', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'rsvp', action: 'manage', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'attendance', action: 'view', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'attendance', action: 'manage', roles: ['admin', 'coach'] },
+  { resource: 'directory', action: 'view', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'directory', action: 'manage', roles: ['admin'] },
+  { resource: 'players', action: 'view', roles: ['admin'] },
+  { resource: 'players', action: 'manage', roles: ['admin'] },
+  { resource: 'guardianship', action: 'view', roles: ['admin', 'parent'] },
+  { resource: 'guardianship', action: 'manage', roles: ['admin'] },
+  { resource: 'interests', action: 'view', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'interests', action: 'manage', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'notifications', action: 'view', roles: ['admin', 'coach', 'player', 'parent'] },
+  { resource: 'notifications', action: 'manage', roles: ['admin', 'coach', 'player', 'parent'] },
 ];
 
+export type EntityOperation = 'read' | 'create' | 'update' | 'delete';
+
+export interface EntityPermission {
+  resource: string;
+  // Field linking a row to the player who owns it; players are limited to their own rows
+  // and parents to the rows of players linked to them through ParentPlayerAssignment
+  playerField?: string;
+  // Field holding a parent's email; parents only see the rows addressed to them
+  guardianField?: string;
+  // Field holding the recipient's AppUser id; non-admins only read or change rows addressed to them
+  recipientField?: string;
+}
+
+// Maps each Base44 entity onto a PERMISSIONS resource. Entities not listed here are admin-only.
+export const ENTITY_PERMISSIONS: Record<string, EntityPermission> = {
+  Player: { resource: 'profile', playerField: 'id' },
+  TeamHistory: { resource: 'profile', playerField: 'playerId' },
+  TournamentParticipation: { resource: 'profile', playerField: 'playerId' },
+  PlayerImage: { resource: 'profile', playerField: 'playerId' },
+  FieldChangeLog: { resource: 'profile', playerField: 'playerId' },
+  PlayerDocument: { resource: 'profile', playerField: 'playerId' },
+  Payment: { resource: 'payments', playerField: 'playerId' },
+  PaymentMethod: { resource: 'payments', playerField: 'playerId' },
+  PaymentPlan: { resource: 'payments', playerField: 'playerId' },
+  PlayerGoal: { resource: 'goals', playerField: 'playerId' },
+  EventRSVP: { resource: 'rsvp', playerField: 'playerId' },
+  EventAttendance: { resource: 'attendance', playerField: 'playerId' },
+  RecruitingInterest: { resource: 'interests', playerField: 'playerId' },
+  TeamEvent: { resource: 'calendar' },
+  TeamFee: { resource: 'fees' },
+  AdditionalFee: { resource: 'fees', playerField: 'playerId' },
+  Team: { resource: 'directory' },
+  Tournament: { resource: 'directory' },
+  School: { resource: 'directory' },
+  Coach: { resource: 'directory' },
+  CoachAssignment: { resource: 'directory' },
+  ParentPlayerAssignment: { resource: 'guardianship', guardianField: 'parentEmail' },
+  Notification: { resource: 'notifications', recipientField: 'recipientId' },
+};
+
+const OPERATION_ACTIONS: Record<EntityOperation, string> = {
+  read: 'view',
+  create: 'manage',
+  update: 'manage',
+  delete: 'manage',
+};
+
+export const canAccessEntity = (
+  userRole: UserRole | undefined,
+  entity: string,
+  operation: EntityOperation
+): boolean => {
+  if (!userRole) return false;
+  if (userRole === 'admin') return true;
+
+  const entityPermission = ENTITY_PERMISSIONS[entity];
+  if (!entityPermission) return false;
+
+  return hasPermission(userRole, entityPermission.resource, OPERATION_ACTIONS[operation]);
+};
+
 export const hasPermission = (
   userRole: UserRole | undefined,
   resource: string,
@@ -0,0 +1,293 @@
+/**
+ * Player profile fields
+ * Field definitions, validation and the per-role edit policy for Player
+ * records. Each field says, for every role, whether it is read-only, directly
+ * editable, or editable with staff review (submitted as a FieldChangeLog row).
+ * The portal forms and the Base44 proxy both read this policy.
+ */
+
+// FieldChangeLog status for changes waiting on staff
+export const PENDING_REVIEW = 'Pending Review';
+
+export const FIELD_ACCESS = {
+  READ_ONLY: 'read-only',
+  DIRECT: 'direct',
+  REVIEW: 'review'
+};
+
+const { READ_ONLY, DIRECT, REVIEW } = FIELD_ACCESS;
+
+// Common access rules, in player / parent / coach / admin order
+const access = (player, parent, coach = DIRECT, admin = DIRECT) => ({ player, parent, coach, admin });
+const CONTACT = access(DIRECT, DIRECT);
+const HOME = access(REVIEW, DIRECT);
+const VERIFIED = access(REVIEW, REVIEW);
+const MEDIA = access(DIRECT, DIRECT);
+const ROSTER = access(READ_ONLY, READ_ONLY);
+
+// Staff manage the record (teams, status, notes), so fields outside the policy stay editable for them
+const STAFF_ROLES = ['admin', 'coach'];
+
+export const GPA_RANGE = { min: 0, max: 5 };
+export const SAT_RANGE = { min: 400, max: 1600 };
+export const ACT_RANGE = { min: 1, max: 36 };
+
+// Graduation years accepted relative to the current year
+const GRAD_YEAR_PAST = 1;
+const GRAD_YEAR_AHEAD = 8;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\(?([0-9]{3})\)?[-. ]?([0-9]{3})[-. ]?([0-9]{4})$/;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+const matches = (pattern, message) => (value) => (pattern.test(value) ? null : message);
+
+const inRange = (label, { min, max }, { integer = false } = {}) => (value) => {
+  const number = Number(value);
+  if (Number.isNaN(number) || (integer && !Number.isInteger(number))) return `${label} must be a number`;
+  if (number < min || number > max) return `${label} must be between ${min} and ${max}`;
+  return null;
+};
+
+export const PROFILE_FIELDS = [
+  { key: 'firstName', label: 'First Name', type: 'text', required: true, access: VERIFIED },
+  { key: 'lastName', label: 'Last Name', type: 'text', required: true, access: VERIFIED },
+  {
+    key: 'dateOfBirth',
+    label: 'Date of Birth',
+    type: 'date',
+    access: VERIFIED,
+    validate: (value, now) => (new Date(value) > now ? 'Date of birth cannot be in the future' : null)
+  },
+  {
+    key: 'emailAddress',
+    label: 'Email',
+    type: 'email',
+    access: CONTACT,
+    validate: matches(EMAIL_PATTERN, 'Please enter a valid email address')
+  },
+  {
+    key: 'phoneNumber',
+    label: 'Phone',
+    type: 'tel',
+    access: CONTACT,
+    validate: matches(PHONE_PATTERN, 'Please enter a valid phone number')
+  },
+  {
+    key: 'alternatePhoneNumber',
+    label: 'Alternate Phone',
+    type: 'tel',
+    access: CONTACT,
+    validate: matches(PHONE_PATTERN, 'Please enter a valid phone number')
+  },
+  { key: 'homeAddress', label: 'Address', type: 'text', access: HOME },
+  { key: 'homeCity', label: 'City', type: 'text', access: HOME },
+  { key: 'homeState', label: 'State', type: 'text', access: HOME },
+  { key: 'homeZip', label: 'ZIP Code', type: 'text', access: HOME, validate: matches(ZIP_PATTERN, 'Please enter a valid ZIP code') },
+  { key: 'highSchool', label: 'High School', type: 'text', access: VERIFIED },
+  { key: 'height', label: 'Height', type: 'text', access: VERIFIED },
+  { key: 'weight', label: 'Weight', type: 'number', access: VERIFIED },
+  { key: 'position', label: 'Position', type: 'text', access: VERIFIED },
+  {
+    key: 'class',
+    label: 'Graduation Year',
+    type: 'number',
+    access: VERIFIED,
+    validate: (value, now) => {
+      const year = now.getFullYear();
+      return inRange('Graduation year', { min: year - GRAD_YEAR_PAST, max: year + GRAD_YEAR_AHEAD }, { integer: true })(value);
+    }
+  },
+  { key: 'gpa', label: 'GPA', type: 'number', step: '0.01', access: VERIFIED, validate: inRange('GPA', GPA_RANGE) },
+  { key: 'satScore', label: 'SAT Score', type: 'number', access: VERIFIED, validate: inRange('SAT score', SAT_RANGE, { integer: true }) },
+  { key: 'actScore', label: 'ACT Score', type: 'number', access: VERIFIED, validate: inRange('ACT score', ACT_RANGE, { integer: true }) },
+  // Recruiting outcomes are always confirmed by staff
+  { key: 'offers', label: 'Number of Offers', type: 'number', access: VERIFIED, validate: inRange('Offers', { min: 0, max: 200 }, { integer: true }) },
+  { key: 'commitment', label: 'College Commitment', type: 'text', access: VERIFIED },
+  {
+    key: 'highlightVideoUrl',
+    label: 'Highlight Video',
+    type: 'url',
+    access: MEDIA,
+    validate: matches(URL_PATTERN, 'Please enter a valid video URL')
+  },
+  // Team placement is managed by staff
+  { key: 'o7cTeam', label: 'Team', type: 'text', access: ROSTER },
+  { key: 'ageGroup', label: 'Age Group', type: 'text', access: ROSTER },
+  { key: 'region', label: 'Region', type: 'text', access: ROSTER },
+  // Written by the upload flows rather than typed into a form
+  { key: 'photoPath', label: 'Profile Photo', type: 'file', access: MEDIA },
+  { key: 'photoImageId', label: 'Profile Photo Image', type: 'file', access: MEDIA },
+  { key: 'photoUrl', label: 'Profile Photo URL', type: 'file', access: MEDIA },
+  { key: 'profileFiles', label: 'Uploaded Files', type: 'file', access: MEDIA }
+];
+
+const FIELDS_BY_KEY = Object.fromEntries(PROFILE_FIELDS.map(field => [field.key, field]));
+
+/**
+ * Look up a field definition
+ * @param {string} key
+ * @returns {Object|undefined}
+ */
+export const getProfileField = (key) => FIELDS_BY_KEY[key];
+
+/**
+ * How a role may change a Player field. Fields outside the policy are direct
+ * for staff and read-only for everyone else; roles the policy does not name
+ * are read-only.
+ * @param {string} key - Player field
+ * @param {string} role - player, parent, coach or admin
+ * @returns {'read-only'|'direct'|'review'}
+ */
+export function getFieldAccess(key, role) {
+  const field = FIELDS_BY_KEY[key];
+  if (!field) return STAFF_ROLES.includes(role) ? DIRECT : READ_ONLY;
+  return field.access[role] || READ_ONLY;
+}
+
+/**
+ * Form fields a role can change, each with its access level
+ * @param {string} role
+ * @returns {Array<Object>} PROFILE_FIELDS entries plus `mode`
+ */
+export function getEditableFields(role) {
+  return PROFILE_FIELDS
+    .filter(field => field.type !== 'file')
+    .map(field => ({ ...field, mode: getFieldAccess(field.key, role) }))
+    .filter(field => field.mode !== READ_ONLY);
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Convert a form value to what is stored on the Player
+ * @param {Object} field - Entry from PROFILE_FIELDS
+ * @param {*} value
+ * @returns {*} Numbers for number fields, trimmed strings otherwise, '' when blank
+ */
+export function normalizeProfileValue(field, value) {
+  if (isBlank(value)) return '';
+  if (field.type === 'number') return Number(value);
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Validate a single field
+ * @param {Object} field - Entry from PROFILE_FIELDS
+ * @param {*} value
+ * @param {Date} [now]
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateProfileField(field, value, now = new Date()) {
+  if (isBlank(value)) return field.required ? `${field.label} is required` : null;
+  return field.validate ? field.validate(normalizeProfileValue(field, value), now) : null;
+}
+
+/**
+ * Validate the profile fields present in `values`
+ * @param {Object} values - Form values keyed by field
+ * @param {Date} [now]
+ * @returns {Object<string, string>} Error messages keyed by field; empty when valid
+ */
+export function validateProfile(values, now = new Date()) {
+  return Object.fromEntries(
+    PROFILE_FIELDS
+      .filter(field => field.key in values)
+      .map(field => [field.key, validateProfileField(field, values[field.key], now)])
+      .filter(([, error]) => error)
+  );
+}
+
+/**
+ * Fields in `values` that differ from the Player record
+ * @param {Object} player - Player record
+ * @param {Object} values - Form values keyed by field
+ * @returns {Array<{field: string, label: string, oldValue: *, newValue: *}>}
+ */
+export function getProfileChanges(player, values) {
+  return PROFILE_FIELDS
+    .filter(field => field.key in values)
+    .map(field => ({
+      field: field.key,
+      label: field.label,
+      oldValue: normalizeProfileValue(field, player[field.key]),
+      newValue: normalizeProfileValue(field, values[field.key])
+    }))
+    .filter(change => change.oldValue !== change.newValue);
+}
+
+/**
+ * Whether two values of a field are the same once normalized
+ * @param {Object|undefined} field - Entry from PROFILE_FIELDS; other fields only treat blanks alike
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function isSameProfileValue(field, a, b) {
+  const normalize = (value) => (field ? normalizeProfileValue(field, value) : (isBlank(value) ? '' : value));
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Check a direct Player update against the edit policy. Values that match the
+ * record are ignored, so a form may send the whole record back.
+ * @param {string} role - Caller's role
+ * @param {Object} record - Player as stored
+ * @param {Object} updates - Requested field values
+ * @param {Date} [now]
+ * @returns {Array<{field: string, code: string, message: string}>} Empty when the update is allowed
+ */
+export function getPlayerUpdateViolations(role, record, updates, now = new Date()) {
+  return Object.entries(updates || {})
+    .filter(([key, value]) => key !== 'id' && !isSameProfileValue(FIELDS_BY_KEY[key], value, record[key]))
+    .flatMap(([key, value]) => {
+      const label = getProfileFieldLabel(key);
+      const mode = getFieldAccess(key, role);
+      if (mode === READ_ONLY) {
+        return [{ field: key, code: 'FIELD_READ_ONLY', message: `${label} cannot be changed` }];
+      }
+      if (mode === REVIEW) {
+        return [{ field: key, code: 'REVIEW_REQUIRED', message: `${label} changes must be submitted for review` }];
+      }
+      const field = FIELDS_BY_KEY[key];
+      const error = field ? validateProfileField(field, value, now) : null;
+      return error ? [{ field: key, code: 'INVALID_VALUE', message: error }] : [];
+    });
+}
+
+/**
+ * Split changes by how the role may make them
+ * @param {string} role
+ * @param {Array<{field: string}>} changes - From getProfileChanges
+ * @returns {{direct: Array, review: Array, readOnly: Array}}
+ */
+export function partitionChanges(role, changes) {
+  const byMode = (mode) => changes.filter(change => getFieldAccess(change.field, role) === mode);
+  return { direct: byMode(DIRECT), review: byMode(REVIEW), readOnly: byMode(READ_ONLY) };
+}
+
+/**
+ * Group FieldChangeLog rows by player for the review queue, oldest first
+ * @param {Array} changes - FieldChangeLog rows
+ * @returns {Array<{playerId: string, playerName: string, changes: Array}>}
+ */
+export function groupChangesByPlayer(changes) {
+  const groups = new Map();
+  [...changes]
+    .sort((a, b) => new Date(a.changeDate) - new Date(b.changeDate))
+    .forEach(change => {
+      if (!groups.has(change.playerId)) {
+        groups.set(change.playerId, { playerId: change.playerId, playerName: change.playerName, changes: [] });
+      }
+      groups.get(change.playerId).changes.push(change);
+    });
+  return [...groups.values()];
+}
+
+/**
+ * Label for a Player field, falling back to the raw field name
+ * @param {string} key
+ * @returns {string}
+ */
+export const getProfileFieldLabel = (key) => FIELDS_BY_KEY[key]?.label || key;
@@ -0,0 +1,248 @@
+/**
+ * Recruiting calendar evaluator
+ * Answers "what can a college coach do with this player on this day?" from the
+ * rules dataset in recruitingRules.js: the recruiting period in force for the
+ * division, and whether the player's class has reached the earliest date for
+ * each kind of contact.
+ */
+
+import { addDays, format } from 'date-fns';
+import { RECRUITING_RULES } from './recruitingRules.js';
+import { getDayKey } from './teamEvents.js';
+
+export const PERIOD_TYPES = {
+  contact: {
+    label: 'Contact period',
+    description: 'Coaches may meet in person, evaluate, call and host visits',
+    color: 'bg-green-100 text-green-800'
+  },
+  evaluation: {
+    label: 'Evaluation period',
+    description: 'Coaches may watch you play but not talk with you in person off campus',
+    color: 'bg-blue-100 text-blue-800'
+  },
+  quiet: {
+    label: 'Quiet period',
+    description: 'In-person contact only on the college campus; no off-campus evaluations',
+    color: 'bg-yellow-100 text-yellow-800'
+  },
+  dead: {
+    label: 'Dead period',
+    description: 'No in-person contact or evaluations; calls and messages are still allowed',
+    color: 'bg-red-100 text-red-800'
+  }
+};
+
+/**
+ * Kinds of recruiting interaction and the periods they are allowed in
+ */
+export const RECRUITING_INTERACTIONS = [
+  { key: 'electronic', label: 'Texts, emails and DMs from coaches', periods: ['contact', 'evaluation', 'quiet', 'dead'] },
+  { key: 'coachCalls', label: 'Phone calls from coaches', periods: ['contact', 'evaluation', 'quiet', 'dead'] },
+  { key: 'offCampusContact', label: 'In-person contact off campus', periods: ['contact'] },
+  { key: 'evaluation', label: 'Coaches watching you play off campus', periods: ['contact', 'evaluation'] },
+  { key: 'officialVisit', label: 'Official (paid) visits', periods: ['contact', 'evaluation', 'quiet'] },
+  { key: 'unofficialVisit', label: 'Unofficial visits with coaches', periods: ['contact', 'evaluation', 'quiet'] }
+];
+
+export const DEFAULT_DIVISION = 'NCAA D1';
+
+const DEFAULT_SPORT = 'football';
+
+const formatDay = (dayKey) => format(new Date(`${dayKey}T00:00:00`), 'MMM d, yyyy');
+
+/**
+ * Divisions the rules dataset covers for a sport
+ * @param {string} [sport]
+ * @param {Object} [rules]
+ * @returns {string[]}
+ */
+export function getRuleDivisions(sport = DEFAULT_SPORT, rules = RECRUITING_RULES) {
+  return Object.keys(rules.sports[sport] || {});
+}
+
+const getDivisionRules = (division, sport, rules) => rules.sports[sport]?.[division] || null;
+
+const getCycle = (divisionRules, day) =>
+  divisionRules.cycles.find(cycle => cycle.validFrom <= day && day <= cycle.validTo) || null;
+
+/**
+ * The recruiting period in force on a day
+ * @param {Date|string} date
+ * @param {Object} [options]
+ * @param {string} [options.division]
+ * @param {string} [options.sport]
+ * @param {Object} [options.rules]
+ * @returns {{type: string, label: string, description: string, start: string|null, end: string|null, note?: string}|null}
+ *   Null for a division with no rules, or a day outside every cycle in the dataset
+ */
+export function getRecruitingPeriod(date, { division = DEFAULT_DIVISION, sport = DEFAULT_SPORT, rules = RECRUITING_RULES } = {}) {
+  const divisionRules = getDivisionRules(division, sport, rules);
+  if (!divisionRules) return null;
+
+  const day = getDayKey(date);
+  const cycle = getCycle(divisionRules, day);
+  if (!cycle) return null;
+
+  const period = cycle.periods.find(entry => entry.start <= day && day <= entry.end)
+    || { type: cycle.defaultPeriod, start: null, end: null };
+  return { ...PERIOD_TYPES[period.type], ...period };
+}
+
+/**
+ * Day an earliest-contact rule opens for a graduation year
+ * @param {{yearsBeforeGrad: number, month: number, day: number}} rule
+ * @param {number|string} gradYear
+ * @returns {string} yyyy-MM-dd
+ */
+export function getOpeningDay(rule, gradYear) {
+  const year = Number(gradYear) - rule.yearsBeforeGrad;
+  return `${year}-${String(rule.month).padStart(2, '0')}-${String(rule.day).padStart(2, '0')}`;
+}
+
+/**
+ * Which recruiting interactions are allowed for a player on a day
+ * @param {Object} options
+ * @param {number|string} [options.gradYear] - Player's graduation year (`player.class`); without it only the period applies
+ * @param {Date|string} [options.date]
+ * @param {string} [options.division]
+ * @param {string} [options.sport]
+ * @param {Object} [options.rules]
+ * @returns {{version: string, division: string, period: Object, interactions: Array<{key: string, label: string, allowed: boolean, reason: 'period'|'notYet'|null, opensOn: string|null, description: string|null}>}|null}
+ *   Null when the dataset has no rules for the division on that day
+ */
+export function evaluateRecruitingRules({
+  gradYear,
+  date = new Date(),
+  division = DEFAULT_DIVISION,
+  sport = DEFAULT_SPORT,
+  rules = RECRUITING_RULES
+}) {
+  const divisionRules = getDivisionRules(division, sport, rules);
+  if (!divisionRules) return null;
+
+  const day = getDayKey(date);
+  const period = getRecruitingPeriod(date, { division, sport, rules });
+  if (!period) return null;
+
+  const interactions = RECRUITING_INTERACTIONS.map(({ key, label, periods }) => {
+    const earliest = divisionRules.earliest[key];
+    const opensOn = earliest && gradYear ? getOpeningDay(earliest, gradYear) : null;
+
+    // Too early for the player's class takes precedence; the period won't matter until then
+    if (opensOn && day < opensOn) {
+      return { key, label, allowed: false, reason: 'notYet', opensOn, description: earliest.description };
+    }
+    if (!periods.includes(period.type)) {
+      return { key, label, allowed: false, reason: 'period', opensOn: null, description: null };
+    }
+    return { key, label, allowed: true, reason: null, opensOn: null, description: null };
+  });
+
+  return { version: rules.version, division, period, interactions };
+}
+
+/**
+ * Plain-language warnings for the interactions that are not allowed
+ * @param {Object} evaluation - Result of evaluateRecruitingRules
+ * @returns {string[]}
+ */
+export function getRecruitingWarnings(evaluation) {
+  if (!evaluation) return [];
+  const { division, period, interactions } = evaluation;
+  const warnings = [];
+
+  const blockedByPeriod = interactions.filter(entry => entry.reason === 'period');
+  if (blockedByPeriod.length > 0) {
+    const until = period.end ? ` until ${formatDay(period.end)}` : '';
+    warnings.push(`${division} ${period.label.toLowerCase()}${until}: ${blockedByPeriod.map(entry => entry.label.toLowerCase()).join(', ')} not allowed`);
+  }
+
+  interactions
+    .filter(entry => entry.reason === 'notYet')
+    .forEach(entry => {
+      warnings.push(`${division}: ${entry.label.toLowerCase()} not allowed until ${formatDay(entry.opensOn)} (${entry.description})`);
+    });
+
+  return warnings;
+}
+
+/**
+ * Recruiting notices for a calendar range: periods that overlap it, earliest-contact
+ * dates that fall in it for each player's class, and tournaments coaches can't evaluate at
+ * @param {Object} options
+ * @param {{start: Date, end: Date}} options.range - Exclusive end
+ * @param {Array<Object>} [options.players] - Player records; `class` is the graduation year
+ * @param {Array<Object>} [options.events] - TeamEvents in the range
+ * @param {string} [options.division]
+ * @param {string} [options.sport]
+ * @param {Object} [options.rules]
+ * @returns {Array<{key: string, day: string, kind: 'period'|'milestone'|'event', periodType?: string, message: string}>} Sorted by day
+ */
+export function getRecruitingCalendarNotices({
+  range,
+  players = [],
+  events = [],
+  division = DEFAULT_DIVISION,
+  sport = DEFAULT_SPORT,
+  rules = RECRUITING_RULES
+}) {
+  const divisionRules = getDivisionRules(division, sport, rules);
+  if (!divisionRules) return [];
+
+  const first = getDayKey(range.start);
+  const last = getDayKey(addDays(range.end, -1));
+  const notices = [];
+
+  divisionRules.cycles
+    .flatMap(cycle => cycle.periods)
+    .filter(period => period.start <= last && period.end >= first)
+    .forEach(period => {
+      const { label, description } = PERIOD_TYPES[period.type];
+      notices.push({
+        key: `period-${period.start}`,
+        day: period.start,
+        kind: 'period',
+        periodType: period.type,
+        message: `${division} ${label.toLowerCase()} ${formatDay(period.start)} – ${formatDay(period.end)}${period.note ? ` (${period.note})` : ''}: ${description.toLowerCase()}`
+      });
+    });
+
+  players
+    .filter(player => player.class)
+    .forEach(player => {
+      // One notice per day, however many interactions open on it
+      const opening = {};
+      Object.entries(divisionRules.earliest).forEach(([key, rule]) => {
+        const day = getOpeningDay(rule, player.class);
+        if (day < first || day > last) return;
+        const { label } = RECRUITING_INTERACTIONS.find(entry => entry.key === key);
+        opening[day] = [...(opening[day] || []), label.toLowerCase()];
+      });
+      Object.entries(opening).forEach(([day, labels]) => {
+        notices.push({
+          key: `milestone-${player.id}-${day}`,
+          day,
+          kind: 'milestone',
+          message: `${player.firstName ? `${player.firstName} (class of ${player.class})` : `Class of ${player.class}`}: ${division} ${labels.join(', ')} allowed from ${formatDay(day)}`
+        });
+      });
+    });
+
+  const evaluationPeriods = RECRUITING_INTERACTIONS.find(entry => entry.key === 'evaluation').periods;
+  events
+    .filter(event => event.eventType === 'Tournament')
+    .forEach(event => {
+      const period = getRecruitingPeriod(event.startDate, { division, sport, rules });
+      if (!period || evaluationPeriods.includes(period.type)) return;
+      notices.push({
+        key: `event-${event.id}`,
+        day: getDayKey(event.startDate),
+        kind: 'event',
+        periodType: period.type,
+        message: `${event.title} falls in the ${division} ${period.label.toLowerCase()}: college coaches can't evaluate players there`
+      });
+    });
+
+  return notices.sort((a, b) => a.day.localeCompare(b.day));
+}
@@ -0,0 +1,133 @@
+/**
+ * College recruiting pipeline helpers
+ * Each college a player is targeting or talking to is a RecruitingInterest row
+ * with a `collegeName`; rows with a `teamName` are O7C team invitations instead.
+ * Targets not contacted yet have no `stage`. Once contacted, a college moves
+ * through PIPELINE_STAGES. The first time it reaches a stage is kept in
+ * `stageDates`, and every move is appended to `stageHistory`.
+ */
+
+export const PIPELINE_STAGES = [
+  { key: 'contacted', label: 'Contacted' },
+  { key: 'interested', label: 'Interested' },
+  { key: 'visit', label: 'Visit' },
+  { key: 'offered', label: 'Offered' },
+  { key: 'committed', label: 'Committed' }
+];
+
+export const STAGE_COLORS = {
+  contacted: 'bg-yellow-100 text-yellow-800',
+  interested: 'bg-blue-100 text-blue-800',
+  visit: 'bg-purple-100 text-purple-800',
+  offered: 'bg-green-100 text-green-800',
+  committed: 'bg-emerald-100 text-emerald-800'
+};
+
+const STAGE_KEYS = PIPELINE_STAGES.map(stage => stage.key);
+
+/**
+ * Whether a RecruitingInterest row tracks a college rather than a team invitation
+ * @param {Object} interest - RecruitingInterest
+ * @returns {boolean}
+ */
+export const isCollegeInterest = (interest) => Boolean(interest?.collegeName);
+
+/**
+ * @param {Object} interest - RecruitingInterest
+ * @returns {string|null} Stage key, or null for a target that has not been contacted
+ */
+export const getStage = (interest) => (STAGE_KEYS.includes(interest?.stage) ? interest.stage : null);
+
+/**
+ * @param {string} stage - Stage key
+ * @returns {string}
+ */
+export const getStageLabel = (stage) => PIPELINE_STAGES.find(entry => entry.key === stage)?.label || stage;
+
+/**
+ * Record data for a college the player is targeting or talking to
+ * @param {Object} options
+ * @param {string} options.playerId
+ * @param {string} options.collegeName
+ * @param {string} [options.division]
+ * @param {string|null} [options.stage] - Defaults to 'contacted'; null adds it as a target only
+ * @param {string} [options.notes]
+ * @param {string} options.by - Email of the user adding it
+ * @param {Date} [options.now]
+ * @returns {Object}
+ */
+export function buildCollegeInterest({ playerId, collegeName, division = '', stage = 'contacted', notes = '', by, now = new Date() }) {
+  if (stage !== null && !STAGE_KEYS.includes(stage)) throw new Error(`Unknown recruiting stage: ${stage}`);
+  const at = now.toISOString();
+
+  return {
+    playerId,
+    collegeName: collegeName.trim(),
+    division,
+    notes,
+    stage,
+    stageDates: stage ? { [stage]: at } : {},
+    stageHistory: stage ? [{ from: null, to: stage, at, by }] : [],
+    updatedAt: at
+  };
+}
+
+/**
+ * Changes that move a college to another stage, backwards included (e.g. an offer is pulled)
+ * @param {Object} interest - RecruitingInterest
+ * @param {string} stage - Stage key
+ * @param {Object} options
+ * @param {string} options.by - Email of the user making the move
+ * @param {string} [options.note]
+ * @param {Date} [options.now]
+ * @returns {{stage: string, stageDates: Object, stageHistory: Array, updatedAt: string}}
+ */
+export function moveToStage(interest, stage, { by, note, now = new Date() }) {
+  if (!STAGE_KEYS.includes(stage)) throw new Error(`Unknown recruiting stage: ${stage}`);
+  const from = getStage(interest);
+  if (from === stage) throw new Error(`${interest.collegeName} is already at ${getStageLabel(stage)}`);
+
+  const at = now.toISOString();
+  const stageDates = { ...interest.stageDates };
+  // Keep when the stage was first reached
+  if (!stageDates[stage]) stageDates[stage] = at;
+
+  return {
+    stage,
+    stageDates,
+    stageHistory: [...(interest.stageHistory || []), { from, to: stage, at, by, ...(note ? { note } : {}) }],
+    updatedAt: at
+  };
+}
+
+// Most recent move first
+const lastMovedAt = (interest) =>
+  interest.stageHistory?.[interest.stageHistory.length - 1]?.at || interest.updatedAt || '';
+
+/**
+ * Group college interests into pipeline columns
+ * @param {Array<Object>} interests - RecruitingInterest rows; team invitations and uncontacted targets are skipped
+ * @returns {Object<string, Array<Object>>} Stage key → interests, most recently moved first
+ */
+export function groupByStage(interests) {
+  const columns = Object.fromEntries(STAGE_KEYS.map(key => [key, []]));
+  interests
+    .filter(interest => isCollegeInterest(interest) && getStage(interest))
+    .forEach(interest => columns[getStage(interest)].push(interest));
+  Object.values(columns).forEach(column => column.sort((a, b) => lastMovedAt(b).localeCompare(lastMovedAt(a))));
+  return columns;
+}
+
+/**
+ * Stage moves across all colleges, newest first
+ * @param {Array<Object>} interests - RecruitingInterest rows
+ * @param {number} [limit]
+ * @returns {Array<{interest: Object, from: string|null, to: string, at: string, by: string, note?: string}>}
+ */
+export function getPipelineActivity(interests, limit = 10) {
+  return interests
+    .filter(isCollegeInterest)
+    .flatMap(interest => (interest.stageHistory || []).map(entry => ({ interest, ...entry })))
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
@@ -0,0 +1,79 @@
+/**
+ * NCAA/NAIA recruiting rules dataset
+ * Recruiting periods and the earliest dates coaches may reach out, by sport and
+ * division. Maintained by hand: when the NCAA publishes the next recruiting
+ * calendar (usually in the summer), add a new cycle, bump `version` and check
+ * the earliest-contact rules against the current Division I, II and III manuals.
+ * Period and cycle dates are inclusive `yyyy-MM-dd` days. Each cycle covers one
+ * recruiting year from `validFrom` to `validTo`; days outside every cycle have
+ * no rules rather than falling back to the default period.
+ *
+ * Earliest-contact rules are relative to the graduation year: `yearsBeforeGrad: 2`
+ * with September 1 is September 1 of the junior year for the class of that year.
+ */
+
+export const RECRUITING_RULES_VERSION = '2026-27.1';
+
+export const RECRUITING_RULES = {
+  version: RECRUITING_RULES_VERSION,
+  sports: {
+    football: {
+      'NCAA D1': {
+        cycles: [
+          {
+            validFrom: '2026-08-01',
+            validTo: '2027-07-31',
+            // Days in the cycle not covered by a listed period are quiet
+            defaultPeriod: 'quiet',
+            periods: [
+              { type: 'evaluation', start: '2026-09-01', end: '2026-11-28' },
+              { type: 'contact', start: '2026-11-29', end: '2026-12-05' },
+              { type: 'dead', start: '2026-12-06', end: '2026-12-09', note: 'Early signing period' },
+              { type: 'contact', start: '2026-12-10', end: '2026-12-13' },
+              { type: 'dead', start: '2026-12-14', end: '2027-01-10' },
+              { type: 'contact', start: '2027-01-11', end: '2027-01-30' },
+              { type: 'dead', start: '2027-01-31', end: '2027-02-03', note: 'National signing day' },
+              { type: 'evaluation', start: '2027-04-15', end: '2027-05-31' },
+              { type: 'dead', start: '2027-06-22', end: '2027-07-24' }
+            ]
+          }
+        ],
+        earliest: {
+          electronic: { yearsBeforeGrad: 2, month: 9, day: 1, description: 'September 1 of junior year' },
+          coachCalls: { yearsBeforeGrad: 2, month: 9, day: 1, description: 'September 1 of junior year' },
+          offCampusContact: { yearsBeforeGrad: 1, month: 1, day: 1, description: 'January 1 of junior year' },
+          officialVisit: { yearsBeforeGrad: 1, month: 4, day: 1, description: 'April 1 of junior year' }
+        }
+      },
+      'NCAA D2': {
+        cycles: [
+          {
+            validFrom: '2026-08-01',
+            validTo: '2027-07-31',
+            defaultPeriod: 'contact',
+            periods: [
+              { type: 'dead', start: '2027-02-01', end: '2027-02-03', note: 'National signing day' }
+            ]
+          }
+        ],
+        earliest: {
+          electronic: { yearsBeforeGrad: 2, month: 6, day: 15, description: 'June 15 after sophomore year' },
+          coachCalls: { yearsBeforeGrad: 2, month: 6, day: 15, description: 'June 15 after sophomore year' },
+          offCampusContact: { yearsBeforeGrad: 2, month: 6, day: 15, description: 'June 15 after sophomore year' },
+          officialVisit: { yearsBeforeGrad: 2, month: 6, day: 15, description: 'June 15 after sophomore year' }
+        }
+      },
+      'NCAA D3': {
+        cycles: [{ validFrom: '2026-08-01', validTo: '2027-07-31', defaultPeriod: 'contact', periods: [] }],
+        earliest: {
+          offCampusContact: { yearsBeforeGrad: 1, month: 7, day: 1, description: 'after junior year' },
+          officialVisit: { yearsBeforeGrad: 1, month: 1, day: 1, description: 'January 1 of junior year' }
+        }
+      },
+      'NAIA': {
+        cycles: [{ validFrom: '2026-08-01', validTo: '2027-07-31', defaultPeriod: 'contact', periods: [] }],
+        earliest: {}
+      }
+    }
+  }
+};
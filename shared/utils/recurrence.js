@@ -0,0 +1,366 @@
+/**
+ * Recurring team events
+ * A recurring TeamEvent stores an RRULE (RFC 5545 subset: FREQ DAILY/WEEKLY/MONTHLY,
+ * INTERVAL, BYDAY, UNTIL, COUNT) in `recurrenceRule` and per-occurrence changes in
+ * `recurrenceExceptions`, keyed by the occurrence's original start (ISO string).
+ * Occurrences are expanded on the club's wall clock (EVENT_TIMEZONE) so a 6pm
+ * practice stays at 6pm across DST, and the server and every browser derive the
+ * same occurrence starts, exception keys and RSVP keys whatever zone they run in.
+ */
+
+import { addDays, addMonths, addWeeks, getDaysInMonth, set, startOfMonth, startOfWeek } from 'date-fns';
+import { fromZonedTime, toZonedTime } from 'date-fns-tz';
+import { EVENT_TIMEZONE } from './teamEvents.js';
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on occurrences returned for one series in a window, whatever the rule says
+export const MAX_OCCURRENCES = 1000;
+
+// Fields an exception may override on a single occurrence
+const EXCEPTION_FIELDS = ['startDate', 'endDate', 'location', 'title', 'description', 'status'];
+
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+// Floating and date-only UNTIL values are read on the club's wall clock
+const parseUntil = (value, timeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+  if (!match) throw new Error(`Invalid UNTIL value: ${value}`);
+  const [, y, mo, d, h = '23', mi = '59', s = '59', utc] = match;
+  return utc
+    ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s))
+    : fromZonedTime(`${y}-${mo}-${d}T${h}:${mi}:${s}`, timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatUntil = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T` +
+    `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+/**
+ * Parse an RRULE string
+ * @param {string} rule - e.g. "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20250601T000000Z"
+ * @param {string} [timeZone] - Zone for UNTIL values without a Z
+ * @returns {{freq: string, interval: number, byDay: Array<{weekday: number, ordinal: number|null}>, until: Date|null, count: number|null}}
+ * @throws {Error} When the rule uses unsupported or malformed parts
+ */
+export function parseRRule(rule, timeZone = EVENT_TIMEZONE) {
+  const parts = String(rule || '').replace(/^RRULE:/, '').split(';').filter(Boolean);
+  const parsed = { freq: null, interval: 1, byDay: [], until: null, count: null };
+
+  parts.forEach(part => {
+    const [key, value] = part.split('=');
+    switch (key) {
+      case 'FREQ':
+        if (!RECURRENCE_FREQUENCIES.includes(value)) throw new Error(`Unsupported FREQ: ${value}`);
+        parsed.freq = value;
+        break;
+      case 'INTERVAL':
+        parsed.interval = parseInt(value, 10);
+        if (!(parsed.interval >= 1)) throw new Error(`Invalid INTERVAL: ${value}`);
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',').map(day => {
+          const match = BYDAY_PATTERN.exec(day);
+          if (!match) throw new Error(`Invalid BYDAY value: ${day}`);
+          return { weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : null };
+        });
+        break;
+      case 'UNTIL':
+        parsed.until = parseUntil(value, timeZone);
+        break;
+      case 'COUNT':
+        parsed.count = parseInt(value, 10);
+        if (!(parsed.count >= 1)) throw new Error(`Invalid COUNT: ${value}`);
+        break;
+      case 'WKST':
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  });
+
+  if (!parsed.freq) throw new Error('RRULE requires FREQ');
+  if (parsed.until && parsed.count) throw new Error('RRULE cannot have both UNTIL and COUNT');
+  return parsed;
+}
+
+/**
+ * Build an RRULE string from form values
+ * @param {{freq: string, interval?: number, byDay?: string[], until?: Date|string, count?: number}} rule
+ * @returns {string}
+ */
+export function formatRRule({ freq, interval = 1, byDay = [], until = null, count = null }) {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (until) parts.push(`UNTIL=${formatUntil(until)}`);
+  else if (count) parts.push(`COUNT=${count}`);
+  return parts.join(';');
+}
+
+// Copy the time of day from the series start onto a generated day
+const atTimeOf = (day, dtstart) => set(day, {
+  hours: dtstart.getHours(),
+  minutes: dtstart.getMinutes(),
+  seconds: dtstart.getSeconds(),
+  milliseconds: dtstart.getMilliseconds()
+});
+
+// Candidate days for one period of the rule, in order
+function periodDays(rule, dtstart, index) {
+  switch (rule.freq) {
+    case 'DAILY':
+      return [addDays(dtstart, index * rule.interval)];
+
+    case 'WEEKLY': {
+      if (rule.byDay.length === 0) return [addWeeks(dtstart, index * rule.interval)];
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const week = addWeeks(startOfWeek(dtstart, { weekStartsOn: 1 }), index * rule.interval);
+      return rule.byDay
+        .map(({ weekday }) => (weekday + 6) % 7)
+        .sort((a, b) => a - b)
+        .map(offset => atTimeOf(addDays(week, offset), dtstart));
+    }
+
+    case 'MONTHLY': {
+      const month = addMonths(startOfMonth(dtstart), index * rule.interval);
+      const daysInMonth = getDaysInMonth(month);
+
+      if (rule.byDay.length === 0) {
+        // Months without the series' day of month are skipped, not clamped
+        return dtstart.getDate() <= daysInMonth
+          ? [atTimeOf(set(month, { date: dtstart.getDate() }), dtstart)]
+          : [];
+      }
+
+      const days = rule.byDay.flatMap(({ weekday, ordinal }) => {
+        const matching = [];
+        for (let date = 1; date <= daysInMonth; date++) {
+          const day = set(month, { date });
+          if (day.getDay() === weekday) matching.push(day);
+        }
+        if (ordinal === null) return matching;
+        const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        return picked ? [picked] : [];
+      });
+
+      return days
+        .sort((a, b) => a - b)
+        .map(day => atTimeOf(day, dtstart));
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Generate the original start times of a series from `from` up to (not including) `end`.
+ * COUNT still counts from the series start; MAX_OCCURRENCES caps what falls in the window.
+ * @param {Date} dtstart - Series start
+ * @param {Object} rule - Parsed rule from parseRRule
+ * @param {Date} end - Stop generating at this time
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Drop starts before this time
+ * @param {string} [options.timeZone] - Zone whose wall clock the rule follows
+ * @returns {Date[]}
+ */
+export function generateSeriesStarts(dtstart, rule, end, { from = dtstart, timeZone = EVENT_TIMEZONE } = {}) {
+  const starts = [];
+  let generated = 0;
+  const isDone = () => starts.length >= MAX_OCCURRENCES || (rule.count && generated >= rule.count);
+
+  // Periods are laid out on the zone's wall clock, then mapped back to instants
+  const wallStart = toZonedTime(dtstart, timeZone);
+  const toInstant = (day) => fromZonedTime(day, timeZone);
+
+  for (let index = 0; !isDone(); index++) {
+    const days = periodDays(rule, wallStart, index).map(toInstant);
+    // Stop once a whole period starts past the end of the window
+    const periodStart = rule.freq === 'MONTHLY'
+      ? toInstant(addMonths(startOfMonth(wallStart), index * rule.interval))
+      : days[0];
+    if (!periodStart || periodStart >= end || (rule.until && periodStart > rule.until)) break;
+
+    for (const day of days) {
+      if (day < dtstart) continue;
+      if (day >= end || (rule.until && day > rule.until) || isDone()) break;
+      generated++;
+      if (day >= from) starts.push(day);
+    }
+  }
+
+  return starts;
+}
+
+/**
+ * Whether a TeamEvent is a recurring series
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function isRecurringEvent(event) {
+  return !!(event && event.isRecurring && event.recurrenceRule);
+}
+
+const exceptionMap = (event) => new Map(
+  (event.recurrenceExceptions || []).map(exception => [
+    new Date(exception.originalStart).toISOString(),
+    exception
+  ])
+);
+
+const getDuration = (event) =>
+  event.endDate ? new Date(event.endDate) - new Date(event.startDate) : null;
+
+const buildOccurrence = (event, original, duration) => {
+  const occurrenceStart = original.toISOString();
+  return {
+    ...event,
+    startDate: occurrenceStart,
+    endDate: duration === null ? event.endDate : new Date(original.getTime() + duration).toISOString(),
+    seriesId: event.id,
+    occurrenceStart,
+    occurrenceId: `${event.id}_${occurrenceStart}`
+  };
+};
+
+/**
+ * Apply an exception's overrides to an occurrence
+ * @param {Object} occurrence
+ * @param {Object} exception
+ * @returns {Object}
+ */
+export function applyException(occurrence, exception) {
+  const overrides = Object.fromEntries(
+    EXCEPTION_FIELDS
+      .filter(field => exception[field] !== undefined)
+      .map(field => [field, exception[field]])
+  );
+  return { ...occurrence, ...overrides, isException: true };
+}
+
+/**
+ * Expand a TeamEvent into the occurrences that start within a range.
+ * One-off events are returned as-is when they start in the range.
+ * Every occurrence keeps `id` pointing at the series (for RSVPs and edits) and gains
+ * `occurrenceStart` (original start, ISO) and a unique `occurrenceId`.
+ * @param {Object} event - TeamEvent
+ * @param {{start: Date, end: Date}} range - Range with an exclusive end
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCancelled] - Keep cancelled occurrences (with status 'Cancelled')
+ * @param {string} [options.timeZone] - Zone the series is scheduled in
+ * @returns {Array}
+ */
+export function expandEvent(event, { start, end }, { includeCancelled = false, timeZone = EVENT_TIMEZONE } = {}) {
+  const inRange = (date) => date >= start && date < end;
+
+  if (!isRecurringEvent(event)) {
+    return inRange(new Date(event.startDate)) ? [event] : [];
+  }
+
+  const rule = parseRRule(event.recurrenceRule, timeZone);
+  const dtstart = new Date(event.startDate);
+  const duration = getDuration(event);
+  const exceptions = exceptionMap(event);
+
+  // Moved occurrences can land in the range even when their original slot is outside it
+  const originals = [...exceptions.keys()].map(key => new Date(key).getTime());
+  const horizon = Math.max(end.getTime(), ...originals.map(time => time + 1));
+  const earliest = Math.min(start.getTime(), ...originals);
+
+  return generateSeriesStarts(dtstart, rule, new Date(horizon), { from: new Date(earliest), timeZone }).flatMap(original => {
+    const base = buildOccurrence(event, original, duration);
+    const exception = exceptions.get(base.occurrenceStart);
+    const occurrence = exception ? applyException(base, exception) : base;
+
+    if (occurrence.status === 'Cancelled' && !includeCancelled) return [];
+    return inRange(new Date(occurrence.startDate)) ? [occurrence] : [];
+  });
+}
+
+/**
+ * Expand a list of events and sort the occurrences by start
+ * @param {Array} events - TeamEvents
+ * @param {{start: Date, end: Date}} range
+ * @param {Object} [options] - See expandEvent
+ * @returns {Array}
+ */
+export function expandEvents(events, range, options) {
+  return events
+    .flatMap(event => {
+      try {
+        return expandEvent(event, range, options);
+      } catch (error) {
+        console.error(`Skipping event ${event.id} with invalid recurrence:`, error);
+        return [];
+      }
+    })
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+}
+
+/**
+ * Return a series' exceptions with one occurrence changed
+ * @param {Object} event - Series TeamEvent
+ * @param {string} occurrenceStart - Original start of the occurrence
+ * @param {Object} changes - Overrides, e.g. { status: 'Cancelled' } or { startDate, endDate }
+ * @returns {Array} New recurrenceExceptions value
+ */
+export function withOccurrenceException(event, occurrenceStart, changes) {
+  const key = new Date(occurrenceStart).toISOString();
+  const existing = (event.recurrenceExceptions || []).find(
+    exception => new Date(exception.originalStart).toISOString() === key
+  );
+  const others = (event.recurrenceExceptions || []).filter(exception => exception !== existing);
+  return [...others, { ...existing, ...changes, originalStart: key }];
+}
+
+/**
+ * Key identifying an RSVP: the event for one-off events, the occurrence for series
+ * @param {string} eventId
+ * @param {string|null} [occurrenceStart]
+ * @returns {string}
+ */
+export function getRsvpKey(eventId, occurrenceStart = null) {
+  return occurrenceStart ? `${eventId}@${new Date(occurrenceStart).toISOString()}` : eventId;
+}
+
+/**
+ * Whether a start is one the series generates, cancelled or not
+ * @param {Object} event - Series TeamEvent
+ * @param {string} occurrenceStart - Claimed original start
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Zone the series is scheduled in
+ * @returns {boolean}
+ */
+export function isSeriesOccurrence(event, occurrenceStart, { timeZone = EVENT_TIMEZONE } = {}) {
+  const original = new Date(occurrenceStart);
+  if (!isRecurringEvent(event) || !occurrenceStart || Number.isNaN(original.getTime())) return false;
+
+  try {
+    const rule = parseRRule(event.recurrenceRule, timeZone);
+    return generateSeriesStarts(new Date(event.startDate), rule, new Date(original.getTime() + 1), { from: original, timeZone })
+      .some(start => start.getTime() === original.getTime());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a single occurrence of an event, with its exception applied
+ * @param {Object} event - TeamEvent
+ * @param {string|null} [occurrenceStart] - Original start; ignored for one-off events
+ * @returns {Object}
+ */
+export function getOccurrence(event, occurrenceStart = null) {
+  if (!isRecurringEvent(event) || !occurrenceStart) return event;
+
+  const base = buildOccurrence(event, new Date(occurrenceStart), getDuration(event));
+  const exception = exceptionMap(event).get(base.occurrenceStart);
+  return exception ? applyException(base, exception) : base;
+}
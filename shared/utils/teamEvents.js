@@ -0,0 +1,243 @@
+/**
+ * Team event helpers
+ * Date ranges for calendar views, event type metadata and merging of events
+ * across the players a user follows.
+ */
+
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  startOfDay,
+  startOfMonth,
+  startOfWeek
+} from 'date-fns';
+
+// vite.config.js exposes EVENT_TIMEZONE to the browser alongside the VITE_ variables
+const configuredTimeZone = () =>
+  (typeof process !== 'undefined' && process.env?.EVENT_TIMEZONE) ||
+  (import.meta.env && import.meta.env.EVENT_TIMEZONE) ||
+  null;
+
+/**
+ * IANA time zone the club schedules events in. Recurring series are expanded
+ * and exported on this zone's clock by the API and the browser alike.
+ */
+export const EVENT_TIMEZONE = configuredTimeZone() || 'UTC';
+
+export const EVENT_TYPES = ['Practice', 'Game', 'Tournament', 'Team Meeting', 'Fundraiser'];
+
+export const EVENT_TYPE_COLORS = {
+  'Practice': 'bg-blue-100 text-blue-800',
+  'Game': 'bg-green-100 text-green-800',
+  'Tournament': 'bg-purple-100 text-purple-800',
+  'Team Meeting': 'bg-yellow-100 text-yellow-800',
+  'Fundraiser': 'bg-orange-100 text-orange-800',
+  'Other': 'bg-gray-100 text-gray-800'
+};
+
+/**
+ * Colors assigned to players in order, so a parent can tell whose event is whose
+ */
+export const PLAYER_COLORS = [
+  { dot: 'bg-blue-500', border: 'border-l-blue-500', text: 'text-blue-700' },
+  { dot: 'bg-emerald-500', border: 'border-l-emerald-500', text: 'text-emerald-700' },
+  { dot: 'bg-rose-500', border: 'border-l-rose-500', text: 'text-rose-700' },
+  { dot: 'bg-amber-500', border: 'border-l-amber-500', text: 'text-amber-700' },
+  { dot: 'bg-violet-500', border: 'border-l-violet-500', text: 'text-violet-700' },
+  { dot: 'bg-cyan-500', border: 'border-l-cyan-500', text: 'text-cyan-700' }
+];
+
+export const CALENDAR_VIEWS = ['month', 'week', 'agenda'];
+
+// Number of days the agenda view shows from the current date
+export const AGENDA_DAYS = 30;
+
+const WEEK_OPTIONS = { weekStartsOn: 0 };
+
+/**
+ * Get the color class for an event type
+ * @param {string} eventType - TeamEvent.eventType
+ * @returns {string} Tailwind classes
+ */
+export function getEventTypeColor(eventType) {
+  return EVENT_TYPE_COLORS[eventType] || EVENT_TYPE_COLORS['Other'];
+}
+
+/**
+ * Get the color assigned to a player by their position in the list
+ * @param {number} index - Player index
+ * @returns {{dot: string, border: string, text: string}}
+ */
+export function getPlayerColor(index) {
+  return PLAYER_COLORS[index % PLAYER_COLORS.length];
+}
+
+/**
+ * Get the visible date range for a calendar view
+ * @param {'month'|'week'|'agenda'} view - Calendar view
+ * @param {Date} date - Date the view is focused on
+ * @returns {{start: Date, end: Date}} Range with an exclusive end
+ */
+export function getViewRange(view, date) {
+  switch (view) {
+    case 'month':
+      return {
+        start: startOfWeek(startOfMonth(date), WEEK_OPTIONS),
+        end: addDays(startOfDay(endOfWeek(endOfMonth(date), WEEK_OPTIONS)), 1)
+      };
+    case 'week':
+      return {
+        start: startOfWeek(date, WEEK_OPTIONS),
+        end: addWeeks(startOfWeek(date, WEEK_OPTIONS), 1)
+      };
+    case 'agenda':
+    default:
+      return {
+        start: startOfDay(date),
+        end: addDays(startOfDay(date), AGENDA_DAYS)
+      };
+  }
+}
+
+/**
+ * Move the focused date one period forward or back
+ * @param {'month'|'week'|'agenda'} view - Calendar view
+ * @param {Date} date - Current focused date
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {Date}
+ */
+export function shiftViewDate(view, date, direction) {
+  switch (view) {
+    case 'month':
+      return addMonths(date, direction);
+    case 'week':
+      return addWeeks(date, direction);
+    case 'agenda':
+    default:
+      return addDays(date, direction * AGENDA_DAYS);
+  }
+}
+
+/**
+ * Get every day in a view's range, for rendering grid cells
+ * @param {'month'|'week'|'agenda'} view - Calendar view
+ * @param {Date} date - Focused date
+ * @returns {Date[]}
+ */
+export function getViewDays(view, date) {
+  const { start, end } = getViewRange(view, date);
+  return eachDayOfInterval({ start, end: addDays(end, -1) });
+}
+
+/**
+ * Key used to bucket events by local calendar day
+ * @param {Date|string} date
+ * @returns {string} yyyy-MM-dd
+ */
+export function getDayKey(date) {
+  return format(new Date(date), 'yyyy-MM-dd');
+}
+
+/**
+ * Group events by the day they start on
+ * @param {Array} events - Events with a startDate
+ * @returns {Object<string, Array>} Map of day key to events sorted by start
+ */
+export function groupEventsByDay(events) {
+  return events.reduce((groups, event) => {
+    const key = getDayKey(event.startDate);
+    groups[key] = groups[key] || [];
+    groups[key].push(event);
+    return groups;
+  }, {});
+}
+
+/**
+ * Find which of the given players an event applies to
+ * @param {Object} event - TeamEvent with teamIds
+ * @param {Array} players - Players with teamIds
+ * @returns {Array} Players on at least one of the event's teams
+ */
+export function getEventPlayers(event, players) {
+  const eventTeams = event.teamIds || [];
+  return players.filter(player =>
+    (player.teamIds || []).some(teamId => eventTeams.includes(teamId))
+  );
+}
+
+/**
+ * Unique key for an event or one occurrence of a recurring event
+ * @param {Object} event
+ * @returns {string}
+ */
+export function getEventKey(event) {
+  return event.occurrenceId || event.id;
+}
+
+/**
+ * Merge events for several players into one sorted, de-duplicated list.
+ * Each event gets a `playerIds` array naming the players it applies to.
+ * @param {Array} events - TeamEvents (may contain duplicates)
+ * @param {Array} players - Players whose teams the events were loaded for
+ * @returns {Array}
+ */
+export function mergePlayerEvents(events, players) {
+  const byId = new Map();
+  events.forEach(event => {
+    const key = getEventKey(event);
+    if (!byId.has(key)) {
+      byId.set(key, {
+        ...event,
+        playerIds: getEventPlayers(event, players).map(player => player.id)
+      });
+    }
+  });
+
+  return Array.from(byId.values()).sort(
+    (a, b) => new Date(a.startDate) - new Date(b.startDate)
+  );
+}
+
+/**
+ * Collect the team ids across a set of players
+ * @param {Array} players - Players with teamIds
+ * @returns {string[]}
+ */
+export function getPlayersTeamIds(players) {
+  return [...new Set(players.flatMap(player => player.teamIds || []))];
+}
+
+/**
+ * When RSVPs close for an event or occurrence. `rsvpDeadline` is an absolute
+ * date for one-off events; `rsvpDeadlineHours` closes RSVPs that many hours
+ * before each start, which also works for recurring series. Without either,
+ * RSVPs stay open until the event starts.
+ * @param {Object} event - TeamEvent or expanded occurrence
+ * @returns {Date}
+ */
+export function getRsvpDeadline(event) {
+  const start = new Date(event.startDate);
+  if (event.rsvpDeadline && !event.occurrenceId) {
+    const deadline = new Date(event.rsvpDeadline);
+    return deadline < start ? deadline : start;
+  }
+  if (event.rsvpDeadlineHours > 0) {
+    return new Date(start.getTime() - event.rsvpDeadlineHours * 60 * 60 * 1000);
+  }
+  return start;
+}
+
+/**
+ * Whether players can still RSVP to an event
+ * @param {Object} event - TeamEvent or expanded occurrence
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isRsvpOpen(event, now = new Date()) {
+  return !!event.requiresRSVP && event.status !== 'Cancelled' && now < getRsvpDeadline(event);
+}
@@ -8,60 +8,71 @@ import Recruiting from './pages/Recruiting';
 import Calendar from './pages/Calendar';
 import Messages from './pages/Messages';
 import Players from './pages/Players';
+import CheckIn from './pages/CheckIn';
+import { ActivePlayerProvider } from './contexts/ActivePlayerContext';
 import './App.css';
 
 function App() {
   return (
     <div className="min-h-screen bg-gray-100">
       <AuthProvider>
-        <Router>
-          <Routes>
-            {/* Protected routes with Player Portal access */}
-            <Route path="/" element={
-              <ProtectedRoute>
-                <Layout>
-                  <Dashboard />
-                </Layout>
-              </ProtectedRoute>
-            } />
-            <Route path="/profile" element={
-              <ProtectedRoute>
-                <Layout>
-                  <Profile />
-                </Layout>
-              </ProtectedRoute>
-            } />
-            <Route path="/recruiting" element={
-              <ProtectedRoute>
-                <Layout>
-                  <Recruiting />
-                </Layout>
-              </ProtectedRoute>
-            } />
-            <Route path="/calendar" element={
-              <ProtectedRoute>
-                <Layout>
-                  <Calendar />
-                </Layout>
-              </ProtectedRoute>
-            } />
-            <Route path="/messages" element={
-              <ProtectedRoute>
-                <Layout>
-                  <Messages />
-                </Layout>
-              </ProtectedRoute>
-            } />
-            {/* Parent-only routes */}
-            <Route path="/players" element={
-              <ProtectedRoute allowedRoles={['parent']}>
-                <Layout>
-                  <Players />
-                </Layout>
-              </ProtectedRoute>
-            } />
-          </Routes>
-        </Router>
+        <ActivePlayerProvider>
+          <Router>
+            <Routes>
+              {/* Protected routes with Player Portal access */}
+              <Route path="/" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Dashboard />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/profile" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Profile />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/recruiting" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Recruiting />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/calendar" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Calendar />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/messages" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Messages />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              <Route path="/check-in" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <CheckIn />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              {/* Parent-only routes */}
+              <Route path="/players" element={
+                <ProtectedRoute allowedRoles={['parent']}>
+                  <Layout>
+                    <Players />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+            </Routes>
+          </Router>
+        </ActivePlayerProvider>
       </AuthProvider>
     </div>
   );
@@ -4,10 +4,12 @@ import { useAuth } from '@o7c/shared';
 import { Button } from '@o7c/shared';
 import { getUrl } from '@o7c/shared/utils/envConfig';
 import { Menu, User, Calendar, MessageSquare, Trophy, Home, Users } from 'lucide-react';
+import { useActivePlayer } from '../contexts/ActivePlayerContext';
 
 const Layout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const { userData, logout } = useAuth();
+  const { players, activePlayer, setActivePlayerId } = useActivePlayer();
   const location = useLocation();
   const navigate = useNavigate();
 
@@ -52,6 +54,27 @@ const Layout = ({ children }) => {
             <h1 className="text-xl font-bold text-white">Player Portal</h1>
           </div>
 
+          {/* Child switcher */}
+          {userData?.role === 'parent' && players.length > 0 && (
+            <div className="px-4 pt-4">
+              <label htmlFor="active-player" className="block text-xs font-medium text-gray-500 mb-1">
+                Viewing
+              </label>
+              <select
+                id="active-player"
+                value={activePlayer?.id || ''}
+                onChange={(e) => setActivePlayerId(e.target.value)}
+                className="w-full border rounded-md px-3 py-2 text-sm"
+              >
+                {players.map(player => (
+                  <option key={player.id} value={player.id}>
+                    {player.firstName} {player.lastName}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Navigation */}
           <nav className="flex-1 px-4 py-6 space-y-2">
             {currentNavigation.map((item) => {
@@ -0,0 +1,37 @@
+import { format } from 'date-fns';
+import { getEventKey } from '@o7c/shared/utils/teamEvents';
+import { canTakeAttendance } from '@o7c/shared/utils/attendance';
+import CalendarEvent from './CalendarEvent';
+
+const AgendaView = ({ eventsByDay, playerColors, playerNames, role, onTakeAttendance }) => {
+  const dayKeys = Object.keys(eventsByDay).sort();
+
+  if (dayKeys.length === 0) {
+    return <p className="py-8 text-center text-sm text-gray-500">No events in this period</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {dayKeys.map(dayKey => (
+        <div key={dayKey}>
+          <h3 className="mb-2 text-sm font-semibold text-gray-700">
+            {format(new Date(`${dayKey}T00:00:00`), 'EEEE, MMMM d')}
+          </h3>
+          <div className="space-y-3">
+            {eventsByDay[dayKey].map(event => (
+              <CalendarEvent
+                key={getEventKey(event)}
+                event={event}
+                playerColors={playerColors}
+                playerNames={playerNames}
+                onTakeAttendance={onTakeAttendance && canTakeAttendance(event, role) ? onTakeAttendance : null}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AgendaView;
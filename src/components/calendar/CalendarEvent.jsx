@@ -0,0 +1,92 @@
+import { format } from 'date-fns';
+import { Button } from '@o7c/shared';
+import { ClipboardCheck, Clock, MapPin } from 'lucide-react';
+import { getEventTypeColor } from '@o7c/shared/utils/teamEvents';
+
+const formatTimeRange = (event) => {
+  const start = new Date(event.startDate);
+  if (!event.endDate) return format(start, 'h:mm a');
+  return `${format(start, 'h:mm a')} - ${format(new Date(event.endDate), 'h:mm a')}`;
+};
+
+/**
+ * Dots showing which of a parent's children an event belongs to
+ */
+export const PlayerDots = ({ event, playerColors }) => {
+  if (!playerColors || !event.playerIds) return null;
+
+  return (
+    <span className="inline-flex items-center gap-1">
+      {event.playerIds.map(playerId => playerColors[playerId] && (
+        <span
+          key={playerId}
+          className={`w-2 h-2 rounded-full ${playerColors[playerId].dot}`}
+        />
+      ))}
+    </span>
+  );
+};
+
+/**
+ * Compact event chip used in month and week grids
+ */
+export const EventChip = ({ event, playerColors }) => {
+  const border = playerColors && event.playerIds?.length > 0
+    ? `border-l-4 ${playerColors[event.playerIds[0]]?.border || ''}`
+    : '';
+
+  return (
+    <div
+      className={`truncate rounded px-1.5 py-0.5 text-xs ${getEventTypeColor(event.eventType)} ${border}`}
+      title={`${event.title} · ${formatTimeRange(event)}`}
+    >
+      <span className="font-medium">{format(new Date(event.startDate), 'h:mma').toLowerCase()}</span>{' '}
+      {event.title}
+    </div>
+  );
+};
+
+/**
+ * Full event row used in the agenda; staff get an attendance button when
+ * `onTakeAttendance` is passed
+ */
+const CalendarEvent = ({ event, playerColors, playerNames, onTakeAttendance }) => (
+  <div className="flex items-start space-x-4 p-4 border rounded-lg hover:bg-gray-50">
+    <div className="flex-shrink-0">
+      <div className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getEventTypeColor(event.eventType)}`}>
+        {event.eventType || 'Other'}
+      </div>
+    </div>
+    <div className="flex-1 min-w-0">
+      <h4 className="text-sm font-medium text-gray-900">{event.title}</h4>
+      <div className="mt-1 flex items-center text-sm text-gray-500">
+        <Clock className="w-4 h-4 mr-1" />
+        {formatTimeRange(event)}
+      </div>
+      {event.location && (
+        <div className="mt-1 flex items-center text-sm text-gray-500">
+          <MapPin className="w-4 h-4 mr-1" />
+          {event.location}
+        </div>
+      )}
+      {playerColors && event.playerIds?.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-2">
+          {event.playerIds.map(playerId => (
+            <span key={playerId} className={`inline-flex items-center text-xs ${playerColors[playerId]?.text || ''}`}>
+              <span className={`w-2 h-2 mr-1 rounded-full ${playerColors[playerId]?.dot || ''}`} />
+              {playerNames[playerId]}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+    {onTakeAttendance && (
+      <Button size="sm" variant="outline" onClick={() => onTakeAttendance(event)}>
+        <ClipboardCheck className="h-4 w-4 mr-1" />
+        Attendance
+      </Button>
+    )}
+  </div>
+);
+
+export default CalendarEvent;
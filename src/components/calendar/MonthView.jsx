@@ -0,0 +1,55 @@
+import { format, isSameMonth, isToday } from 'date-fns';
+import { getDayKey, getEventKey, getViewDays } from '@o7c/shared/utils/teamEvents';
+import { EventChip } from './CalendarEvent';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Events shown per cell before collapsing into "+N more"
+const MAX_CELL_EVENTS = 3;
+
+const MonthView = ({ date, eventsByDay, playerColors, onSelectDay }) => {
+  const days = getViewDays('month', date);
+
+  return (
+    <div>
+      <div className="grid grid-cols-7 border-b text-xs font-medium text-gray-500">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="px-2 py-1 text-center">{day}</div>
+        ))}
+      </div>
+      <div className="grid grid-cols-7">
+        {days.map(day => {
+          const dayEvents = eventsByDay[getDayKey(day)] || [];
+          const hidden = dayEvents.length - MAX_CELL_EVENTS;
+
+          return (
+            <button
+              key={day.toISOString()}
+              type="button"
+              onClick={() => onSelectDay(day)}
+              className={`min-h-24 border-b border-r p-1 text-left align-top hover:bg-gray-50 ${
+                isSameMonth(day, date) ? '' : 'bg-gray-50 text-gray-400'
+              }`}
+            >
+              <div className={`mb-1 text-xs font-medium ${
+                isToday(day) ? 'inline-flex h-5 w-5 items-center justify-center rounded-full bg-blue-600 text-white' : ''
+              }`}>
+                {format(day, 'd')}
+              </div>
+              <div className="space-y-1">
+                {dayEvents.slice(0, MAX_CELL_EVENTS).map(event => (
+                  <EventChip key={getEventKey(event)} event={event} playerColors={playerColors} />
+                ))}
+                {hidden > 0 && (
+                  <div className="text-xs text-gray-500">+{hidden} more</div>
+                )}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default MonthView;
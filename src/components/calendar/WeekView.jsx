@@ -0,0 +1,34 @@
+import { format, isToday } from 'date-fns';
+import { getDayKey, getEventKey, getViewDays } from '@o7c/shared/utils/teamEvents';
+import { EventChip } from './CalendarEvent';
+
+const WeekView = ({ date, eventsByDay, playerColors }) => {
+  const days = getViewDays('week', date);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+      {days.map(day => {
+        const dayEvents = eventsByDay[getDayKey(day)] || [];
+
+        return (
+          <div key={day.toISOString()} className="min-h-40 rounded-lg border p-2">
+            <div className={`mb-2 text-sm font-medium ${isToday(day) ? 'text-blue-600' : 'text-gray-700'}`}>
+              {format(day, 'EEE d')}
+            </div>
+            <div className="space-y-1">
+              {dayEvents.length === 0 ? (
+                <p className="text-xs text-gray-400">No events</p>
+              ) : (
+                dayEvents.map(event => (
+                  <EventChip key={getEventKey(event)} event={event} playerColors={playerColors} />
+                ))
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default WeekView;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { Card, CardContent, CardHeader, CardTitle, Button } from '@o7c/shared';
+import { Player } from '@o7c/shared';
+import { listForEvent, record as recordAttendance } from '@o7c/shared/api/entities/EventAttendance';
+import { filter as filterEventRSVPs } from '@o7c/shared/api/entities/EventRSVP';
+import { openCheckIn } from '@o7c/shared/api/checkIn';
+import { ATTENDANCE_STATUSES, ATTENDANCE_STATUS_COLORS, getAttendanceKey } from '@o7c/shared/utils/attendance';
+import { getRsvpKey } from '@o7c/shared/utils/recurrence';
+import { QrCode, Users, XCircle } from 'lucide-react';
+
+// Coach view for taking attendance at one event occurrence, by roster or QR code
+const AttendanceCheckIn = ({ event, onClose }) => {
+  const [roster, setRoster] = useState([]);
+  const [attendance, setAttendance] = useState({});
+  const [rsvps, setRsvps] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+  const [qr, setQr] = useState(null);
+
+  const eventKey = getRsvpKey(event.id, event.occurrenceStart);
+
+  useEffect(() => {
+    loadRoster();
+  }, [eventKey]);
+
+  const loadRoster = async () => {
+    setLoading(true);
+    try {
+      const [players, records, eventRsvps] = await Promise.all([
+        Player.filter({ teamIds: { in: event.teamIds || [] } }),
+        listForEvent(event.id, event.occurrenceStart),
+        filterEventRSVPs({ eventId: event.id })
+      ]);
+
+      setRoster((players || []).sort((a, b) => (a.lastName || '').localeCompare(b.lastName || '')));
+      setAttendance(Object.fromEntries(records.map(row => [row.playerId, row])));
+      setRsvps(Object.fromEntries(
+        (eventRsvps || [])
+          .filter(rsvp => getAttendanceKey(rsvp) === eventKey)
+          .map(rsvp => [rsvp.playerId, rsvp.status])
+      ));
+    } catch (error) {
+      console.error('Error loading roster:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMark = async (player, status) => {
+    setSaving(player.id);
+    try {
+      const saved = await recordAttendance(attendance[player.id], {
+        eventId: event.id,
+        occurrenceStart: event.occurrenceStart || null,
+        playerId: player.id,
+        playerName: `${player.firstName} ${player.lastName}`,
+        status,
+        method: 'roster'
+      });
+      setAttendance(prev => ({ ...prev, [player.id]: { ...prev[player.id], ...saved, status } }));
+    } catch (error) {
+      console.error('Error recording attendance:', error);
+      alert('Error recording attendance. Please try again.');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleMarkRemainingAbsent = async () => {
+    for (const player of roster.filter(p => !attendance[p.id])) {
+      await handleMark(player, 'Absent');
+    }
+  };
+
+  const handleShowQr = async () => {
+    try {
+      const { url, expiresAt, closesAt } = await openCheckIn(event);
+      setQr({ dataUrl: await QRCode.toDataURL(url, { width: 256, margin: 1 }), expiresAt, closesAt });
+    } catch (error) {
+      console.error('Error opening check-in:', error);
+      setQr(null);
+      // Outside the check-in window the server says when it opens or that it has closed
+      alert(error.status === 409 || error.status === 410 ? error.message : 'Error opening QR check-in. Please try again.');
+    }
+  };
+
+  // Each code only lasts a few minutes, so swap in a fresh one while the QR code is shown
+  useEffect(() => {
+    if (!qr) return undefined;
+    const timer = setTimeout(handleShowQr, Math.max((new Date(qr.expiresAt) - Date.now()) / 2, 15000));
+    return () => clearTimeout(timer);
+  }, [qr]);
+
+  const recorded = roster.filter(player => attendance[player.id]).length;
+
+  return (
+    <Card className="border-green-200">
+      <CardHeader>
+        <CardTitle className="flex justify-between items-center">
+          <span className="flex items-center gap-2">
+            <Users className="h-5 w-5" />
+            Attendance: {event.title}
+          </span>
+          <Button variant="ghost" size="sm" onClick={onClose}>
+            <XCircle className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button size="sm" variant="outline" onClick={() => (qr ? setQr(null) : handleShowQr())}>
+            <QrCode className="h-4 w-4 mr-1" />
+            {qr ? 'Hide QR Code' : 'Show QR Code'}
+          </Button>
+          <Button size="sm" variant="outline" disabled={saving !== null} onClick={handleMarkRemainingAbsent}>
+            Mark Remaining Absent
+          </Button>
+          <span className="text-sm text-muted-foreground">
+            {recorded} of {roster.length} recorded
+          </span>
+        </div>
+
+        {qr && (
+          <div className="flex flex-col items-center gap-2 rounded-md border p-4">
+            <img src={qr.dataUrl} alt="Check-in QR code" className="h-64 w-64" />
+            <p className="text-sm text-muted-foreground">
+              Players scan to check in. The code changes every few minutes; check-in closes {new Date(qr.closesAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}.
+            </p>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="animate-pulse bg-gray-200 h-32 rounded-lg"></div>
+        ) : roster.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No players are on this event's teams.</p>
+        ) : (
+          <div className="divide-y">
+            {roster.map(player => {
+              const current = attendance[player.id]?.status;
+              return (
+                <div key={player.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                  <div>
+                    <p className="font-medium">{player.firstName} {player.lastName}</p>
+                    <p className="text-xs text-muted-foreground">
+                      RSVP: {rsvps[player.id] || 'No Response'}
+                      {attendance[player.id]?.method === 'qr' && ' · checked in by QR'}
+                    </p>
+                  </div>
+                  <div className="flex gap-1">
+                    {ATTENDANCE_STATUSES.map(status => (
+                      <Button
+                        key={status}
+                        size="sm"
+                        variant="outline"
+                        disabled={saving === player.id}
+                        className={current === status ? ATTENDANCE_STATUS_COLORS[status] : ''}
+                        onClick={() => handleMark(player, status)}
+                      >
+                        {status}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AttendanceCheckIn;
@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
+import { filter as filterAttendance } from '@o7c/shared/api/entities/EventAttendance';
+import { filter as filterEventRSVPs } from '@o7c/shared/api/entities/EventRSVP';
+import { filter as filterTeamEvents } from '@o7c/shared/api/entities/TeamEvent';
+import { ATTENDANCE_STATUSES, ATTENDANCE_STATUS_COLORS, summarizeAttendance, compareWithRsvps } from '@o7c/shared/utils/attendance';
+import { getOccurrence } from '@o7c/shared/utils/recurrence';
+import { ClipboardCheck, AlertTriangle } from 'lucide-react';
+
+// Number of recent events listed under the totals
+const RECENT_EVENTS = 10;
+
+const GAP_LABELS = {
+  'no-show': 'Said attending',
+  unexpected: 'Said not attending'
+};
+
+const AttendanceHistory = ({ player }) => {
+  const [rows, setRows] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadHistory();
+  }, [player?.id]);
+
+  const loadHistory = async () => {
+    if (!player?.id) return;
+
+    setLoading(true);
+    try {
+      const [records, rsvps] = await Promise.all([
+        filterAttendance({ playerId: player.id }),
+        filterEventRSVPs({ playerId: player.id })
+      ]);
+
+      const eventIds = [...new Set((records || []).map(record => record.eventId))];
+      const events = eventIds.length > 0 ? await filterTeamEvents({ id: { in: eventIds } }) : [];
+      const eventsById = new Map((events || []).map(event => [event.id, event]));
+
+      const compared = compareWithRsvps(records || [], rsvps || [])
+        .map(entry => {
+          const event = eventsById.get(entry.record.eventId);
+          return {
+            ...entry,
+            event: event ? getOccurrence(event, entry.record.occurrenceStart) : null
+          };
+        })
+        .sort((a, b) =>
+          new Date(b.event?.startDate || b.record.recordedAt) - new Date(a.event?.startDate || a.record.recordedAt)
+        );
+
+      setRows(compared);
+      setSummary(summarizeAttendance(records || []));
+    } catch (error) {
+      console.error('Error loading attendance:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse bg-gray-200 h-48 rounded-lg"></div>;
+  }
+
+  const gaps = rows.filter(row => row.gap).length;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="h-5 w-5" />
+          Attendance
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {!summary || summary.total === 0 ? (
+          <p className="text-sm text-muted-foreground">No attendance has been recorded yet.</p>
+        ) : (
+          <>
+            <div className="flex items-end gap-2">
+              <span className="text-4xl font-bold">{summary.rate === null ? '—' : `${summary.rate}%`}</span>
+              <span className="pb-1 text-sm text-muted-foreground">
+                attended {summary.attended} of {summary.total - summary.counts.Excused} events
+              </span>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2 sm:grid-cols-4">
+              {ATTENDANCE_STATUSES.map(status => (
+                <div key={status} className={`rounded-md p-2 text-center ${ATTENDANCE_STATUS_COLORS[status]}`}>
+                  <p className="text-lg font-semibold">{summary.counts[status]}</p>
+                  <p className="text-xs">{status}</p>
+                </div>
+              ))}
+            </div>
+
+            {gaps > 0 && (
+              <p className="flex items-center gap-1 text-sm text-orange-700">
+                <AlertTriangle className="h-4 w-4" />
+                {gaps} {gaps === 1 ? 'event' : 'events'} where attendance did not match the RSVP
+              </p>
+            )}
+
+            <div className="divide-y">
+              {rows.slice(0, RECENT_EVENTS).map(({ record, event, rsvpStatus, gap }) => (
+                <div key={record.id} className="flex items-center justify-between gap-2 py-2 text-sm">
+                  <div>
+                    <p className="font-medium">{event?.title || 'Event'}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {event && new Date(event.startDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                      {rsvpStatus && ` · RSVP: ${rsvpStatus}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {gap && (
+                      <span className="text-xs text-orange-700">{GAP_LABELS[gap]}</span>
+                    )}
+                    <span className={`rounded-full px-2 py-0.5 text-xs ${ATTENDANCE_STATUS_COLORS[record.status]}`}>
+                      {record.status}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AttendanceHistory;
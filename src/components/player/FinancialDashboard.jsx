@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
@@ -6,26 +7,43 @@ import { Input } from '../ui/input';
 import { Progress } from '../ui/progress';
 import { DollarSign, CreditCard, AlertCircle, CheckCircle, Repeat, Settings, FileText, Calendar } from 'lucide-react';
 import SquarePayment from '../payments/SquarePayment';
-import { filter as filterPayments } from '../../api/entities/Payment';
+import { filter as filterPaymentPlans, createPlan, update as updatePaymentPlan } from '@o7c/shared/api/entities/PaymentPlan';
+import { loadLedgerRecords } from '@o7c/shared/api/feeLedger';
+import { buildLedger, AGING_BUCKETS } from '@o7c/shared/utils/feeLedger';
+import {
+  PLAN_FREQUENCIES,
+  INSTALLMENT_STATUS_COLORS,
+  buildInstallments,
+  applyPaymentsToPlan,
+  getPlanStatus
+} from '@o7c/shared/utils/paymentPlans';
+
+const feeKey = (fee) => `${fee.entity}:${fee.id}`;
+const formatDueDate = (dateKey) => new Date(`${dateKey}T00:00:00`).toLocaleDateString();
 
 const FinancialDashboard = ({ player, onPaymentSuccess }) => {
   const [showPayment, setShowPayment] = useState(false);
-  const [paymentHistory, setPaymentHistory] = useState([]);
+  const [records, setRecords] = useState({ teamFees: [], additionalFees: [], payments: [] });
   const [loading, setLoading] = useState(true);
   const [showPaymentPlan, setShowPaymentPlan] = useState(false);
   const [paymentPlan, setPaymentPlan] = useState({
-    totalAmount: 0,
+    feeKeys: [],
     installments: 3,
-    frequency: 'monthly'
+    frequency: 'monthly',
+    startDate: format(new Date(), 'yyyy-MM-dd')
   });
+  const [plans, setPlans] = useState([]);
+  const [paymentAmount, setPaymentAmount] = useState(0);
   const [autoPayEnabled, setAutoPayEnabled] = useState(false);
   const [recurringPayments, setRecurringPayments] = useState([]);
 
-  // Calculate financial status
-  const totalFees = player?.fees || 0;
-  const amountPaid = player?.feesPaid || 0;
-  const amountOwed = Math.max(0, totalFees - amountPaid);
-  const pastDue = player?.pastDue || 0;
+  // Calculate financial status from the fee ledger
+  const paymentHistory = records.payments;
+  const ledger = buildLedger(records);
+  const totalFees = ledger.totals.charge - ledger.totals.discount;
+  const amountPaid = ledger.totals.payment + ledger.totals.credit - ledger.totals.refund;
+  const amountOwed = Math.max(0, ledger.balance);
+  const pastDue = ledger.pastDue;
 
   useEffect(() => {
     loadPaymentHistory();
@@ -35,10 +53,12 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
     if (!player?.id) return;
     
     try {
-      const payments = await filterPayments({ 
-        playerId: player.id 
-      });
-      setPaymentHistory(payments || []);
+      const [ledgerRecords, playerPlans] = await Promise.all([
+        loadLedgerRecords(player),
+        filterPaymentPlans({ playerId: player.id })
+      ]);
+      setRecords(ledgerRecords);
+      setPlans(playerPlans || []);
     } catch (error) {
       console.error('Error loading payment history:', error);
     } finally {
@@ -46,6 +66,74 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
     }
   };
 
+  // Charges on the ledger are the fees a plan can cover
+  const fees = ledger.entries
+    .filter(entry => entry.type === 'charge')
+    .map(entry => ({ ...entry.source, amount: entry.amount, name: entry.description, dueDate: entry.date }));
+
+  // Installment and plan statuses are worked out from payments on every read
+  const progressByPlan = plans.map(plan => applyPaymentsToPlan(plan, paymentHistory, new Date(), plans));
+  const activeIndex = plans.findIndex((plan, index) => getPlanStatus(plan, progressByPlan[index]) === 'active');
+  const activePlan = activeIndex >= 0 ? plans[activeIndex] : null;
+  const planProgress = activeIndex >= 0 ? progressByPlan[activeIndex] : null;
+
+  // Fees already covered by a plan cannot be added to another one
+  const plannedFeeKeys = new Set(
+    plans.filter(plan => plan.status !== 'cancelled').flatMap(plan => (plan.fees || []).map(feeKey))
+  );
+  const availableFees = fees.filter(fee => !plannedFeeKeys.has(feeKey(fee)));
+  const selectedFees = availableFees.filter(fee => paymentPlan.feeKeys.includes(feeKey(fee)));
+  const planTotal = selectedFees.reduce((sum, fee) => sum + (Number(fee.amount) || 0), 0);
+  const planPreview = planTotal > 0 && paymentPlan.startDate
+    ? buildInstallments({
+        totalAmount: planTotal,
+        count: paymentPlan.installments,
+        frequency: paymentPlan.frequency,
+        startDate: paymentPlan.startDate
+      })
+    : [];
+
+  const toggleFee = (fee) => {
+    const key = feeKey(fee);
+    setPaymentPlan(prev => ({
+      ...prev,
+      feeKeys: prev.feeKeys.includes(key) ? prev.feeKeys.filter(k => k !== key) : [...prev.feeKeys, key]
+    }));
+  };
+
+  const handleCreatePlan = async () => {
+    try {
+      await createPlan({
+        playerId: player.id,
+        fees: selectedFees.map(fee => ({ entity: fee.entity, id: fee.id, amount: Number(fee.amount) || 0 })),
+        installmentCount: paymentPlan.installments,
+        frequency: paymentPlan.frequency,
+        startDate: paymentPlan.startDate
+      });
+      setShowPaymentPlan(false);
+      await loadPaymentHistory();
+    } catch (error) {
+      console.error('Error creating payment plan:', error);
+      alert('Error setting up payment plan. Please try again.');
+    }
+  };
+
+  const handleCancelPlan = async (plan) => {
+    if (!window.confirm('Cancel this payment plan? Payments already made are kept.')) return;
+    try {
+      await updatePaymentPlan(plan.id, { status: 'cancelled' });
+      await loadPaymentHistory();
+    } catch (error) {
+      console.error('Error cancelling payment plan:', error);
+      alert('Error cancelling payment plan. Please try again.');
+    }
+  };
+
+  const openPayment = (amount) => {
+    setPaymentAmount(amount);
+    setShowPayment(true);
+  };
+
   const handlePaymentSuccess = (payment) => {
     setShowPayment(false);
     onPaymentSuccess?.(payment);
@@ -138,13 +226,37 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
             </CardTitle>
           </CardHeader>
           <CardContent>
+            <div className="space-y-2 mb-4">
+              <label className="text-sm font-medium">Fees to Include</label>
+              {availableFees.length === 0 ? (
+                <p className="text-sm text-muted-foreground">There are no fees available for a payment plan.</p>
+              ) : (
+                availableFees.map(fee => (
+                  <label key={feeKey(fee)} className="flex items-center justify-between gap-2 p-2 border rounded-md">
+                    <span className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={paymentPlan.feeKeys.includes(feeKey(fee))}
+                        onChange={() => toggleFee(fee)}
+                      />
+                      <span className="text-sm">{fee.name}</span>
+                      {fee.dueDate && (
+                        <span className="text-xs text-muted-foreground">due {new Date(fee.dueDate).toLocaleDateString()}</span>
+                      )}
+                    </span>
+                    <span className="text-sm font-medium">${(Number(fee.amount) || 0).toFixed(2)}</span>
+                  </label>
+                ))
+              )}
+            </div>
+
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="space-y-2">
-                <label className="text-sm font-medium">Total Amount</label>
+                <label className="text-sm font-medium">First Payment Date</label>
                 <Input
-                  type="number"
-                  value={paymentPlan.totalAmount}
-                  onChange={(e) => setPaymentPlan(prev => ({ ...prev, totalAmount: parseFloat(e.target.value) }))}
+                  type="date"
+                  value={paymentPlan.startDate}
+                  onChange={(e) => setPaymentPlan(prev => ({ ...prev, startDate: e.target.value }))}
                 />
               </div>
               
@@ -169,28 +281,39 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
                   onChange={(e) => setPaymentPlan(prev => ({ ...prev, frequency: e.target.value }))}
                   className="w-full p-2 border rounded-md"
                 >
-                  <option value="weekly">Weekly</option>
-                  <option value="biweekly">Bi-weekly</option>
-                  <option value="monthly">Monthly</option>
+                  {Object.entries(PLAN_FREQUENCIES).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
                 </select>
               </div>
             </div>
             
             <div className="mt-4 p-4 bg-gray-50 rounded-lg">
               <h4 className="font-medium mb-2">Payment Plan Summary</h4>
-              <p className="text-sm text-muted-foreground">
-                ${(paymentPlan.totalAmount / paymentPlan.installments).toFixed(2)} per {paymentPlan.frequency} payment
-              </p>
+              {planPreview.length === 0 ? (
+                <p className="text-sm text-muted-foreground">Select the fees to spread across installments.</p>
+              ) : (
+                <>
+                  <p className="text-sm text-muted-foreground mb-2">
+                    ${planTotal.toFixed(2)} in {planPreview.length} {PLAN_FREQUENCIES[paymentPlan.frequency].label.toLowerCase()} payments
+                  </p>
+                  <ul className="text-sm space-y-1">
+                    {planPreview.map(installment => (
+                      <li key={installment.number} className="flex justify-between">
+                        <span>{formatDueDate(installment.dueDate)}</span>
+                        <span>${installment.amount.toFixed(2)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
             </div>
             
             <div className="flex justify-end gap-2 mt-4">
               <Button variant="outline" onClick={() => setShowPaymentPlan(false)}>
                 Cancel
               </Button>
-              <Button onClick={() => {
-                console.log('Setting up payment plan:', paymentPlan);
-                setShowPaymentPlan(false);
-              }}>
+              <Button disabled={planPreview.length === 0} onClick={handleCreatePlan}>
                 Set Up Plan
               </Button>
             </div>
@@ -198,10 +321,60 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
         </Card>
       )}
 
+      {/* Active Payment Plan */}
+      {activePlan && planProgress && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex justify-between items-center">
+              <span className="flex items-center gap-2">
+                <Calendar className="h-5 w-5" />
+                Payment Plan
+              </span>
+              <Button variant="ghost" size="sm" onClick={() => handleCancelPlan(activePlan)}>
+                Cancel Plan
+              </Button>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div>
+              <div className="flex justify-between text-sm mb-1">
+                <span>${planProgress.paid.toFixed(2)} of ${Number(activePlan.totalAmount).toFixed(2)} paid</span>
+                <span>{PLAN_FREQUENCIES[activePlan.frequency]?.label}</span>
+              </div>
+              <Progress value={activePlan.totalAmount > 0 ? (planProgress.paid / activePlan.totalAmount) * 100 : 0} />
+            </div>
+
+            <div className="space-y-2">
+              {planProgress.installments.map(installment => (
+                <div key={installment.number} className="flex items-center justify-between p-3 border rounded-lg">
+                  <div>
+                    <p className="font-medium">Installment {installment.number}</p>
+                    <p className="text-sm text-muted-foreground">Due {formatDueDate(installment.dueDate)}</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className="font-medium">${installment.amount.toFixed(2)}</span>
+                    <span className={`rounded-full px-2 py-0.5 text-xs capitalize ${INSTALLMENT_STATUS_COLORS[installment.status]}`}>
+                      {installment.status}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {planProgress.nextDue && (
+              <Button onClick={() => openPayment(planProgress.nextDue.remaining)} className="w-full">
+                <CreditCard className="h-4 w-4 mr-2" />
+                Pay Installment {planProgress.nextDue.number} (${planProgress.nextDue.remaining.toFixed(2)})
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Quick Actions */}
       <div className="flex gap-2">
-        <Button variant="outline" onClick={() => {
-          setPaymentPlan(prev => ({ ...prev, totalAmount: amountOwed }));
+        <Button variant="outline" disabled={!!activePlan} onClick={() => {
+          setPaymentPlan(prev => ({ ...prev, feeKeys: availableFees.map(feeKey) }));
           setShowPaymentPlan(true);
         }}>
           <Repeat className="h-4 w-4 mr-2" />
@@ -219,7 +392,8 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
             amountPaid,
             amountOwed,
             pastDue,
-            paymentHistory
+            aging: ledger.aging,
+            ledger: ledger.entries
           };
           console.log('Generating financial report:', reportData);
           alert('Financial report generated! Check console for details.');
@@ -255,7 +429,7 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
             
             {amountOwed > 0 && (
               <Button 
-                onClick={() => setShowPayment(true)}
+                onClick={() => openPayment(amountOwed)}
                 className="bg-blue-600 hover:bg-blue-700"
                 size="lg"
               >
@@ -295,6 +469,60 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
         </Card>
       )}
 
+      {/* Account Ledger */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <FileText className="h-5 w-5" />
+            Account Ledger
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            {AGING_BUCKETS.map(bucket => (
+              <div
+                key={bucket.key}
+                className={`text-center p-3 rounded-lg ${bucket.key !== 'current' && ledger.aging[bucket.key] > 0 ? 'bg-red-50' : 'bg-gray-50'}`}
+              >
+                <p className="text-lg font-bold">${ledger.aging[bucket.key].toFixed(2)}</p>
+                <p className="text-xs text-muted-foreground">{bucket.label}</p>
+              </div>
+            ))}
+          </div>
+
+          {ledger.entries.length === 0 ? (
+            <p className="text-muted-foreground">No fees or payments recorded yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 pr-4 font-medium">Date</th>
+                    <th className="py-2 pr-4 font-medium">Description</th>
+                    <th className="py-2 pr-4 font-medium">Type</th>
+                    <th className="py-2 pr-4 font-medium text-right">Amount</th>
+                    <th className="py-2 font-medium text-right">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.entries.map(entry => (
+                    <tr key={entry.id} className="border-b last:border-0">
+                      <td className="py-2 pr-4">{entry.date ? entry.date.toLocaleDateString() : '—'}</td>
+                      <td className="py-2 pr-4">{entry.description}</td>
+                      <td className="py-2 pr-4 capitalize">{entry.type}</td>
+                      <td className={`py-2 pr-4 text-right ${entry.amount < 0 ? 'text-green-600' : ''}`}>
+                        {entry.amount < 0 ? '-' : ''}${Math.abs(entry.amount).toFixed(2)}
+                      </td>
+                      <td className="py-2 text-right font-medium">${entry.balance.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Payment History */}
       <Card>
         <CardHeader>
@@ -379,12 +607,12 @@ const FinancialDashboard = ({ player, onPaymentSuccess }) => {
                 Player: {player?.firstName} {player?.lastName}
               </p>
               <p className="text-lg font-semibold">
-                Amount Due: ${amountOwed.toFixed(2)}
+                Amount Due: ${paymentAmount.toFixed(2)}
               </p>
             </div>
 
             <SquarePayment
-              amount={amountOwed}
+              amount={paymentAmount}
               planName={`Team Fees - ${player?.firstName} ${player?.lastName}`}
               onPaymentSuccess={handlePaymentSuccess}
               onPaymentError={handlePaymentError}
@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared/components/ui/card';
+import { Button } from '@o7c/shared/components/ui/button';
+import { squareCrop, MIN_CROP_SCALE } from '@o7c/shared/utils/imageProcessing';
+
+/**
+ * Photo Crop Dialog
+ * Lets the user frame a square headshot before the photo is processed and uploaded
+ */
+const PhotoCropDialog = ({ file, onCancel, onConfirm }) => {
+  const [src, setSrc] = useState(null);
+  const [size, setSize] = useState(null);
+  const [scale, setScale] = useState(1);
+  const [center, setCenter] = useState({ x: 0.5, y: 0.5 });
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    if (!file) return undefined;
+    const url = URL.createObjectURL(file);
+    setSrc(url);
+    setScale(1);
+    setCenter({ x: 0.5, y: 0.5 });
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  if (!file) return null;
+
+  const crop = size ? squareCrop(size.width, size.height, scale, center) : null;
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { pointerX: e.clientX, pointerY: e.clientY, center };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current || !frameRef.current) return;
+    const bounds = frameRef.current.getBoundingClientRect();
+    const start = dragRef.current;
+    // squareCrop keeps the box inside the image, so the center can be passed through as is
+    const next = squareCrop(size.width, size.height, scale, {
+      x: start.center.x + (e.clientX - start.pointerX) / bounds.width,
+      y: start.center.y + (e.clientY - start.pointerY) / bounds.height
+    });
+    setCenter({ x: next.x + next.width / 2, y: next.y + next.height / 2 });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+      <Card className="w-full max-w-lg">
+        <CardHeader>
+          <CardTitle>Crop Headshot</CardTitle>
+          <p className="text-sm text-muted-foreground">Drag the square to frame the face, and use the slider to zoom.</p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div ref={frameRef} className="relative mx-auto w-fit select-none touch-none">
+            {src && (
+              <img
+                src={src}
+                alt="Selected photo"
+                className="block max-h-80 max-w-full"
+                draggable={false}
+                onLoad={(e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+              />
+            )}
+            {crop && (
+              <div
+                className="absolute border-2 border-white cursor-move shadow-[0_0_0_9999px_rgba(0,0,0,0.5)]"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.width * 100}%`,
+                  height: `${crop.height * 100}%`
+                }}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+              />
+            )}
+          </div>
+
+          <label className="block text-sm text-gray-700">
+            Zoom
+            {/* Sliding right zooms in, which shrinks the crop */}
+            <input
+              type="range"
+              min={MIN_CROP_SCALE}
+              max={1}
+              step={0.01}
+              value={1 + MIN_CROP_SCALE - scale}
+              onChange={(e) => setScale(1 + MIN_CROP_SCALE - Number(e.target.value))}
+              className="w-full"
+            />
+          </label>
+
+          <div className="flex justify-end gap-2">
+            <Button type="button" variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="button" disabled={!crop} onClick={() => onConfirm(crop)}>
+              Use Photo
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default PhotoCropDialog;
@@ -1,22 +1,33 @@
-import React, { useState, useEffect } from "react";
-import { PlayerImage } from "@/api/entities";
+import React, { useState, useEffect, useRef } from "react";
+import { list as listPlayerImages, update as updatePlayerImage } from "@o7c/shared/api/entities/PlayerImage";
+import { uploadPlayerImage, deletePlayerImage, getImageVariantPath } from "@o7c/shared/api/playerImages";
+import { useFileUrl } from "@o7c/shared/hooks/useFileUrl";
 import { Image as ImageIcon, X, Plus, Trash2 } from "lucide-react";
-import { Button } from "@/components/ui/button";
-import { Input } from "@/components/ui/input";
+import { Button } from "@o7c/shared/components/ui/button";
+import { Input } from "@o7c/shared/components/ui/input";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   Dialog,
   DialogContent,
   DialogHeader,
   DialogTitle,
-} from "@/components/ui/dialog";
-import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+} from "@o7c/shared/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@o7c/shared/components/ui/select";
+
+// Stored images are read through signed URLs; older records carry a plain imageUrl
+function StoredImage({ image, variant, className }) {
+  const src = useFileUrl(getImageVariantPath(image, variant), image.imageUrl || null);
+  if (!src) return <div className={`bg-gray-100 ${className}`} />;
+  return <img src={src} alt={image.caption || image.filename} className={className} loading="lazy" />;
+}
 
 export default function PlayerImageGallery({ playerId, playerName }) {
   const [images, setImages] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
   const [editingImage, setEditingImage] = useState(null);
+  const fileInputRef = useRef(null);
 
   useEffect(() => {
     loadImages();
@@ -25,9 +36,7 @@ export default function PlayerImageGallery({ playerId, playerName }) {
   const loadImages = async () => {
     try {
       setLoading(true);
-      const allImages = await PlayerImage.list();
-      const playerImages = allImages.filter(img => img.playerId === playerId);
-      setImages(playerImages);
+      setImages(await listPlayerImages({ playerId }));
       setLoading(false);
     } catch (error) {
       console.error("Error loading images:", error);
@@ -35,9 +44,25 @@ export default function PlayerImageGallery({ playerId, playerName }) {
     }
   };
 
+  const handleUploadImage = async (file) => {
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      await uploadPlayerImage(playerId, file, { playerName });
+      loadImages();
+    } catch (error) {
+      console.error("Error uploading image:", error);
+      alert(error.code === "INVALID_FILE" ? error.message : "Error uploading image. Please try again.");
+    } finally {
+      setUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = "";
+    }
+  };
+
   const handleUpdateImage = async (imageId, updates) => {
     try {
-      await PlayerImage.update(imageId, updates);
+      await updatePlayerImage(imageId, updates);
       setEditingImage(null);
       loadImages();
     } catch (error) {
@@ -45,11 +70,11 @@ export default function PlayerImageGallery({ playerId, playerName }) {
     }
   };
 
-  const handleDeleteImage = async (imageId) => {
+  const handleDeleteImage = async (image) => {
     if (!confirm("Are you sure you want to delete this image?")) return;
     
     try {
-      await PlayerImage.delete(imageId);
+      await deletePlayerImage(image);
       loadImages();
       setSelectedImage(null);
     } catch (error) {
@@ -57,6 +82,22 @@ export default function PlayerImageGallery({ playerId, playerName }) {
     }
   };
 
+  const uploadControl = (
+    <>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        className="hidden"
+        onChange={(e) => handleUploadImage(e.target.files[0])}
+      />
+      <Button variant="outline" size="sm" disabled={uploading} onClick={() => fileInputRef.current?.click()}>
+        <Plus className="w-4 h-4 mr-1" />
+        {uploading ? "Uploading..." : "Add Image"}
+      </Button>
+    </>
+  );
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-8">
@@ -69,16 +110,15 @@ export default function PlayerImageGallery({ playerId, playerName }) {
     return (
       <div className="text-center py-12 bg-gray-50 rounded-xl">
         <ImageIcon className="w-12 h-12 text-gray-400 mx-auto mb-3" />
-        <p className="text-gray-600">No images uploaded yet</p>
-        <p className="text-sm text-gray-500 mt-2">
-          Use the Upload Player Images page to add photos
-        </p>
+        <p className="text-gray-600 mb-4">No images uploaded yet</p>
+        {uploadControl}
       </div>
     );
   }
 
   return (
     <div>
+      <div className="flex justify-end mb-4">{uploadControl}</div>
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         {images.map((image) => (
           <motion.div
@@ -89,9 +129,9 @@ export default function PlayerImageGallery({ playerId, playerName }) {
             onClick={() => setSelectedImage(image)}
           >
             <div className="aspect-square rounded-xl overflow-hidden bg-gray-100">
-              <img
-                src={image.imageUrl}
-                alt={image.caption || image.filename}
+              <StoredImage
+                image={image}
+                variant="small"
                 className="w-full h-full object-cover transition-transform group-hover:scale-110"
               />
             </div>
@@ -125,7 +165,7 @@ export default function PlayerImageGallery({ playerId, playerName }) {
                 <Button
                   variant="outline"
                   size="sm"
-                  onClick={() => handleDeleteImage(selectedImage?.id)}
+                  onClick={() => handleDeleteImage(selectedImage)}
                   className="text-red-600 hover:text-red-700"
                 >
                   <Trash2 className="w-4 h-4" />
@@ -134,11 +174,7 @@ export default function PlayerImageGallery({ playerId, playerName }) {
             </DialogTitle>
           </DialogHeader>
           <div className="mt-4">
-            <img
-              src={selectedImage?.imageUrl}
-              alt={selectedImage?.caption || selectedImage?.filename}
-              className="w-full rounded-xl"
-            />
+            {selectedImage && <StoredImage image={selectedImage} variant="large" className="w-full rounded-xl" />}
             {selectedImage?.caption && (
               <p className="mt-4 text-gray-700">{selectedImage.caption}</p>
             )}
@@ -2,10 +2,13 @@ import React, { useState, useEffect } from "react";
 import { ChevronLeft, ChevronRight, X, Star, Trophy, School, TrendingUp, Award, Target } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { getCollegeLogo, getOfficialName, logosDataPromise } from "@/utils/collegeLogos";
+import { useFileUrl } from "@o7c/shared/hooks/useFileUrl";
 
 export default function PlayerPresentation({ player, onClose }) {
   const [currentSlide, setCurrentSlide] = useState(0);
   const [logosData, setLogosData] = useState(null);
+  // Processed headshot; older records still carry an inline photo URL
+  const photoUrl = useFileUrl(player.photoPath, player.photoUrl || player.photo_url || null);
 
   useEffect(() => {
     logosDataPromise.then(setLogosData).catch(console.error);
@@ -20,8 +23,8 @@ export default function PlayerPresentation({ player, onClose }) {
       content: (
         <div className="text-center">
           <div className="w-48 h-48 mx-auto mb-8 rounded-full overflow-hidden border-8 border-white shadow-2xl">
-            {player.photo_url ? (
-              <img src={player.photo_url} alt={player.firstName} className="w-full h-full object-cover" />
+            {photoUrl ? (
+              <img src={photoUrl} alt={player.firstName} className="w-full h-full object-cover" />
             ) : (
               <div className="w-full h-full bg-gradient-to-br from-yellow-400 to-yellow-600 flex items-center justify-center text-6xl font-bold text-blue-900">
                 {player.firstName[0]}{player.lastName[0]}
@@ -9,7 +9,22 @@ import { Save, AlertCircle, CheckCircle, Upload, Camera, FileText, GraduationCap
 import { useAuth } from '@o7c/shared';
 import { getEffectiveUserRole } from '@o7c/shared/utils/getUserRole';
 import { create as createFieldChangeLog } from '@o7c/shared/api/entities/FieldChangeLog';
+import { buildFieldChangeLog, submitProfileChanges } from '@o7c/shared/api/profileChanges';
 import { update as updatePlayer } from '@o7c/shared/api/entities/Player';
+import { uploadPlayerImage } from '@o7c/shared/api/playerImages';
+import { useFileUrl } from '@o7c/shared/hooks/useFileUrl';
+import { validateSourceImage } from '@o7c/shared/utils/imageProcessing';
+import {
+  FIELD_ACCESS,
+  getProfileField,
+  getFieldAccess,
+  getEditableFields,
+  validateProfile,
+  validateProfileField,
+  getProfileChanges,
+  partitionChanges
+} from '@o7c/shared/utils/playerProfile';
+import PhotoCropDialog from './PhotoCropDialog';
 
 const PlayerProfileEditor = ({ player, onUpdate }) => {
   const { user } = useAuth();
@@ -18,41 +33,25 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
   const [loading, setLoading] = useState(false);
   const [userRole, setUserRole] = useState(null);
   const [uploadingFiles, setUploadingFiles] = useState({});
-  const [filePreview, setFilePreview] = useState({});
   const [highlightVideoUrl, setHighlightVideoUrl] = useState('');
+  const [photoToCrop, setPhotoToCrop] = useState(null);
+  const photoUrl = useFileUrl(player?.photoPath, player?.photoUrl || null);
 
-  // Editable fields configuration
-  const editableFields = [
-    { key: 'homeAddress', label: 'Home Address', type: 'text' },
-    { key: 'homeCity', label: 'City', type: 'text' },
-    { key: 'homeState', label: 'State', type: 'text' },
-    { key: 'homeZip', label: 'ZIP Code', type: 'text' },
-    { key: 'emailAddress', label: 'Email Address', type: 'email' },
-    { key: 'phoneNumber', label: 'Phone Number', type: 'tel' },
-    { key: 'alternatePhoneNumber', label: 'Alternate Phone', type: 'tel' },
-    { key: 'highSchool', label: 'High School', type: 'text' },
-    { key: 'offers', label: 'Number of Offers', type: 'number' },
-    { key: 'commitment', label: 'College Commitment', type: 'text' },
-    { key: 'height', label: 'Height', type: 'text' },
-    { key: 'weight', label: 'Weight', type: 'text' },
-    { key: 'position', label: 'Position', type: 'text' },
-    { key: 'gpa', label: 'GPA', type: 'number', step: '0.01' },
-    { key: 'satScore', label: 'SAT Score', type: 'number' },
-    { key: 'actScore', label: 'ACT Score', type: 'number' }
-  ];
+  // The highlight video has its own section below
+  const editableFields = getEditableFields(userRole).filter(field => field.key !== 'highlightVideoUrl');
 
   useEffect(() => {
     if (player) {
       const initialData = {};
       editableFields.forEach(field => {
-        initialData[field.key] = player[field.key] || '';
+        initialData[field.key] = player[field.key] ?? '';
       });
       setFormData(initialData);
       
       // Initialize highlight video URL
       setHighlightVideoUrl(player.highlightVideoUrl || '');
     }
-  }, [player]);
+  }, [player, userRole]);
 
   useEffect(() => {
     const getUserRole = async () => {
@@ -71,147 +70,67 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
     }));
   };
 
-  // File upload handlers
-  const handleFileUpload = async (fileType, file) => {
+  // Profile photos are cropped to a headshot, then processed into stripped, resized variants
+  const handlePhotoSelected = (file) => {
     if (!file) return;
 
-    // Validate file type and size
-    const validationResult = validateFile(fileType, file);
-    if (!validationResult.valid) {
-      alert(validationResult.error);
+    const validationError = validateSourceImage(file);
+    if (validationError) {
+      alert(validationError);
       return;
     }
+    setPhotoToCrop(file);
+  };
 
-    setUploadingFiles(prev => ({ ...prev, [fileType]: true }));
+  const handlePhotoUpload = async (file, crop) => {
+    setPhotoToCrop(null);
+    setUploadingFiles(prev => ({ ...prev, photo: true }));
 
     try {
-      // Create file preview for images
-      if (fileType === 'photo' && file.type.startsWith('image/')) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          setFilePreview(prev => ({ ...prev, [fileType]: e.target.result }));
-        };
-        reader.readAsDataURL(file);
-      }
+      const image = await uploadPlayerImage(player.id, file, {
+        crop,
+        category: 'photo',
+        imageType: 'Headshot',
+        playerName: `${player.firstName} ${player.lastName}`
+      });
 
-      // In a real implementation, you would upload to your file storage service
-      // For now, we'll simulate the upload and store file metadata
-      const fileMetadata = {
-        id: `${fileType}_${Date.now()}`,
-        playerId: player.id,
-        fileName: file.name,
-        fileSize: file.size,
-        fileType: file.type,
-        uploadedAt: new Date().toISOString(),
-        uploadedBy: user.email,
-        category: fileType,
-        status: 'uploaded'
-      };
-
-      // For profile photos, also update the player's photoUrl field
-      let updatedPlayerData = { ...player };
-
-      if (fileType === 'photo') {
-        // Create a data URL for the photo that can be used immediately
-        const reader = new FileReader();
-        const photoUrlPromise = new Promise((resolve) => {
-          reader.onload = (e) => resolve(e.target.result);
-          reader.readAsDataURL(file);
-        });
-
-        const photoUrl = await photoUrlPromise;
-        updatedPlayerData.photoUrl = photoUrl;
-
-        // Update player's file tracking
-        const updatedFiles = { ...player.profileFiles };
-        updatedFiles.photos = updatedFiles.photos || [];
-        updatedFiles.photos.push(fileMetadata);
-        updatedPlayerData.profileFiles = updatedFiles;
-
-        // Save the updated player data with the new photo URL
-        await updatePlayer(player.id, updatedPlayerData);
-
-        // Call onUpdate to refresh the parent component
-        if (onUpdate) {
-          onUpdate();
-        }
-      } else if (fileType === 'schoolId') {
-        const updatedFiles = { ...player.profileFiles };
-        updatedFiles.schoolId = fileMetadata;
-        updatedPlayerData.profileFiles = updatedFiles;
-        await updatePlayer(player.id, updatedPlayerData);
-      } else if (fileType === 'reportCard') {
-        const updatedFiles = { ...player.profileFiles };
-        updatedFiles.reportCards = updatedFiles.reportCards || [];
-        updatedFiles.reportCards.push(fileMetadata);
-        updatedPlayerData.profileFiles = updatedFiles;
-        await updatePlayer(player.id, updatedPlayerData);
-      }
+      // photoUrl is cleared so old inline photos stop bloating the Player record
+      await updatePlayer(player.id, { photoPath: image.variants.small.path, photoImageId: image.id, photoUrl: '' });
 
-      // Log the file upload as a change
-      await logFieldChange(
-        `${fileType}Upload`,
-        'No file',
-        `${file.name} (${(file.size / 1024 / 1024).toFixed(2)} MB)`,
-        'File Upload'
-      );
+      await logFieldChange('photoUpload', 'No file', file.name, 'File Upload');
 
-      alert(`${getFileTypeLabel(fileType)} uploaded successfully!`);
+      if (onUpdate) {
+        onUpdate();
+      }
 
+      alert('Profile Photo uploaded successfully!');
     } catch (error) {
-      console.error('Error uploading file:', error);
-      alert('Error uploading file. Please try again.');
+      console.error('Error uploading photo:', error);
+      alert(error.code === 'INVALID_FILE' ? error.message : 'Error uploading photo. Please try again.');
     } finally {
-      setUploadingFiles(prev => ({ ...prev, [fileType]: false }));
+      setUploadingFiles(prev => ({ ...prev, photo: false }));
     }
   };
 
-  const validateFile = (fileType, file) => {
-    const maxSizes = {
-      photo: 5 * 1024 * 1024, // 5MB
-      schoolId: 10 * 1024 * 1024, // 10MB
-      reportCard: 10 * 1024 * 1024 // 10MB
-    };
-
-    const allowedTypes = {
-      photo: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-      schoolId: ['image/jpeg', 'image/png', 'application/pdf'],
-      reportCard: ['image/jpeg', 'image/png', 'application/pdf']
-    };
-
-    if (file.size > maxSizes[fileType]) {
-      return {
-        valid: false,
-        error: `File size must be less than ${maxSizes[fileType] / 1024 / 1024}MB`
-      };
-    }
-
-    if (!allowedTypes[fileType].includes(file.type)) {
-      return {
-        valid: false,
-        error: `Invalid file type. Allowed types: ${allowedTypes[fileType].join(', ')}`
-      };
-    }
-
-    return { valid: true };
-  };
-
-  const getFileTypeLabel = (fileType) => {
-    const labels = {
-      photo: 'Profile Photo',
-      schoolId: 'School ID',
-      reportCard: 'Report Card'
-    };
-    return labels[fileType] || fileType;
-  };
-
   const handleHighlightVideoUpdate = async () => {
-    if (!highlightVideoUrl.trim()) {
-      alert('Please enter a valid video URL');
+    const error = highlightVideoUrl.trim()
+      ? validateProfileField(getProfileField('highlightVideoUrl'), highlightVideoUrl)
+      : 'Please enter a valid video URL';
+    if (error) {
+      alert(error);
       return;
     }
 
     try {
+      if (getFieldAccess('highlightVideoUrl', userRole) === FIELD_ACCESS.DIRECT) {
+        await updatePlayer(player.id, { highlightVideoUrl: highlightVideoUrl.trim() });
+        if (onUpdate) {
+          onUpdate();
+        }
+        alert('Highlight video URL updated successfully!');
+        return;
+      }
+
       await logFieldChange(
         'highlightVideoUrl',
         player.highlightVideoUrl || '',
@@ -219,65 +138,20 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
         'Video Link Update'
       );
 
-      alert('Highlight video URL updated successfully!');
+      alert('Highlight video URL submitted for review.');
     } catch (error) {
       console.error('Error updating highlight video:', error);
       alert('Error updating highlight video. Please try again.');
     }
   };
 
-  const removeFile = async (fileType, fileId) => {
-    if (!confirm('Are you sure you want to remove this file?')) return;
-
-    try {
-      await logFieldChange(
-        `${fileType}Removal`,
-        'File present',
-        'File removed',
-        'File Removal'
-      );
-
-      alert('File removal request submitted for admin review.');
-    } catch (error) {
-      console.error('Error removing file:', error);
-      alert('Error removing file. Please try again.');
-    }
-  };
-
-  const validateForm = () => {
-    const errors = [];
-    
-    // Email validation
-    if (formData.emailAddress && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.emailAddress)) {
-      errors.push('Please enter a valid email address');
-    }
-    
-    // Phone validation (basic)
-    if (formData.phoneNumber && !/^\(?([0-9]{3})\)?[-. ]?([0-9]{3})[-. ]?([0-9]{4})$/.test(formData.phoneNumber)) {
-      errors.push('Please enter a valid phone number');
-    }
-    
-    // ZIP code validation
-    if (formData.homeZip && !/^\d{5}(-\d{4})?$/.test(formData.homeZip)) {
-      errors.push('Please enter a valid ZIP code');
-    }
-
-    return errors;
-  };
-
   const logFieldChange = async (fieldName, oldValue, newValue, changeType = null) => {
     try {
-      await createFieldChangeLog({
-        playerId: player.id,
-        playerName: `${player.firstName} ${player.lastName}`,
-        fieldName,
-        oldValue: oldValue || '',
-        newValue: newValue || '',
-        changeDate: new Date().toISOString(),
-        changedBy: user.email,
-        changeType: changeType || (userRole === 'player' ? 'Player Update' : 'Parent Update'),
-        status: 'Pending Review'
-      });
+      await createFieldChangeLog(buildFieldChangeLog(
+        player,
+        { field: fieldName, oldValue: oldValue || '', newValue: newValue || '' },
+        { changedBy: user.email, role: userRole, changeType }
+      ));
     } catch (error) {
       console.error('Error logging field change:', error);
     }
@@ -286,59 +160,44 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    const validationErrors = validateForm();
-    if (validationErrors.length > 0) {
-      alert('Please fix the following errors:\n' + validationErrors.join('\n'));
+    const validationErrors = validateProfile(formData);
+    if (Object.keys(validationErrors).length > 0) {
+      alert('Please fix the following errors:\n' + Object.values(validationErrors).join('\n'));
+      return;
+    }
+
+    const changes = getProfileChanges(player, formData);
+    if (changes.length === 0) {
+      alert('No changes detected.');
       return;
     }
 
+    // Fields the role may edit directly are saved now; the rest wait on staff
+    const { direct, review } = partitionChanges(userRole, changes);
+
     setLoading(true);
 
     try {
-      const changes = [];
-
-      // Compare current data with form data and log changes
-      for (const field of editableFields) {
-        const oldValue = player[field.key];
-        const newValue = formData[field.key];
-
-        if (oldValue !== newValue) {
-          await logFieldChange(field.key, oldValue, newValue);
-          changes.push({
-            field: field.label,
-            oldValue,
-            newValue
-          });
-        }
+      if (review.length > 0) {
+        await submitProfileChanges(player, review, { changedBy: user.email, role: userRole });
+        setPendingChanges(prev => [...prev, ...review.map(change => ({ ...change, field: change.label }))]);
       }
 
-      if (changes.length > 0) {
-        // Update the player data immediately in the database
-        const updatedPlayerData = { ...player };
-        changes.forEach(change => {
-          const field = editableFields.find(f => f.label === change.field);
-          if (field) {
-            updatedPlayerData[field.key] = change.newValue;
-          }
-        });
-
-        // Save to database
-        await updatePlayer(player.id, updatedPlayerData);
-
-        // Add to pending changes for display
-        setPendingChanges(prev => [...prev, ...changes]);
-
-        // Call onUpdate to refresh the parent component
-        if (onUpdate) {
-          onUpdate();
-        }
-
-        alert(`Successfully saved ${changes.length} change(s)!\n\nYour profile has been updated.`);
+      if (direct.length > 0) {
+        await updatePlayer(player.id, Object.fromEntries(direct.map(change => [change.field, change.newValue])));
+      }
 
-      } else {
-        alert('No changes detected.');
+      // Call onUpdate to refresh the parent component
+      if (onUpdate) {
+        onUpdate();
       }
 
+      const summary = [
+        direct.length > 0 && `Saved ${direct.length} change(s).`,
+        review.length > 0 && `Submitted ${review.length} change(s) for review.\n\nThey will appear on your profile once approved.`
+      ].filter(Boolean).join('\n\n');
+      alert(summary);
+
     } catch (error) {
       console.error('Error submitting changes:', error);
       alert('Error saving changes. Please try again.');
@@ -353,6 +212,12 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
 
   return (
     <div className="space-y-6">
+      <PhotoCropDialog
+        file={photoToCrop}
+        onCancel={() => setPhotoToCrop(null)}
+        onConfirm={(crop) => handlePhotoUpload(photoToCrop, crop)}
+      />
+
       {/* Pending Changes Alert */}
       {pendingChanges.length > 0 && (
         <Card className="border-yellow-200 bg-yellow-50">
@@ -383,7 +248,7 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
         <CardHeader>
           <CardTitle>Edit Profile Information</CardTitle>
           <p className="text-sm text-muted-foreground">
-            Update your profile information. Changes will be saved immediately.
+            Update your profile information. Fields marked for review are saved once staff approve them.
           </p>
         </CardHeader>
         <CardContent>
@@ -403,6 +268,9 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
                       onChange={(e) => handleInputChange(field.key, e.target.value)}
                       placeholder={`Enter ${field.label.toLowerCase()}`}
                     />
+                    {field.mode === FIELD_ACCESS.REVIEW && (
+                      <p className="text-xs text-muted-foreground">Changes are reviewed by staff</p>
+                    )}
                     {/* Show current value for reference */}
                     {player[field.key] && player[field.key] !== formData[field.key] && (
                       <p className="text-xs text-muted-foreground">
@@ -440,9 +308,9 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
       {/* File Uploads Section */}
       <Card>
         <CardHeader>
-          <CardTitle>Documents & Media</CardTitle>
+          <CardTitle>Photo & Media</CardTitle>
           <p className="text-sm text-muted-foreground">
-            Upload your profile photo, school ID, and report cards to maintain a complete recruitment package.
+            Upload your profile photo and highlight video. School IDs, transcripts and other documents go in the Documents tab.
           </p>
         </CardHeader>
         <CardContent className="space-y-6">
@@ -454,9 +322,9 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
             </h4>
             <div className="flex items-center gap-4">
               <div className="w-20 h-20 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden">
-                {filePreview.photo || player.photoUrl ? (
+                {photoUrl ? (
                   <img 
-                    src={filePreview.photo || player.photoUrl} 
+                    src={photoUrl} 
                     alt="Profile" 
                     className="w-full h-full object-cover"
                   />
@@ -468,12 +336,15 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
                 <Input
                   type="file"
                   accept="image/*"
-                  onChange={(e) => handleFileUpload('photo', e.target.files[0])}
+                  onChange={(e) => {
+                    handlePhotoSelected(e.target.files[0]);
+                    e.target.value = '';
+                  }}
                   disabled={uploadingFiles.photo}
                   className="mb-2"
                 />
                 <p className="text-xs text-muted-foreground">
-                  Upload a clear, professional photo. Max size: 5MB
+                  Upload a clear, professional photo and crop it to your face. Location data is removed before upload.
                 </p>
               </div>
               {uploadingFiles.photo && (
@@ -482,57 +353,6 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
             </div>
           </div>
 
-          {/* School ID Upload */}
-          <div>
-            <h4 className="font-semibold mb-3 flex items-center">
-              <GraduationCap className="h-4 w-4 mr-2" />
-              School ID
-            </h4>
-            <div className="space-y-2">
-              <Input
-                type="file"
-                accept="image/*,.pdf"
-                onChange={(e) => handleFileUpload('schoolId', e.target.files[0])}
-                disabled={uploadingFiles.schoolId}
-              />
-              <p className="text-xs text-muted-foreground">
-                Upload a clear photo or scan of your school ID. Accepted formats: JPG, PNG, PDF. Max size: 10MB
-              </p>
-              {uploadingFiles.schoolId && (
-                <div className="flex items-center gap-2">
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                  <span className="text-sm">Uploading...</span>
-                </div>
-              )}
-            </div>
-          </div>
-
-          {/* Report Card Upload */}
-          <div>
-            <h4 className="font-semibold mb-3 flex items-center">
-              <FileText className="h-4 w-4 mr-2" />
-              Report Cards
-            </h4>
-            <div className="space-y-2">
-              <Input
-                type="file"
-                accept="image/*,.pdf"
-                onChange={(e) => handleFileUpload('reportCard', e.target.files[0])}
-                disabled={uploadingFiles.reportCard}
-              />
-              <p className="text-xs text-muted-foreground">
-                Upload your latest report card. Regular uploads help maintain a strong recruitment package. 
-                Accepted formats: JPG, PNG, PDF. Max size: 10MB
-              </p>
-              {uploadingFiles.reportCard && (
-                <div className="flex items-center gap-2">
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-                  <span className="text-sm">Uploading...</span>
-                </div>
-              )}
-            </div>
-          </div>
-
           {/* Highlight Video */}
           <div>
             <h4 className="font-semibold mb-3 flex items-center">
@@ -580,7 +400,7 @@ const PlayerProfileEditor = ({ player, onUpdate }) => {
             <div className="text-sm text-blue-800">
               <p className="font-medium mb-1">Profile Update Information</p>
               <ul className="space-y-1 text-blue-700">
-                <li>• Changes are saved immediately to your profile</li>
+                <li>• Contact details are saved immediately; other changes are reviewed by staff</li>
                 <li>• All updates are logged for security and tracking</li>
                 <li>• Contact support if you need help with updates</li>
                 <li>• Keep your information current for better recruitment opportunities</li>
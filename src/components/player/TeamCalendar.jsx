@@ -3,11 +3,22 @@ import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { Input } from '../ui/input';
-import { Calendar, Clock, MapPin, Users, CheckCircle, XCircle, HelpCircle, Plus, Repeat, Bell, Download } from 'lucide-react';
+import { Calendar, Clock, MapPin, Users, CheckCircle, XCircle, HelpCircle, Plus, Repeat, Bell, Download, ClipboardCheck } from 'lucide-react';
 import { filter as filterTeamEvents, create as createTeamEvent } from '../../api/entities/TeamEvent';
 import { filter as filterEventRSVPs, create as createEventRSVP, update as updateEventRSVP } from '../../api/entities/EventRSVP';
+import { getCalendarFeedUrl, downloadEventIcs } from '@o7c/shared/api/calendarFeed';
+import { fromZonedTime } from 'date-fns-tz';
+import { expandEvents, formatRRule, getRsvpKey, WEEKDAY_CODES } from '@o7c/shared/utils/recurrence';
+import { getRsvpDeadline, isRsvpOpen, EVENT_TIMEZONE } from '@o7c/shared/utils/teamEvents';
+import { canTakeAttendance } from '@o7c/shared/utils/attendance';
+import { canAccessEntity } from '@o7c/shared/utils/permissions';
+import AttendanceCheckIn from './AttendanceCheckIn';
 
-const TeamCalendar = ({ player }) => {
+// Window of occurrences shown for recurring events
+const PAST_DAYS = 30;
+const UPCOMING_DAYS = 180;
+
+const TeamCalendar = ({ player, userRole }) => {
   const [events, setEvents] = useState([]);
   const [rsvps, setRsvps] = useState({});
   const [loading, setLoading] = useState(true);
@@ -21,9 +32,17 @@ const TeamCalendar = ({ player }) => {
     location: '',
     description: '',
     requiresRSVP: true,
-    isRecurring: false
+    rsvpDeadlineHours: '',
+    isRecurring: false,
+    frequency: 'WEEKLY',
+    byDay: [],
+    recurrenceEnd: ''
   });
-  const [calendarSync, setCalendarSync] = useState(false);
+  const [feed, setFeed] = useState(null);
+  const [feedLoading, setFeedLoading] = useState(false);
+  const [attendanceEvent, setAttendanceEvent] = useState(null);
+  // Families only view the schedule; the proxy refuses their TeamEvent writes
+  const canCreateEvents = canAccessEntity(userRole, 'TeamEvent', 'create');
 
   useEffect(() => {
     loadEvents();
@@ -43,14 +62,16 @@ const TeamCalendar = ({ player }) => {
         allEvents.push(...(teamEvents || []));
       }
       
-      // Remove duplicates and sort by date
+      // Remove duplicates, then expand recurring series into occurrences sorted by date
       const uniqueEvents = allEvents.filter((event, index, self) => 
         index === self.findIndex(e => e.id === event.id)
       );
-      
-      const sortedEvents = uniqueEvents.sort((a, b) => 
-        new Date(a.startDate) - new Date(b.startDate)
-      );
+
+      const now = Date.now();
+      const sortedEvents = expandEvents(uniqueEvents, {
+        start: new Date(now - PAST_DAYS * 24 * 60 * 60 * 1000),
+        end: new Date(now + UPCOMING_DAYS * 24 * 60 * 60 * 1000)
+      });
       
       setEvents(sortedEvents);
     } catch (error) {
@@ -68,7 +89,7 @@ const TeamCalendar = ({ player }) => {
       
       const rsvpMap = {};
       (playerRSVPs || []).forEach(rsvp => {
-        rsvpMap[rsvp.eventId] = rsvp;
+        rsvpMap[getRsvpKey(rsvp.eventId, rsvp.occurrenceStart)] = rsvp;
       });
       
       setRsvps(rsvpMap);
@@ -79,9 +100,13 @@ const TeamCalendar = ({ player }) => {
     }
   };
 
-  const handleRSVP = async (eventId, status) => {
+  const handleRSVP = async (event, status) => {
+    // RSVPs to a recurring event belong to a single occurrence
+    const eventId = event.id;
+    const occurrenceStart = event.occurrenceStart || null;
+
     try {
-      const existingRSVP = rsvps[eventId];
+      const existingRSVP = rsvps[getRsvpKey(eventId, occurrenceStart)];
       
       if (existingRSVP) {
         // Update existing RSVP
@@ -93,6 +118,7 @@ const TeamCalendar = ({ player }) => {
         // Create new RSVP
         await createEventRSVP({
           eventId,
+          occurrenceStart,
           playerId: player.id,
           playerName: `${player.firstName} ${player.lastName}`,
           status,
@@ -105,10 +131,70 @@ const TeamCalendar = ({ player }) => {
       
     } catch (error) {
       console.error('Error updating RSVP:', error);
-      alert('Error updating RSVP. Please try again.');
+      alert(error.code === 'RSVP_CLOSED'
+        ? 'RSVPs for this event are closed. Please contact your coach.'
+        : 'Error updating RSVP. Please try again.');
     }
   };
 
+  const loadFeed = async (rotate = false) => {
+    setFeedLoading(true);
+    try {
+      setFeed(await getCalendarFeedUrl({ rotate }));
+    } catch (error) {
+      console.error('Error loading calendar feed:', error);
+      alert('Error setting up calendar sync. Please try again.');
+    } finally {
+      setFeedLoading(false);
+    }
+  };
+
+  const handleCreateEvent = async () => {
+    if (!canCreateEvents) return;
+    const { frequency, byDay, recurrenceEnd, rsvpDeadlineHours, ...fields } = newEvent;
+    // Times are entered on the club's clock, the zone every series is expanded in
+    const clubTime = (value) => fromZonedTime(value, EVENT_TIMEZONE).toISOString();
+
+    try {
+      await createTeamEvent({
+        ...fields,
+        rsvpDeadlineHours: fields.requiresRSVP && rsvpDeadlineHours ? Number(rsvpDeadlineHours) : null,
+        startDate: clubTime(fields.startDate),
+        endDate: fields.endDate ? clubTime(fields.endDate) : null,
+        teamIds: player.teamIds,
+        recurrenceRule: fields.isRecurring
+          ? formatRRule({
+              freq: frequency,
+              byDay: frequency === 'WEEKLY' && byDay.length > 0 ? byDay : [],
+              until: recurrenceEnd ? clubTime(`${recurrenceEnd}T23:59:59`) : null
+            })
+          : null,
+        sequence: 0
+      });
+      setShowAddEvent(false);
+      await loadEvents();
+    } catch (error) {
+      console.error('Error creating event:', error);
+      alert('Error creating event. Please try again.');
+    }
+  };
+
+  const toggleRecurrenceDay = (code) => {
+    setNewEvent(prev => ({
+      ...prev,
+      byDay: prev.byDay.includes(code) ? prev.byDay.filter(day => day !== code) : [...prev.byDay, code]
+    }));
+  };
+
+  const handleDownload = (event) => {
+    const rsvp = rsvps[getRsvpKey(event.id, event.occurrenceStart)];
+    downloadEventIcs(event, [{
+      name: `${player.firstName} ${player.lastName}`,
+      email: player.emailAddress,
+      status: rsvp?.status
+    }]);
+  };
+
   const getEventTypeColor = (eventType) => {
     const colors = {
       'Practice': 'bg-blue-100 text-blue-800',
@@ -121,8 +207,8 @@ const TeamCalendar = ({ player }) => {
     return colors[eventType] || colors['Other'];
   };
 
-  const getRSVPStatus = (eventId) => {
-    const rsvp = rsvps[eventId];
+  const getRSVPStatus = (event) => {
+    const rsvp = rsvps[getRsvpKey(event.id, event.occurrenceStart)];
     return rsvp?.status || 'No Response';
   };
 
@@ -174,14 +260,16 @@ const TeamCalendar = ({ player }) => {
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold">Team Schedule</h2>
         <div className="flex gap-2">
-          <Button variant="outline" size="sm" onClick={() => setCalendarSync(!calendarSync)}>
+          <Button variant="outline" size="sm" disabled={feedLoading} onClick={() => (feed ? setFeed(null) : loadFeed())}>
             <Download className="h-4 w-4 mr-1" />
-            {calendarSync ? 'Synced' : 'Sync Calendar'}
-          </Button>
-          <Button variant="outline" size="sm" onClick={() => setShowAddEvent(true)}>
-            <Plus className="h-4 w-4 mr-1" />
-            Add Event
+            {feed ? 'Hide Sync' : 'Sync Calendar'}
           </Button>
+          {canCreateEvents && (
+            <Button variant="outline" size="sm" onClick={() => setShowAddEvent(true)}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Event
+            </Button>
+          )}
           <Button
             variant={viewMode === 'list' ? 'default' : 'outline'}
             size="sm"
@@ -199,8 +287,12 @@ const TeamCalendar = ({ player }) => {
         </div>
       </div>
 
+      {attendanceEvent && (
+        <AttendanceCheckIn event={attendanceEvent} onClose={() => setAttendanceEvent(null)} />
+      )}
+
       {/* Add Event Form */}
-      {showAddEvent && (
+      {canCreateEvents && showAddEvent && (
         <Card className="border-blue-200">
           <CardHeader>
             <CardTitle className="flex justify-between items-center">
@@ -281,6 +373,21 @@ const TeamCalendar = ({ player }) => {
                   />
                   <span className="text-sm">Requires RSVP</span>
                 </label>
+
+                {newEvent.requiresRSVP && (
+                  <label className="flex items-center gap-2">
+                    <span className="text-sm">RSVPs close</span>
+                    <Input
+                      type="number"
+                      min="0"
+                      className="w-20"
+                      value={newEvent.rsvpDeadlineHours}
+                      onChange={(e) => setNewEvent(prev => ({ ...prev, rsvpDeadlineHours: e.target.value }))}
+                      placeholder="0"
+                    />
+                    <span className="text-sm">hours before</span>
+                  </label>
+                )}
                 
                 <label className="flex items-center gap-2">
                   <input
@@ -292,17 +399,54 @@ const TeamCalendar = ({ player }) => {
                   <span className="text-sm">Recurring Event</span>
                 </label>
               </div>
+
+              {newEvent.isRecurring && (
+                <>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Repeats</label>
+                    <select
+                      value={newEvent.frequency}
+                      onChange={(e) => setNewEvent(prev => ({ ...prev, frequency: e.target.value }))}
+                      className="w-full p-2 border rounded-md"
+                    >
+                      <option value="DAILY">Daily</option>
+                      <option value="WEEKLY">Weekly</option>
+                      <option value="MONTHLY">Monthly</option>
+                    </select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium">Ends On</label>
+                    <Input
+                      type="date"
+                      value={newEvent.recurrenceEnd}
+                      onChange={(e) => setNewEvent(prev => ({ ...prev, recurrenceEnd: e.target.value }))}
+                    />
+                  </div>
+
+                  {newEvent.frequency === 'WEEKLY' && (
+                    <div className="flex flex-wrap items-center gap-3 md:col-span-2">
+                      {WEEKDAY_CODES.map(code => (
+                        <label key={code} className="flex items-center gap-1">
+                          <input
+                            type="checkbox"
+                            checked={newEvent.byDay.includes(code)}
+                            onChange={() => toggleRecurrenceDay(code)}
+                          />
+                          <span className="text-sm">{code}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
             </div>
             
             <div className="flex justify-end gap-2 mt-4">
               <Button variant="outline" onClick={() => setShowAddEvent(false)}>
                 Cancel
               </Button>
-              <Button onClick={() => {
-                console.log('Creating event:', newEvent);
-                setShowAddEvent(false);
-                // In real implementation, would call createTeamEvent API
-              }}>
+              <Button onClick={handleCreateEvent} disabled={!newEvent.title || !newEvent.startDate}>
                 Create Event
               </Button>
             </div>
@@ -310,13 +454,28 @@ const TeamCalendar = ({ player }) => {
         </Card>
       )}
 
-      {/* Calendar Sync Status */}
-      {calendarSync && (
+      {/* Calendar Subscription */}
+      {feed && (
         <Card className="border-green-200 bg-green-50">
-          <CardContent className="pt-6">
+          <CardContent className="pt-6 space-y-3">
             <div className="flex items-center gap-2 text-green-800">
               <CheckCircle className="h-4 w-4" />
-              <span className="text-sm">Calendar sync enabled - Events will appear in your Google Calendar</span>
+              <span className="text-sm">
+                Subscribe to this feed in Google, Apple or Outlook Calendar. Changes and cancellations update automatically.
+              </span>
+            </div>
+            <Input readOnly value={feed.url} onFocus={(e) => e.target.select()} />
+            <div className="flex gap-2">
+              <Button size="sm" onClick={() => window.open(feed.webcalUrl)}>
+                <Calendar className="h-4 w-4 mr-1" />
+                Open in Calendar App
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => navigator.clipboard?.writeText(feed.url)}>
+                Copy Link
+              </Button>
+              <Button size="sm" variant="ghost" disabled={feedLoading} onClick={() => loadFeed(true)}>
+                Reset Link
+              </Button>
             </div>
           </CardContent>
         </Card>
@@ -334,11 +493,12 @@ const TeamCalendar = ({ player }) => {
       ) : (
         <div className="space-y-4">
           {events.map((event) => {
-            const rsvpStatus = getRSVPStatus(event.id);
+            const rsvpStatus = getRSVPStatus(event);
             const upcoming = isUpcoming(event.startDate);
+            const rsvpOpen = isRsvpOpen(event);
             
             return (
-              <Card key={event.id} className={upcoming ? 'border-blue-200' : 'opacity-75'}>
+              <Card key={event.occurrenceId || event.id} className={upcoming ? 'border-blue-200' : 'opacity-75'}>
                 <CardHeader className="pb-3">
                   <div className="flex justify-between items-start">
                     <div>
@@ -352,6 +512,9 @@ const TeamCalendar = ({ player }) => {
                             Upcoming
                           </Badge>
                         )}
+                        {event.occurrenceId && (
+                          <Repeat className="h-4 w-4 text-muted-foreground" />
+                        )}
                       </CardTitle>
                       {event.description && (
                         <p className="text-sm text-muted-foreground mt-1">
@@ -390,14 +553,22 @@ const TeamCalendar = ({ player }) => {
                     )}
                   </div>
 
+                  {event.requiresRSVP && upcoming && (
+                    <p className="text-xs text-muted-foreground">
+                      {rsvpOpen
+                        ? `RSVP by ${formatDate(getRsvpDeadline(event))} ${formatTime(getRsvpDeadline(event))}`
+                        : 'RSVPs are closed'}
+                    </p>
+                  )}
+
                   {/* Event Actions */}
                   <div className="flex gap-2 pt-2 border-t">
-                    {event.requiresRSVP && upcoming && (
+                    {rsvpOpen && (
                       <>
                         <Button
                           size="sm"
                           variant={rsvpStatus === 'Attending' ? 'default' : 'outline'}
-                          onClick={() => handleRSVP(event.id, 'Attending')}
+                          onClick={() => handleRSVP(event, 'Attending')}
                           className="flex-1"
                         >
                           <CheckCircle className="h-4 w-4 mr-1" />
@@ -407,7 +578,7 @@ const TeamCalendar = ({ player }) => {
                         <Button
                           size="sm"
                           variant={rsvpStatus === 'Maybe' ? 'default' : 'outline'}
-                          onClick={() => handleRSVP(event.id, 'Maybe')}
+                          onClick={() => handleRSVP(event, 'Maybe')}
                           className="flex-1"
                         >
                           <HelpCircle className="h-4 w-4 mr-1" />
@@ -417,7 +588,7 @@ const TeamCalendar = ({ player }) => {
                         <Button
                           size="sm"
                           variant={rsvpStatus === 'Not Attending' ? 'destructive' : 'outline'}
-                          onClick={() => handleRSVP(event.id, 'Not Attending')}
+                          onClick={() => handleRSVP(event, 'Not Attending')}
                           className="flex-1"
                         >
                           <XCircle className="h-4 w-4 mr-1" />
@@ -438,6 +609,26 @@ const TeamCalendar = ({ player }) => {
                       <Bell className="h-4 w-4 mr-1" />
                       Add to Calendar
                     </Button>
+
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleDownload(event)}
+                    >
+                      <Download className="h-4 w-4 mr-1" />
+                      .ics
+                    </Button>
+
+                    {canTakeAttendance(event, userRole) && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => setAttendanceEvent(event)}
+                      >
+                        <ClipboardCheck className="h-4 w-4 mr-1" />
+                        Attendance
+                      </Button>
+                    )}
                   </div>
                 </CardContent>
               </Card>
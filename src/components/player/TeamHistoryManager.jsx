@@ -35,7 +35,7 @@ export default function TeamHistoryManager({ player }) {
   const loadTeamHistory = async () => {
     try {
       setLoading(true);
-      const data = await TeamHistory.filter({ playerId: player.id }, "-startDate");
+      const data = await TeamHistory.filter({ playerId: player.id }, null, "-startDate");
       setTeamHistory(data || []);
       setLoading(false);
     } catch (error) {
@@ -0,0 +1,20 @@
+import { Trophy } from 'lucide-react';
+import { getCollegeLogo } from '@o7c/shared/utils/collegeLogos';
+
+/**
+ * School logo from the college logos dataset, with a trophy when there is no match
+ */
+const CollegeLogo = ({ logosData, name }) => {
+  const logoUrl = logosData ? getCollegeLogo(logosData, name) : null;
+  return (
+    <div className="w-10 h-10 bg-gray-100 rounded-lg flex items-center justify-center flex-shrink-0">
+      {logoUrl ? (
+        <img src={logoUrl} alt={`${name} logo`} className="w-8 h-8 object-contain" loading="lazy" />
+      ) : (
+        <Trophy className="w-5 h-5 text-gray-400" />
+      )}
+    </div>
+  );
+};
+
+export default CollegeLogo;
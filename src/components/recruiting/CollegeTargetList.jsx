@@ -0,0 +1,254 @@
+import { useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
+import { Button } from '@o7c/shared';
+import { COLLEGE_PROFILES } from '@o7c/shared/utils/collegeProfiles';
+import { TARGET_TIERS, TIER_COLORS, scoreCollegeFit } from '@o7c/shared/utils/collegeFit';
+import { getStage, getStageLabel, STAGE_COLORS } from '@o7c/shared/utils/recruitingPipeline';
+import { addCollegeTarget, updateCollegeTarget, moveCollegeInterest } from '@o7c/shared/api/recruiting';
+import { Target, Plus, X, ArrowRight, Trash2 } from 'lucide-react';
+import CollegeLogo from './CollegeLogo';
+
+const EMPTY_TARGET = { collegeName: '', tier: 'target' };
+
+const EMPTY_NEED = { position: '', classYear: '' };
+
+const fitColor = (score) => (score >= 70 ? 'bg-green-500' : score >= 45 ? 'bg-blue-500' : 'bg-red-500');
+
+const ATHLETIC_MATCHES = {
+  exact: 'Recruiting your position in your class',
+  position: 'Recruiting your position in another class',
+  class: 'Recruiting your class at other positions',
+  none: 'Not recruiting your position or class'
+};
+
+/**
+ * College Target List
+ * Reach/target/safety schools with a fit score against the player's academics
+ * and the position needs recorded for each school. Starting to track a target
+ * puts it on the recruiting pipeline.
+ */
+const CollegeTargetList = ({ player, interests, logosData, userEmail, onSaved, onRemove, onError }) => {
+  const [newTarget, setNewTarget] = useState(EMPTY_TARGET);
+  const [needDrafts, setNeedDrafts] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const targets = interests
+    .filter(interest => interest.tier)
+    .map(interest => ({ interest, fit: scoreCollegeFit(player, interest) }));
+
+  const run = async (action, failure) => {
+    setSaving(true);
+    try {
+      onSaved(await action());
+    } catch (err) {
+      console.error(failure, err);
+      onError(`${failure}. Please try again.`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const collegeName = newTarget.collegeName.trim();
+    if (!collegeName) return;
+
+    const existing = interests.find(interest => interest.collegeName.toLowerCase() === collegeName.toLowerCase());
+    if (existing?.tier) {
+      onError(`${existing.collegeName} is already on the target list`);
+      return;
+    }
+
+    await run(
+      () => (existing
+        ? updateCollegeTarget(existing, { tier: newTarget.tier, positionNeeds: existing.positionNeeds || [] })
+        : addCollegeTarget(player, { collegeName, tier: newTarget.tier }, userEmail)),
+      'Failed to add the target'
+    );
+    setNewTarget(EMPTY_TARGET);
+  };
+
+  const addNeed = (interest) => {
+    const draft = needDrafts[interest.id] || EMPTY_NEED;
+    if (!draft.position.trim()) return;
+
+    const need = { position: draft.position.trim(), ...(draft.classYear ? { classYear: Number(draft.classYear) } : {}) };
+    run(() => updateCollegeTarget(interest, { positionNeeds: [...(interest.positionNeeds || []), need] }), 'Failed to save the need');
+    setNeedDrafts(prev => ({ ...prev, [interest.id]: EMPTY_NEED }));
+  };
+
+  const removeNeed = (interest, index) => {
+    run(
+      () => updateCollegeTarget(interest, { positionNeeds: interest.positionNeeds.filter((_, i) => i !== index) }),
+      'Failed to remove the need'
+    );
+  };
+
+  const updateDraft = (id, field, value) => {
+    setNeedDrafts(prev => ({ ...prev, [id]: { ...(prev[id] || EMPTY_NEED), [field]: value } }));
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Target className="w-5 h-5" />
+          Target List
+        </CardTitle>
+        <p className="text-sm text-gray-600">
+          Fit compares {player.firstName}'s GPA and test scores with each school's typical admits, and position and
+          class with what the school is recruiting. Add needs as you hear them from coaches.
+        </p>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <form onSubmit={handleAdd} className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            list="college-profiles"
+            value={newTarget.collegeName}
+            onChange={(e) => setNewTarget(prev => ({ ...prev, collegeName: e.target.value }))}
+            placeholder="College name"
+            className="flex-1 p-2 border rounded-md"
+          />
+          <datalist id="college-profiles">
+            {COLLEGE_PROFILES.map(profile => <option key={profile.name} value={profile.name} />)}
+          </datalist>
+          <select
+            value={newTarget.tier}
+            onChange={(e) => setNewTarget(prev => ({ ...prev, tier: e.target.value }))}
+            className="p-2 border rounded-md"
+          >
+            {TARGET_TIERS.map(tier => <option key={tier.key} value={tier.key}>{tier.label}</option>)}
+          </select>
+          <Button type="submit" disabled={saving || !newTarget.collegeName.trim()}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add Target
+          </Button>
+        </form>
+
+        {targets.length === 0 ? (
+          <p className="text-sm text-gray-600">No targets yet. Add the schools you want to aim for.</p>
+        ) : (
+          TARGET_TIERS.map(tier => {
+            const tierTargets = targets
+              .filter(({ interest }) => interest.tier === tier.key)
+              .sort((a, b) => (b.fit.score ?? -1) - (a.fit.score ?? -1));
+            if (tierTargets.length === 0) return null;
+
+            return (
+              <div key={tier.key} className="space-y-3">
+                <h3 className="text-sm font-semibold">
+                  {tier.label} <span className="text-gray-500 font-normal">({tierTargets.length})</span>
+                </h3>
+
+                {tierTargets.map(({ interest, fit }) => {
+                  const stage = getStage(interest);
+                  const draft = needDrafts[interest.id] || EMPTY_NEED;
+
+                  return (
+                    <div key={interest.id} className="border rounded-lg p-4 space-y-3">
+                      <div className="flex items-start gap-3">
+                        <CollegeLogo logosData={logosData} name={interest.collegeName} />
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-gray-900">{interest.collegeName}</p>
+                          <p className="text-xs text-gray-500">
+                            {[fit.profile?.division || interest.division, fit.profile?.conference].filter(Boolean).join(' · ') || 'No school profile'}
+                          </p>
+                        </div>
+                        <select
+                          value={interest.tier}
+                          onChange={(e) => run(() => updateCollegeTarget(interest, { tier: e.target.value }), 'Failed to change the tier')}
+                          className={`text-xs font-medium rounded-full px-2 py-1 border-0 ${TIER_COLORS[interest.tier]}`}
+                        >
+                          {TARGET_TIERS.map(option => <option key={option.key} value={option.key}>{option.label}</option>)}
+                        </select>
+                      </div>
+
+                      {fit.score === null ? (
+                        <p className="text-xs text-gray-500">
+                          Not enough data for a fit score. Add GPA or test scores to the profile, or a position need below.
+                        </p>
+                      ) : (
+                        <div className="space-y-1">
+                          <div className="flex items-center gap-2">
+                            <div className="flex-1 bg-gray-200 rounded-full h-2">
+                              <div className={`h-2 rounded-full ${fitColor(fit.score)}`} style={{ width: `${fit.score}%` }}></div>
+                            </div>
+                            <span className="text-sm font-semibold w-10 text-right">{fit.score}</span>
+                          </div>
+                          <p className="text-xs text-gray-600">
+                            {[
+                              ...fit.academic.factors.map(factor => `${factor.label} ${factor.value} vs ${factor.range[0]}–${factor.range[1]}`),
+                              fit.athletic.match && ATHLETIC_MATCHES[fit.athletic.match]
+                            ].filter(Boolean).join(' · ')}
+                          </p>
+                          {fit.suggestedTier && fit.suggestedTier !== interest.tier && (
+                            <p className="text-xs text-gray-500">
+                              The numbers suggest a {TARGET_TIERS.find(option => option.key === fit.suggestedTier).label.toLowerCase()}.
+                            </p>
+                          )}
+                        </div>
+                      )}
+
+                      <div className="flex flex-wrap items-center gap-2">
+                        {(interest.positionNeeds || []).map((need, index) => (
+                          <span key={`${need.position}-${need.classYear}-${index}`} className="inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-gray-100">
+                            {need.position}{need.classYear ? ` '${String(need.classYear).slice(-2)}` : ''}
+                            <button type="button" onClick={() => removeNeed(interest, index)} aria-label="Remove need">
+                              <X className="w-3 h-3" />
+                            </button>
+                          </span>
+                        ))}
+                        <input
+                          type="text"
+                          value={draft.position}
+                          onChange={(e) => updateDraft(interest.id, 'position', e.target.value)}
+                          placeholder="Position need"
+                          className="w-32 p-1 text-xs border rounded-md"
+                        />
+                        <input
+                          type="number"
+                          value={draft.classYear}
+                          onChange={(e) => updateDraft(interest.id, 'classYear', e.target.value)}
+                          placeholder="Class"
+                          className="w-20 p-1 text-xs border rounded-md"
+                        />
+                        <Button type="button" variant="ghost" size="sm" disabled={saving || !draft.position.trim()} onClick={() => addNeed(interest)}>
+                          <Plus className="w-3 h-3" />
+                        </Button>
+                      </div>
+
+                      <div className="flex items-center justify-between">
+                        {stage ? (
+                          <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STAGE_COLORS[stage]}`}>
+                            {getStageLabel(stage)}
+                          </span>
+                        ) : (
+                          <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            disabled={saving}
+                            onClick={() => run(() => moveCollegeInterest(interest, 'contacted', { by: userEmail }), 'Failed to start tracking')}
+                          >
+                            Mark Contacted
+                            <ArrowRight className="w-4 h-4 ml-1" />
+                          </Button>
+                        )}
+                        <Button type="button" variant="ghost" size="sm" onClick={() => onRemove(interest)} aria-label="Remove target">
+                          <Trash2 className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CollegeTargetList;
@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { format } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
+import {
+  DEFAULT_DIVISION,
+  evaluateRecruitingRules,
+  getRecruitingWarnings,
+  getRuleDivisions
+} from '@o7c/shared/utils/recruitingCalendar';
+import { CalendarClock, Check, X, AlertTriangle } from 'lucide-react';
+
+const formatDay = (dayKey) => format(new Date(`${dayKey}T00:00:00`), 'MMM d, yyyy');
+
+// Period, warnings and allowed interactions for one evaluation
+const RecruitingEvaluation = ({ evaluation, warnings, hasClass }) => (
+  <>
+    <div>
+      <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${evaluation.period.color}`}>
+        {evaluation.period.label}
+        {evaluation.period.end && ` until ${formatDay(evaluation.period.end)}`}
+      </span>
+      <p className="text-sm text-gray-600 mt-1">{evaluation.period.description}.</p>
+      {!hasClass && (
+        <p className="text-xs text-gray-500 mt-1">Add a graduation year to the profile to check the earliest contact dates.</p>
+      )}
+    </div>
+
+    {warnings.length > 0 && (
+      <div className="space-y-1 p-3 bg-amber-50 rounded-lg">
+        {warnings.map(warning => (
+          <p key={warning} className="flex items-start text-sm text-amber-800">
+            <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+            {warning}
+          </p>
+        ))}
+      </div>
+    )}
+
+    <ul className="space-y-2">
+      {evaluation.interactions.map(entry => (
+        <li key={entry.key} className="flex items-start text-sm">
+          {entry.allowed
+            ? <Check className="w-4 h-4 mr-2 mt-0.5 text-green-600 flex-shrink-0" />
+            : <X className="w-4 h-4 mr-2 mt-0.5 text-red-600 flex-shrink-0" />}
+          <span className={entry.allowed ? 'text-gray-900' : 'text-gray-500'}>
+            {entry.label}
+            {entry.opensOn && <span className="text-xs"> · from {formatDay(entry.opensOn)}</span>}
+          </span>
+        </li>
+      ))}
+    </ul>
+
+    <p className="text-xs text-gray-400">
+      These limits are on coaches; calling a coach yourself or visiting a campus on your own is generally fine.
+      Rules version {evaluation.version}. Check with the school's compliance office when in doubt.
+    </p>
+  </>
+);
+
+/**
+ * Recruiting Calendar Card
+ * Today's recruiting period for a division and which kinds of coach contact
+ * the player's class is allowed, so families can check before reaching out.
+ */
+const RecruitingCalendarCard = ({ player }) => {
+  const [division, setDivision] = useState(DEFAULT_DIVISION);
+  const evaluation = evaluateRecruitingRules({ gradYear: player.class, division });
+  const warnings = getRecruitingWarnings(evaluation);
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <CardTitle className="flex items-center gap-2">
+            <CalendarClock className="w-5 h-5" />
+            Recruiting Calendar
+          </CardTitle>
+          <select value={division} onChange={(e) => setDivision(e.target.value)} className="p-2 border rounded-md text-sm">
+            {getRuleDivisions().map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {evaluation ? (
+          <RecruitingEvaluation evaluation={evaluation} warnings={warnings} hasClass={Boolean(player.class)} />
+        ) : (
+          <p className="text-sm text-gray-600">
+            {division} recruiting rules for today aren't available yet. Check the NCAA or NAIA recruiting calendar
+            or the school's compliance office.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RecruitingCalendarCard;
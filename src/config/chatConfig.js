@@ -8,7 +8,9 @@ export const chatServiceConfig = {
     appId: import.meta.env.VITE_FIREBASE_APP_ID,
     measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID,
   },
-  encryptionKey: import.meta.env.VITE_CHAT_ENCRYPTION_KEY,
+  // Messages are end-to-end encrypted now; keep this set until every room has been opened
+  // once, so messages written under the old base64 setting are read and migrated correctly
+  legacyBase64: Boolean(import.meta.env.VITE_CHAT_ENCRYPTION_KEY),
   maxMessageLength: 2000,
   maxFileSize: 10 * 1024 * 1024, // 10MB
   allowedFileTypes: [
@@ -0,0 +1,53 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import useLinkedPlayers from '../hooks/useLinkedPlayers';
+
+// Remembers which child a parent was viewing across reloads
+const STORAGE_KEY = 'o7c.activePlayerId';
+
+const ActivePlayerContext = createContext(undefined);
+
+export const useActivePlayer = () => {
+  const context = useContext(ActivePlayerContext);
+  if (!context) {
+    throw new Error('useActivePlayer must be used within an ActivePlayerProvider');
+  }
+  return context;
+};
+
+/**
+ * Tracks the player the portal is showing. Players always see themselves;
+ * parents pick one of their linked children and every page follows along.
+ */
+export const ActivePlayerProvider = ({ children }) => {
+  const { role, players, loading, error, reload } = useLinkedPlayers();
+  const [activePlayerId, setActivePlayerIdState] = useState(() => localStorage.getItem(STORAGE_KEY));
+
+  // Fall back to the first linked player when the stored one is no longer linked
+  useEffect(() => {
+    if (loading || players.length === 0) return;
+    if (!players.some(player => player.id === activePlayerId)) {
+      setActivePlayerIdState(players[0].id);
+    }
+  }, [players, loading, activePlayerId]);
+
+  const setActivePlayerId = useCallback((playerId) => {
+    localStorage.setItem(STORAGE_KEY, playerId);
+    setActivePlayerIdState(playerId);
+  }, []);
+
+  const activePlayer = players.find(player => player.id === activePlayerId) || null;
+
+  return (
+    <ActivePlayerContext.Provider value={{
+      role,
+      players,
+      activePlayer,
+      setActivePlayerId,
+      loading,
+      error,
+      reload
+    }}>
+      {children}
+    </ActivePlayerContext.Provider>
+  );
+};
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth, Player, ParentPlayerAssignment } from '@o7c/shared';
+import { getEffectiveUserRole } from '@o7c/shared/utils/getUserRole';
+
+/**
+ * Load the players the signed-in user follows: their own profile for players,
+ * every actively assigned child for parents.
+ * @returns {{role: string|null, players: Array, loading: boolean, error: string|null, reload: Function}}
+ */
+export default function useLinkedPlayers() {
+  const { user } = useAuth();
+  const [role, setRole] = useState(null);
+  const [players, setPlayers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!user) {
+      setPlayers([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const effectiveRole = await getEffectiveUserRole(user);
+      setRole(effectiveRole);
+
+      if (effectiveRole === 'player' && user.playerId) {
+        setPlayers(await Player.filter({ id: user.playerId }));
+      } else if (effectiveRole === 'parent') {
+        const assignments = await ParentPlayerAssignment.filter({
+          parentEmail: user.email,
+          isActive: true
+        });
+        const playerIds = [...new Set(assignments.map(assignment => assignment.playerId))];
+        setPlayers(playerIds.length > 0 ? await Player.filter({ id: { in: playerIds } }) : []);
+      } else {
+        setPlayers([]);
+      }
+    } catch (err) {
+      console.error('Error loading linked players:', err);
+      setError('Failed to load players');
+      setPlayers([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return { role, players, loading, error, reload: load };
+}
@@ -1,150 +1,257 @@
-import { useState } from 'react';
-import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
-import { Calendar as CalendarIcon, Clock, MapPin } from 'lucide-react';
+import { useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import { useSearchParams } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle, Button, useAuth } from '@o7c/shared';
+import { listForTeams } from '@o7c/shared/api/entities/TeamEvent';
+import { filter as filterCoachAssignments } from '@o7c/shared/api/entities/CoachAssignment';
+import {
+  CALENDAR_VIEWS,
+  EVENT_TYPES,
+  getPlayerColor,
+  getPlayersTeamIds,
+  getViewRange,
+  groupEventsByDay,
+  mergePlayerEvents,
+  shiftViewDate
+} from '@o7c/shared/utils/teamEvents';
+import { getRecruitingCalendarNotices } from '@o7c/shared/utils/recruitingCalendar';
+import { Calendar as CalendarIcon, ChevronLeft, ChevronRight, AlertTriangle } from 'lucide-react';
+import { useActivePlayer } from '../contexts/ActivePlayerContext';
+import MonthView from '../components/calendar/MonthView';
+import WeekView from '../components/calendar/WeekView';
+import AgendaView from '../components/calendar/AgendaView';
+import AttendanceCheckIn from '../components/player/AttendanceCheckIn';
+
+const VIEW_LABELS = {
+  month: 'Month',
+  week: 'Week',
+  agenda: 'Agenda'
+};
+
+const formatPeriod = (view, { start, end }, date) => {
+  if (view === 'month') return format(date, 'MMMM yyyy');
+  const last = new Date(end.getTime() - 1);
+  return `${format(start, 'MMM d')} - ${format(last, 'MMM d, yyyy')}`;
+};
 
 const Calendar = () => {
+  const { user } = useAuth();
+  const { role, players, loading: playersLoading, error: playersError } = useActivePlayer();
+  const [searchParams] = useSearchParams();
+  // Reminder emails link straight to ?view=agenda
+  const [view, setView] = useState(() =>
+    CALENDAR_VIEWS.includes(searchParams.get('view')) ? searchParams.get('view') : 'month'
+  );
   const [currentDate, setCurrentDate] = useState(new Date());
+  const [selectedTypes, setSelectedTypes] = useState(EVENT_TYPES);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [coachTeamIds, setCoachTeamIds] = useState([]);
+  const [attendanceEvent, setAttendanceEvent] = useState(null);
+
+  const range = useMemo(() => getViewRange(view, currentDate), [view, currentDate]);
+  // Coaches follow the teams they are assigned to rather than linked players
+  const teamIds = useMemo(
+    () => (role === 'coach' ? coachTeamIds : getPlayersTeamIds(players)),
+    [role, coachTeamIds, players]
+  );
+
+  // Parents following more than one child get a color per child
+  const showPlayerColors = role === 'parent' && players.length > 1;
+  const playerColors = useMemo(() => (
+    showPlayerColors
+      ? Object.fromEntries(players.map((player, index) => [player.id, getPlayerColor(index)]))
+      : null
+  ), [players, showPlayerColors]);
+  const playerNames = useMemo(() => Object.fromEntries(
+    players.map(player => [player.id, `${player.firstName || ''} ${player.lastName || ''}`.trim()])
+  ), [players]);
+
+  useEffect(() => {
+    if (role !== 'coach' || !user?.coachId) return undefined;
+    let cancelled = false;
+
+    filterCoachAssignments({ coachId: user.coachId, isActive: true })
+      .then(assignments => {
+        if (!cancelled) setCoachTeamIds([...new Set((assignments || []).map(a => a.teamId).filter(Boolean))]);
+      })
+      .catch(err => console.error('Error loading coach teams:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [role, user?.coachId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadEvents = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const teamEvents = await listForTeams(teamIds, range);
+        if (!cancelled) setEvents(mergePlayerEvents(teamEvents, players));
+      } catch (err) {
+        console.error('Error loading calendar events:', err);
+        if (!cancelled) setError('Failed to load events');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    if (!playersLoading) loadEvents();
+    return () => {
+      cancelled = true;
+    };
+  }, [teamIds, range, players, playersLoading]);
 
-  // Mock events data - replace with actual API call
-  const events = [
-    {
-      id: 1,
-      title: 'Team Practice',
-      date: '2024-01-15',
-      time: '4:00 PM - 6:00 PM',
-      location: 'Main Field',
-      type: 'practice'
-    },
-    {
-      id: 2,
-      title: 'College Scouting Event',
-      date: '2024-01-18',
-      time: '2:00 PM - 4:00 PM',
-      location: 'Conference Room',
-      type: 'recruiting'
-    },
-    {
-      id: 3,
-      title: 'Tournament Game',
-      date: '2024-01-20',
-      time: '10:00 AM - 12:00 PM',
-      location: 'Away Field',
-      type: 'game'
-    }
-  ];
-
-  const getEventTypeColor = (type) => {
-    switch (type) {
-      case 'practice':
-        return 'bg-blue-100 text-blue-800';
-      case 'game':
-        return 'bg-green-100 text-green-800';
-      case 'recruiting':
-        return 'bg-purple-100 text-purple-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
+  const visibleEvents = useMemo(
+    // Events with a type outside the filter list are always shown
+    () => events.filter(event => !EVENT_TYPES.includes(event.eventType) || selectedTypes.includes(event.eventType)),
+    [events, selectedTypes]
+  );
+  const eventsByDay = useMemo(() => groupEventsByDay(visibleEvents), [visibleEvents]);
+  // NCAA recruiting periods and contact dates for the players' classes
+  const recruitingNotices = useMemo(
+    () => getRecruitingCalendarNotices({ range, players, events }),
+    [range, players, events]
+  );
+
+  const toggleType = (type) => {
+    setSelectedTypes(types => (
+      types.includes(type) ? types.filter(t => t !== type) : [...types, type]
+    ));
   };
 
+  const handleSelectDay = (day) => {
+    setCurrentDate(day);
+    setView('week');
+  };
+
+  const errorMessage = playersError || error;
+
   return (
     <div className="space-y-6">
-      <div className="flex items-center justify-between">
+      <div className="flex flex-wrap items-center justify-between gap-4">
         <h1 className="text-3xl font-bold">Team Calendar</h1>
-        <div className="text-sm text-gray-500">
-          {currentDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+        <div className="inline-flex rounded-lg bg-gray-100 p-1">
+          {CALENDAR_VIEWS.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setView(option)}
+              className={`rounded-md px-3 py-1 text-sm font-medium ${
+                view === option ? 'bg-white shadow text-gray-900' : 'text-gray-600'
+              }`}
+            >
+              {VIEW_LABELS[option]}
+            </button>
+          ))}
         </div>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-        {/* Calendar View */}
-        <div className="lg:col-span-2">
-          <Card>
-            <CardHeader>
-              <CardTitle className="flex items-center">
-                <CalendarIcon className="w-5 h-5 mr-2" />
-                Upcoming Events
-              </CardTitle>
-            </CardHeader>
-            <CardContent>
-              <div className="space-y-4">
-                {events.map((event) => (
-                  <div key={event.id} className="flex items-start space-x-4 p-4 border rounded-lg hover:bg-gray-50">
-                    <div className="flex-shrink-0">
-                      <div className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getEventTypeColor(event.type)}`}>
-                        {event.type}
-                      </div>
-                    </div>
-                    <div className="flex-1 min-w-0">
-                      <h4 className="text-sm font-medium text-gray-900">{event.title}</h4>
-                      <div className="mt-1 flex items-center text-sm text-gray-500">
-                        <Clock className="w-4 h-4 mr-1" />
-                        {event.time}
-                      </div>
-                      <div className="mt-1 flex items-center text-sm text-gray-500">
-                        <MapPin className="w-4 h-4 mr-1" />
-                        {event.location}
-                      </div>
-                    </div>
-                    <div className="flex-shrink-0 text-sm text-gray-500">
-                      {new Date(event.date).toLocaleDateString()}
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </CardContent>
-          </Card>
-        </div>
+      {attendanceEvent && (
+        <AttendanceCheckIn event={attendanceEvent} onClose={() => setAttendanceEvent(null)} />
+      )}
 
-        {/* Quick Stats */}
-        <div className="space-y-6">
-          <Card>
-            <CardHeader>
-              <CardTitle>This Month</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <div className="space-y-4">
-                <div className="flex justify-between">
-                  <span className="text-sm text-gray-600">Total Events</span>
-                  <span className="text-sm font-medium">{events.length}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-sm text-gray-600">Practices</span>
-                  <span className="text-sm font-medium">{events.filter(e => e.type === 'practice').length}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-sm text-gray-600">Games</span>
-                  <span className="text-sm font-medium">{events.filter(e => e.type === 'game').length}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-sm text-gray-600">Recruiting</span>
-                  <span className="text-sm font-medium">{events.filter(e => e.type === 'recruiting').length}</span>
-                </div>
-              </div>
-            </CardContent>
-          </Card>
-
-          <Card>
-            <CardHeader>
-              <CardTitle>Quick Actions</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <div className="space-y-2">
-                <button className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-md">
-                  Request Time Off
-                </button>
-                <button className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-md">
-                  Schedule Make-up Practice
-                </button>
-                <button className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-md">
-                  Contact Coach
-                </button>
-              </div>
-            </CardContent>
-          </Card>
-        </div>
-      </div>
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <CardTitle className="flex items-center">
+              <CalendarIcon className="w-5 h-5 mr-2" />
+              {formatPeriod(view, range, currentDate)}
+            </CardTitle>
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="icon" aria-label="Previous" onClick={() => setCurrentDate(shiftViewDate(view, currentDate, -1))}>
+                <ChevronLeft />
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setCurrentDate(new Date())}>
+                Today
+              </Button>
+              <Button variant="outline" size="icon" aria-label="Next" onClick={() => setCurrentDate(shiftViewDate(view, currentDate, 1))}>
+                <ChevronRight />
+              </Button>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 pt-2">
+            {EVENT_TYPES.map(type => (
+              <label key={type} className="inline-flex items-center gap-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selectedTypes.includes(type)}
+                  onChange={() => toggleType(type)}
+                />
+                {type}
+              </label>
+            ))}
+          </div>
+
+          {playerColors && (
+            <div className="flex flex-wrap items-center gap-3 pt-2">
+              {players.map(player => (
+                <span key={player.id} className={`inline-flex items-center text-sm ${playerColors[player.id].text}`}>
+                  <span className={`w-3 h-3 mr-1 rounded-full ${playerColors[player.id].dot}`} />
+                  {playerNames[player.id]}
+                </span>
+              ))}
+            </div>
+          )}
+        </CardHeader>
+
+        <CardContent>
+          {errorMessage && (
+            <div className="mb-4 rounded-md bg-red-50 p-3 text-sm text-red-700">{errorMessage}</div>
+          )}
+
+          {recruitingNotices.length > 0 && (
+            <div className="mb-4 space-y-1 rounded-md bg-amber-50 p-3">
+              {recruitingNotices.map(notice => (
+                <p key={notice.key} className="flex items-start text-sm text-amber-800">
+                  <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                  {notice.message}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {playersLoading || loading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : teamIds.length === 0 ? (
+            <p className="py-8 text-center text-sm text-gray-500">
+              No team assignments yet. Events will appear here once you are added to a team.
+            </p>
+          ) : (
+            <>
+              {view === 'month' && (
+                <MonthView
+                  date={currentDate}
+                  eventsByDay={eventsByDay}
+                  playerColors={playerColors}
+                  onSelectDay={handleSelectDay}
+                />
+              )}
+              {view === 'week' && (
+                <WeekView date={currentDate} eventsByDay={eventsByDay} playerColors={playerColors} />
+              )}
+              {view === 'agenda' && (
+                <AgendaView
+                  eventsByDay={eventsByDay}
+                  playerColors={playerColors}
+                  playerNames={playerNames}
+                  role={role}
+                  onTakeAttendance={setAttendanceEvent}
+                />
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
     </div>
   );
 };
 
-export default Calendar;
\ No newline at end of file
+export default Calendar;
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { format } from 'date-fns';
+import { Card, CardContent, CardHeader, CardTitle, Button } from '@o7c/shared';
+import { checkInWithCode } from '@o7c/shared/api/checkIn';
+import { ATTENDANCE_STATUS_COLORS } from '@o7c/shared/utils/attendance';
+import { CheckCircle, QrCode } from 'lucide-react';
+import { useActivePlayer } from '../contexts/ActivePlayerContext';
+
+// Landing page for the QR code a coach shows at an event
+const CheckIn = () => {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code');
+  const { players, loading } = useActivePlayer();
+  const [results, setResults] = useState({});
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleCheckIn = async (player) => {
+    setPending(player.id);
+    setError(null);
+    try {
+      const result = await checkInWithCode(code, player.id);
+      setResults(prev => ({ ...prev, [player.id]: result }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  const checkedInEvent = Object.values(results)[0]?.event;
+
+  return (
+    <div className="max-w-lg mx-auto space-y-6">
+      <h1 className="text-3xl font-bold">Event Check-In</h1>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <QrCode className="w-5 h-5 mr-2" />
+            {checkedInEvent
+              ? `${checkedInEvent.title} · ${format(new Date(checkedInEvent.startDate), 'EEE, MMM d h:mm a')}`
+              : 'Check in to your event'}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {!code ? (
+            <p className="text-sm text-gray-600">
+              Scan the QR code your coach shows at the event to check in.
+            </p>
+          ) : loading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : players.length === 0 ? (
+            <p className="text-sm text-gray-600">No players are linked to your account.</p>
+          ) : (
+            players.map(player => {
+              const attendance = results[player.id]?.attendance;
+              return (
+                <div key={player.id} className="flex items-center justify-between gap-4 rounded-md border p-3">
+                  <span className="font-medium">{`${player.firstName || ''} ${player.lastName || ''}`.trim()}</span>
+                  {attendance ? (
+                    <span className={`inline-flex items-center rounded-full px-3 py-1 text-sm ${ATTENDANCE_STATUS_COLORS[attendance.status]}`}>
+                      <CheckCircle className="w-4 h-4 mr-1" />
+                      {attendance.status}
+                    </span>
+                  ) : (
+                    <Button size="sm" disabled={pending !== null} onClick={() => handleCheckIn(player)}>
+                      {pending === player.id ? 'Checking in...' : 'Check In'}
+                    </Button>
+                  )}
+                </div>
+              );
+            })
+          )}
+
+          {error && (
+            <div className="rounded-md bg-red-50 p-3 text-sm text-red-700">{error}</div>
+          )}
+
+          <Link to="/calendar" className="block text-sm text-blue-600 hover:underline">
+            Back to calendar
+          </Link>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default CheckIn;
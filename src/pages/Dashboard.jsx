@@ -2,10 +2,14 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
 import { useAuth } from '@o7c/shared';
-import { User, Trophy, Calendar, MessageSquare, TrendingUp, Award } from 'lucide-react';
+import { loadDocumentStatus } from '@o7c/shared/api/playerDocuments';
+import { User, Trophy, Calendar, MessageSquare, TrendingUp, Award, AlertTriangle } from 'lucide-react';
+import { useActivePlayer } from '../contexts/ActivePlayerContext';
+import AttendanceHistory from '../components/player/AttendanceHistory';
 
 const Dashboard = () => {
   const { userData } = useAuth();
+  const { players, activePlayer } = useActivePlayer();
   const [stats, setStats] = useState({
     profileCompletion: 75,
     recruitingStatus: 'Active',
@@ -14,6 +18,24 @@ const Dashboard = () => {
     unreadMessages: 1,
     recentActivity: []
   });
+  const [documentIssues, setDocumentIssues] = useState([]);
+
+  // Flag documents that would keep the player out of an upcoming tournament
+  useEffect(() => {
+    let cancelled = false;
+    setDocumentIssues([]);
+    if (!activePlayer) return undefined;
+
+    loadDocumentStatus(activePlayer)
+      .then(status => {
+        if (!cancelled) setDocumentIssues(status.tournamentIssues);
+      })
+      .catch(error => console.error('Error loading document status:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activePlayer]);
 
   // Mock data - replace with actual API calls
   useEffect(() => {
@@ -50,9 +72,29 @@ const Dashboard = () => {
         </h1>
         <div className="text-sm text-gray-500">
           Welcome back, {userData?.firstName}!
+          {userData?.role === 'parent' && activePlayer && (
+            <span className="ml-1">Viewing {activePlayer.firstName} {activePlayer.lastName}.</span>
+          )}
         </div>
       </div>
 
+      {documentIssues.length > 0 && (
+        <div className="flex items-start gap-3 p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-800">
+          <AlertTriangle className="h-5 w-5 flex-shrink-0" />
+          <div className="flex-1">
+            {documentIssues.map(({ event, missing }) => (
+              <p key={event.occurrenceId || event.id}>
+                <span className="font-medium">{activePlayer.firstName} is not cleared for {event.title}.</span>
+                {` Needs ${missing.map(item => item.label).join(', ')}.`}
+              </p>
+            ))}
+          </div>
+          <Link to="/profile" className="font-medium underline whitespace-nowrap">
+            Upload documents
+          </Link>
+        </div>
+      )}
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <Card>
@@ -80,7 +122,7 @@ const Dashboard = () => {
           </CardHeader>
           <CardContent>
             <div className="text-2xl font-bold">
-              {userData?.role === 'parent' ? '2' : stats.recruitingStatus}
+              {userData?.role === 'parent' ? players.length : stats.recruitingStatus}
             </div>
             <p className="text-xs text-muted-foreground">
               {userData?.role === 'parent' ? 'Active players' : 'Ready for recruitment'}
@@ -134,6 +176,8 @@ const Dashboard = () => {
         </CardContent>
       </Card>
 
+      {activePlayer && <AttendanceHistory player={activePlayer} />}
+
       {/* Recent Activity */}
       <Card>
         <CardHeader>
@@ -1,135 +1,148 @@
-import { useState, useEffect } from 'react';
-import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
-import { Button } from '@o7c/shared';
-import { useAuth } from '@o7c/shared';
-import { MessageSquare, Send, Search, Filter, Star, Paperclip, MoreVertical } from 'lucide-react';
+import { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Button, useAuth, ChatSystem, ChatService, ChatKeyring, NotificationService } from '@o7c/shared';
+import { listChatContacts, startDirectChat } from '@o7c/shared/api/chatRooms';
+import { FILE_CATEGORIES } from '@o7c/shared/utils/fileStorage';
+import { getRoomTitle, roomMatches } from '@o7c/shared/utils/chatRooms';
+import { MessageSquare, Search, Users, User, X } from 'lucide-react';
+import { useActivePlayer } from '../contexts/ActivePlayerContext';
+import { chatServiceConfig } from '../config/chatConfig';
+
+// Searching message text starts once the term is this long
+const MIN_MESSAGE_SEARCH = 2;
+
+const ROLE_LABELS = {
+  admin: 'O7C Staff',
+  coach: 'Coach',
+  player: 'Player',
+  parent: 'Parent'
+};
+
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  const diffInHours = (new Date() - date) / (1000 * 60 * 60);
+  return diffInHours < 24
+    ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString();
+};
 
 const Messages = () => {
-  const { userData } = useAuth();
-  const [selectedConversation, setSelectedConversation] = useState(null);
-  const [newMessage, setNewMessage] = useState('');
+  const { user, userData } = useAuth();
+  const { role } = useActivePlayer();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [rooms, setRooms] = useState([]);
+  const [roomsLoading, setRoomsLoading] = useState(true);
+  const [unreadByChat, setUnreadByChat] = useState({});
   const [searchTerm, setSearchTerm] = useState('');
-  const [conversations, setConversations] = useState([]);
-  const [messages, setMessages] = useState([]);
+  const [messageHits, setMessageHits] = useState([]);
+  const [contacts, setContacts] = useState(null);
+  const [showNew, setShowNew] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const userId = user?.uid;
+  const userName = `${userData?.firstName || ''} ${userData?.lastName || ''}`.trim() || user?.email;
+  // Notification links open a room with ?room=, search results also pass the message with &message=
+  const selectedRoomId = searchParams.get('room');
+  const selectedMessageId = searchParams.get('message');
+
+  // Changes when rooms are added or removed, not on every new message
+  const roomIdsKey = rooms.map(room => room.id).join(',');
+  const roomIds = useMemo(() => (roomIdsKey ? roomIdsKey.split(',') : []), [roomIdsKey]);
+
+  // Messages are encrypted with keys held by this user's device, so each user gets their own service
+  const chatService = useMemo(() => (userId ? new ChatService({
+    firebaseConfig: null,
+    legacyBase64: chatServiceConfig.legacyBase64,
+    maxFileSize: FILE_CATEGORIES.chat.maxSize,
+    allowedFileTypes: FILE_CATEGORIES.chat.types,
+    keyring: new ChatKeyring(userId)
+  }) : null), [userId]);
+  const notificationService = useMemo(() => (userId ? new NotificationService(userId) : null), [userId]);
 
   useEffect(() => {
-    // Mock conversations data
-    setConversations([
-      {
-        id: 1,
-        name: 'Coach Johnson',
-        role: 'Head Coach',
-        avatar: '/avatars/coach-johnson.jpg',
-        lastMessage: 'Great practice today! Keep up the good work.',
-        timestamp: '2024-01-15T14:30:00Z',
-        unread: 2,
-        online: true
-      },
-      {
-        id: 2,
-        name: 'UCLA Recruiting',
-        role: 'College Recruiter',
-        avatar: '/avatars/ucla.jpg',
-        lastMessage: 'We would like to schedule a campus visit.',
-        timestamp: '2024-01-15T10:15:00Z',
-        unread: 1,
-        online: false
-      },
-      {
-        id: 3,
-        name: 'Team Group',
-        role: 'Team Chat',
-        avatar: '/avatars/team.jpg',
-        lastMessage: 'Sarah: Don\'t forget about tomorrow\'s game!',
-        timestamp: '2024-01-14T18:45:00Z',
-        unread: 5,
-        online: true,
-        isGroup: true
-      },
-      {
-        id: 4,
-        name: 'Dr. Smith',
-        role: 'Team Doctor',
-        avatar: '/avatars/doctor.jpg',
-        lastMessage: 'Your injury report looks good. Cleared to play.',
-        timestamp: '2024-01-14T16:20:00Z',
-        unread: 0,
-        online: false
-      },
-      {
-        id: 5,
-        name: 'Stanford Athletics',
-        role: 'College Recruiter',
-        avatar: '/avatars/stanford.jpg',
-        lastMessage: 'Thank you for your interest in our program.',
-        timestamp: '2024-01-13T11:30:00Z',
-        unread: 0,
-        online: false
-      }
-    ]);
+    if (!chatService) return undefined;
+    setRoomsLoading(true);
+    return chatService.subscribeToUserRooms(userId, (userRooms) => {
+      setRooms(userRooms);
+      setRoomsLoading(false);
+    });
+  }, [chatService, userId]);
+
+  useEffect(() => {
+    if (!notificationService) return undefined;
+    return notificationService.subscribeToUnreadCount((_, byChat) => setUnreadByChat(byChat));
+  }, [notificationService]);
 
-    // Mock messages for selected conversation
-    if (selectedConversation) {
-      setMessages([
-        {
-          id: 1,
-          senderId: selectedConversation.id,
-          senderName: selectedConversation.name,
-          content: 'Hi! How are you doing?',
-          timestamp: '2024-01-15T10:00:00Z',
-          isOwn: false
-        },
-        {
-          id: 2,
-          senderId: 'me',
-          senderName: 'You',
-          content: 'I\'m doing great! Thanks for asking.',
-          timestamp: '2024-01-15T10:05:00Z',
-          isOwn: true
-        },
-        {
-          id: 3,
-          senderId: selectedConversation.id,
-          senderName: selectedConversation.name,
-          content: selectedConversation.lastMessage,
-          timestamp: selectedConversation.timestamp,
-          isOwn: false
-        }
-      ]);
+  // Anything arriving in the open room is read
+  useEffect(() => {
+    if (selectedRoomId && unreadByChat[selectedRoomId] > 0) {
+      notificationService.markChatAsRead(selectedRoomId).catch(err => console.error('Error marking chat read:', err));
     }
-  }, [selectedConversation]);
+  }, [selectedRoomId, unreadByChat, notificationService]);
 
-  const handleSendMessage = () => {
-    if (newMessage.trim() && selectedConversation) {
-      const message = {
-        id: messages.length + 1,
-        senderId: 'me',
-        senderName: 'You',
-        content: newMessage,
-        timestamp: new Date().toISOString(),
-        isOwn: true
-      };
-      setMessages([...messages, message]);
-      setNewMessage('');
+  // Firestore has no text search, so message search runs in the browser over each room's recent history
+  useEffect(() => {
+    const term = searchTerm.trim();
+    if (!chatService || term.length < MIN_MESSAGE_SEARCH || roomIds.length === 0) {
+      setMessageHits([]);
+      return undefined;
     }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const hits = await chatService.searchMessages(roomIds, term);
+        if (!cancelled) setMessageHits(hits);
+      } catch (err) {
+        console.error('Error searching messages:', err);
+        if (!cancelled) setError('Message search failed');
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [chatService, searchTerm, roomIds]);
+
+  const selectRoom = (roomId) => {
+    setSearchParams(roomId ? { room: roomId } : {});
+  };
+
+  const openMessage = (message) => {
+    setSearchParams({ room: message.chatId, message: message.id });
   };
 
-  const formatTimestamp = (timestamp) => {
-    const date = new Date(timestamp);
-    const now = new Date();
-    const diffInHours = (now - date) / (1000 * 60 * 60);
-    
-    if (diffInHours < 24) {
-      return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    } else {
-      return date.toLocaleDateString();
+  const openNewConversation = async () => {
+    setShowNew(true);
+    if (contacts) return;
+    setError(null);
+    try {
+      setContacts(await listChatContacts());
+    } catch (err) {
+      console.error('Error loading contacts:', err);
+      setError('Failed to load the people you can message');
     }
   };
 
-  const filteredConversations = conversations.filter(conv =>
-    conv.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    conv.role.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const startConversation = async (contact) => {
+    setStarting(true);
+    setError(null);
+    try {
+      selectRoom(await startDirectChat(contact.userId));
+      setShowNew(false);
+    } catch (err) {
+      console.error('Error starting conversation:', err);
+      setError(err.message || 'Failed to start the conversation');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const filteredRooms = rooms.filter(room => roomMatches(room, searchTerm, userId));
+  const roomsById = Object.fromEntries(rooms.map(room => [room.id, room]));
+  const totalUnread = rooms.reduce((sum, room) => sum + (unreadByChat[room.id] || 0), 0);
 
   return (
     <div className="h-[calc(100vh-8rem)] flex">
@@ -137,175 +150,158 @@ const Messages = () => {
       <div className="w-1/3 border-r border-gray-200 flex flex-col">
         <div className="p-4 border-b border-gray-200">
           <div className="flex items-center justify-between mb-4">
-            <h1 className="text-2xl font-bold">Messages</h1>
-            <Button size="sm">
+            <h1 className="text-2xl font-bold">
+              Messages
+              {totalUnread > 0 && (
+                <span className="ml-2 inline-flex items-center justify-center px-2 h-5 text-xs font-medium text-white bg-blue-600 rounded-full align-middle">
+                  {totalUnread}
+                </span>
+              )}
+            </h1>
+            <Button size="sm" onClick={openNewConversation}>
               <MessageSquare className="w-4 h-4 mr-2" />
               New
             </Button>
           </div>
-          
+
           <div className="relative">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
             <input
               type="text"
-              placeholder="Search conversations..."
+              placeholder="Search conversations and messages..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
           </div>
+
+          {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
         </div>
 
+        {showNew && (
+          <div className="border-b border-gray-200 bg-gray-50">
+            <div className="flex items-center justify-between px-4 py-2">
+              <h2 className="text-sm font-semibold text-gray-700">Start a conversation</h2>
+              <button type="button" onClick={() => setShowNew(false)} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            {!contacts ? (
+              <p className="px-4 pb-3 text-sm text-gray-500">Loading...</p>
+            ) : contacts.length === 0 ? (
+              <p className="px-4 pb-3 text-sm text-gray-500">There is no one you can message yet.</p>
+            ) : (
+              <ul className="max-h-48 overflow-y-auto">
+                {contacts.map(contact => (
+                  <li key={contact.userId}>
+                    <button
+                      type="button"
+                      disabled={starting}
+                      onClick={() => startConversation(contact)}
+                      className="w-full px-4 py-2 text-left hover:bg-gray-100 disabled:opacity-50"
+                    >
+                      <span className="text-sm text-gray-900">{contact.name}</span>
+                      <span className="ml-2 text-xs text-gray-500">{ROLE_LABELS[contact.role] || contact.role}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         <div className="flex-1 overflow-y-auto">
-          {filteredConversations.map((conversation) => (
-            <div
-              key={conversation.id}
-              onClick={() => setSelectedConversation(conversation)}
-              className={`p-4 border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${
-                selectedConversation?.id === conversation.id ? 'bg-blue-50 border-blue-200' : ''
-              }`}
-            >
-              <div className="flex items-start space-x-3">
-                <div className="relative">
-                  <div className="w-12 h-12 bg-gray-200 rounded-full flex items-center justify-center">
-                    <img
-                      src={conversation.avatar}
-                      alt={conversation.name}
-                      className="w-12 h-12 rounded-full object-cover"
-                      onError={(e) => {
-                        e.target.style.display = 'none';
-                        e.target.nextSibling.style.display = 'flex';
-                      }}
-                    />
-                    <MessageSquare className="w-6 h-6 text-gray-400 hidden" />
-                  </div>
-                  {conversation.online && (
-                    <div className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 rounded-full border-2 border-white"></div>
-                  )}
-                </div>
-                
-                <div className="flex-1 min-w-0">
-                  <div className="flex items-center justify-between">
-                    <h3 className="text-sm font-medium text-gray-900 truncate">
-                      {conversation.name}
-                    </h3>
-                    <span className="text-xs text-gray-500">
-                      {formatTimestamp(conversation.timestamp)}
-                    </span>
-                  </div>
-                  
-                  <p className="text-xs text-gray-500 mb-1">{conversation.role}</p>
-                  
-                  <div className="flex items-center justify-between">
-                    <p className="text-sm text-gray-600 truncate">
-                      {conversation.lastMessage}
-                    </p>
-                    {conversation.unread > 0 && (
-                      <span className="inline-flex items-center justify-center w-5 h-5 text-xs font-medium text-white bg-blue-600 rounded-full">
-                        {conversation.unread}
-                      </span>
-                    )}
-                  </div>
-                </div>
-              </div>
+          {roomsLoading ? (
+            <div className="flex items-center justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
             </div>
-          ))}
-        </div>
-      </div>
+          ) : filteredRooms.length === 0 && messageHits.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">
+              {searchTerm ? 'No conversations or messages match your search.' : 'No conversations yet.'}
+            </p>
+          ) : (
+            filteredRooms.map(room => {
+              const unread = unreadByChat[room.id] || 0;
+              const RoomIcon = room.type === 'direct' ? User : Users;
 
-      {/* Message View */}
-      <div className="flex-1 flex flex-col">
-        {selectedConversation ? (
-          <>
-            {/* Message Header */}
-            <div className="p-4 border-b border-gray-200 bg-white">
-              <div className="flex items-center justify-between">
-                <div className="flex items-center space-x-3">
-                  <div className="relative">
-                    <div className="w-10 h-10 bg-gray-200 rounded-full flex items-center justify-center">
-                      <img
-                        src={selectedConversation.avatar}
-                        alt={selectedConversation.name}
-                        className="w-10 h-10 rounded-full object-cover"
-                        onError={(e) => {
-                          e.target.style.display = 'none';
-                          e.target.nextSibling.style.display = 'flex';
-                        }}
-                      />
-                      <MessageSquare className="w-5 h-5 text-gray-400 hidden" />
+              return (
+                <div
+                  key={room.id}
+                  onClick={() => selectRoom(room.id)}
+                  className={`p-4 border-b border-gray-100 cursor-pointer hover:bg-gray-50 ${
+                    selectedRoomId === room.id ? 'bg-blue-50 border-blue-200' : ''
+                  }`}
+                >
+                  <div className="flex items-start space-x-3">
+                    <div className="w-12 h-12 bg-gray-200 rounded-full flex items-center justify-center flex-shrink-0">
+                      <RoomIcon className="w-6 h-6 text-gray-400" />
+                    </div>
+
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center justify-between">
+                        <h3 className={`text-sm text-gray-900 truncate ${unread > 0 ? 'font-semibold' : 'font-medium'}`}>
+                          {getRoomTitle(room, userId)}
+                        </h3>
+                        <span className="text-xs text-gray-500">{formatTimestamp(room.lastActivity)}</span>
+                      </div>
+
+                      <div className="flex items-center justify-between">
+                        <p className="text-sm text-gray-600 truncate">
+                          {room.lastMessage
+                            ? `${room.lastMessage.senderId === userId ? 'You' : room.lastMessage.senderName}: ${room.lastMessage.content}`
+                            : 'No messages yet'}
+                        </p>
+                        {unread > 0 && (
+                          <span className="inline-flex items-center justify-center min-w-[1.25rem] h-5 px-1 text-xs font-medium text-white bg-blue-600 rounded-full">
+                            {unread}
+                          </span>
+                        )}
+                      </div>
                     </div>
-                    {selectedConversation.online && (
-                      <div className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 rounded-full border-2 border-white"></div>
-                    )}
-                  </div>
-                  <div>
-                    <h2 className="text-lg font-semibold text-gray-900">
-                      {selectedConversation.name}
-                    </h2>
-                    <p className="text-sm text-gray-500">
-                      {selectedConversation.online ? 'Online' : 'Offline'} • {selectedConversation.role}
-                    </p>
                   </div>
                 </div>
-                
-                <div className="flex items-center space-x-2">
-                  <Button variant="outline" size="sm">
-                    <Star className="w-4 h-4" />
-                  </Button>
-                  <Button variant="outline" size="sm">
-                    <MoreVertical className="w-4 h-4" />
-                  </Button>
-                </div>
-              </div>
-            </div>
+              );
+            })
+          )}
 
-            {/* Messages */}
-            <div className="flex-1 overflow-y-auto p-4 space-y-4">
-              {messages.map((message) => (
+          {messageHits.length > 0 && (
+            <div>
+              <h2 className="px-4 pt-4 pb-2 text-xs font-semibold uppercase text-gray-500">Messages</h2>
+              {messageHits.map(message => (
                 <div
                   key={message.id}
-                  className={`flex ${message.isOwn ? 'justify-end' : 'justify-start'}`}
+                  onClick={() => openMessage(message)}
+                  className="px-4 py-3 border-b border-gray-100 cursor-pointer hover:bg-gray-50"
                 >
-                  <div
-                    className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
-                      message.isOwn
-                        ? 'bg-blue-600 text-white'
-                        : 'bg-gray-100 text-gray-900'
-                    }`}
-                  >
-                    <p className="text-sm">{message.content}</p>
-                    <p className={`text-xs mt-1 ${
-                      message.isOwn ? 'text-blue-100' : 'text-gray-500'
-                    }`}>
-                      {formatTimestamp(message.timestamp)}
-                    </p>
+                  <div className="flex items-center justify-between">
+                    <span className="text-xs font-medium text-gray-700 truncate">
+                      {roomsById[message.chatId] ? getRoomTitle(roomsById[message.chatId], userId) : 'Conversation'}
+                    </span>
+                    <span className="text-xs text-gray-500">{formatTimestamp(message.timestamp)}</span>
                   </div>
+                  <p className="text-sm text-gray-600 truncate">
+                    {message.senderId === userId ? 'You' : message.senderName}: {message.content}
+                  </p>
                 </div>
               ))}
             </div>
+          )}
+        </div>
+      </div>
 
-            {/* Message Input */}
-            <div className="p-4 border-t border-gray-200 bg-white">
-              <div className="flex items-center space-x-2">
-                <Button variant="outline" size="sm">
-                  <Paperclip className="w-4 h-4" />
-                </Button>
-                <div className="flex-1 relative">
-                  <input
-                    type="text"
-                    value={newMessage}
-                    onChange={(e) => setNewMessage(e.target.value)}
-                    onKeyPress={(e) => e.key === 'Enter' && handleSendMessage()}
-                    placeholder="Type a message..."
-                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-                <Button onClick={handleSendMessage} disabled={!newMessage.trim()}>
-                  <Send className="w-4 h-4" />
-                </Button>
-              </div>
-            </div>
-          </>
+      {/* Message View */}
+      <div className="flex-1 flex flex-col">
+        {selectedRoomId && chatService ? (
+          <ChatSystem
+            key={selectedRoomId}
+            chatService={chatService}
+            userId={userId}
+            userName={userName}
+            userRole={role}
+            roomId={selectedRoomId}
+            messageId={selectedMessageId || undefined}
+            className="flex-1"
+          />
         ) : (
           <div className="flex-1 flex items-center justify-center bg-gray-50">
             <div className="text-center">
@@ -314,7 +310,7 @@ const Messages = () => {
                 Select a conversation
               </h3>
               <p className="text-gray-500">
-                Choose a conversation from the list to start messaging
+                Choose a conversation from the list, or start a new one
               </p>
             </div>
           </div>
@@ -324,4 +320,4 @@ const Messages = () => {
   );
 };
 
-export default Messages;
\ No newline at end of file
+export default Messages;
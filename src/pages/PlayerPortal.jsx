@@ -13,6 +13,7 @@ import { Star, ExternalLink, User, Calendar, Target, TrendingUp, FileText, Dolla
 import FinancialDashboard from './components/player/FinancialDashboard';
 import TeamCalendar from './components/player/TeamCalendar';
 import GoalsTracker from './components/player/GoalsTracker';
+import AttendanceHistory from './components/player/AttendanceHistory';
 import PlayerProfileEditor from './components/player/PlayerProfileEditor';
 import PerformanceCharts from '@o7c/shared/components/analytics/PerformanceCharts';
 import NotificationSystem from '@o7c/shared/components/notifications/NotificationSystem';
@@ -535,7 +536,7 @@ const PlayerPortal = () => {
           </TabsContent>
 
           <TabsContent value="schedule" className="mt-6">
-            <TeamCalendar player={currentPlayer} />
+            <TeamCalendar player={currentPlayer} userRole={userRole} />
           </TabsContent>
 
           <TabsContent value="stats" className="mt-6">
@@ -547,7 +548,12 @@ const PlayerPortal = () => {
           </TabsContent>
 
           <TabsContent value="goals" className="mt-6">
-            <GoalsTracker player={currentPlayer} />
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="lg:col-span-2">
+                <GoalsTracker player={currentPlayer} />
+              </div>
+              <AttendanceHistory player={currentPlayer} />
+            </div>
           </TabsContent>
 
           <TabsContent value="recruiting" className="mt-6">
@@ -2,50 +2,116 @@ import { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
 import { useAuth } from '@o7c/shared';
 import { Button } from '@o7c/shared';
-import { User, Mail, Phone, MapPin, Calendar, Award, FileText, Camera } from 'lucide-react';
+import {
+  FIELD_ACCESS,
+  getProfileField,
+  getFieldAccess,
+  getEditableFields,
+  validateProfile,
+  getProfileChanges,
+  partitionChanges
+} from '@o7c/shared/utils/playerProfile';
+import { submitProfileChanges, listPendingChanges } from '@o7c/shared/api/profileChanges';
+import { update as updatePlayer } from '@o7c/shared/api/entities/Player';
+import { useFileUrl } from '@o7c/shared/hooks/useFileUrl';
+import DocumentManager from '@o7c/shared/components/documents/DocumentManager';
+import { User, Mail, Phone, MapPin, FileText, Camera, Clock, AlertCircle, CheckCircle } from 'lucide-react';
+import { useActivePlayer } from '../contexts/ActivePlayerContext';
+
+// Only the fields this role can change go into the form
+const toFormValues = (player, role) => Object.fromEntries(
+  getEditableFields(role).map(field => [field.key, player?.[field.key] ?? ''])
+);
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+const formatValue = (field, value) => {
+  if (value === '' || value === null || value === undefined) return 'Not provided';
+  if (field.type === 'date') return new Date(value).toLocaleDateString();
+  return String(value);
+};
 
 const Profile = () => {
-  const { userData } = useAuth();
+  const { user } = useAuth();
+  const { role, activePlayer, loading: playerLoading, reload } = useActivePlayer();
   const [isEditing, setIsEditing] = useState(false);
-  const [profileData, setProfileData] = useState({
-    firstName: '',
-    lastName: '',
-    email: '',
-    phone: '',
-    address: '',
-    dateOfBirth: '',
-    height: '',
-    weight: '',
-    position: '',
-    graduationYear: '',
-    gpa: '',
-    satScore: '',
-    actScore: ''
-  });
+  const [profileData, setProfileData] = useState(toFormValues(null, role));
+  const [errors, setErrors] = useState({});
+  const [pendingChanges, setPendingChanges] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const photoUrl = useFileUrl(activePlayer?.photoPath, activePlayer?.photoUrl || null);
+
+  useEffect(() => {
+    setProfileData(toFormValues(activePlayer, role));
+    setErrors({});
+    setIsEditing(false);
+    loadPendingChanges();
+  }, [activePlayer, role]);
 
   useEffect(() => {
-    if (userData) {
-      setProfileData({
-        firstName: userData.firstName || '',
-        lastName: userData.lastName || '',
-        email: userData.email || '',
-        phone: userData.phone || '',
-        address: userData.address || '',
-        dateOfBirth: userData.dateOfBirth || '',
-        height: userData.height || '',
-        weight: userData.weight || '',
-        position: userData.position || '',
-        graduationYear: userData.graduationYear || '',
-        gpa: userData.gpa || '',
-        satScore: userData.satScore || '',
-        actScore: userData.actScore || ''
-      });
+    setMessage(null);
+  }, [activePlayer?.id]);
+
+  const loadPendingChanges = async () => {
+    if (!activePlayer) return;
+    setPendingChanges(await listPendingChanges(activePlayer.id));
+  };
+
+  // Latest pending value per field, shown next to the saved value
+  const pendingByField = Object.fromEntries(
+    [...pendingChanges]
+      .sort((a, b) => new Date(a.changeDate) - new Date(b.changeDate))
+      .map(change => [change.fieldName, change])
+  );
+
+  const handleSave = async () => {
+    const validationErrors = validateProfile(profileData);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const changes = getProfileChanges(activePlayer, profileData);
+    if (changes.length === 0) {
+      setIsEditing(false);
+      setMessage({ type: 'info', text: 'No changes to save.' });
+      return;
     }
-  }, [userData]);
 
-  const handleSave = () => {
-    // Handle save profile logic
-    console.log('Saving profile:', profileData);
+    // Fields the role may edit directly are saved now; the rest wait on staff
+    const { direct, review } = partitionChanges(role, changes);
+
+    setSaving(true);
+    setMessage(null);
+    try {
+      if (review.length > 0) {
+        await submitProfileChanges(activePlayer, review, { changedBy: user.email, role });
+        await loadPendingChanges();
+      }
+      if (direct.length > 0) {
+        await updatePlayer(activePlayer.id, Object.fromEntries(direct.map(change => [change.field, change.newValue])));
+      }
+      setIsEditing(false);
+
+      const summary = [
+        direct.length > 0 && `${plural(direct.length, 'change')} saved.`,
+        review.length > 0 && `${plural(review.length, 'change')} submitted for review. They will appear on the profile once approved.`
+      ].filter(Boolean).join(' ');
+      setMessage({ type: 'success', text: summary });
+
+      // Reloading replaces activePlayer, which resets the form to the saved values
+      if (direct.length > 0) await reload();
+      else setProfileData(toFormValues(activePlayer, role));
+    } catch (error) {
+      console.error('Error submitting profile changes:', error);
+      setMessage({ type: 'error', text: 'Your changes could not be saved. Please try again.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setProfileData(toFormValues(activePlayer, role));
+    setErrors({});
     setIsEditing(false);
   };
 
@@ -54,20 +120,110 @@ const Profile = () => {
       ...prev,
       [field]: value
     }));
+    setErrors(prev => {
+      const { [field]: _cleared, ...rest } = prev;
+      return rest;
+    });
   };
 
+  const renderField = (key) => {
+    const field = getProfileField(key);
+    const pending = pendingByField[key];
+    const mode = getFieldAccess(key, role);
+
+    return (
+      <div key={key}>
+        <label htmlFor={`profile-${key}`} className="block text-sm font-medium text-gray-700 mb-1">
+          {field.label}
+        </label>
+        {isEditing && mode !== FIELD_ACCESS.READ_ONLY ? (
+          <>
+            <input
+              id={`profile-${key}`}
+              type={field.type}
+              step={field.step}
+              value={profileData[key]}
+              onChange={(e) => handleInputChange(key, e.target.value)}
+              className={`w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                errors[key] ? 'border-red-500' : 'border-gray-300'
+              }`}
+            />
+            {errors[key] && <p className="mt-1 text-xs text-red-600">{errors[key]}</p>}
+            {mode === FIELD_ACCESS.REVIEW && !errors[key] && (
+              <p className="mt-1 text-xs text-gray-500">Changes are reviewed by staff</p>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-900">{formatValue(field, activePlayer[key])}</p>
+        )}
+        {pending && (
+          <p className="mt-1 flex items-center text-xs text-yellow-700">
+            <Clock className="w-3 h-3 mr-1" />
+            Pending review: {formatValue(field, pending.newValue)}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  if (playerLoading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!activePlayer) {
+    return (
+      <Card>
+        <CardContent className="text-center py-12">
+          <User className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No player profile</h3>
+          <p className="text-gray-600">
+            Your account is not linked to a player profile yet. Contact your club administrator.
+          </p>
+        </CardContent>
+      </Card>
+    );
+  }
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <h1 className="text-3xl font-bold">Player Profile</h1>
-        <Button
-          onClick={() => isEditing ? handleSave() : setIsEditing(true)}
-          variant={isEditing ? "default" : "outline"}
-        >
-          {isEditing ? 'Save Changes' : 'Edit Profile'}
-        </Button>
+        <div className="flex space-x-2">
+          {isEditing && (
+            <Button variant="outline" onClick={handleCancel} disabled={saving}>
+              Cancel
+            </Button>
+          )}
+          <Button
+            onClick={() => isEditing ? handleSave() : setIsEditing(true)}
+            variant={isEditing ? "default" : "outline"}
+            disabled={saving}
+          >
+            {isEditing ? (saving ? 'Saving...' : 'Save Changes') : 'Edit Profile'}
+          </Button>
+        </div>
       </div>
 
+      {message && (
+        <div className={`flex items-center p-4 text-sm rounded-lg ${
+          message.type === 'error' ? 'text-red-700 bg-red-50' : 'text-green-700 bg-green-50'
+        }`}>
+          {message.type === 'error' ? <AlertCircle className="w-4 h-4 mr-2" /> : <CheckCircle className="w-4 h-4 mr-2" />}
+          {message.text}
+        </div>
+      )}
+
+      {Object.keys(errors).length > 0 && (
+        <div className="flex items-center p-4 text-sm text-red-700 bg-red-50 rounded-lg">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          Please fix the highlighted fields before saving.
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Profile Photo & Basic Info */}
         <div className="lg:col-span-1">
@@ -75,8 +231,12 @@ const Profile = () => {
             <CardContent className="pt-6">
               <div className="flex flex-col items-center">
                 <div className="relative">
-                  <div className="w-32 h-32 bg-blue-100 rounded-full flex items-center justify-center">
-                    <User className="w-16 h-16 text-blue-600" />
+                  <div className="w-32 h-32 bg-blue-100 rounded-full flex items-center justify-center overflow-hidden">
+                    {photoUrl ? (
+                      <img src={photoUrl} alt="Profile" className="w-full h-full object-cover" />
+                    ) : (
+                      <User className="w-16 h-16 text-blue-600" />
+                    )}
                   </div>
                   {isEditing && (
                     <button className="absolute bottom-0 right-0 bg-blue-600 text-white p-2 rounded-full hover:bg-blue-700">
@@ -85,24 +245,26 @@ const Profile = () => {
                   )}
                 </div>
                 <h3 className="mt-4 text-xl font-semibold">
-                  {profileData.firstName} {profileData.lastName}
+                  {activePlayer.firstName} {activePlayer.lastName}
                 </h3>
-                <p className="text-gray-500">{profileData.position || 'Position'}</p>
+                <p className="text-gray-500">{activePlayer.position || 'Position'}</p>
                 <div className="mt-4 w-full space-y-2">
-                  <div className="flex items-center text-sm text-gray-600">
-                    <Mail className="w-4 h-4 mr-2" />
-                    {profileData.email}
-                  </div>
-                  {profileData.phone && (
+                  {activePlayer.emailAddress && (
+                    <div className="flex items-center text-sm text-gray-600">
+                      <Mail className="w-4 h-4 mr-2" />
+                      {activePlayer.emailAddress}
+                    </div>
+                  )}
+                  {activePlayer.phoneNumber && (
                     <div className="flex items-center text-sm text-gray-600">
                       <Phone className="w-4 h-4 mr-2" />
-                      {profileData.phone}
+                      {activePlayer.phoneNumber}
                     </div>
                   )}
-                  {profileData.address && (
+                  {activePlayer.homeAddress && (
                     <div className="flex items-center text-sm text-gray-600">
                       <MapPin className="w-4 h-4 mr-2" />
-                      {profileData.address}
+                      {activePlayer.homeAddress}
                     </div>
                   )}
                 </div>
@@ -119,19 +281,19 @@ const Profile = () => {
               <div className="space-y-4">
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600">Height</span>
-                  <span className="text-sm font-medium">{profileData.height || 'N/A'}</span>
+                  <span className="text-sm font-medium">{activePlayer.height || 'N/A'}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600">Weight</span>
-                  <span className="text-sm font-medium">{profileData.weight || 'N/A'}</span>
+                  <span className="text-sm font-medium">{activePlayer.weight || 'N/A'}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600">GPA</span>
-                  <span className="text-sm font-medium">{profileData.gpa || 'N/A'}</span>
+                  <span className="text-sm font-medium">{activePlayer.gpa || 'N/A'}</span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-sm text-gray-600">Grad Year</span>
-                  <span className="text-sm font-medium">{profileData.graduationYear || 'N/A'}</span>
+                  <span className="text-sm font-medium">{activePlayer.class || 'N/A'}</span>
                 </div>
               </div>
             </CardContent>
@@ -147,68 +309,22 @@ const Profile = () => {
             </CardHeader>
             <CardContent>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    First Name
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="text"
-                      value={profileData.firstName}
-                      onChange={(e) => handleInputChange('firstName', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">{profileData.firstName || 'Not provided'}</p>
-                  )}
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Last Name
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="text"
-                      value={profileData.lastName}
-                      onChange={(e) => handleInputChange('lastName', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">{profileData.lastName || 'Not provided'}</p>
-                  )}
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Date of Birth
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="date"
-                      value={profileData.dateOfBirth}
-                      onChange={(e) => handleInputChange('dateOfBirth', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">
-                      {profileData.dateOfBirth ? new Date(profileData.dateOfBirth).toLocaleDateString() : 'Not provided'}
-                    </p>
-                  )}
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Phone
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="tel"
-                      value={profileData.phone}
-                      onChange={(e) => handleInputChange('phone', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">{profileData.phone || 'Not provided'}</p>
-                  )}
-                </div>
+                {[
+                  'firstName', 'lastName', 'dateOfBirth', 'emailAddress', 'phoneNumber', 'alternatePhoneNumber',
+                  'homeAddress', 'homeCity', 'homeState', 'homeZip'
+                ].map(renderField)}
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Athletic Information */}
+          <Card>
+            <CardHeader>
+              <CardTitle>Athletic Information</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {['position', 'height', 'weight'].map(renderField)}
               </div>
             </CardContent>
           </Card>
@@ -220,126 +336,35 @@ const Profile = () => {
             </CardHeader>
             <CardContent>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    GPA
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="number"
-                      step="0.01"
-                      min="0"
-                      max="4.0"
-                      value={profileData.gpa}
-                      onChange={(e) => handleInputChange('gpa', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">{profileData.gpa || 'Not provided'}</p>
-                  )}
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Graduation Year
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="number"
-                      value={profileData.graduationYear}
-                      onChange={(e) => handleInputChange('graduationYear', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">{profileData.graduationYear || 'Not provided'}</p>
-                  )}
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    SAT Score
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="number"
-                      value={profileData.satScore}
-                      onChange={(e) => handleInputChange('satScore', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">{profileData.satScore || 'Not provided'}</p>
-                  )}
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    ACT Score
-                  </label>
-                  {isEditing ? (
-                    <input
-                      type="number"
-                      value={profileData.actScore}
-                      onChange={(e) => handleInputChange('actScore', e.target.value)}
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  ) : (
-                    <p className="text-sm text-gray-900">{profileData.actScore || 'Not provided'}</p>
-                  )}
-                </div>
+                {['highSchool', 'class', 'gpa', 'satScore', 'actScore'].map(renderField)}
               </div>
             </CardContent>
           </Card>
 
-          {/* Documents */}
+          {/* Recruiting Information */}
           <Card>
             <CardHeader>
-              <CardTitle className="flex items-center">
-                <FileText className="w-5 h-5 mr-2" />
-                Documents
-              </CardTitle>
+              <CardTitle>Recruiting</CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="space-y-4">
-                <div className="flex items-center justify-between p-4 border rounded-lg">
-                  <div className="flex items-center">
-                    <FileText className="w-5 h-5 text-gray-400 mr-3" />
-                    <div>
-                      <p className="text-sm font-medium">Academic Transcript</p>
-                      <p className="text-xs text-gray-500">Last updated: Never</p>
-                    </div>
-                  </div>
-                  <Button variant="outline" size="sm">
-                    Upload
-                  </Button>
-                </div>
-                <div className="flex items-center justify-between p-4 border rounded-lg">
-                  <div className="flex items-center">
-                    <FileText className="w-5 h-5 text-gray-400 mr-3" />
-                    <div>
-                      <p className="text-sm font-medium">Resume</p>
-                      <p className="text-xs text-gray-500">Last updated: Never</p>
-                    </div>
-                  </div>
-                  <Button variant="outline" size="sm">
-                    Upload
-                  </Button>
-                </div>
-                <div className="flex items-center justify-between p-4 border rounded-lg">
-                  <div className="flex items-center">
-                    <FileText className="w-5 h-5 text-gray-400 mr-3" />
-                    <div>
-                      <p className="text-sm font-medium">Highlight Reel</p>
-                      <p className="text-xs text-gray-500">Last updated: Never</p>
-                    </div>
-                  </div>
-                  <Button variant="outline" size="sm">
-                    Upload
-                  </Button>
-                </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {['offers', 'commitment', 'highlightVideoUrl'].map(renderField)}
               </div>
             </CardContent>
           </Card>
+
+          {/* Documents */}
+          <div>
+            <h2 className="flex items-center text-xl font-semibold mb-4">
+              <FileText className="w-5 h-5 mr-2" />
+              Documents
+            </h2>
+            <DocumentManager player={activePlayer} userRole={role} />
+          </div>
         </div>
       </div>
     </div>
   );
 };
 
-export default Profile;
\ No newline at end of file
+export default Profile;
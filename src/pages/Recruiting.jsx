@@ -1,284 +1,406 @@
 import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
 import { Card, CardContent, CardHeader, CardTitle } from '@o7c/shared';
 import { useAuth } from '@o7c/shared';
 import { Button } from '@o7c/shared';
-import { Trophy, Star, Eye, MessageSquare, Calendar, MapPin, Users, TrendingUp } from 'lucide-react';
+import { getOfficialName, logosDataPromise } from '@o7c/shared/utils/collegeLogos';
+import {
+  PIPELINE_STAGES,
+  STAGE_COLORS,
+  getStage,
+  getStageLabel,
+  groupByStage,
+  getPipelineActivity
+} from '@o7c/shared/utils/recruitingPipeline';
+import {
+  listCollegeInterests,
+  addCollegeInterest,
+  moveCollegeInterest,
+  removeCollegeInterest
+} from '@o7c/shared/api/recruiting';
+import { Trophy, Star, MapPin, TrendingUp, Plus, ChevronLeft, ChevronRight, Trash2, History, AlertCircle } from 'lucide-react';
+import { useActivePlayer } from '../contexts/ActivePlayerContext';
+import CollegeLogo from '../components/recruiting/CollegeLogo';
+import CollegeTargetList from '../components/recruiting/CollegeTargetList';
+import RecruitingCalendarCard from '../components/recruiting/RecruitingCalendarCard';
+
+const DIVISIONS = ['', 'NCAA D1', 'NCAA D2', 'NCAA D3', 'NAIA', 'JUCO'];
+
+const EMPTY_COLLEGE = { collegeName: '', division: '', stage: 'contacted' };
+
+const formatDate = (date) => format(new Date(date), 'MMM d, yyyy');
 
 const Recruiting = () => {
-  const { userData } = useAuth();
-  const [recruitingStatus, setRecruitingStatus] = useState('active');
-  const [collegeOffers, setCollegeOffers] = useState([]);
-  const [recruitingActivity, setRecruitingActivity] = useState([]);
+  const { user } = useAuth();
+  const { activePlayer, loading: playerLoading } = useActivePlayer();
+  const [interests, setInterests] = useState([]);
+  const [logosData, setLogosData] = useState(null);
+  const [newCollege, setNewCollege] = useState(EMPTY_COLLEGE);
+  const [expanded, setExpanded] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
 
-  // Mock data - replace with actual API calls
   useEffect(() => {
-    // Mock college offers
-    setCollegeOffers([
-      {
-        id: 1,
-        school: 'University of Notre Dame',
-        logo: '/college-logos/nd.png',
-        status: 'offered',
-        date: '2024-01-15',
-        sport: 'Football',
-        division: 'DI',
-        location: 'South Bend, IN'
-      },
-      {
-        id: 2,
-        school: 'University of Virginia',
-        logo: '/college-logos/uva.png',
-        status: 'interested',
-        date: '2024-01-10',
-        sport: 'Football',
-        division: 'DI',
-        location: 'Charlottesville, VA'
-      },
-      {
-        id: 3,
-        school: 'Syracuse University',
-        logo: '/college-logos/syr.png',
-        status: 'contacted',
-        date: '2024-01-08',
-        sport: 'Football',
-        division: 'DI',
-        location: 'Syracuse, NY'
-      }
-    ]);
-
-    // Mock recruiting activity
-    setRecruitingActivity([
-      {
-        id: 1,
-        type: 'view',
-        school: 'University of Pittsburgh',
-        date: '2024-01-14',
-        details: 'Coach viewed your highlight reel'
-      },
-      {
-        id: 2,
-        type: 'message',
-        school: 'Virginia Tech',
-        date: '2024-01-12',
-        details: 'New message from recruiting coordinator'
-      },
-      {
-        id: 3,
-        type: 'offer',
-        school: 'University of Notre Dame',
-        date: '2024-01-10',
-        details: 'Scholarship offer received'
-      }
-    ]);
+    logosDataPromise.then(setLogosData);
   }, []);
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'offered':
-        return 'bg-green-100 text-green-800';
-      case 'interested':
-        return 'bg-blue-100 text-blue-800';
-      case 'contacted':
-        return 'bg-yellow-100 text-yellow-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
+  const loadInterests = async () => {
+    if (!activePlayer) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      setInterests(await listCollegeInterests(activePlayer.id));
+    } catch (err) {
+      console.error('Error loading recruiting interests:', err);
+      setError('Failed to load recruiting interests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setInterests([]);
+    setExpanded(null);
+    if (!playerLoading) loadInterests();
+  }, [activePlayer?.id, playerLoading]);
+
+  const saveInterest = (saved) => {
+    setInterests(prev => (prev.some(interest => interest.id === saved.id)
+      ? prev.map(interest => (interest.id === saved.id ? saved : interest))
+      : [...prev, saved]));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const name = newCollege.collegeName.trim();
+    if (!name) return;
+    const existing = interests.find(interest => interest.collegeName.toLowerCase() === name.toLowerCase());
+    if (existing && getStage(existing)) {
+      setError(`${name} is already on the board`);
+      return;
+    }
+    // A school already on the target list moves onto the board with its target data
+    if (existing) {
+      await handleMove(existing, newCollege.stage);
+      setNewCollege(EMPTY_COLLEGE);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const collegeName = logosData ? getOfficialName(logosData, name) : name;
+      const created = await addCollegeInterest(activePlayer, { ...newCollege, collegeName }, user.email);
+      setInterests(prev => [...prev, created]);
+      setNewCollege(EMPTY_COLLEGE);
+    } catch (err) {
+      console.error('Error adding college:', err);
+      setError('Failed to add the college. Please try again.');
+    } finally {
+      setSaving(false);
     }
   };
 
-  const getActivityIcon = (type) => {
-    switch (type) {
-      case 'view':
-        return <Eye className="w-4 h-4 text-blue-600" />;
-      case 'message':
-        return <MessageSquare className="w-4 h-4 text-green-600" />;
-      case 'offer':
-        return <Trophy className="w-4 h-4 text-yellow-600" />;
-      default:
-        return <Star className="w-4 h-4 text-gray-600" />;
+  const handleMove = async (interest, stage) => {
+    if (getStage(interest) === stage) return;
+    setError(null);
+    try {
+      saveInterest(await moveCollegeInterest(interest, stage, { by: user.email }));
+    } catch (err) {
+      console.error('Error moving college:', err);
+      setError(`Failed to move ${interest.collegeName}. Please try again.`);
     }
   };
 
+  const handleRemove = async (interest) => {
+    if (!confirm(`Remove ${interest.collegeName} and its history?`)) return;
+    setError(null);
+    try {
+      await removeCollegeInterest(interest);
+      setInterests(prev => prev.filter(entry => entry.id !== interest.id));
+    } catch (err) {
+      console.error('Error removing college:', err);
+      setError(`Failed to remove ${interest.collegeName}. Please try again.`);
+    }
+  };
+
+  const handleDrop = (stage) => {
+    const interest = interests.find(entry => entry.id === dragging);
+    setDragging(null);
+    if (interest) handleMove(interest, stage);
+  };
+
+  const columns = groupByStage(interests);
+  const onBoard = Object.values(columns).reduce((sum, column) => sum + column.length, 0);
+  const activity = getPipelineActivity(interests);
+  const committed = columns.committed[0];
+
+  if (playerLoading || loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (!activePlayer) {
+    return (
+      <Card>
+        <CardContent className="text-center py-12">
+          <Trophy className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No player profile is linked to your account yet.</p>
+        </CardContent>
+      </Card>
+    );
+  }
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <h1 className="text-3xl font-bold">Recruiting Hub</h1>
-        <div className="flex items-center space-x-4">
-          <span className="text-sm text-gray-500">Status:</span>
-          <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(recruitingStatus)}`}>
-            {recruitingStatus.charAt(0).toUpperCase() + recruitingStatus.slice(1)}
+        {committed && (
+          <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${STAGE_COLORS.committed}`}>
+            Committed to {committed.collegeName}
           </span>
-        </div>
+        )}
       </div>
 
+      {error && (
+        <div className="flex items-center p-4 text-sm text-red-700 bg-red-50 rounded-lg">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
       {/* Stats Overview */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">College Offers</CardTitle>
-            <Trophy className="h-4 w-4 text-muted-foreground" />
+            <CardTitle className="text-sm font-medium">Schools</CardTitle>
+            <Star className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">{collegeOffers.filter(o => o.status === 'offered').length}</div>
+            <div className="text-2xl font-bold">{onBoard}</div>
             <p className="text-xs text-muted-foreground">
-              {collegeOffers.length} total interests
+              On the board{interests.length > onBoard && ` · ${interests.length - onBoard} more targeted`}
             </p>
           </CardContent>
         </Card>
 
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Profile Views</CardTitle>
-            <Eye className="h-4 w-4 text-muted-foreground" />
+            <CardTitle className="text-sm font-medium">Interested</CardTitle>
+            <TrendingUp className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">24</div>
-            <p className="text-xs text-muted-foreground">
-              This month
-            </p>
+            <div className="text-2xl font-bold">{columns.interested.length + columns.visit.length}</div>
+            <p className="text-xs text-muted-foreground">{columns.visit.length} with a visit</p>
           </CardContent>
         </Card>
 
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Messages</CardTitle>
-            <MessageSquare className="h-4 w-4 text-muted-foreground" />
+            <CardTitle className="text-sm font-medium">Offers</CardTitle>
+            <Trophy className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">8</div>
-            <p className="text-xs text-muted-foreground">
-              Unread
-            </p>
+            <div className="text-2xl font-bold">{columns.offered.length + columns.committed.length}</div>
+            <p className="text-xs text-muted-foreground">Including commitments</p>
           </CardContent>
         </Card>
 
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-            <CardTitle className="text-sm font-medium">Rank</CardTitle>
-            <TrendingUp className="h-4 w-4 text-muted-foreground" />
+            <CardTitle className="text-sm font-medium">Contacted</CardTitle>
+            <MapPin className="h-4 w-4 text-muted-foreground" />
           </CardHeader>
           <CardContent>
-            <div className="text-2xl font-bold">#127</div>
-            <p className="text-xs text-muted-foreground">
-              State ranking
-            </p>
+            <div className="text-2xl font-bold">{columns.contacted.length}</div>
+            <p className="text-xs text-muted-foreground">Waiting on next steps</p>
           </CardContent>
         </Card>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-        {/* College Offers */}
-        <Card>
-          <CardHeader>
-            <CardTitle>College Offers & Interests</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="space-y-4">
-              {collegeOffers.map((offer) => (
-                <div key={offer.id} className="flex items-start space-x-4 p-4 border rounded-lg hover:bg-gray-50">
-                  <div className="flex-shrink-0">
-                    <div className="w-12 h-12 bg-gray-200 rounded-lg flex items-center justify-center">
-                      <img
-                        src={offer.logo}
-                        alt={offer.school}
-                        className="w-10 h-10 object-contain"
-                        onError={(e) => {
-                          e.target.style.display = 'none';
-                          e.target.nextSibling.style.display = 'block';
-                        }}
-                      />
-                      <Trophy className="w-6 h-6 text-gray-400 hidden" />
+      <RecruitingCalendarCard player={activePlayer} />
+
+      {/* Add a college */}
+      <Card>
+        <CardContent className="pt-6">
+          <form onSubmit={handleAdd} className="flex flex-col md:flex-row gap-3">
+            <input
+              type="text"
+              value={newCollege.collegeName}
+              onChange={(e) => setNewCollege(prev => ({ ...prev, collegeName: e.target.value }))}
+              placeholder="College name"
+              className="flex-1 p-2 border rounded-md"
+            />
+            <select
+              value={newCollege.division}
+              onChange={(e) => setNewCollege(prev => ({ ...prev, division: e.target.value }))}
+              className="p-2 border rounded-md"
+            >
+              {DIVISIONS.map(division => (
+                <option key={division} value={division}>{division || 'Division'}</option>
+              ))}
+            </select>
+            <select
+              value={newCollege.stage}
+              onChange={(e) => setNewCollege(prev => ({ ...prev, stage: e.target.value }))}
+              className="p-2 border rounded-md"
+            >
+              {PIPELINE_STAGES.map(stage => (
+                <option key={stage.key} value={stage.key}>{stage.label}</option>
+              ))}
+            </select>
+            <Button type="submit" disabled={saving || !newCollege.collegeName.trim()}>
+              <Plus className="w-4 h-4 mr-2" />
+              Add College
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {/* Pipeline Board */}
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        {PIPELINE_STAGES.map((stage, index) => (
+          <div
+            key={stage.key}
+            className={`rounded-lg border bg-gray-50 p-3 min-h-[8rem] ${dragging ? 'border-dashed border-blue-300' : ''}`}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => handleDrop(stage.key)}
+          >
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold">{stage.label}</h3>
+              <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${STAGE_COLORS[stage.key]}`}>
+                {columns[stage.key].length}
+              </span>
+            </div>
+
+            <div className="space-y-2">
+              {columns[stage.key].map(interest => (
+                <div
+                  key={interest.id}
+                  draggable
+                  onDragStart={() => setDragging(interest.id)}
+                  onDragEnd={() => setDragging(null)}
+                  className="bg-white border rounded-lg p-3 shadow-sm cursor-move"
+                >
+                  <div className="flex items-start gap-2">
+                    <CollegeLogo logosData={logosData} name={interest.collegeName} />
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm font-medium text-gray-900 truncate">{interest.collegeName}</p>
+                      {interest.division && <p className="text-xs text-gray-500">{interest.division}</p>}
+                      {interest.stageDates?.[stage.key] && (
+                        <p className="text-xs text-gray-500">Since {formatDate(interest.stageDates[stage.key])}</p>
+                      )}
                     </div>
                   </div>
-                  <div className="flex-1 min-w-0">
-                    <h4 className="text-sm font-medium text-gray-900">{offer.school}</h4>
-                    <div className="flex items-center space-x-2 mt-1">
-                      <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getStatusColor(offer.status)}`}>
-                        {offer.status}
-                      </span>
-                      <span className="text-xs text-gray-500">{offer.division}</span>
+
+                  <div className="flex items-center justify-between mt-2">
+                    <div className="flex">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={index === 0}
+                        onClick={() => handleMove(interest, PIPELINE_STAGES[index - 1].key)}
+                        aria-label="Move back a stage"
+                      >
+                        <ChevronLeft className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        disabled={index === PIPELINE_STAGES.length - 1}
+                        onClick={() => handleMove(interest, PIPELINE_STAGES[index + 1].key)}
+                        aria-label="Move forward a stage"
+                      >
+                        <ChevronRight className="w-4 h-4" />
+                      </Button>
                     </div>
-                    <div className="flex items-center text-xs text-gray-500 mt-1">
-                      <MapPin className="w-3 h-3 mr-1" />
-                      {offer.location}
+                    <div className="flex">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setExpanded(expanded === interest.id ? null : interest.id)}
+                        aria-label="Show history"
+                      >
+                        <History className="w-4 h-4" />
+                      </Button>
+                      <Button variant="ghost" size="sm" onClick={() => handleRemove(interest)} aria-label="Remove">
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
                     </div>
                   </div>
-                  <div className="flex-shrink-0 text-xs text-gray-500">
-                    {new Date(offer.date).toLocaleDateString()}
-                  </div>
+
+                  {expanded === interest.id && (
+                    <ul className="mt-2 space-y-1 border-t pt-2 text-xs text-gray-600">
+                      {[...(interest.stageHistory || [])].reverse().map(entry => (
+                        <li key={entry.at}>
+                          {formatDate(entry.at)}: {entry.from ? `${getStageLabel(entry.from)} → ` : 'Added at '}
+                          {getStageLabel(entry.to)}
+                          {entry.by && <span className="text-gray-400"> · {entry.by}</span>}
+                          {entry.note && <span className="block text-gray-500">{entry.note}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               ))}
             </div>
-            <div className="mt-4">
-              <Button className="w-full" variant="outline">
-                <Star className="w-4 h-4 mr-2" />
-                Update Recruiting Profile
-              </Button>
-            </div>
-          </CardContent>
-        </Card>
+          </div>
+        ))}
+      </div>
 
-        {/* Recruiting Activity */}
-        <Card>
-          <CardHeader>
-            <CardTitle>Recent Activity</CardTitle>
-          </CardHeader>
-          <CardContent>
+      <CollegeTargetList
+        player={activePlayer}
+        interests={interests}
+        logosData={logosData}
+        userEmail={user.email}
+        onSaved={saveInterest}
+        onRemove={handleRemove}
+        onError={setError}
+      />
+
+      {/* Recruiting Activity */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent Activity</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {activity.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              Add the colleges you are talking to and move them along as things progress.
+            </p>
+          ) : (
             <div className="space-y-4">
-              {recruitingActivity.map((activity) => (
-                <div key={activity.id} className="flex items-start space-x-3">
-                  <div className="flex-shrink-0 mt-1">
-                    {getActivityIcon(activity.type)}
-                  </div>
+              {activity.map(entry => (
+                <div key={`${entry.interest.id}-${entry.at}`} className="flex items-start space-x-3">
+                  <CollegeLogo logosData={logosData} name={entry.interest.collegeName} />
                   <div className="flex-1 min-w-0">
                     <p className="text-sm text-gray-900">
-                      <span className="font-medium">{activity.school}</span>
+                      <span className="font-medium">{entry.interest.collegeName}</span>
+                      {entry.from
+                        ? ` moved from ${getStageLabel(entry.from)} to ${getStageLabel(entry.to)}`
+                        : ` added at ${getStageLabel(entry.to)}`}
                     </p>
-                    <p className="text-sm text-gray-600">{activity.details}</p>
                     <p className="text-xs text-gray-500 mt-1">
-                      {new Date(activity.date).toLocaleDateString()}
+                      {formatDate(entry.at)}
+                      {entry.by && ` · ${entry.by}`}
                     </p>
                   </div>
                 </div>
               ))}
             </div>
-            <div className="mt-4">
-              <Button className="w-full" variant="outline">
-                <Calendar className="w-4 h-4 mr-2" />
-                Schedule Campus Visit
-              </Button>
-            </div>
-          </CardContent>
-        </Card>
-      </div>
-
-      {/* Quick Actions */}
-      <Card>
-        <CardHeader>
-          <CardTitle>Recruiting Tools</CardTitle>
-        </CardHeader>
-        <CardContent>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <Button variant="outline" className="h-20 flex flex-col items-center justify-center">
-              <Trophy className="w-6 h-6 mb-2" />
-              <span className="text-xs text-center">Update Highlights</span>
-            </Button>
-            <Button variant="outline" className="h-20 flex flex-col items-center justify-center">
-              <MessageSquare className="w-6 h-6 mb-2" />
-              <span className="text-xs text-center">Contact Coaches</span>
-            </Button>
-            <Button variant="outline" className="h-20 flex flex-col items-center justify-center">
-              <Calendar className="w-6 h-6 mb-2" />
-              <span className="text-xs text-center">Schedule Events</span>
-            </Button>
-            <Button variant="outline" className="h-20 flex flex-col items-center justify-center">
-              <Users className="w-6 h-6 mb-2" />
-              <span className="text-xs text-center">Find Recruiters</span>
-            </Button>
-          </div>
+          )}
         </CardContent>
       </Card>
     </div>
   );
 };
 
-export default Recruiting;
\ No newline at end of file
+export default Recruiting;
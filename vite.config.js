@@ -5,6 +5,8 @@ import path from 'path'
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // EVENT_TIMEZONE is shared with the API so recurring events expand the same way in both
+  envPrefix: ['VITE_', 'EVENT_TIMEZONE'],
   server: {
     port: 3001,
     host: true